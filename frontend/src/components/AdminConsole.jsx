@@ -0,0 +1,297 @@
+/**
+ * Admin console
+ * Only rendered for the contract owner. Shows the contract-wide parameters and has a form
+ * for each owner action; every form validates its input and asks for confirmation first
+ */
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useAdmin } from '../hooks/useAdmin';
+import { useI18n } from '../hooks/useI18n';
+import { messageKey } from '../i18n';
+import { formatEth } from '../utils/format';
+import { parseEthAmount, parseAddress } from '../utils/validation';
+import { describeTxError } from '../utils/txErrors';
+
+// The contract subtracts this much reputation on every slash and reverts on underflow
+const SLASH_REPUTATION_PENALTY = 10;
+
+/**
+ * Ask the owner to confirm a governance action
+ * @param {Function} t - Translate function from useI18n
+ * @param {Object} summary - What is about to be sent, as a message
+ * @returns {boolean} Whether the owner confirmed
+ */
+const confirmAction = (t, summary) => window.confirm(t('admin.confirm', { summary }));
+
+/**
+ * AdminConsole component
+ * @param {Object} props - Component props
+ * @param {ZKCoProcessorClient|null} props.client - Contract client with the wallet's signer
+ * @param {string|null} props.account - Connected account
+ * @param {boolean} [props.showAccessNotice] - Explain why the console is hidden instead of rendering nothing
+ */
+const AdminConsole = ({ client, account, showAccessNotice = false }) => {
+  const { t } = useI18n();
+  const {
+    isOwner,
+    parameters,
+    pendingAction,
+    error,
+    refresh,
+    getOperator,
+    setBaseRewardAmount,
+    setVerifierContract,
+    slashOperator,
+    withdrawETH
+  } = useAdmin(client, account);
+
+  const [baseRewardInput, setBaseRewardInput] = useState('');
+  const [verifierInput, setVerifierInput] = useState('');
+  const [slashForm, setSlashForm] = useState({ operator: '', amount: '', reason: '' });
+  const [withdrawInput, setWithdrawInput] = useState('');
+  const [formErrors, setFormErrors] = useState({});
+  const [notice, setNotice] = useState('');
+
+  if (!isOwner) {
+    if (!showAccessNotice) return null;
+    return (
+      <div className="admin-console">
+        <h2>{t('nav.admin')}</h2>
+        <p className="operator-hint">{account ? t('admin.notOwner') : t('admin.connectOwner')}</p>
+      </div>
+    );
+  }
+
+  const busy = pendingAction !== null;
+
+  /**
+   * Validate a form, confirm it and send the transaction
+   * @param {string} form - Form key used for its error message
+   * @param {Function} validate - Resolves to { error } or { summary, send }, with messages for error and summary
+   * @param {Function} onDone - Called after the transaction is mined
+   */
+  const submit = async (form, validate, onDone) => {
+    setNotice('');
+    let result;
+    try {
+      result = await validate();
+    } catch (err) {
+      // Checks that read the chain (getOperator, getCode) fail when the RPC does
+      setFormErrors(prev => ({ ...prev, [form]: messageKey('admin.errors.checkFailed', { reason: describeTxError(err) }) }));
+      return;
+    }
+    setFormErrors(prev => ({ ...prev, [form]: result.error || '' }));
+    if (result.error || !confirmAction(t, result.summary)) return;
+
+    try {
+      await result.send();
+      setNotice(messageKey('admin.done', { summary: result.summary }));
+      onDone();
+    } catch (err) {
+      // The error is surfaced by useAdmin
+    }
+  };
+
+  const handleBaseReward = (e) => {
+    e.preventDefault();
+    submit('baseReward', async () => {
+      const amount = parseEthAmount(baseRewardInput);
+      if (amount === null) return { error: messageKey('admin.errors.invalidAmount') };
+      if (amount <= 0) return { error: messageKey('admin.errors.baseRewardZero') };
+      if (amount === parameters.baseRewardAmount) return { error: messageKey('admin.errors.sameBaseReward') };
+      return {
+        summary: messageKey('admin.summaries.baseReward', { from: formatEth(parameters.baseRewardAmount), to: formatEth(amount) }),
+        send: () => setBaseRewardAmount(amount)
+      };
+    }, () => setBaseRewardInput(''));
+  };
+
+  const handleVerifier = (e) => {
+    e.preventDefault();
+    submit('verifier', async () => {
+      const verifier = parseAddress(verifierInput);
+      if (!verifier) return { error: messageKey('admin.errors.invalidAddress') };
+      if (verifier === parameters.verifierContract) return { error: messageKey('admin.errors.sameVerifier') };
+      if (verifier !== ethers.constants.AddressZero) {
+        const code = await client.provider.getCode(verifier);
+        if (code === '0x') return { error: messageKey('admin.errors.noContract') };
+      }
+      return {
+        summary: verifier === ethers.constants.AddressZero
+          ? messageKey('admin.summaries.removeVerifier')
+          : messageKey('admin.summaries.verifier', { address: verifier }),
+        send: () => setVerifierContract(verifier)
+      };
+    }, () => setVerifierInput(''));
+  };
+
+  const handleSlash = (e) => {
+    e.preventDefault();
+    submit('slash', async () => {
+      const operatorAddress = parseAddress(slashForm.operator);
+      if (!operatorAddress) return { error: messageKey('admin.errors.invalidOperator') };
+      const amount = parseEthAmount(slashForm.amount);
+      if (amount === null || amount <= 0) return { error: messageKey('admin.errors.invalidAmount') };
+      if (!slashForm.reason.trim()) return { error: messageKey('admin.errors.missingReason') };
+
+      const operator = await getOperator(operatorAddress);
+      if (!operator.registered) return { error: messageKey('admin.errors.notOperator') };
+      if (amount > operator.stake) {
+        return { error: messageKey('admin.errors.overStake', { amount: formatEth(operator.stake) }) };
+      }
+      if (operator.reputation < SLASH_REPUTATION_PENALTY) {
+        return {
+          error: messageKey('admin.errors.lowReputation', { penalty: SLASH_REPUTATION_PENALTY, reputation: operator.reputation })
+        };
+      }
+      return {
+        summary: messageKey('admin.summaries.slash', {
+          amount: formatEth(amount),
+          operator: operatorAddress,
+          stake: formatEth(operator.stake),
+          reason: slashForm.reason.trim()
+        }),
+        send: () => slashOperator(operatorAddress, amount, slashForm.reason.trim())
+      };
+    }, () => setSlashForm({ operator: '', amount: '', reason: '' }));
+  };
+
+  const handleWithdraw = (e) => {
+    e.preventDefault();
+    submit('withdraw', async () => {
+      const amount = parseEthAmount(withdrawInput);
+      if (amount === null || amount <= 0) return { error: messageKey('admin.errors.invalidAmount') };
+      if (amount > parameters.balance) {
+        return { error: messageKey('admin.errors.overBalance', { amount: formatEth(parameters.balance) }) };
+      }
+      return {
+        summary: messageKey('admin.summaries.withdraw', { amount: formatEth(amount) }),
+        send: () => withdrawETH(amount)
+      };
+    }, () => setWithdrawInput(''));
+  };
+
+  return (
+    <div className="admin-console">
+      <div className="admin-header">
+        <h2>{t('admin.title')}</h2>
+        <button className="refresh-button" onClick={refresh} disabled={busy}>{t('admin.refresh')}</button>
+      </div>
+      <p className="operator-hint">{t('admin.connectedAsOwner')}</p>
+
+      <div className="operator-stats">
+        <div className="operator-stat">
+          <span className="metric-label">{t('admin.baseReward')}</span>
+          <span className="metric-value">{formatEth(parameters.baseRewardAmount)}</span>
+        </div>
+        <div className="operator-stat">
+          <span className="metric-label">{t('admin.minStake')}</span>
+          <span className="metric-value">{formatEth(parameters.minOperatorStake)}</span>
+        </div>
+        <div className="operator-stat">
+          <span className="metric-label">{t('admin.verifier')}</span>
+          <span className="metric-value address-value" title={parameters.verifierContract || ''}>
+            {parameters.verifierContract || t('admin.notSet')}
+          </span>
+        </div>
+        <div className="operator-stat">
+          <span className="metric-label">{t('admin.balance')}</span>
+          <span className="metric-value">{formatEth(parameters.balance)}</span>
+        </div>
+      </div>
+
+      <div className="admin-forms">
+        <form className="admin-form" onSubmit={handleBaseReward}>
+          <h3>{t('admin.baseReward')}</h3>
+          <div className="stake-input-row">
+            <input
+              type="text"
+              inputMode="decimal"
+              value={baseRewardInput}
+              onChange={(e) => setBaseRewardInput(e.target.value)}
+              placeholder={t('admin.newBaseReward')}
+              aria-label={t('admin.newBaseRewardLabel')}
+            />
+            <span className="stake-unit">ETH</span>
+          </div>
+          <button type="submit" disabled={busy}>
+            {pendingAction === 'setBaseRewardAmount' ? t('admin.updating') : t('admin.setBaseReward')}
+          </button>
+          {formErrors.baseReward && <p className="field-error">{t(formErrors.baseReward)}</p>}
+        </form>
+
+        <form className="admin-form" onSubmit={handleVerifier}>
+          <h3>{t('admin.verifier')}</h3>
+          <input
+            type="text"
+            value={verifierInput}
+            onChange={(e) => setVerifierInput(e.target.value)}
+            placeholder={t('admin.verifierPlaceholder')}
+            aria-label={t('admin.verifierLabel')}
+          />
+          <button type="submit" disabled={busy}>
+            {pendingAction === 'setVerifierContract' ? t('admin.updating') : t('admin.setVerifier')}
+          </button>
+          {formErrors.verifier && <p className="field-error">{t(formErrors.verifier)}</p>}
+        </form>
+
+        <form className="admin-form" onSubmit={handleSlash}>
+          <h3>{t('admin.slashTitle')}</h3>
+          <input
+            type="text"
+            value={slashForm.operator}
+            onChange={(e) => setSlashForm(prev => ({ ...prev, operator: e.target.value }))}
+            placeholder={t('admin.operatorAddress')}
+            aria-label={t('admin.operatorAddress')}
+          />
+          <div className="stake-input-row">
+            <input
+              type="text"
+              inputMode="decimal"
+              value={slashForm.amount}
+              onChange={(e) => setSlashForm(prev => ({ ...prev, amount: e.target.value }))}
+              placeholder={t('admin.amount')}
+              aria-label={t('admin.slashAmountLabel')}
+            />
+            <span className="stake-unit">ETH</span>
+          </div>
+          <input
+            type="text"
+            value={slashForm.reason}
+            onChange={(e) => setSlashForm(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder={t('admin.reason')}
+            aria-label={t('admin.reason')}
+          />
+          <button type="submit" disabled={busy} className="danger-button">
+            {pendingAction === 'slashOperator' ? t('admin.slashing') : t('admin.slash')}
+          </button>
+          {formErrors.slash && <p className="field-error">{t(formErrors.slash)}</p>}
+        </form>
+
+        <form className="admin-form" onSubmit={handleWithdraw}>
+          <h3>{t('admin.withdrawTitle')}</h3>
+          <div className="stake-input-row">
+            <input
+              type="text"
+              inputMode="decimal"
+              value={withdrawInput}
+              onChange={(e) => setWithdrawInput(e.target.value)}
+              placeholder={t('admin.amount')}
+              aria-label={t('admin.withdrawAmountLabel')}
+            />
+            <span className="stake-unit">ETH</span>
+          </div>
+          <button type="submit" disabled={busy}>
+            {pendingAction === 'withdrawETH' ? t('admin.withdrawing') : t('admin.withdraw')}
+          </button>
+          {formErrors.withdraw && <p className="field-error">{t(formErrors.withdraw)}</p>}
+        </form>
+      </div>
+
+      {notice && <p className="operator-notice">{t(notice)}</p>}
+      {error && <p className="field-error">{t(error)}</p>}
+    </div>
+  );
+};
+
+export default AdminConsole;
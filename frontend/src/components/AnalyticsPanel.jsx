@@ -0,0 +1,314 @@
+/**
+ * Analytics page
+ * Time-series and distribution charts over the indexed contract history: gas savings over
+ * time, complexity against gas, task completion latency and rewards paid per day, with
+ * summary statistics for the selected date range
+ */
+import React, { useState, useMemo } from 'react';
+import { ethers } from 'ethers';
+import { Line, Scatter, Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  CategoryScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { useI18n } from '../hooks/useI18n';
+import { buildAnalytics, presetRange, RANGE_PRESETS } from '../utils/analytics';
+import { comparisonRecord, downloadRecords } from '../utils/historyExport';
+import ExportButtons from './ExportButtons';
+import { formatGas, formatEth, formatNumber, formatBytes, formatPercent, formatDuration, formatDate, formatDateTime } from '../utils/format';
+
+ChartJS.register(LinearScale, CategoryScale, PointElement, LineElement, BarElement, Tooltip, Legend);
+
+// Formatters for each summary row; like the ones they wrap, they show n/a for a missing statistic
+const percent = (value) => formatPercent(value, 1);
+const seconds = (value) => formatDuration(value, 1);
+const gas = (value) => formatGas(value === null ? null : Math.round(value));
+// Reward statistics are ETH numbers; formatEth takes wei
+const eth = (value) => formatEth(value === null ? null : ethers.utils.parseEther(value.toFixed(18)), 4);
+
+// Whole seconds, for the latency histogram buckets
+const SECONDS_UNIT = { style: 'unit', unit: 'second', unitDisplay: 'short' };
+
+/**
+ * One row of the summary statistics table
+ * @param {Object} props - Component props
+ * @param {string} props.label - Metric name
+ * @param {Object} props.stats - Output of summarize()
+ * @param {Function} props.format - Formatter for the values
+ */
+const StatRow = ({ label, stats, format }) => (
+  <tr>
+    <td>{label}</td>
+    <td>{formatNumber(stats.count)}</td>
+    <td>{format(stats.mean)}</td>
+    <td>{format(stats.median)}</td>
+    <td>{format(stats.p95)}</td>
+  </tr>
+);
+
+// Shared options for charts with a time x axis (no date adapter is bundled, so timestamps
+// are plotted on a linear scale and formatted in the tick callback)
+const timeAxis = {
+  type: 'linear',
+  ticks: {
+    callback: (value) => formatDate(value),
+    maxTicksLimit: 8
+  }
+};
+
+/**
+ * AnalyticsPanel component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.comparisons - Comparisons from the indexed history
+ * @param {Array<Object>} props.events - Typed contract events from the indexed history
+ * @param {Object} props.historyStatus - Backfill status from useEventHistory
+ */
+const AnalyticsPanel = ({ comparisons, events, historyStatus }) => {
+  const [preset, setPreset] = useState('30d');
+  const [range, setRange] = useState(() => presetRange(30));
+
+  // Axis ticks are formatted for the picked locale
+  const { locale, t } = useI18n();
+
+  const analytics = useMemo(() => buildAnalytics(comparisons, events, range), [comparisons, events, range]);
+
+  const handlePreset = (option) => {
+    setPreset(option.key);
+    setRange(presetRange(option.days));
+  };
+
+  // Editing a date by hand leaves the presets
+  const handleDateChange = (field) => (e) => {
+    const { value } = e.target;
+    setPreset(null);
+    setRange(prev => ({ ...prev, [field]: value }));
+  };
+
+  const savingsData = {
+    datasets: [{
+      label: t('analytics.savingsDataset'),
+      data: analytics.savings,
+      borderColor: 'rgba(54, 162, 235, 1)',
+      backgroundColor: 'rgba(54, 162, 235, 0.3)',
+      tension: 0.2
+    }]
+  };
+
+  const savingsOptions = {
+    responsive: true,
+    locale,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => formatDateTime(items[0].raw.x),
+          label: (context) => t('analytics.savingsTooltip', { savings: formatPercent(context.raw.y, 1) })
+        }
+      }
+    },
+    scales: {
+      x: timeAxis,
+      y: { title: { display: true, text: t('analytics.savingsAxis') } }
+    }
+  };
+
+  const complexityData = {
+    datasets: [
+      {
+        label: t('analytics.zkGas'),
+        data: analytics.gasByComplexity.map(point => ({ x: point.complexity, y: point.zkGasUsed })),
+        backgroundColor: 'rgba(54, 162, 235, 0.7)'
+      },
+      {
+        label: t('analytics.normalGas'),
+        data: analytics.gasByComplexity
+          .filter(point => point.normalGasUsed !== null)
+          .map(point => ({ x: point.complexity, y: point.normalGasUsed })),
+        backgroundColor: 'rgba(255, 99, 132, 0.7)'
+      }
+    ]
+  };
+
+  const complexityOptions = {
+    responsive: true,
+    locale,
+    plugins: {
+      tooltip: {
+        callbacks: {
+          label: (context) => t('analytics.complexityTooltip', {
+            series: context.dataset.label,
+            gas: formatGas(context.raw.y),
+            size: formatBytes(context.raw.x)
+          })
+        }
+      }
+    },
+    scales: {
+      x: { type: 'linear', title: { display: true, text: t('analytics.complexityAxis') } },
+      y: { beginAtZero: true, title: { display: true, text: t('chart.axis.gas') } }
+    }
+  };
+
+  const latencyData = {
+    labels: analytics.latencyBuckets.map(bucket =>
+      (bucket.end - bucket.start === 1
+        ? formatNumber(bucket.start, SECONDS_UNIT)
+        : `${formatNumber(bucket.start)}–${formatNumber(bucket.end - 1, SECONDS_UNIT)}`)
+    ),
+    datasets: [{
+      label: t('analytics.tasks'),
+      data: analytics.latencyBuckets.map(bucket => bucket.count),
+      backgroundColor: 'rgba(75, 192, 192, 0.6)'
+    }]
+  };
+
+  const latencyOptions = {
+    responsive: true,
+    locale,
+    plugins: { legend: { display: false } },
+    scales: {
+      x: { title: { display: true, text: t('analytics.latencyAxis') } },
+      y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: t('analytics.tasks') } }
+    }
+  };
+
+  const rewardsData = {
+    // Day keys are local calendar days
+    labels: analytics.rewards.map(day => formatDate(new Date(`${day.day}T00:00`))),
+    datasets: [{
+      label: t('analytics.rewardsDataset'),
+      data: analytics.rewards.map(day => day.eth),
+      backgroundColor: 'rgba(245, 176, 65, 0.7)'
+    }]
+  };
+
+  const rewardsOptions = {
+    responsive: true,
+    locale,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => {
+            const day = analytics.rewards[context.dataIndex];
+            return t('analytics.rewardsTooltip', { amount: formatEth(day.total), count: day.payments });
+          }
+        }
+      }
+    },
+    scales: {
+      y: { beginAtZero: true, title: { display: true, text: t('chart.axis.eth') } }
+    }
+  };
+
+  const isEmpty = analytics.proofCount === 0;
+
+  return (
+    <section className="analytics-page">
+      <div className="analytics-header">
+        <h2>{t('analytics.title')}</h2>
+        <div className="analytics-range">
+          {RANGE_PRESETS.map(option => (
+            <button
+              key={option.key}
+              className={`range-preset ${preset === option.key ? 'active' : ''}`}
+              onClick={() => handlePreset(option)}
+            >
+              {t(option.label)}
+            </button>
+          ))}
+          <label>
+            {t('analytics.from')}
+            <input type="date" value={range.from} max={range.to || undefined} onChange={handleDateChange('from')} />
+          </label>
+          <label>
+            {t('analytics.to')}
+            <input type="date" value={range.to} min={range.from || undefined} onChange={handleDateChange('to')} />
+          </label>
+          <ExportButtons
+            count={analytics.comparisons.length}
+            onExport={(format) => downloadRecords(analytics.comparisons.map(comparisonRecord), format, 'zkco-analytics')}
+          />
+        </div>
+      </div>
+
+      {historyStatus && historyStatus.syncing && (
+        <p className="sync-status">{t('analytics.indexing')}</p>
+      )}
+
+      {isEmpty ? (
+        <p className="analytics-empty">{t('analytics.empty')}</p>
+      ) : (
+        <>
+          <div className="stats-container">
+            <div className="stat-card">
+              <h3>{t('analytics.proofs')}</h3>
+              <p className="stat-value">{formatNumber(analytics.proofCount)}</p>
+            </div>
+            <div className="stat-card">
+              <h3>{t('analytics.medianSavings')}</h3>
+              <p className="stat-value">{percent(analytics.stats.savings.median)}</p>
+            </div>
+            <div className="stat-card">
+              <h3>{t('analytics.p95Latency')}</h3>
+              <p className="stat-value">{seconds(analytics.stats.latency.p95)}</p>
+            </div>
+            <div className="stat-card">
+              <h3>{t('analytics.rewardsPaid')}</h3>
+              <p className="stat-value">{formatEth(analytics.totalRewards, 4)}</p>
+            </div>
+          </div>
+
+          <table className="analytics-stats">
+            <thead>
+              <tr>
+                <th>{t('analytics.table.metric')}</th>
+                <th>{t('analytics.table.samples')}</th>
+                <th>{t('analytics.table.mean')}</th>
+                <th>{t('analytics.table.median')}</th>
+                <th>{t('analytics.table.p95')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              <StatRow label={t('analytics.table.savings')} stats={analytics.stats.savings} format={percent} />
+              <StatRow label={t('analytics.table.latency')} stats={analytics.stats.latency} format={seconds} />
+              <StatRow label={t('analytics.zkGas')} stats={analytics.stats.zkGas} format={gas} />
+              <StatRow label={t('analytics.table.rewardPerDay')} stats={analytics.stats.rewardPerDay} format={eth} />
+            </tbody>
+          </table>
+
+          <div className="analytics-grid">
+            <div className="chart-container">
+              <h3>{t('analytics.savingsTitle')}</h3>
+              {analytics.savings.length > 0 ? (
+                <Line data={savingsData} options={savingsOptions} />
+              ) : (
+                <p className="analytics-empty">{t('analytics.noEstimates')}</p>
+              )}
+            </div>
+            <div className="chart-container">
+              <h3>{t('analytics.complexityTitle')}</h3>
+              <Scatter data={complexityData} options={complexityOptions} />
+            </div>
+            <div className="chart-container">
+              <h3>{t('analytics.latencyTitle')}</h3>
+              <Bar data={latencyData} options={latencyOptions} />
+            </div>
+            <div className="chart-container">
+              <h3>{t('analytics.rewardsTitle')}</h3>
+              <Bar data={rewardsData} options={rewardsOptions} />
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default AnalyticsPanel;
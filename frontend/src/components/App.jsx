@@ -5,6 +5,35 @@
  */
 import React, { useState, useEffect } from 'react';
 import { useZKVerifier } from '../hooks/useZKVerifier';
+import { useRequestQuote } from '../hooks/useRequestQuote';
+import { useRouter } from '../hooks/useRouter';
+import { useTaskAlerts } from '../hooks/useTaskAlerts';
+import { useGasPricing } from '../hooks/useGasPricing';
+import { useI18n } from '../hooks/useI18n';
+import TaskLifecycle from './TaskLifecycle';
+import ComparisonTable from './ComparisonTable';
+import OperatorConsole from './OperatorConsole';
+import AdminConsole from './AdminConsole';
+import RequestQuote from './RequestQuote';
+import ComputationInput from './ComputationInput';
+import WalletPicker from './WalletPicker';
+import TransactionTracker from './TransactionTracker';
+import ProofInspector from './ProofInspector';
+import AnalyticsPanel from './AnalyticsPanel';
+import TaskDetailModal from './TaskDetailModal';
+import OperatorProfile from './OperatorProfile';
+import RouteLink from './RouteLink';
+import RequesterTasks from './RequesterTasks';
+import GlobalSearch from './GlobalSearch';
+import TaskToasts from './TaskToasts';
+import SandboxPanel from './SandboxPanel';
+import CostUnitToggle from './CostUnitToggle';
+import LocaleSwitcher from './LocaleSwitcher';
+import { gasSavingsPercent, comparisonCosts, totalSavings } from '../contracts/gasComparison';
+import { formatSavings, formatProvingTime, formatCost, formatGas, formatNumber, costValue } from '../utils/format';
+import { getSupportedDeployments, getDeploymentByKey } from '../config/deployments';
+import { taskPath, operatorPath } from '../utils/routes';
+import { describeTxError } from '../utils/txErrors';
 import { Bar } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -26,60 +55,116 @@ ChartJS.register(
   Legend
 );
 
-// Educational links about ZK proofs and related technologies
+// Educational links about ZK proofs and related technologies; titles and descriptions
+// are under links.<key> in the message catalogs
 const EDUCATIONAL_LINKS = [
-  {
-    title: "Introduction to Zero-Knowledge Proofs",
-    url: "https://ethereum.org/en/zero-knowledge-proofs/",
-    description: "Learn the basics of ZK proofs from Ethereum.org"
-  },
-  {
-    title: "EigenLayer Documentation",
-    url: "https://docs.eigenlayer.xyz/",
-    description: "Understand EigenLayer's restaking mechanism"
-  },
-  {
-    title: "ZK Co-Processors Explained",
-    url: "https://blog.polygon.technology/polygon-2-0-on-chain-zkps/",
-    description: "Polygon's explanation of ZK co-processors"
-  },
-  {
-    title: "RISC Zero Documentation",
-    url: "https://www.risczero.com/docs",
-    description: "Learn about RISC Zero's zkVM for generating ZK proofs"
-  }
+  { key: 'zkProofs', url: "https://ethereum.org/en/zero-knowledge-proofs/" },
+  { key: 'eigenLayer', url: "https://docs.eigenlayer.xyz/" },
+  { key: 'coProcessors', url: "https://blog.polygon.technology/polygon-2-0-on-chain-zkps/" },
+  { key: 'riscZero', url: "https://www.risczero.com/docs" }
 ];
 
+// Steps of the How It Works list, under request.steps in the message catalogs
+const HOW_IT_WORKS_STEPS = ['encode', 'measure', 'prove', 'compare'];
+
+// Shown in the footer
+const APP_VERSION = '1.0.1';
+
 /**
  * App component for the ZK Co-Processor Dashboard
  */
 const App = () => {
+  // Current page, and the network the URL names (?chain=)
+  const { route, chain, navigate, setChain } = useRouter();
+  
+  // Copy in the picked language
+  const { locale, t, rich } = useI18n();
+  
   // Use our custom hook to interact with the blockchain
   const { 
+    client,
     requestComputation, 
     getTotalTasksProcessed,
     getLatestComparisons,
+    comparisons: indexedComparisons,
+    historyEvents,
+    trackedTasks,
+    annotateTask,
+    untrackTask,
+    historyStatus,
+    demoMode,
+    setDemoMode,
     isConnected,
+    isReadOnly,
     isCorrectNetwork,
+    deployment,
+    deploymentStatus,
     account,
     networkName,
     networkId,
+    wallets,
     connectWallet,
+    connectSandbox,
+    resetSandbox,
+    isSandbox,
+    disconnectWallet,
+    switchNetwork,
     toggleNetwork,
     isLoading,
     initialized
-  } = useZKVerifier();
+  } = useZKVerifier({ preferredChain: chain });
+  
+  // Toasts and browser notifications for watched tasks that are proven or go unanswered
+  const taskAlerts = useTaskAlerts(trackedTasks, annotateTask);
+
+  // Gas and ETH/USD prices for showing costs in the unit the user picks
+  const pricing = useGasPricing(client, deployment);
+
+  // Contract owner, so the Admin link is only offered to the account that can use it
+  const [owner, setOwner] = useState(null);
+  useEffect(() => {
+    setOwner(null);
+    if (!client) return undefined;
+
+    let cancelled = false;
+    client.getOwner()
+      .then(address => { if (!cancelled) setOwner(address); })
+      .catch(error => console.error('Error loading contract owner:', error));
+    return () => { cancelled = true; };
+  }, [client]);
+  const isOwner = !!(owner && account && owner.toLowerCase() === account.toLowerCase());
 
   // State variables
   const [comparisonData, setComparisonData] = useState(null);
-  const [totalTasks, setTotalTasks] = useState(0);
-  const [inputData, setInputData] = useState('');
+  const [totalTasks, setTotalTasks] = useState(null);
+  // Encoded request input and a short description of it, from ComputationInput
+  const [input, setInput] = useState({ bytes: null, description: '' });
+  // Changing the key remounts ComputationInput, which clears it after a request is sent
+  const [inputKey, setInputKey] = useState(0);
   const [comparisons, setComparisons] = useState([]);
   const [showNetworkWarning, setShowNetworkWarning] = useState(false);
   const [connectionError, setConnectionError] = useState('');
   const [selectedComparison, setSelectedComparison] = useState(null);
-  const [showDetailModal, setShowDetailModal] = useState(false);
-  const [processingComplete, setProcessingComplete] = useState(false);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  // Task whose proof is open in the proof inspector
+  const [inspectedTaskId, setInspectedTaskId] = useState(null);
+
+  // Deployment the URL names, when it is not the one being shown
+  const linkedDeployment = chain ? getDeploymentByKey(chain) : null;
+  const chainMismatch = !!chain && !!networkId && chain !== networkId;
+  
+  // Name the active network in the URL so copied links open on the same chain
+  useEffect(() => {
+    if (!chain && networkId) setChain(networkId);
+  }, [chain, networkId, setChain]);
+  
+  // A link naming the sandbox opens it when no wallet is connected; it needs no permission
+  useEffect(() => {
+    if (initialized && !isConnected && chain === 'sandbox') connectSandbox();
+  }, [initialized, isConnected, chain, connectSandbox]);
+
+  // Quote the reward and gas for the current input as the user types
+  const { quote, fresh: quoteFresh, quoting, error: quoteError } = useRequestQuote(client, input.bytes);
 
   // Fetch initial data when component mounts
   useEffect(() => {
@@ -89,8 +174,7 @@ const App = () => {
         setTotalTasks(tasks);
         
         const latestComparisons = await getLatestComparisons();
-        // Limit to 5 entries
-        setComparisons(latestComparisons.slice(0, 5));
+        setComparisons(latestComparisons);
         
         // Set the most recent comparison as the current data for the chart
         if (latestComparisons && latestComparisons.length > 0) {
@@ -103,107 +187,132 @@ const App = () => {
     
     fetchInitialData();
     
-    // Show network warning if not on Sepolia and connected
-    if (isConnected && !isCorrectNetwork) {
-      setShowNetworkWarning(true);
-    } else {
-      setShowNetworkWarning(false);
-    }
-  }, [getTotalTasksProcessed, getLatestComparisons, isConnected, isCorrectNetwork]);
+    // Show network warning if the wallet (or the read-only endpoint) is on a chain without a deployment
+    setShowNetworkWarning((isConnected || isReadOnly) && deploymentStatus === 'missing');
+  }, [getTotalTasksProcessed, getLatestComparisons, isConnected, isReadOnly, deploymentStatus]);
+
+  // Number of tracked tasks that already have a proof on-chain
+  const provenTaskCount = trackedTasks.filter(task => task.stage !== 'pending').length;
 
-  // Listen for comparisons updates
+  // Refresh totals and the chart whenever one of our tasks gets its proof
   useEffect(() => {
-    // If processing is done and we have comparisons
-    if (processingComplete && comparisons.length > 0) {
-      // Reset the processing complete flag
-      setProcessingComplete(false);
-      
-      // Update the chart with the latest comparison
-      setComparisonData(comparisons[0]);
+    if (provenTaskCount === 0) return;
+    
+    getTotalTasksProcessed().then(setTotalTasks);
+    
+    // The indexed history adds the proof's comparison (from its receipt and a ReferenceProcessor gas
+    // estimate) a little later; getLatestComparisons changes when it does, so this runs again then
+    const latestComparisons = getLatestComparisons();
+    if (latestComparisons.length > 0) {
+      setComparisonData(latestComparisons[0]);
     }
-  }, [processingComplete, comparisons]);
+  }, [provenTaskCount, getTotalTasksProcessed, getLatestComparisons]);
 
   // Handle computation request
   const handleComputationRequest = async () => {
-    if (!inputData) {
-      alert('Please enter some input data to process');
+    if (!input.bytes) {
+      alert(t('request.emptyInput'));
       return;
     }
     
+    // Only send what the user was quoted for this exact input
+    if (!quoteFresh) return;
+    
     try {
       setConnectionError('');
-      setProcessingComplete(false);
-      
-      // Send computation request to the smart contract
-      await requestComputation(inputData);
       
-      // Update our data
-      const tasks = await getTotalTasksProcessed();
-      setTotalTasks(tasks);
+      // Send computation request to the smart contract; the task is then tracked
+      // until its proof and reward show up on-chain
+      await requestComputation(input.bytes, { expectedReward: quote.reward });
       
-      // Fetch latest comparisons after a short delay to allow blockchain to process
-      setTimeout(async () => {
-        const latestComparisons = await getLatestComparisons();
-        // Limit to 5 entries
-        setComparisons(latestComparisons.slice(0, 5));
-        setProcessingComplete(true);
-      }, 3000);
-      
-      // Clear the input field
-      setInputData('');
+      // Clear the input
+      setInputKey(key => key + 1);
     } catch (error) {
       console.error('Error:', error);
-      setConnectionError(error.message || 'Error processing computation request');
+      setConnectionError(describeTxError(error));
     }
   };
   
-  // Handle network toggle
+  // Switch the wallet and keep the URL on the new network
+  const handleSwitchNetwork = async (key) => {
+    if (await switchNetwork(key)) setChain(key);
+  };
+  
+  // Handle network toggle; the wallet's new chain is picked up without a reload
   const handleNetworkToggle = async () => {
-    await toggleNetwork();
-    // Note: The page will reload due to network change
+    const target = networkId === 'sepolia' ? 'mainnet' : 'sepolia';
+    if (await toggleNetwork()) setChain(target);
   };
 
-  // Handle comparison row click
-  const handleComparisonClick = (comparison, index) => {
-    // Create extended information for the selected comparison
-    const extendedInfo = {
-      ...comparison,
-      index,
-      // Additional calculated fields
-      efficiencyPercentage: Math.round(((comparison.normalGasUsed - comparison.zkGasUsed) / comparison.normalGasUsed) * 100),
-      // In a real app, the following would be fetched from the contract or from events
-      originalMessage: index === 0 ? inputData || "Sample computational task" : `Sample task ${index}`,
-      inputBytes: comparison.zkGasUsed / 50, // For demonstration - simulating input bytes based on gas
-      verificationDependencies: [
-        "RISC0 Verifier",
-        "Hash Function Library", 
-        "EigenLayer Staking Contract"
-      ],
-      processingDetails: {
-        proverTime: Math.round(comparison.timeSaved * 0.6),
-        verifierTime: Math.round(comparison.timeSaved * 0.4),
-        proofSize: Math.round(comparison.zkGasUsed / 100),
-        trustAssumptions: "Restaked ETH via EigenLayer"
-      }
-    };
-    
-    setSelectedComparison(extendedInfo);
-    setShowDetailModal(true);
+  // Connect directly when there is a single wallet, otherwise let the user choose
+  const handleConnectClick = () => {
+    if (wallets.length === 1) {
+      connectWallet(wallets[0]);
+    } else {
+      setShowWalletPicker(true);
+    }
+  };
+
+  // Connect the wallet chosen in the picker
+  const handleWalletSelect = async (wallet) => {
+    setShowWalletPicker(false);
+    await connectWallet(wallet);
+  };
+
+  // Open the offline sandbox instead of a wallet, and name it in the URL
+  const handleSandboxClick = async () => {
+    setShowWalletPicker(false);
+    if (await connectSandbox()) setChain('sandbox');
+  };
+
+  // Leaving the sandbox also takes it out of the URL, so the link does not reopen it
+  const handleDisconnect = async () => {
+    const leavingSandbox = isSandbox;
+    await disconnectWallet();
+    if (leavingSandbox) setChain(null);
+  };
+
+  // Open a task's detail at its own URL; demo rows have no taskId and open in place
+  const handleComparisonClick = (comparison) => {
+    if (comparison.taskId && !comparison.isDemo) {
+      navigate(taskPath(comparison.taskId));
+    } else {
+      setSelectedComparison(comparison);
+    }
   };
 
   // Close the detail modal
   const closeDetailModal = () => {
-    setShowDetailModal(false);
     setSelectedComparison(null);
+    if (route.page === 'task') navigate('/');
   };
+  
+  // The task in the URL, with its indexed comparison when there is one
+  const routeTaskId = route.page === 'task' ? route.params.taskId : null;
+  const detailComparison = routeTaskId
+    ? indexedComparisons.find(comparison => comparison.taskId.toLowerCase() === routeTaskId) || null
+    : selectedComparison;
+
+  // The latest comparison's two routes as gas and wei, for the chart and stat cards
+  const latestCosts = comparisonData ? comparisonCosts(comparisonData, pricing.gasPrice) : null;
+  const chartCosts = comparisonData
+    ? [
+        { gas: comparisonData.zkGasUsed, wei: latestCosts.zkCost },
+        { gas: comparisonData.normalGasUsed, wei: latestCosts.normalCost }
+      ]
+    : [];
+  const savedByAll = totalSavings(indexedComparisons, pricing.gasPrice);
 
   // Chart data configuration for visualization
   const chartData = {
-    labels: ['ZK Co-Processor', 'Normal Processing'],
+    labels: [
+      t('chart.zk'),
+      t(comparisonData && comparisonData.normalGasUsed === null ? 'chart.normalNoEstimate' : 'chart.normal')
+    ],
     datasets: [
       {
-        label: 'Gas Usage Comparison',
-        data: comparisonData ? [comparisonData.zkGasUsed, comparisonData.normalGasUsed] : [0, 0],
+        label: t(pricing.unit === 'gas' ? 'chart.gasDataset' : 'chart.costDataset'),
+        data: comparisonData ? chartCosts.map(cost => costValue(cost, pricing.unit, pricing.ethUsd) || 0) : [0, 0],
         backgroundColor: ['rgba(54, 162, 235, 0.6)', 'rgba(255, 99, 132, 0.6)'],
       },
     ],
@@ -212,19 +321,22 @@ const App = () => {
   // Chart options
   const chartOptions = {
     responsive: true,
+    locale,
     plugins: {
       legend: {
         position: 'top',
       },
       title: {
         display: true,
-        text: 'Gas Usage Comparison: ZK vs Normal Processing',
+        text: t(pricing.unit === 'gas' ? 'chart.gasTitle' : 'chart.costTitle'),
       },
       tooltip: {
         callbacks: {
           label: function(context) {
-            const value = context.raw;
-            return `Gas Used: ${value.toLocaleString()} units`;
+            const cost = chartCosts[context.dataIndex];
+            return pricing.unit === 'gas'
+              ? t('chart.gasTooltip', { gas: formatGas(context.raw) })
+              : t('chart.costTooltip', { cost: formatCost(cost, pricing.unit, pricing.ethUsd), gas: formatCost(cost, 'gas') });
           }
         }
       }
@@ -234,23 +346,26 @@ const App = () => {
         beginAtZero: true,
         title: {
           display: true,
-          text: 'Gas Units'
+          text: t(`chart.axis.${pricing.unit}`)
         }
       }
     }
   };
 
   // Calculate gas savings percentage if comparison data is available
-  const calculateSavings = () => {
-    if (!comparisonData) return '0';
-    const savings = comparisonData.normalGasUsed - comparisonData.zkGasUsed;
-    return Math.round((savings / comparisonData.normalGasUsed) * 100);
-  };
+  const calculateSavings = () => formatSavings(gasSavingsPercent(comparisonData));
 
   return (
     <div className="dashboard">
       <header className="dashboard-header">
-        <h1>ZK Co-Processor Dashboard</h1>
+        <h1>{t('header.title')}</h1>
+        <GlobalSearch
+          client={client}
+          fromBlock={deployment ? deployment.deploymentBlock : 0}
+          events={historyEvents}
+          historyStatus={historyStatus}
+          chain={chain || networkId || null}
+        />
         <div className="wallet-info">
           {isConnected ? (
             <>
@@ -262,277 +377,344 @@ const App = () => {
                   {networkName}
                 </span>
               </div>
-              <button 
-                onClick={handleNetworkToggle} 
-                className="network-toggle-btn"
-                title={`Switch to ${networkId === 'sepolia' ? 'Ethereum Mainnet' : 'Sepolia Testnet'}`}
-              >
-                <span className="toggle-icon">⇄</span>
-                {networkId === 'sepolia' ? 'Switch to Mainnet' : 'Switch to Sepolia'}
+              {!isSandbox && (
+                <button 
+                  onClick={handleNetworkToggle} 
+                  className="network-toggle-btn"
+                  title={t('header.switchToTitle', { network: networkId === 'sepolia' ? 'Ethereum Mainnet' : 'Sepolia Testnet' })}
+                >
+                  <span className="toggle-icon">⇄</span>
+                  {t(networkId === 'sepolia' ? 'header.switchToMainnet' : 'header.switchToSepolia')}
+                </button>
+              )}
+              <button onClick={handleDisconnect} className="disconnect-wallet-btn">
+                {t(isSandbox ? 'header.leaveSandbox' : 'header.disconnect')}
               </button>
             </>
           ) : (
-            <button onClick={connectWallet} className="connect-wallet-btn">
-              Connect Wallet
-            </button>
+            <>
+              {isReadOnly && (
+                <span className="network-indicator read-only-indicator" title={t('header.readOnlyTitle')}>
+                  {t('header.readOnly', { network: networkName })}
+                </span>
+              )}
+              <button onClick={handleConnectClick} className="connect-wallet-btn">
+                {t('header.connectWallet')}
+              </button>
+              <button onClick={handleSandboxClick} className="sandbox-btn" title={t('header.trySandboxTitle')}>
+                {t('header.trySandbox')}
+              </button>
+            </>
           )}
+          <LocaleSwitcher />
         </div>
       </header>
       
       {/* Network warning alert */}
       {showNetworkWarning && (
         <div className="network-warning">
-          <p>You are currently on {networkName}. This application runs on Sepolia testnet.</p>
-          <button onClick={handleNetworkToggle}>Switch to Sepolia</button>
+          <p>
+            {deployment && deployment.contractAddress
+              ? t('network.missingAt', { network: networkName, address: deployment.contractAddress })
+              : t('network.missing', { network: networkName })}
+            {' '}{t(isConnected ? 'network.switchHint' : 'network.rpcHint')}
+          </p>
+          {isConnected && (
+            <div className="network-options">
+              {getSupportedDeployments().map(supported => (
+                <button key={supported.chainId} onClick={() => handleSwitchNetwork(supported.key)}>
+                  {t('network.switchTo', { network: supported.name })}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       )}
       
       {/* Connection error message */}
       {connectionError && (
         <div className="error-message">
-          <p>{connectionError}</p>
+          <p>{t(connectionError)}</p>
         </div>
       )}
       
-      <section className="educational-intro">
-        <h2>What is a ZK Co-Processor?</h2>
-        <div className="info-container">
-          <div className="info-text">
-            <p>
-              A <strong>Zero-Knowledge Co-Processor</strong> offloads computational tasks from Ethereum's L1 to specialized processors,
-              dramatically reducing gas costs while maintaining security through cryptographic proofs.
-            </p>
-            <p>
-              Using <strong>EigenLayer's restaking mechanism</strong>, these Co-Processors leverage existing staked ETH as security
-              for off-chain computations, creating an efficient execution environment without sacrificing trustlessness.
-            </p>
-            <p>
-              Common use cases include complex verifications like digital signatures, AI model inference, and 
-              computational-heavy operations that would otherwise be prohibitively expensive on-chain.
-            </p>
-          </div>
-          <div className="info-diagram">
-            <img src="https://miro.medium.com/v2/resize:fit:1400/format:webp/1*bXWR05L1Tq8BrhEQwhyoXg.png" alt="ZK Proof Diagram" />
-            <p className="image-caption">Zero-Knowledge cryptography enables verifiable computation off-chain</p>
-          </div>
-        </div>
-        
-        <h3>How ZK Proofs Make This Possible</h3>
-        <p>
-          Zero-Knowledge proofs allow one party (the prover) to prove to another party (the verifier) that a statement is true,
-          without revealing any additional information beyond the validity of the statement itself. In blockchain applications, 
-          this means computation can happen off-chain, with only a compact proof being submitted and verified on-chain.
-        </p>
-        
-        <div className="educational-links">
-          <h3>Learn More About ZK Technology</h3>
-          <div className="links-container">
-            {EDUCATIONAL_LINKS.map((link, index) => (
-              <a key={index} href={link.url} target="_blank" rel="noopener noreferrer" className="edu-link">
-                <h4>{link.title}</h4>
-                <p>{link.description}</p>
-              </a>
-            ))}
+      {/* The link names a different network than the one shown */}
+      {chainMismatch && (
+        <div className="network-warning">
+          <p>
+            {t('network.linkFor', {
+              linked: linkedDeployment ? linkedDeployment.name : t('network.unknownNetwork', { chain }),
+              network: networkName
+            })}
+            {isConnected ? '' : ` ${t('network.noReadOnly')}`}
+          </p>
+          <div className="network-options">
+            {isConnected && linkedDeployment && !linkedDeployment.sandbox && (
+              <button onClick={() => handleSwitchNetwork(linkedDeployment.key)}>
+                {t('network.switchTo', { network: linkedDeployment.name })}
+              </button>
+            )}
+            {linkedDeployment && linkedDeployment.sandbox && (
+              <button onClick={handleSandboxClick}>{t('network.openSandbox')}</button>
+            )}
+            <button onClick={() => setChain(networkId)}>{t('network.stayOn', { network: networkName })}</button>
           </div>
         </div>
-      </section>
+      )}
+      
+      {isSandbox && <SandboxPanel onReset={resetSandbox} />}
       
-      <section className="dashboard-content">
-        <div className="stats-section">
-          <div className="stats-container">
-            <div className="stat-card">
-              <h3>Total Tasks Processed</h3>
-              <p className="stat-value">{totalTasks}</p>
+      <nav className="view-tabs">
+        <RouteLink to="/" className={route.page === 'dashboard' || route.page === 'task' ? 'active' : ''}>
+          {t('nav.dashboard')}
+        </RouteLink>
+        <RouteLink to="/analytics" className={route.page === 'analytics' ? 'active' : ''}>
+          {t('nav.analytics')}
+        </RouteLink>
+        {isConnected && (
+          <RouteLink to={operatorPath(account)} className={route.page === 'operator' ? 'active' : ''}>
+            {t('nav.operator')}
+          </RouteLink>
+        )}
+        {isOwner && (
+          <RouteLink to="/admin" className={route.page === 'admin' ? 'active' : ''}>
+            {t('nav.admin')}
+          </RouteLink>
+        )}
+      </nav>
+      
+      {route.page === 'analytics' && (
+        <AnalyticsPanel comparisons={indexedComparisons} events={historyEvents} historyStatus={historyStatus} />
+      )}
+      
+      {route.page === 'operator' && (
+        <OperatorProfile
+          key={route.params.address}
+          client={client}
+          address={route.params.address}
+          comparisons={indexedComparisons}
+          events={historyEvents}
+          explorerUrl={deployment ? deployment.explorerUrl : null}
+        />
+      )}
+      
+      {route.page === 'requester' && (
+        <RequesterTasks
+          client={client}
+          address={route.params.address}
+          events={historyEvents}
+          comparisons={indexedComparisons}
+          historyStatus={historyStatus}
+          explorerUrl={deployment ? deployment.explorerUrl : null}
+        />
+      )}
+      
+      {route.page === 'admin' && (
+        <AdminConsole client={client} account={account} showAccessNotice />
+      )}
+      
+      {route.page === 'notFound' && (
+        <section className="not-found">
+          <h2>{t('notFound.title')}</h2>
+          <p>{t('notFound.body')} <RouteLink to="/">{t('notFound.back')}</RouteLink></p>
+        </section>
+      )}
+      
+      {(route.page === 'dashboard' || route.page === 'task') && (
+        <>
+        <section className="educational-intro">
+          <h2>{t('intro.title')}</h2>
+          <div className="info-container">
+            <div className="info-text">
+              <p>{rich('intro.offloading')}</p>
+              <p>{rich('intro.restaking')}</p>
+              <p>{rich('intro.useCases')}</p>
+            </div>
+            <div className="info-diagram">
+              <img src="https://miro.medium.com/v2/resize:fit:1400/format:webp/1*bXWR05L1Tq8BrhEQwhyoXg.png" alt={t('intro.imageAlt')} />
+              <p className="image-caption">{t('intro.imageCaption')}</p>
             </div>
-            
-            {comparisonData && (
-              <div className="stat-card">
-                <h3>Time Saved</h3>
-                <p className="stat-value">{comparisonData.timeSaved} ms</p>
-              </div>
-            )}
-            
-            {comparisonData && (
-              <div className="stat-card">
-                <h3>Gas Savings</h3>
-                <p className="stat-value">
-                  {calculateSavings()}%
-                </p>
-              </div>
-            )}
-          </div>
-          
-          <div className="chart-container">
-            {comparisonData && <Bar data={chartData} options={chartOptions} />}
           </div>
-        </div>
         
-        <div className="interactive-section">
-          <div className="computation-form">
-            <h2>Try it yourself: Request a ZK Computation</h2>
-            <p className="computation-explainer">
-              Enter any text data below to simulate sending a computation task to the ZK Co-Processor.
-              The system will process your input and generate a comparison between ZK and normal processing methods.
-              <strong>This is running on Sepolia testnet and does not use real ETH.</strong>
-            </p>
-            
-            <div className="form-content">
-              <textarea
-                value={inputData}
-                onChange={(e) => setInputData(e.target.value)}
-                placeholder="Enter data for ZK computation (e.g., 'Verify this signature' or 'Calculate merkle proof')..."
-                rows={4}
-              />
-              <div className="input-explanation">
-                <h4>How It Works:</h4>
-                <p>
-                  1. Your text is converted to bytes and sent to the smart contract<br />
-                  2. The contract measures computation complexity based on input size<br />
-                  3. A simulated ZK proof is generated and verified<br />
-                  4. Results comparing gas usage and time are displayed above
-                </p>
-              </div>
-              <button 
-                onClick={handleComputationRequest}
-                disabled={isLoading || (!isConnected && initialized)}
-                className="request-button"
-              >
-                {isLoading ? (
-                  <span className="loading-text">
-                    <span className="loading-spinner"></span>
-                    <span>Processing...</span>
-                  </span>
-                ) : (
-                  'Request ZK Computation'
-                )}
-              </button>
-              
-              {!isConnected && initialized && (
-                <p className="connect-wallet-prompt">
-                  Please connect your wallet to request computations.
-                </p>
-              )}
+          <h3>{t('intro.proofsTitle')}</h3>
+          <p>{t('intro.proofs')}</p>
+        
+          <div className="educational-links">
+            <h3>{t('intro.learnMore')}</h3>
+            <div className="links-container">
+              {EDUCATIONAL_LINKS.map(link => (
+                <a key={link.key} href={link.url} target="_blank" rel="noopener noreferrer" className="edu-link">
+                  <h4>{t(`links.${link.key}.title`)}</h4>
+                  <p>{t(`links.${link.key}.description`)}</p>
+                </a>
+              ))}
             </div>
           </div>
-          
-          <div className="recent-comparisons">
-            <h2>Recent Proof Comparisons</h2>
-            <p className="click-instruction">Click on any row to view detailed information</p>
-            <table>
-              <thead>
-                <tr>
-                  <th>ZK Gas Used</th>
-                  <th>Normal Gas Used</th>
-                  <th>Time Saved (ms)</th>
-                  <th>Efficiency Gain</th>
-                </tr>
-              </thead>
-              <tbody>
-                {isLoading && (
-                  <tr className="loading-comparison">
-                    <td colSpan="4">
-                      <div className="table-loading">
-                        <span className="loading-spinner"></span>
-                        <span>Processing your computation...</span>
-                      </div>
-                    </td>
-                  </tr>
-                )}
-                {comparisons.map((comparison, index) => (
-                  <tr 
-                    key={index} 
-                    className={comparison.isNew ? 'highlight-row' : ''}
-                    onClick={() => handleComparisonClick(comparison, index)}
-                  >
-                    <td>{comparison.zkGasUsed.toLocaleString()}</td>
-                    <td>{comparison.normalGasUsed.toLocaleString()}</td>
-                    <td>{comparison.timeSaved} ms</td>
-                    <td>
-                      {Math.round(((comparison.normalGasUsed - comparison.zkGasUsed) / comparison.normalGasUsed) * 100)}%
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
-      </section>
+        </section>
       
-      {/* Detail Modal */}
-      {showDetailModal && selectedComparison && (
-        <div className="modal-overlay" onClick={closeDetailModal}>
-          <div className="detail-modal" onClick={(e) => e.stopPropagation()}>
-            <button className="close-modal" onClick={closeDetailModal}>×</button>
-            <h2>Computation Details</h2>
+        <section className="dashboard-content">
+          <div className="stats-section">
+            <CostUnitToggle pricing={pricing} />
+            <div className="stats-container">
+              <div className="stat-card">
+                <h3>{t('stats.totalTasks')}</h3>
+                <p className="stat-value">{totalTasks === null ? '—' : formatNumber(totalTasks)}</p>
+              </div>
             
-            <div className="detail-section">
-              <h3>Performance Metrics</h3>
-              <div className="detail-metrics">
-                <div className="detail-metric">
-                  <span className="metric-label">ZK Gas Used:</span>
-                  <span className="metric-value">{selectedComparison.zkGasUsed.toLocaleString()} units</span>
-                </div>
-                <div className="detail-metric">
-                  <span className="metric-label">Normal Gas Used:</span>
-                  <span className="metric-value">{selectedComparison.normalGasUsed.toLocaleString()} units</span>
+              {comparisonData && (
+                <div className="stat-card">
+                  <h3>{t('stats.provingTime')}</h3>
+                  <p className="stat-value">{formatProvingTime(comparisonData.provingTime)}</p>
                 </div>
-                <div className="detail-metric">
-                  <span className="metric-label">Time Saved:</span>
-                  <span className="metric-value">{selectedComparison.timeSaved} ms</span>
+              )}
+            
+              {comparisonData && (
+                <div className="stat-card">
+                  <h3>{t('stats.gasSavings')}</h3>
+                  <p className="stat-value">
+                    {calculateSavings()}
+                  </p>
+                  {pricing.unit !== 'gas' && latestCosts.saved !== null && (
+                    <p className="stat-detail">
+                      {t('stats.saved', { amount: formatCost({ wei: latestCosts.saved }, pricing.unit, pricing.ethUsd) })}
+                    </p>
+                  )}
                 </div>
-                <div className="detail-metric">
-                  <span className="metric-label">Efficiency Gain:</span>
-                  <span className="metric-value">{selectedComparison.efficiencyPercentage}%</span>
+              )}
+
+              {savedByAll.count > 0 && (
+                <div className="stat-card">
+                  <h3>{t('stats.totalSaved')}</h3>
+                  <p className="stat-value">{formatCost(savedByAll, pricing.unit, pricing.ethUsd)}</p>
+                  <p className="stat-detail">{t('stats.acrossTasks', { count: savedByAll.count })}</p>
                 </div>
-              </div>
+              )}
             </div>
-            
-            <div className="detail-section">
-              <h3>Computation Input</h3>
-              <div className="detail-input">
-                <p><strong>Original Message:</strong> {selectedComparison.originalMessage}</p>
-                <p><strong>Input Size:</strong> {selectedComparison.inputBytes} bytes</p>
-              </div>
+          
+            <div className="chart-container">
+              {comparisonData && comparisonData.isDemo && (
+                <span className="demo-badge" title={t('stats.demoDataTitle')}>{t('stats.demoData')}</span>
+              )}
+              {comparisonData && <Bar data={chartData} options={chartOptions} />}
             </div>
+          </div>
+        
+          <div className="interactive-section">
+            <div className="computation-form">
+              <h2>{t('request.title')}</h2>
+              <p className="computation-explainer">
+                {t('request.explainer')}
+                {' '}<strong>{t('request.testnetNote')}</strong>
+              </p>
             
-            <div className="detail-section">
-              <h3>Processing Details</h3>
-              <div className="detail-processing">
-                <div className="detail-metric">
-                  <span className="metric-label">Prover Time:</span>
-                  <span className="metric-value">{selectedComparison.processingDetails.proverTime} ms</span>
-                </div>
-                <div className="detail-metric">
-                  <span className="metric-label">Verifier Time:</span>
-                  <span className="metric-value">{selectedComparison.processingDetails.verifierTime} ms</span>
-                </div>
-                <div className="detail-metric">
-                  <span className="metric-label">Proof Size:</span>
-                  <span className="metric-value">{selectedComparison.processingDetails.proofSize} bytes</span>
-                </div>
-                <div className="detail-metric">
-                  <span className="metric-label">Trust Assumptions:</span>
-                  <span className="metric-value">{selectedComparison.processingDetails.trustAssumptions}</span>
+              <div className="form-content">
+                <ComputationInput key={inputKey} onChange={setInput} />
+                <RequestQuote quote={quote} quoting={quoting} error={quoteError} />
+                <div className="input-explanation">
+                  <h4>{t('request.howTitle')}</h4>
+                  <ol className="how-it-works-steps">
+                    {HOW_IT_WORKS_STEPS.map(step => (
+                      <li key={step}>{t(`request.steps.${step}`)}</li>
+                    ))}
+                  </ol>
                 </div>
+                <button 
+                  onClick={isConnected ? handleComputationRequest : handleConnectClick}
+                  disabled={isLoading || (isConnected && (deploymentStatus === 'missing' || !!quoteError || (!!input.bytes && !quoteFresh)))}
+                  className="request-button"
+                >
+                  {!isConnected ? (
+                    t('request.connectToRequest')
+                  ) : isLoading ? (
+                    <span className="loading-text">
+                      <span className="loading-spinner"></span>
+                      <span>{t('request.processing')}</span>
+                    </span>
+                  ) : (
+                    t('request.submit')
+                  )}
+                </button>
+              
+                {!isConnected && initialized && (
+                  <p className="connect-wallet-prompt">
+                    {t('request.connectPrompt')}
+                  </p>
+                )}
               </div>
             </div>
-            
-            <div className="detail-section">
-              <h3>Dependencies</h3>
-              <ul className="dependencies-list">
-                {selectedComparison.verificationDependencies.map((dep, index) => (
-                  <li key={index}>{dep}</li>
-                ))}
-              </ul>
-            </div>
+          
+            <TaskLifecycle
+              tasks={trackedTasks}
+              comparisons={indexedComparisons}
+              events={historyEvents}
+              account={account}
+              client={client}
+              onDismiss={untrackTask}
+              onInspect={setInspectedTaskId}
+              alerts={taskAlerts}
+            />
+          
+            <ComparisonTable
+              comparisons={comparisons}
+              isLoading={isLoading}
+              historyStatus={historyStatus}
+              demoMode={demoMode}
+              onDemoModeChange={setDemoMode}
+              onRowClick={handleComparisonClick}
+            />
+          
+            <OperatorConsole client={client} account={account} />
           </div>
-        </div>
+        </section>
+        </>
+      )}
+      
+      {/* Status of every transaction sent in this session */}
+      <TransactionTracker />
+      <TaskToasts toasts={taskAlerts.toasts} onDismiss={taskAlerts.dismissToast} />
+      
+      {/* Wallet picker */}
+      {showWalletPicker && (
+        <WalletPicker
+          wallets={wallets}
+          onSelect={handleWalletSelect}
+          onSandbox={handleSandboxClick}
+          onClose={() => setShowWalletPicker(false)}
+        />
+      )}
+      
+      {/* Proof inspector */}
+      {inspectedTaskId && (
+        <ProofInspector
+          client={client}
+          taskId={inspectedTaskId}
+          fromBlock={deployment ? deployment.deploymentBlock : 0}
+          explorerUrl={deployment ? deployment.explorerUrl : null}
+          onClose={() => setInspectedTaskId(null)}
+        />
+      )}
+      
+      {/* Detail Modal */}
+      {(routeTaskId || selectedComparison) && (
+        <TaskDetailModal
+          client={client}
+          taskId={routeTaskId}
+          comparison={detailComparison}
+          pricing={pricing}
+          fromBlock={deployment ? deployment.deploymentBlock : 0}
+          explorerUrl={deployment ? deployment.explorerUrl : null}
+          onInspect={(taskId) => {
+            closeDetailModal();
+            setInspectedTaskId(taskId);
+          }}
+          onClose={closeDetailModal}
+        />
       )}
       
       <footer className="dashboard-footer">
-        <p>Built on Ethereum's Sepolia testnet using EigenLayer's restaking technology</p>
-        <p>This is an educational demonstration to showcase the potential of ZK Co-Processors</p>
-        <p className="version-info">Version 1.0.1 | <a href="https://github.com/yudduy/zkco" target="_blank" rel="noopener noreferrer">GitHub</a></p>
+        <p>{t('footer.builtOn')}</p>
+        <p>{t('footer.educational')}</p>
+        <p className="version-info">{t('footer.version', { version: APP_VERSION })} | <a href="https://github.com/yudduy/zkco" target="_blank" rel="noopener noreferrer">GitHub</a></p>
       </footer>
     </div>
   );
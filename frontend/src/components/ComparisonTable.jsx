@@ -0,0 +1,197 @@
+/**
+ * Comparison history table
+ * Pages and sorts every comparison indexed from the contract's history, and shows how far
+ * the backfill has progressed
+ */
+import React, { useState, useEffect } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { gasSavingsPercent } from '../contracts/gasComparison';
+import { formatGas, formatSavings, formatProvingTime, formatDateTime, formatPercent } from '../utils/format';
+import { comparisonRecord, downloadRecords } from '../utils/historyExport';
+import ExportButtons from './ExportButtons';
+
+// Rows per page
+const PAGE_SIZE = 10;
+
+// Sortable columns, the message keys of their headings and how to read their value from a comparison
+const COLUMNS = [
+  { key: 'time', label: 'history.columns.time', value: comparison => comparison.timestamp },
+  { key: 'zkGas', label: 'history.columns.zkGas', value: comparison => comparison.zkGasUsed },
+  { key: 'normalGas', label: 'history.columns.normalGas', value: comparison => comparison.normalGasUsed },
+  { key: 'provingTime', label: 'history.columns.provingTime', value: comparison => comparison.provingTime },
+  { key: 'savings', label: 'history.columns.savings', value: comparison => gasSavingsPercent(comparison) }
+];
+
+/**
+ * Sort comparisons by a column, keeping rows without a value at the end
+ * @param {Array<Object>} comparisons - Comparisons to sort
+ * @param {Object} column - Column from COLUMNS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortComparisons = (comparisons, column, direction) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...comparisons].sort((a, b) => {
+    const left = column.value(a);
+    const right = column.value(b);
+    const leftMissing = left === null || left === undefined;
+    const rightMissing = right === null || right === undefined;
+    if (leftMissing || rightMissing) return leftMissing - rightMissing;
+    return (left - right) * sign;
+  });
+};
+
+/**
+ * Describe the state of the history backfill
+ * @param {Object} status - historyStatus from useZKVerifier
+ * @param {Function} t - Translate function from useI18n
+ * @returns {string|null} Status line, or null when there is nothing to report
+ */
+const describeSync = (status, t) => {
+  if (!status) return null;
+  if (status.error) return t('history.syncFailed', { reason: status.error });
+  if (status.syncing && status.latestBlock !== null) {
+    const total = Math.max(status.latestBlock - status.startBlock + 1, 1);
+    const done = status.syncedBlock === null ? 0 : status.syncedBlock - status.startBlock + 1;
+    return t('history.indexing', {
+      block: String(status.syncedBlock ?? status.startBlock),
+      latest: String(status.latestBlock),
+      percent: formatPercent(Math.min(100, Math.max(0, (done / total) * 100)))
+    });
+  }
+  if (status.syncedBlock !== null) return t('history.indexed', { block: String(status.syncedBlock) });
+  return null;
+};
+
+/**
+ * ComparisonTable component
+ * @param {Object} props - Component props
+ * @param {Array} props.comparisons - Comparisons, newest first
+ * @param {boolean} props.isLoading - Whether a computation request is in flight
+ * @param {Object} props.historyStatus - Backfill status from useEventHistory
+ * @param {boolean} props.demoMode - Whether demo rows fill an empty history
+ * @param {Function} props.onDemoModeChange - Called with the new demo mode setting
+ * @param {Function} props.onRowClick - Called with a comparison and its position in the history
+ */
+const ComparisonTable = ({ comparisons, isLoading, historyStatus, demoMode, onDemoModeChange, onRowClick }) => {
+  const { t } = useI18n();
+  const [sortKey, setSortKey] = useState('time');
+  const [sortDirection, setSortDirection] = useState('desc');
+  const [page, setPage] = useState(0);
+
+  const sortColumn = COLUMNS.find(column => column.key === sortKey);
+  const sorted = sortComparisons(comparisons, sortColumn, sortDirection);
+  const pageCount = Math.max(Math.ceil(sorted.length / PAGE_SIZE), 1);
+  const pageRows = sorted.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const syncStatus = describeSync(historyStatus, t);
+  // Exports cover every page in the current sort order; demo rows are not real data
+  const exportable = sorted.filter(comparison => !comparison.isDemo);
+
+  // Stay on a page that exists when the history shrinks (e.g. demo rows switched off)
+  useEffect(() => {
+    if (page > pageCount - 1) setPage(pageCount - 1);
+  }, [page, pageCount]);
+
+  // Clicking the active column flips the direction; a new column starts with the largest first
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortDirection(direction => (direction === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortKey(key);
+      setSortDirection('desc');
+    }
+    setPage(0);
+  };
+
+  return (
+    <div className="recent-comparisons">
+      <div className="comparisons-header">
+        <h2>
+          {t('history.title')}
+          {comparisons.some(comparison => comparison.isDemo) && (
+            <span className="demo-badge" title={t('history.demoDataTitle')}>{t('stats.demoData')}</span>
+          )}
+        </h2>
+        <div className="comparisons-actions">
+          <label className="demo-toggle">
+            <input
+              type="checkbox"
+              checked={demoMode}
+              onChange={(e) => onDemoModeChange(e.target.checked)}
+            />
+            {t('history.showDemo')}
+          </label>
+          <ExportButtons
+            count={exportable.length}
+            onExport={(format) => downloadRecords(exportable.map(comparisonRecord), format, 'zkco-comparisons')}
+          />
+        </div>
+      </div>
+      {syncStatus && (
+        <p className={`sync-status ${historyStatus.error ? 'sync-error' : ''}`}>{syncStatus}</p>
+      )}
+      <p className="click-instruction">{t('history.clickRow')}</p>
+      <table>
+        <thead>
+          <tr>
+            {COLUMNS.map(column => (
+              <th
+                key={column.key}
+                className={`sortable ${column.key === sortKey ? `sorted-${sortDirection}` : ''}`}
+                onClick={() => handleSort(column.key)}
+              >
+                {t(column.label)}
+                <span className="sort-indicator">
+                  {column.key === sortKey ? (sortDirection === 'asc' ? '▲' : '▼') : ''}
+                </span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {isLoading && (
+            <tr className="loading-comparison">
+              <td colSpan={COLUMNS.length}>
+                <div className="table-loading">
+                  <span className="loading-spinner"></span>
+                  <span>{t('history.processing')}</span>
+                </div>
+              </td>
+            </tr>
+          )}
+          {pageRows.length === 0 && !isLoading && (
+            <tr className="empty-comparisons">
+              <td colSpan={COLUMNS.length}>
+                {historyStatus && historyStatus.syncing ? t('history.indexingShort') : t('history.empty')}
+              </td>
+            </tr>
+          )}
+          {pageRows.map(comparison => (
+            <tr
+              key={comparison.taskId || comparison.timestamp}
+              className={`${comparison.isNew ? 'highlight-row' : ''} ${comparison.isDemo ? 'demo-row' : ''}`}
+              onClick={() => onRowClick(comparison, comparisons.indexOf(comparison))}
+            >
+              <td>{formatDateTime(comparison.timestamp || null)}</td>
+              <td>{formatGas(comparison.zkGasUsed)}</td>
+              <td>{formatGas(comparison.normalGasUsed)}</td>
+              <td>{formatProvingTime(comparison.provingTime)}</td>
+              <td>{formatSavings(gasSavingsPercent(comparison))}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {sorted.length > PAGE_SIZE && (
+        <div className="pagination">
+          <button onClick={() => setPage(page - 1)} disabled={page === 0}>{t('history.prev')}</button>
+          <span className="page-info">
+            {t('history.page', { page: page + 1, pages: pageCount })} · {t('history.proofCount', { count: sorted.length })}
+          </span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pageCount - 1}>{t('history.next')}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonTable;
@@ -0,0 +1,227 @@
+/**
+ * Computation input
+ * Builds the bytes sent with a computation request from text, raw hex, an uploaded file,
+ * ABI-encoded values or a task template, and previews the result: a hex dump, its length
+ * (the on-chain complexity), the calculateReward tier it falls into and, for template
+ * tasks, the result the operator is expected to submit
+ */
+import React, { useState, useMemo, useEffect } from 'react';
+import TaskTemplateForm from './TaskTemplateForm';
+import { useTemplateReference } from '../hooks/useTemplateReference';
+import { useI18n } from '../hooks/useI18n';
+import { messageKey } from '../i18n';
+import { describeReference } from '../utils/templateMessages';
+import {
+  INPUT_MODES,
+  MAX_FILE_BYTES,
+  encodeText,
+  parseHexInput,
+  parseAbiSignature,
+  encodeAbiInput,
+  rewardTier,
+  previewBytes
+} from '../utils/inputEncoding';
+import { formatBytes } from '../utils/format';
+
+/**
+ * ComputationInput component
+ * @param {Object} props - Component props
+ * @param {Function} props.onChange - Called with { bytes, description } whenever the encoded input changes; bytes is null while the input is empty or invalid
+ */
+const ComputationInput = ({ onChange }) => {
+  const { t } = useI18n();
+  const [mode, setMode] = useState('text');
+  const [text, setText] = useState('');
+  const [hex, setHex] = useState('');
+  const [file, setFile] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [abiSignature, setAbiSignature] = useState('(bytes32,uint256[],address)');
+  const [abiValues, setAbiValues] = useState([]);
+  const [templateInput, setTemplateInput] = useState({ bytes: null, error: '', description: '' });
+
+  const abiTypes = useMemo(() => parseAbiSignature(abiSignature), [abiSignature]);
+
+  // Encode the active mode's input
+  const encoded = useMemo(() => {
+    switch (mode) {
+      case 'hex': {
+        const { bytes, error } = parseHexInput(hex);
+        return { bytes, error, description: bytes ? `0x${hex.replace(/\s+/g, '').replace(/^0x/i, '')}` : '' };
+      }
+      case 'file':
+        return file
+          ? { bytes: file.bytes, error: '', description: file.name }
+          : { bytes: null, error: fileError, description: '' };
+      case 'abi': {
+        if (!abiTypes.types) return { bytes: null, error: abiTypes.error, description: '' };
+        // Nothing to complain about until the first value is typed
+        if (abiValues.every(value => !value)) return { bytes: null, error: '', description: '' };
+        const { bytes, error } = encodeAbiInput(abiTypes.types, abiValues);
+        return { bytes, error, description: `abi.encode${abiSignature.trim()}` };
+      }
+      case 'template':
+        return templateInput;
+      default:
+        return { bytes: encodeText(text), error: '', description: text };
+    }
+  }, [mode, text, hex, file, fileError, abiTypes, abiValues, abiSignature, templateInput]);
+
+  // Expected result when the bytes are a template input, whichever mode produced them
+  const { reference, computing: computingReference } = useTemplateReference(encoded.bytes);
+
+  // Report the encoded bytes to the form
+  useEffect(() => {
+    onChange({ bytes: encoded.bytes, description: encoded.description });
+  }, [encoded, onChange]);
+
+  /**
+   * Read an uploaded file, refusing anything over MAX_FILE_BYTES
+   * @param {Event} e - Change event from the file input
+   */
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    setFile(null);
+    setFileError('');
+    if (!selected) return;
+    if (selected.size > MAX_FILE_BYTES) {
+      setFileError(messageKey('input.errors.fileTooLarge', {
+        name: selected.name,
+        size: formatBytes(selected.size),
+        limit: formatBytes(MAX_FILE_BYTES)
+      }));
+      return;
+    }
+    if (selected.size === 0) {
+      setFileError(messageKey('input.errors.fileEmpty', { name: selected.name }));
+      return;
+    }
+    setFile({ name: selected.name, bytes: new Uint8Array(await selected.arrayBuffer()) });
+  };
+
+  /**
+   * Update one field of the ABI editor
+   * @param {number} index - Field index
+   * @param {string} value - Value as typed
+   */
+  const setAbiValue = (index, value) => {
+    setAbiValues(prev => {
+      const next = [...prev];
+      next[index] = value;
+      return next;
+    });
+  };
+
+  const tier = encoded.bytes ? rewardTier(encoded.bytes.length) : null;
+  const preview = encoded.bytes ? previewBytes(encoded.bytes) : null;
+
+  return (
+    <div className="computation-input">
+      <div className="input-modes" role="tablist">
+        {INPUT_MODES.map(option => (
+          <button
+            key={option.id}
+            role="tab"
+            aria-selected={mode === option.id}
+            className={`input-mode ${mode === option.id ? 'active' : ''}`}
+            onClick={() => setMode(option.id)}
+          >
+            {t(option.label)}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'text' && (
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={t('input.textPlaceholder')}
+          rows={4}
+        />
+      )}
+
+      {mode === 'hex' && (
+        <textarea
+          className="hex-input"
+          value={hex}
+          onChange={(e) => setHex(e.target.value)}
+          placeholder={t('input.hexPlaceholder')}
+          rows={4}
+          spellCheck={false}
+        />
+      )}
+
+      {mode === 'file' && (
+        <div className="file-input">
+          <input type="file" onChange={handleFile} aria-label={t('input.fileLabel')} />
+          <p className="operator-hint">{t('input.fileHint', { size: formatBytes(MAX_FILE_BYTES) })}</p>
+        </div>
+      )}
+
+      {mode === 'abi' && (
+        <div className="abi-editor">
+          <label>
+            {t('input.types')}
+            <input
+              type="text"
+              value={abiSignature}
+              onChange={(e) => setAbiSignature(e.target.value)}
+              placeholder="(bytes32,uint256[],address)"
+              spellCheck={false}
+            />
+          </label>
+          {abiTypes.types && abiTypes.types.map((type, index) => (
+            <label key={`${index}-${type.format()}`}>
+              <span className="abi-type">{type.format()}</span>
+              <input
+                type="text"
+                value={abiValues[index] || ''}
+                onChange={(e) => setAbiValue(index, e.target.value)}
+                placeholder={type.baseType === 'array' || type.baseType === 'tuple' ? t('input.jsonPlaceholder') : type.format()}
+                spellCheck={false}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {mode === 'template' && <TaskTemplateForm onChange={setTemplateInput} />}
+
+      {encoded.error && <p className="field-error">{t(encoded.error)}</p>}
+
+      {encoded.bytes && (
+        <div className="input-preview">
+          <div className="quote-line">
+            <span>{t('input.complexity')}</span>
+            <span>{formatBytes(encoded.bytes.length)}</span>
+          </div>
+          <div className="quote-line">
+            <span>{t('input.rewardTier')}</span>
+            <span title={t('input.tierTitle', tier)}>{t('input.tier', tier)}</span>
+          </div>
+          {computingReference && (
+            <div className="quote-line template-reference">
+              <span>{t('input.expected')}</span>
+              <span className="quote-pending">{t('input.computing')}</span>
+            </div>
+          )}
+          {reference && (
+            <div className="quote-line template-reference">
+              <span>{t('input.expected')}</span>
+              {reference.error ? (
+                <span className="field-error">{t(describeReference(reference))}</span>
+              ) : (
+                <span title={`resultHash ${reference.resultHash}`}>{t(describeReference(reference))}</span>
+              )}
+            </div>
+          )}
+          <pre className="byte-preview">
+            {preview.rows.map(row => `${row.offset}  ${row.hex.padEnd(47)}  ${row.ascii}`).join('\n')}
+            {preview.remaining > 0 && `\n${t('modal.moreBytes', { count: preview.remaining })}`}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComputationInput;
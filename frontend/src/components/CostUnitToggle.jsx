@@ -0,0 +1,56 @@
+/**
+ * Cost unit toggle
+ * Picks whether costs are shown in gas, ETH or USD, and says which prices the conversion uses
+ */
+import React from 'react';
+import { COST_UNITS } from '../hooks/useGasPricing';
+import { useI18n } from '../hooks/useI18n';
+import { formatGwei, formatUsd, formatDateTime } from '../utils/format';
+
+/**
+ * CostUnitToggle component
+ * @param {Object} props - Component props
+ * @param {Object} props.pricing - Result of useGasPricing
+ */
+const CostUnitToggle = ({ pricing }) => {
+  const { t } = useI18n();
+  const { unit, setUnit, gasPrice, ethUsd, feed, usdAvailable, error } = pricing;
+
+  // Why USD cannot be picked, when it cannot
+  const usdUnavailable = !usdAvailable
+    ? t('pricing.noFeed')
+    : (!feed ? t('pricing.feedPending') : null);
+
+  return (
+    <div className="cost-unit-toggle">
+      <div className="cost-unit-options">
+        {COST_UNITS.map(option => (
+          <button
+            key={option.key}
+            className={`range-preset ${unit === option.key ? 'active' : ''}`}
+            onClick={() => setUnit(option.key)}
+            disabled={option.key === 'usd' && Boolean(usdUnavailable)}
+            title={option.key === 'usd' ? usdUnavailable || undefined : undefined}
+          >
+            {t(option.label)}
+          </button>
+        ))}
+      </div>
+      {unit !== 'gas' && (
+        <p className="cost-unit-note">
+          {t('pricing.pricedAt', { price: formatGwei(gasPrice) })}
+          {unit === 'usd' && feed && (
+            <> · {t('pricing.ethUsd', {
+              price: formatUsd(ethUsd),
+              feed: feed.description,
+              updated: formatDateTime(feed.updatedAt * 1000)
+            })}</>
+          )}
+        </p>
+      )}
+      {error && <p className="cost-unit-note error">{t(error)}</p>}
+    </div>
+  );
+};
+
+export default CostUnitToggle;
@@ -0,0 +1,35 @@
+/**
+ * Export buttons
+ * A CSV and a JSON download button for a table of history records
+ */
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { EXPORT_FORMATS } from '../utils/historyExport';
+
+/**
+ * ExportButtons component
+ * @param {Object} props - Component props
+ * @param {number} props.count - Number of records that would be exported
+ * @param {Function} props.onExport - Called with 'csv' or 'json'
+ */
+const ExportButtons = ({ count, onExport }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="export-buttons">
+      {EXPORT_FORMATS.map(format => (
+        <button
+          key={format}
+          className="refresh-button"
+          onClick={() => onExport(format)}
+          disabled={count === 0}
+          title={t('export.title', { count, format: format.toUpperCase() })}
+        >
+          {t('export.button', { format: format.toUpperCase() })}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,90 @@
+/**
+ * Global search
+ * Header search box for a taskId, a transaction hash or an address. Recent searches are
+ * listed while the box is focused and empty
+ */
+import React, { useState } from 'react';
+import { useGlobalSearch } from '../hooks/useGlobalSearch';
+import { useI18n } from '../hooks/useI18n';
+import { getDeploymentByKey } from '../config/deployments';
+import { shortenHex } from '../utils/format';
+
+/**
+ * GlobalSearch component
+ * @param {Object} props - Component props
+ * @param {ZKCoProcessorClient|null} props.client - Contract client (read-only is enough)
+ * @param {number} props.fromBlock - Deployment block
+ * @param {Array<Object>} props.events - Indexed contract events
+ * @param {Object} props.historyStatus - Sync status of the indexed history
+ * @param {string|null} props.chain - Key of the network being shown
+ */
+const GlobalSearch = ({ client, fromBlock, events, historyStatus, chain }) => {
+  const { t } = useI18n();
+  const { search, searching, error, recent, openRecent, clearRecent } = useGlobalSearch(client, {
+    fromBlock,
+    events,
+    historyStatus,
+    chain
+  });
+  const [query, setQuery] = useState('');
+  const [focused, setFocused] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await search(query)) setQuery('');
+  };
+
+  const showRecent = focused && query === '' && recent.length > 0;
+
+  return (
+    <div className="global-search">
+      <form onSubmit={handleSubmit}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          placeholder={t('search.placeholder')}
+          aria-label={t('search.label')}
+          spellCheck={false}
+        />
+        <button type="submit" disabled={searching || query.trim() === ''}>
+          {searching ? t('search.searching') : t('search.submit')}
+        </button>
+      </form>
+
+      {error && <p className="field-error">{t(error)}</p>}
+
+      {showRecent && (
+        <div className="recent-searches">
+          <div className="recent-searches-header">
+            <span>{t('search.recent')}</span>
+            {/* mousedown fires before the input's blur hides the list */}
+            <button type="button" className="link-button" onMouseDown={(e) => { e.preventDefault(); clearRecent(); }}>
+              {t('search.clear')}
+            </button>
+          </div>
+          <ul>
+            {recent.map(entry => {
+              const network = entry.chain ? getDeploymentByKey(entry.chain) : null;
+              return (
+                <li key={`${entry.chain}:${entry.query}`}>
+                  <button type="button" onMouseDown={(e) => { e.preventDefault(); openRecent(entry); }}>
+                    <span className="mono">{shortenHex(entry.query)}</span>
+                    <span className="recent-search-label">
+                      {t(entry.label)}
+                      {network && entry.chain !== chain && ` · ${network.name}`}
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,27 @@
+/**
+ * Locale switcher
+ * Picks the language of the dashboard's copy and the locale numbers and dates are formatted in
+ */
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { LOCALES } from '../i18n';
+
+/**
+ * LocaleSwitcher component
+ */
+const LocaleSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="locale-switcher" title={t('header.language')}>
+      <span className="locale-switcher-label">{t('header.language')}</span>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {LOCALES.map(option => (
+          <option key={option.key} value={option.key} lang={option.key}>{option.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
@@ -0,0 +1,172 @@
+/**
+ * Operator console
+ * Lets the connected account register as an operator, shows its stake, reputation,
+ * completed tasks and unclaimed rewards, and claims the rewards
+ */
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useOperator } from '../hooks/useOperator';
+import { useI18n } from '../hooks/useI18n';
+import { messageKey } from '../i18n';
+import { formatEth, formatNumber } from '../utils/format';
+import { parseEthAmount } from '../utils/validation';
+
+/**
+ * Check a stake typed by the user against the contract's minimum
+ * @param {string} value - Stake in ETH
+ * @param {bigint|null} minStake - minOperatorStake in wei
+ * @param {bigint|null} walletBalance - Wallet balance in wei
+ * @returns {Object|string} Validation error (see messageKey), or an empty string when the stake is valid
+ */
+const validateStake = (value, minStake, walletBalance) => {
+  if (!value) return messageKey('operator.errors.missingStake');
+
+  const stake = parseEthAmount(value);
+  if (stake === null) return messageKey('operator.errors.invalidStake');
+
+  if (minStake !== null && stake < minStake) {
+    return messageKey('operator.errors.belowMinimum', { amount: formatEth(minStake) });
+  }
+  if (walletBalance !== null && stake > walletBalance) {
+    return messageKey('operator.errors.overBalance');
+  }
+  return '';
+};
+
+/**
+ * OperatorConsole component
+ * @param {Object} props - Component props
+ * @param {ZKCoProcessorClient|null} props.client - Contract client with the wallet's signer
+ * @param {string|null} props.account - Connected account
+ */
+const OperatorConsole = ({ client, account }) => {
+  const { t } = useI18n();
+  const { operator, minStake, walletBalance, pendingAction, error, register, claim } = useOperator(client, account);
+  const [stakeInput, setStakeInput] = useState('');
+  const [touched, setTouched] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  if (!client || !account) {
+    return (
+      <div className="operator-console">
+        <h2>{t('operator.title')}</h2>
+        <p className="operator-hint">{t('operator.connect')}</p>
+      </div>
+    );
+  }
+
+  const stakeError = validateStake(stakeInput, minStake, walletBalance);
+
+  // Submit the registration once the stake passes validation
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    setTouched(true);
+    setNotice('');
+    if (stakeError) return;
+
+    try {
+      await register(stakeInput);
+      setStakeInput('');
+      setTouched(false);
+      setNotice(messageKey('operator.registered'));
+    } catch (err) {
+      // The error is surfaced by useOperator
+    }
+  };
+
+  // Claim the unclaimed rewards; the balances refresh once the claim is mined
+  const handleClaim = async () => {
+    setNotice('');
+    const amount = operator.pendingRewards;
+    try {
+      await claim();
+      setNotice(messageKey('operator.claimed', { amount: formatEth(amount) }));
+    } catch (err) {
+      // The error is surfaced by useOperator
+    }
+  };
+
+  return (
+    <div className="operator-console">
+      <h2>{t('operator.title')}</h2>
+
+      {!operator ? (
+        <p className="operator-hint">{t('operator.loading')}</p>
+      ) : operator.registered ? (
+        <>
+          <div className="operator-stats">
+            <div className="operator-stat">
+              <span className="metric-label">{t('operator.stake')}</span>
+              <span className="metric-value">{formatEth(operator.stake)}</span>
+            </div>
+            <div className="operator-stat">
+              <span className="metric-label">{t('operator.reputation')}</span>
+              <span className="metric-value">{formatNumber(operator.reputation)}</span>
+            </div>
+            <div className="operator-stat">
+              <span className="metric-label">{t('operator.tasksCompleted')}</span>
+              <span className="metric-value">{formatNumber(operator.tasksCompleted)}</span>
+            </div>
+            <div className="operator-stat">
+              <span className="metric-label">{t('operator.pendingRewards')}</span>
+              <span className="metric-value">{formatEth(operator.pendingRewards)}</span>
+            </div>
+          </div>
+
+          <div className="operator-actions">
+            <button
+              onClick={handleClaim}
+              disabled={pendingAction !== null || !operator.pendingRewards}
+              className="claim-button"
+            >
+              {pendingAction === 'claim' ? (
+                <span className="loading-text">
+                  <span className="loading-spinner"></span>
+                  <span>{t('operator.claiming')}</span>
+                </span>
+              ) : (
+                t('operator.claim')
+              )}
+            </button>
+            <span className="wallet-balance">{t('operator.walletBalance', { amount: formatEth(walletBalance, 4) })}</span>
+          </div>
+        </>
+      ) : (
+        <form className="operator-register" onSubmit={handleRegister}>
+          <p className="operator-hint">
+            {t('operator.registerHint', { amount: minStake === null ? '...' : formatEth(minStake) })}
+          </p>
+          <div className="stake-input-row">
+            <input
+              type="text"
+              inputMode="decimal"
+              value={stakeInput}
+              onChange={(e) => setStakeInput(e.target.value.trim())}
+              onBlur={() => setTouched(true)}
+              placeholder={minStake === null ? t('operator.stakeLabel') : ethers.utils.formatEther(minStake.toString())}
+              aria-label={t('operator.stakeLabel')}
+            />
+            <span className="stake-unit">ETH</span>
+            <button type="submit" disabled={pendingAction !== null || (touched && !!stakeError)}>
+              {pendingAction === 'register' ? (
+                <span className="loading-text">
+                  <span className="loading-spinner"></span>
+                  <span>{t('operator.registering')}</span>
+                </span>
+              ) : (
+                t('operator.register')
+              )}
+            </button>
+          </div>
+          {touched && stakeError && <p className="field-error">{t(stakeError)}</p>}
+          <span className="wallet-balance">{t('operator.walletBalance', { amount: formatEth(walletBalance, 4) })}</span>
+        </form>
+      )}
+
+      {notice && <p className="operator-notice">{t(notice)}</p>}
+      {error && <p className="field-error">{t(error)}</p>}
+    </div>
+  );
+};
+
+export default OperatorConsole;
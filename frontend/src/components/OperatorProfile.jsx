@@ -0,0 +1,147 @@
+/**
+ * Operator page
+ * The public record of any operator, opened from /operators/:address: registration, stake,
+ * reputation and unclaimed rewards from the contract, plus the proofs, rewards and slashes
+ * found in the indexed history
+ */
+/* global BigInt */
+import React from 'react';
+import { useOperator } from '../hooks/useOperator';
+import { useI18n } from '../hooks/useI18n';
+import { formatEth, formatGas, formatNumber, formatProvingTime, formatDateTime, shortenHex } from '../utils/format';
+import { taskPath, requesterPath } from '../utils/routes';
+import RouteLink from './RouteLink';
+
+// Proofs listed on the page; the rest are counted
+const MAX_PROOFS_SHOWN = 25;
+
+/**
+ * Check whether an address belongs to the operator
+ * @param {string|null} value - Address from an event or comparison
+ * @param {string} address - Operator address (checksummed)
+ * @returns {boolean} Whether they are the same account
+ */
+const isOperator = (value, address) => !!value && value.toLowerCase() === address.toLowerCase();
+
+/**
+ * OperatorProfile component
+ * @param {Object} props - Component props
+ * @param {ZKCoProcessorClient|null} props.client - Contract client (read-only is enough)
+ * @param {string} props.address - Operator address from the URL
+ * @param {Array<Object>} props.comparisons - Comparisons from the indexed history
+ * @param {Array<Object>} props.events - Typed contract events from the indexed history
+ * @param {string|null} props.explorerUrl - Block explorer of the active network
+ */
+const OperatorProfile = ({ client, address, comparisons, events, explorerUrl }) => {
+  const { t } = useI18n();
+  const { operator, error } = useOperator(client, address);
+
+  const proofs = comparisons.filter(comparison => isOperator(comparison.operator, address));
+  const rewardsPaid = events
+    .filter(event => event.event === 'RewardPaid' && isOperator(event.operator, address))
+    .reduce((sum, event) => sum + event.amount, BigInt(0));
+  const slashes = events.filter(event => event.event === 'OperatorSlashed' && isOperator(event.operator, address));
+  const requestCount = events.filter(event => event.event === 'ComputationRequested' && isOperator(event.requester, address)).length;
+
+  return (
+    <section className="operator-console operator-profile">
+      <h2>{t('profile.title')}</h2>
+      <p className="mono">
+        {explorerUrl ? (
+          <a href={`${explorerUrl}/address/${address}`} target="_blank" rel="noopener noreferrer">{address}</a>
+        ) : address}
+      </p>
+      {requestCount > 0 && (
+        <p className="operator-hint">
+          {t('profile.alsoRequested', { count: requestCount })}{' '}
+          <RouteLink to={requesterPath(address)}>{t('profile.viewRequests')}</RouteLink>
+        </p>
+      )}
+
+      {!client && <p className="operator-hint">{t('profile.noClient')}</p>}
+      {error && <p className="field-error">{t(error)}</p>}
+      {client && !operator && !error && <p className="operator-hint">{t('profile.loading')}</p>}
+
+      {operator && !operator.registered && (
+        <p className="operator-hint">{t('profile.notRegistered')}</p>
+      )}
+
+      {operator && operator.registered && (
+        <div className="operator-stats">
+          <div className="operator-stat">
+            <span className="metric-label">{t('operator.stake')}</span>
+            <span className="metric-value">{formatEth(operator.stake)}</span>
+          </div>
+          <div className="operator-stat">
+            <span className="metric-label">{t('operator.reputation')}</span>
+            <span className="metric-value">{formatNumber(operator.reputation)}</span>
+          </div>
+          <div className="operator-stat">
+            <span className="metric-label">{t('operator.tasksCompleted')}</span>
+            <span className="metric-value">{formatNumber(operator.tasksCompleted)}</span>
+          </div>
+          <div className="operator-stat">
+            <span className="metric-label">{t('operator.pendingRewards')}</span>
+            <span className="metric-value">{formatEth(operator.pendingRewards)}</span>
+          </div>
+          <div className="operator-stat">
+            <span className="metric-label">{t('profile.rewardsEarned')}</span>
+            <span className="metric-value">{formatEth(rewardsPaid)}</span>
+          </div>
+        </div>
+      )}
+
+      {slashes.length > 0 && (
+        <div className="detail-section">
+          <h3>{t('profile.slashes')}</h3>
+          <ul className="slash-list">
+            {slashes.map(slash => (
+              <li key={`${slash.transactionHash}:${slash.logIndex}`}>
+                {t('profile.slash', { amount: formatEth(slash.amount), block: String(slash.blockNumber), reason: slash.reason })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="detail-section">
+        <h3>{t('profile.proofs', { count: proofs.length })}</h3>
+        {proofs.length === 0 ? (
+          <p className="operator-hint">{t('profile.noProofs')}</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>{t('history.columns.time')}</th>
+                <th>{t('profile.columns.task')}</th>
+                <th>{t('profile.columns.zkGas')}</th>
+                <th>{t('history.columns.provingTime')}</th>
+                <th>{t('profile.columns.reward')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {proofs.slice(0, MAX_PROOFS_SHOWN).map(proof => (
+                <tr key={proof.taskId}>
+                  <td>{formatDateTime(proof.timestamp)}</td>
+                  <td>
+                    <RouteLink to={taskPath(proof.taskId)} className="mono">
+                      {shortenHex(proof.taskId)}
+                    </RouteLink>
+                  </td>
+                  <td>{formatGas(proof.zkGasUsed)}</td>
+                  <td>{formatProvingTime(proof.provingTime)}</td>
+                  <td>{formatEth(proof.reward)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {proofs.length > MAX_PROOFS_SHOWN && (
+          <p className="operator-hint">{t('profile.showingLatest', { shown: MAX_PROOFS_SHOWN, count: proofs.length })}</p>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default OperatorProfile;
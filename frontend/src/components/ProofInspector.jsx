@@ -0,0 +1,146 @@
+/**
+ * Proof inspector
+ * Shows the proof an operator submitted for a task, recovered from the submitProof
+ * calldata, and re-checks it with the RISC Zero verifier. The contract accepts every
+ * proof today, so this is the only place a proof is actually verified
+ */
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useProofInspector } from '../hooks/useProofInspector';
+import { useI18n } from '../hooks/useI18n';
+import { previewBytes } from '../utils/inputEncoding';
+import { formatBytes } from '../utils/format';
+import { DEFAULT_IMAGE_ID } from '../config/deployments';
+
+/**
+ * ProofInspector component
+ * @param {Object} props - Component props
+ * @param {ZKCoProcessorClient|null} props.client - Contract client
+ * @param {string} props.taskId - Task to inspect first
+ * @param {number} props.fromBlock - Deployment block, where the search for the proof starts
+ * @param {string|null} props.explorerUrl - Block explorer of the active network
+ * @param {Function} props.onClose - Called when the inspector is closed
+ */
+const ProofInspector = ({ client, taskId, fromBlock, explorerUrl, onClose }) => {
+  const { t } = useI18n();
+  const [taskInput, setTaskInput] = useState(taskId || '');
+  const [activeTaskId, setActiveTaskId] = useState(taskId || null);
+  const [imageId, setImageId] = useState(DEFAULT_IMAGE_ID);
+
+  const { inspection, verifierContract, verification, loading, verifying, error, verify } =
+    useProofInspector(client, activeTaskId, fromBlock);
+
+  const taskInputValid = ethers.utils.isHexString(taskInput.trim(), 32);
+  const imageIdValid = ethers.utils.isHexString(imageId.trim(), 32);
+  const preview = inspection && inspection.proof ? previewBytes(inspection.proof) : null;
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    if (taskInputValid) setActiveTaskId(taskInput.trim());
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="detail-modal proof-inspector" onClick={(e) => e.stopPropagation()}>
+        <button className="close-modal" onClick={onClose}>×</button>
+        <h2>{t('inspector.title')}</h2>
+
+        <form className="proof-lookup" onSubmit={handleLookup}>
+          <input
+            type="text"
+            value={taskInput}
+            onChange={(e) => setTaskInput(e.target.value)}
+            placeholder={t('inspector.taskIdPlaceholder')}
+            aria-label={t('inspector.taskId')}
+            spellCheck={false}
+          />
+          <button type="submit" disabled={!taskInputValid || loading}>{t('inspector.inspect')}</button>
+        </form>
+
+        {!client && <p className="operator-hint">{t('inspector.noClient')}</p>}
+        {loading && <p className="operator-hint">{t('inspector.loading')}</p>}
+        {error && <p className="field-error">{t(error)}</p>}
+
+        {inspection && (
+          <>
+            <div className="detail-section">
+              <h3>{t('inspector.submission')}</h3>
+              <div className="detail-input">
+                <p><strong>{t('inspector.operator')}</strong> <span className="mono">{inspection.operator}</span></p>
+                <p>
+                  <strong>{t('inspector.transaction')}</strong>{' '}
+                  {explorerUrl ? (
+                    <a href={`${explorerUrl}/tx/${inspection.transactionHash}`} target="_blank" rel="noopener noreferrer" className="mono">
+                      {inspection.transactionHash}
+                    </a>
+                  ) : (
+                    <span className="mono">{inspection.transactionHash}</span>
+                  )}
+                  {' '}{t('modal.block', { block: String(inspection.blockNumber) })}
+                </p>
+                <p><strong>{t('inspector.resultHash')}</strong> <span className="mono">{inspection.resultHash}</span></p>
+                {inspection.calldataResultHash && inspection.calldataResultHash !== inspection.resultHash && (
+                  <p className="field-error">{t('inspector.calldataMismatch', { hash: inspection.calldataResultHash })}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h3>{t('inspector.proof')}</h3>
+              {inspection.proof ? (
+                <>
+                  <p><strong>{t('inspector.size')}</strong> {formatBytes(inspection.proofSize)}</p>
+                  {preview.rows.length > 0 && (
+                    <pre className="byte-preview">
+                      {preview.rows.map(row => `${row.offset}  ${row.hex.padEnd(47)}  ${row.ascii}`).join('\n')}
+                      {preview.remaining > 0 && `\n${t('modal.moreBytes', { count: preview.remaining })}`}
+                    </pre>
+                  )}
+                </>
+              ) : (
+                <p className="operator-hint">{t('inspector.notDirect')}</p>
+              )}
+            </div>
+
+            <div className="detail-section">
+              <h3>{t('inspector.verification')}</h3>
+              {!verifierContract ? (
+                <p className="operator-hint">{t('inspector.noVerifier')}</p>
+              ) : (
+                <>
+                  <p className="operator-hint">{t('inspector.verifyHint', { verifier: verifierContract })}</p>
+                  <div className="proof-lookup">
+                    <input
+                      type="text"
+                      value={imageId}
+                      onChange={(e) => setImageId(e.target.value)}
+                      placeholder={t('inspector.imageIdPlaceholder')}
+                      aria-label={t('inspector.imageId')}
+                      spellCheck={false}
+                    />
+                    <button
+                      onClick={() => verify(imageId.trim())}
+                      disabled={!imageIdValid || !inspection.proof || verifying}
+                    >
+                      {verifying ? t('inspector.verifying') : t('inspector.verify')}
+                    </button>
+                  </div>
+                  {!imageIdValid && <p className="field-error">{t('inspector.invalidImageId')}</p>}
+                  {verification && (
+                    <p className={`verification-result ${verification.verified ? 'verified' : 'not-verified'}`}>
+                      {verification.verified
+                        ? `✓ ${t('inspector.verified', { imageId: verification.imageId })}`
+                        : `✗ ${t('inspector.notVerified', { reason: t(verification.reason) })}`}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProofInspector;
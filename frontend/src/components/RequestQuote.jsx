@@ -0,0 +1,67 @@
+/**
+ * Request quote
+ * Shows what the current input will cost before it is sent: the reward the contract
+ * requires for its size plus the estimated gas of the request transaction. Without a wallet
+ * only the reward is known
+ */
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { formatEth, formatGas, formatBytes } from '../utils/format';
+
+/**
+ * RequestQuote component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.quote - Quote from useRequestQuote
+ * @param {boolean} props.quoting - Whether a quote is being fetched
+ * @param {Object|string} props.error - Why the request cannot be quoted (it would revert), a message
+ *   from describeTxError
+ */
+const RequestQuote = ({ quote, quoting, error }) => {
+  const { t } = useI18n();
+
+  if (error) {
+    return (
+      <div className="request-quote quote-error">
+        <p>{t('quote.wouldFail', { reason: error })}</p>
+      </div>
+    );
+  }
+
+  if (!quote) {
+    return quoting ? (
+      <div className="request-quote">
+        <p className="quote-pending">{t('quote.fetching')}</p>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className={`request-quote ${quoting ? 'quote-stale' : ''}`}>
+      <div className="quote-line">
+        <span>{t('quote.reward', { size: formatBytes(quote.complexity) })}</span>
+        <span>{formatEth(quote.reward)}</span>
+      </div>
+      {quote.gasLimit === null ? (
+        <div className="quote-line">
+          <span>{t('quote.gas')}</span>
+          <span>{t('quote.gasWithoutWallet')}</span>
+        </div>
+      ) : (
+        <>
+          <div className="quote-line">
+            <span>{t('quote.estimatedGas', { gas: formatGas(quote.gasLimit) })}</span>
+            <span title={t('quote.maxGasCost', { cost: formatEth(quote.maxGasCost) })}>
+              {formatEth(quote.gasCost)}
+            </span>
+          </div>
+          <div className="quote-line quote-total">
+            <span>{t('quote.total')}</span>
+            <span>{formatEth(quote.total)}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RequestQuote;
@@ -0,0 +1,123 @@
+/**
+ * Requester page
+ * Every task an address has requested, opened from /requesters/:address. The requester is not
+ * an indexed event argument, so the list comes from the indexed ComputationRequested events
+ */
+/* global BigInt */
+import React from 'react';
+import { gasSavingsPercent } from '../contracts/gasComparison';
+import { useI18n } from '../hooks/useI18n';
+import { formatEth, formatSavings, formatBytes, formatNumber, shortenHex } from '../utils/format';
+import { taskPath, operatorPath } from '../utils/routes';
+import { taskHistoryRecords, readTaskTimes, downloadRecords } from '../utils/historyExport';
+import ExportButtons from './ExportButtons';
+import RouteLink from './RouteLink';
+
+/**
+ * RequesterTasks component
+ * @param {Object} props - Component props
+ * @param {string} props.address - Requester address from the URL
+ * @param {Array<Object>} props.events - Typed contract events from the indexed history
+ * @param {Array<Object>} props.comparisons - Comparisons from the indexed history
+ * @param {Object} props.historyStatus - Sync status of the indexed history
+ * @param {string|null} props.explorerUrl - Block explorer of the active network
+ * @param {ZKCoProcessorClient|null} props.client - Contract client, for the task times the export reads
+ */
+const RequesterTasks = ({ address, events, comparisons, historyStatus, explorerUrl, client }) => {
+  const { t } = useI18n();
+  const proofs = new Map(events
+    .filter(event => event.event === 'ProofSubmitted')
+    .map(event => [event.taskId, event]));
+  const byTask = new Map(comparisons.map(comparison => [comparison.taskId, comparison]));
+
+  const requests = events
+    .filter(event => event.event === 'ComputationRequested' && event.requester === address)
+    .reverse();
+  const totalReward = requests.reduce((sum, request) => sum + request.reward, BigInt(0));
+
+  return (
+    <section className="operator-console requester-tasks">
+      <h2>{t('requester.title')}</h2>
+      <p className="mono">
+        {explorerUrl ? (
+          <a href={`${explorerUrl}/address/${address}`} target="_blank" rel="noopener noreferrer">{address}</a>
+        ) : address}
+      </p>
+
+      {historyStatus.syncing && (
+        <p className="operator-hint">{t('requester.indexing')}</p>
+      )}
+
+      <div className="operator-stats">
+        <div className="operator-stat">
+          <span className="metric-label">{t('requester.requested')}</span>
+          <span className="metric-value">{formatNumber(requests.length)}</span>
+        </div>
+        <div className="operator-stat">
+          <span className="metric-label">{t('requester.proven')}</span>
+          <span className="metric-value">{formatNumber(requests.filter(request => proofs.has(request.taskId)).length)}</span>
+        </div>
+        <div className="operator-stat">
+          <span className="metric-label">{t('requester.rewardsOffered')}</span>
+          <span className="metric-value">{formatEth(totalReward)}</span>
+        </div>
+      </div>
+
+      <div className="detail-section">
+        <div className="comparisons-header">
+          <h3>{t('requester.tasks')}</h3>
+          <ExportButtons
+            count={requests.length}
+            onExport={async (format) => downloadRecords(
+              await readTaskTimes(taskHistoryRecords(events, comparisons, { requester: address }), client),
+              format,
+              'zkco-requester-tasks'
+            )}
+          />
+        </div>
+        {requests.length === 0 ? (
+          <p className="operator-hint">{t('requester.empty')}</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>{t('requester.columns.block')}</th>
+                <th>{t('requester.columns.task')}</th>
+                <th>{t('requester.columns.complexity')}</th>
+                <th>{t('requester.columns.reward')}</th>
+                <th>{t('requester.columns.status')}</th>
+                <th>{t('requester.columns.operator')}</th>
+                <th>{t('requester.columns.savings')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requests.map(request => {
+                const proof = proofs.get(request.taskId);
+                const comparison = byTask.get(request.taskId);
+                return (
+                  <tr key={request.taskId}>
+                    <td>{request.blockNumber}</td>
+                    <td>
+                      <RouteLink to={taskPath(request.taskId)} className="mono">{shortenHex(request.taskId)}</RouteLink>
+                    </td>
+                    <td>{formatBytes(request.complexity)}</td>
+                    <td>{formatEth(request.reward)}</td>
+                    <td>{proof ? t('requester.statusProven') : t('requester.statusWaiting')}</td>
+                    <td>
+                      {proof ? (
+                        <RouteLink to={operatorPath(proof.operator)} className="mono">{shortenHex(proof.operator)}</RouteLink>
+                      ) : t('common.notAvailable')}
+                    </td>
+                    <td>{comparison ? formatSavings(gasSavingsPercent(comparison)) : t('common.notAvailable')}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default RequesterTasks;
@@ -0,0 +1,33 @@
+/**
+ * Route link
+ * An anchor for an in-app route: a plain click navigates without reloading the page,
+ * while modified clicks (new tab, new window) fall through to the browser
+ */
+import React from 'react';
+import { useRouter } from '../hooks/useRouter';
+import { withChain } from '../utils/routes';
+
+/**
+ * RouteLink component
+ * @param {Object} props - Component props
+ * @param {string} props.to - Route path
+ * @param {Function} [props.onClick] - Called before navigating
+ */
+const RouteLink = ({ to, onClick, children, ...rest }) => {
+  const { chain, navigate } = useRouter();
+
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={withChain(to, chain)} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+};
+
+export default RouteLink;
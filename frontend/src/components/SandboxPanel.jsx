@@ -0,0 +1,89 @@
+/**
+ * Sandbox panel
+ * Shown while the dashboard runs on the offline sandbox: explains what is simulated and
+ * controls the simulated operator's delay, pauses it, and starts the sandbox over
+ */
+import React, { useState, useEffect } from 'react';
+import { useSandboxOperator } from '../hooks/useSandbox';
+import { useI18n } from '../hooks/useI18n';
+import { SANDBOX_OPERATOR } from '../sandbox';
+import { operatorPath, taskPath } from '../utils/routes';
+import { formatDuration, shortenHex } from '../utils/format';
+import RouteLink from './RouteLink';
+
+/**
+ * SandboxPanel component
+ * @param {Object} props - Component props
+ * @param {Function} props.onReset - Starts the sandbox over
+ */
+const SandboxPanel = ({ onReset }) => {
+  const { t, rich } = useI18n();
+  const { state, configure } = useSandboxOperator();
+  const [now, setNow] = useState(Date.now);
+
+  // Count down to the next scheduled proofs
+  const hasQueue = state.queue.length > 0;
+  useEffect(() => {
+    if (!hasQueue) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasQueue]);
+
+  // Ask first: resetting deletes every task, proof and balance in the sandbox
+  const handleReset = () => {
+    if (window.confirm(t('sandbox.confirmReset'))) onReset();
+  };
+
+  return (
+    <section className="sandbox-panel">
+      <div className="sandbox-header">
+        <h2>{t('sandbox.title')}</h2>
+        <button className="sandbox-reset" onClick={handleReset}>{t('sandbox.reset')}</button>
+      </div>
+      <p className="operator-hint">
+        {rich('sandbox.intro', {
+          operator: <RouteLink to={operatorPath(SANDBOX_OPERATOR)} className="mono">{shortenHex(SANDBOX_OPERATOR)}</RouteLink>
+        })}
+      </p>
+
+      <div className="watch-settings">
+        <label>
+          {rich('sandbox.delay', {
+            seconds: (
+              <input
+                type="number"
+                min="0"
+                value={state.delaySeconds}
+                onChange={(e) => {
+                  const seconds = Number(e.target.value);
+                  if (seconds >= 0) configure({ delaySeconds: seconds });
+                }}
+              />
+            )
+          })}
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={state.paused}
+            onChange={(e) => configure({ paused: e.target.checked })}
+          />
+          {t('sandbox.pause')}
+        </label>
+      </div>
+
+      {hasQueue && (
+        <ul className="sandbox-queue">
+          {state.queue.map(({ taskId, dueAt }) => (
+            <li key={taskId}>
+              <RouteLink to={taskPath(taskId)} className="mono">{shortenHex(taskId)}</RouteLink>
+              {' '}{t('sandbox.provenIn', { seconds: formatDuration(Math.max(0, Math.ceil((dueAt - now) / 1000))) })}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SandboxPanel;
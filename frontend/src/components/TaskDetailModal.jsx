@@ -0,0 +1,269 @@
+/**
+ * Computation detail modal
+ * Shows one task as recorded on-chain: the tasks(taskId) record, getComputationTime, the
+ * requester and original input from the request transaction, the operator and resultHash,
+ * the reward, and links to the request and proof transactions. Gas figures come from the
+ * indexed comparison when there is one, and are shown in the unit picked with the cost unit
+ * toggle
+ */
+import React, { useMemo } from 'react';
+import { ethers } from 'ethers';
+import { useTaskDetail } from '../hooks/useTaskDetail';
+import { useI18n } from '../hooks/useI18n';
+import { gasSavingsPercent, comparisonCosts } from '../contracts/gasComparison';
+import { computeReference } from '../contracts/taskTemplates';
+import { templateName, describeReference } from '../utils/templateMessages';
+import { formatGas, formatSavings, formatProvingTime, formatEth, formatCost, formatGwei, formatBytes, formatDateTime } from '../utils/format';
+import { previewBytes, decodeText } from '../utils/inputEncoding';
+import { operatorPath } from '../utils/routes';
+import RouteLink from './RouteLink';
+import CostUnitToggle from './CostUnitToggle';
+
+/**
+ * Format a unix time (seconds) for display
+ * @param {number|null} seconds - Unix time
+ * @returns {string} Local date and time, or n/a
+ */
+const formatTime = (seconds) => formatDateTime(seconds === null ? null : seconds * 1000);
+
+/**
+ * Link to a transaction on the block explorer, or the bare hash without one
+ * @param {Object} props - Component props
+ * @param {string|null} props.hash - Transaction hash
+ * @param {number|null} props.block - Block the transaction was mined in
+ * @param {string|null} props.explorerUrl - Block explorer of the active network
+ */
+const TransactionLink = ({ hash, block, explorerUrl }) => {
+  const { t } = useI18n();
+  if (!hash) return <span className="metric-value">{t('common.notAvailable')}</span>;
+  return (
+    <span className="metric-value mono">
+      {explorerUrl ? (
+        <a href={`${explorerUrl}/tx/${hash}`} target="_blank" rel="noopener noreferrer">{hash}</a>
+      ) : (
+        hash
+      )}
+      {block !== null && ` ${t('modal.block', { block: String(block) })}`}
+    </span>
+  );
+};
+
+/**
+ * A gas figure in the picked unit; costs keep the gas units alongside
+ * @param {Object} props - Component props
+ * @param {number|null} props.gas - Gas units
+ * @param {bigint|null} props.wei - What the gas cost
+ * @param {Object} props.pricing - Result of useGasPricing
+ */
+const CostValue = ({ gas, wei, pricing }) => {
+  const { t } = useI18n();
+  return (
+    <span className="metric-value">
+      {pricing.unit === 'gas'
+        ? t('modal.gasUnits', { gas: formatGas(gas) })
+        : t('modal.costWithGas', { cost: formatCost({ gas, wei }, pricing.unit, pricing.ethUsd), gas: formatGas(gas) })}
+    </span>
+  );
+};
+
+/**
+ * The original input, as text, as a template or as a hex dump
+ * @param {Object} props - Component props
+ * @param {string} props.inputData - Input bytes as hex
+ */
+const OriginalInput = ({ inputData }) => {
+  const { t } = useI18n();
+  const bytes = useMemo(() => ethers.utils.arrayify(inputData), [inputData]);
+  // Run the template once per input, not on every render
+  const reference = useMemo(() => computeReference(bytes), [bytes]);
+  const text = reference ? null : decodeText(bytes);
+  const preview = previewBytes(bytes);
+
+  return (
+    <>
+      {reference && (
+        <p>
+          <strong>{t('modal.template')}</strong> {t(templateName(reference.template))}
+          {!reference.error && ` ${t('modal.expected', { summary: t(describeReference(reference)) })}`}
+        </p>
+      )}
+      {text !== null && text.length > 0 && (
+        <p><strong>{t('modal.asText')}</strong> <span className="input-text">{text}</span></p>
+      )}
+      {preview.rows.length > 0 && (
+        <pre className="byte-preview">
+          {preview.rows.map(row => `${row.offset}  ${row.hex.padEnd(47)}  ${row.ascii}`).join('\n')}
+          {preview.remaining > 0 && `\n${t('modal.moreBytes', { count: preview.remaining })}`}
+        </pre>
+      )}
+    </>
+  );
+};
+
+/**
+ * TaskDetailModal component
+ * @param {Object} props - Component props
+ * @param {ZKCoProcessorClient|null} props.client - Contract client
+ * @param {string|null} props.taskId - Task to show (demo rows have none)
+ * @param {Object|null} props.comparison - Indexed comparison for the task, or a demo row
+ * @param {Object} props.pricing - Result of useGasPricing, for showing costs
+ * @param {number} props.fromBlock - Deployment block, where the search for the task's events starts
+ * @param {string|null} props.explorerUrl - Block explorer of the active network
+ * @param {Function} props.onInspect - Called with the taskId to open the proof inspector
+ * @param {Function} props.onClose - Called when the modal is closed
+ */
+const TaskDetailModal = ({ client, taskId, comparison, pricing, fromBlock, explorerUrl, onInspect, onClose }) => {
+  const { t } = useI18n();
+  const { detail, loading, error } = useTaskDetail(client, taskId, fromBlock);
+  const task = detail ? detail.task : null;
+  const costs = comparison ? comparisonCosts(comparison, pricing.gasPrice) : null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="detail-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="close-modal" onClick={onClose}>×</button>
+        <h2>
+          {t('modal.title')}
+          {comparison && comparison.isDemo && <span className="demo-badge">{t('stats.demoData')}</span>}
+        </h2>
+        {taskId && <p className="mono detail-task-id">{taskId}</p>}
+        {task && task.completed && (
+          <button className="refresh-button inspect-proof-button" onClick={() => onInspect(taskId)}>
+            {t('modal.inspectProof')}
+          </button>
+        )}
+
+        {comparison && (
+          <div className="detail-section">
+            <h3>{t('modal.performance')}</h3>
+            <CostUnitToggle pricing={pricing} />
+            <div className="detail-metrics">
+              <div className="detail-metric">
+                <span className="metric-label">{t('modal.zkGas')}</span>
+                <CostValue gas={comparison.zkGasUsed} wei={costs.zkCost} pricing={pricing} />
+              </div>
+              <div className="detail-metric">
+                <span className="metric-label">{t('modal.normalGas')}</span>
+                <CostValue gas={comparison.normalGasUsed} wei={costs.normalCost} pricing={pricing} />
+              </div>
+              <div className="detail-metric">
+                <span className="metric-label">{t('modal.requestGas')}</span>
+                <CostValue gas={comparison.requestGasUsed} wei={costs.requestCost} pricing={pricing} />
+              </div>
+              <div className="detail-metric">
+                <span className="metric-label">{t('modal.proofGas')}</span>
+                <CostValue gas={comparison.proofGasUsed} wei={costs.proofCost} pricing={pricing} />
+              </div>
+              {pricing.unit !== 'gas' && (
+                <>
+                  <div className="detail-metric">
+                    <span className="metric-label">{t('modal.saved')}</span>
+                    <span className="metric-value">{formatCost({ wei: costs.saved }, pricing.unit, pricing.ethUsd)}</span>
+                  </div>
+                  <div className="detail-metric">
+                    <span className="metric-label">{t('modal.gasPrice')}</span>
+                    <span className="metric-value">
+                      {costs.fromReceipts
+                        ? t('modal.gasPriceFromReceipts', {
+                            request: formatGwei(comparison.requestGasPrice),
+                            proof: formatGwei(comparison.proofGasPrice)
+                          })
+                        : t('modal.gasPriceCurrent', { price: formatGwei(pricing.gasPrice) })}
+                    </span>
+                  </div>
+                </>
+              )}
+              <div className="detail-metric">
+                <span className="metric-label">{t('modal.efficiency')}</span>
+                <span className="metric-value">{formatSavings(gasSavingsPercent(comparison))}</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {!taskId && (
+          <p className="operator-hint">{t('modal.sampleRow')}</p>
+        )}
+        {taskId && !client && (
+          <p className="operator-hint">{t('modal.noClient')}</p>
+        )}
+        {loading && <p className="operator-hint">{t('modal.loading')}</p>}
+        {error && <p className="field-error">{t(error)}</p>}
+
+        {task && (
+          <>
+            <div className="detail-section">
+              <h3>{t('modal.taskRecord')}</h3>
+              <div className="detail-metrics">
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.status')}</span>
+                  <span className="metric-value">
+                    {t(!task.completed ? 'modal.waiting' : task.verified ? 'modal.verified' : 'modal.submitted')}
+                  </span>
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.requester')}</span>
+                  <span className="metric-value mono">{detail.requester || t('common.notAvailable')}</span>
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.operator')}</span>
+                  <span className="metric-value mono">
+                    {task.operator ? <RouteLink to={operatorPath(task.operator)}>{task.operator}</RouteLink> : t('common.notAvailable')}
+                  </span>
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.resultHash')}</span>
+                  <span className="metric-value mono">{task.resultHash || t('common.notAvailable')}</span>
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.reward')}</span>
+                  <span className="metric-value" title={`${task.reward.toString()} wei`}>{formatEth(task.reward, 18)}</span>
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.requested')}</span>
+                  <span className="metric-value">{formatTime(task.startTime)}</span>
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.proofSubmitted')}</span>
+                  <span className="metric-value">{formatTime(task.endTime)}</span>
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.computationTime')}</span>
+                  <span className="metric-value">{formatProvingTime(detail.computationTime)}</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h3>{t('modal.input')}</h3>
+              <div className="detail-input">
+                <p><strong>{t('modal.inputSize')}</strong> {formatBytes(task.complexity)}</p>
+                {detail.inputData ? (
+                  <OriginalInput inputData={detail.inputData} />
+                ) : (
+                  <p className="operator-hint">{t('modal.notDirect')}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h3>{t('modal.transactions')}</h3>
+              <div className="detail-metrics">
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.request')}</span>
+                  <TransactionLink hash={detail.requestTxHash} block={detail.requestBlock} explorerUrl={explorerUrl} />
+                </div>
+                <div className="detail-metric">
+                  <span className="metric-label">{t('modal.proof')}</span>
+                  <TransactionLink hash={detail.proofTxHash} block={detail.proofBlock} explorerUrl={explorerUrl} />
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskDetailModal;
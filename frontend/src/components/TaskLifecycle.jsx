@@ -0,0 +1,152 @@
+/**
+ * Task lifecycle panel
+ * Shows each task on the user's watchlist and how far it has progressed:
+ * pending → proof submitted → verified → reward paid, with the time each stage was reached.
+ * Tasks still waiting for a proof after the stale timeout are flagged as unanswered.
+ * Template tasks also show whether the operator's resultHash matches the local reference
+ */
+import React from 'react';
+import { TASK_STAGES, TASK_STAGE_LABELS } from '../hooks/useTaskLifecycle';
+import { useI18n } from '../hooks/useI18n';
+import { taskHistoryRecords, readTaskTimes, downloadRecords } from '../utils/historyExport';
+import { formatTimeOfDay, shortenHex } from '../utils/format';
+import { templateName, describeReference } from '../utils/templateMessages';
+import ExportButtons from './ExportButtons';
+
+// Field on the task status object holding the time each stage was reached
+const STAGE_TIMESTAMPS = {
+  pending: 'requestedAt',
+  proofSubmitted: 'proofSubmittedAt',
+  verified: 'verifiedAt',
+  rewardPaid: 'rewardPaidAt'
+};
+
+/**
+ * Compare the operator's resultHash with the locally computed one
+ * @param {Object} task - Task status object
+ * @returns {boolean|null} Whether they match, or null until both are known
+ */
+const referenceMatches = (task) => {
+  if (!task.reference || !task.reference.resultHash || !task.resultHash) return null;
+  return task.reference.resultHash.toLowerCase() === task.resultHash.toLowerCase();
+};
+
+/**
+ * TaskLifecycle component
+ * @param {Object} props - Component props
+ * @param {Array} props.tasks - Task status objects from useTaskLifecycle
+ * @param {Array} props.comparisons - Indexed comparisons, for the gas figures of proven tasks
+ * @param {Array} props.events - Typed contract events from the indexed history, for the export
+ * @param {string|null} props.account - Connected account, whose indexed requests are exported
+ * @param {ZKCoProcessorClient|null} props.client - Contract client, for the task times the export reads
+ * @param {Function} props.onDismiss - Called with a taskId to stop showing a finished task
+ * @param {Function} props.onInspect - Called with a taskId to open its proof in the proof inspector
+ * @param {Object} props.alerts - Alert state and settings from useTaskAlerts
+ */
+const TaskLifecycle = ({ tasks, comparisons, events, account, client, onDismiss, onInspect, alerts }) => {
+  const { t, rich } = useI18n();
+  if (tasks.length === 0) return null;
+
+  // The export covers every request the account made in the indexed history, including ones
+  // never proven, not just the tasks watched in this session
+  const records = taskHistoryRecords(account ? events : [], comparisons, { requester: account, tracked: tasks });
+  const handleExport = async (format) => downloadRecords(await readTaskTimes(records, client), format, 'zkco-tasks');
+
+  return (
+    <div className="task-lifecycle">
+      <div className="comparisons-header">
+        <h2>{t('lifecycle.title')}</h2>
+        <ExportButtons count={records.length} onExport={handleExport} />
+      </div>
+      <div className="watch-settings">
+        {alerts.browserAlerts.supported && (
+          <label>
+            <input
+              type="checkbox"
+              checked={alerts.browserAlerts.enabled}
+              disabled={alerts.browserAlerts.permission === 'denied'}
+              onChange={(e) => alerts.setBrowserAlerts(e.target.checked)}
+            />
+            {alerts.browserAlerts.permission === 'denied' ? t('lifecycle.notificationsBlocked') : t('lifecycle.notifications')}
+          </label>
+        )}
+        <label>
+          {rich('lifecycle.staleAfter', {
+            minutes: (
+              <input
+                type="number"
+                min="1"
+                value={alerts.staleAfterMinutes}
+                onChange={(e) => alerts.setStaleAfterMinutes(Number(e.target.value))}
+              />
+            )
+          })}
+        </label>
+      </div>
+      {tasks.map(task => {
+        const currentIndex = TASK_STAGES.indexOf(task.stage);
+        const matches = referenceMatches(task);
+        const stale = alerts.staleTaskIds.has(task.taskId);
+
+        return (
+          <div key={task.taskId} className={`task-status-card ${stale ? 'task-stale' : ''}`}>
+            <div className="task-status-header">
+              <span className="task-id" title={task.taskId}>{shortenHex(task.taskId)}</span>
+              <span className={`task-stage-badge stage-${task.stage}`}>
+                {t(TASK_STAGE_LABELS[task.stage])}
+              </span>
+              {(task.stage === 'rewardPaid' || stale) && (
+                <button className="dismiss-task" onClick={() => onDismiss(task.taskId)} title={t('lifecycle.stopWatching')}>×</button>
+              )}
+            </div>
+
+            <ol className="task-stages">
+              {TASK_STAGES.map((stage, index) => {
+                const reachedAt = task[STAGE_TIMESTAMPS[stage]];
+                return (
+                  <li
+                    key={stage}
+                    className={`${index <= currentIndex ? 'stage-reached' : ''} ${index === currentIndex + 1 ? 'stage-next' : ''}`}
+                  >
+                    <span className="stage-label">{t(TASK_STAGE_LABELS[stage])}</span>
+                    <span className="stage-time">
+                      {reachedAt ? formatTimeOfDay(reachedAt) : index === currentIndex + 1 ? t('lifecycle.waiting') : '—'}
+                    </span>
+                  </li>
+                );
+              })}
+            </ol>
+
+            {stale && (
+              <p className="task-stale-note">
+                {t('lifecycle.unanswered', { count: alerts.staleAfterMinutes })}
+              </p>
+            )}
+
+            {task.operator && (
+              <p className="task-operator">
+                {rich('lifecycle.provenBy', { operator: <span title={task.operator}>{shortenHex(task.operator)}</span> })}
+                {task.resultHash && (
+                  <> · {rich('lifecycle.result', { hash: <span title={task.resultHash}>{shortenHex(task.resultHash)}</span> })}</>
+                )}
+                {' · '}
+                <button className="link-button" onClick={() => onInspect(task.taskId)}>{t('lifecycle.inspect')}</button>
+              </p>
+            )}
+
+            {task.reference && (
+              <p className={`task-reference ${matches === true ? 'reference-match' : ''} ${matches === false ? 'reference-mismatch' : ''}`}>
+                {t(templateName(task.reference.template))}: {t(describeReference(task.reference))}
+                {matches === true && ` · ✓ ${t('lifecycle.referenceMatches')}`}
+                {matches === false && ` · ✗ ${t('lifecycle.referenceMismatch')}`}
+                {matches === null && task.reference.resultHash && ` · ${t('lifecycle.referenceWaiting')}`}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TaskLifecycle;
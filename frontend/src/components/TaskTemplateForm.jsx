@@ -0,0 +1,183 @@
+/**
+ * Task template form
+ * A small form per built-in template (signature check, Merkle proof, hash chain) that
+ * encodes its fields into a template input for the computation request
+ */
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { TASK_TEMPLATES, HASH_ALGORITHMS, MAX_HASH_CHAIN_ROUNDS, encodeTemplateInput } from '../contracts/taskTemplates';
+import { parseAddress } from '../utils/validation';
+import { useI18n } from '../hooks/useI18n';
+import { messageKey } from '../i18n';
+import { describeTxError } from '../utils/txErrors';
+import { templateName } from '../utils/templateMessages';
+
+// Empty fields for each template
+const INITIAL_FIELDS = {
+  ecdsa: { message: '', signature: '', signer: '' },
+  merkle: { leaf: '', path: '', root: '' },
+  hashChain: { seed: '', algorithm: '0', rounds: '1' }
+};
+
+/**
+ * Check that a value is a 32-byte hex string
+ * @param {string} value - Value as typed
+ * @returns {boolean} Whether it is a bytes32
+ */
+const isBytes32 = (value) => ethers.utils.isHexString(value.trim(), 32);
+
+/**
+ * Turn a template's fields into its parameters
+ * @param {string} key - Template key
+ * @param {Object} fields - Field values as typed
+ * @returns {Object} params, or an error message (empty while required fields are blank; see messageKey)
+ */
+const buildParams = (key, fields) => {
+  switch (key) {
+    case 'ecdsa': {
+      if (!fields.message || !fields.signature || !fields.signer) return { error: '' };
+      if (!ethers.utils.isHexString(fields.signature.trim())) return { error: messageKey('templates.errors.signatureHex') };
+      const signer = parseAddress(fields.signer);
+      if (!signer) return { error: messageKey('templates.errors.signerAddress') };
+      return { params: [ethers.utils.toUtf8Bytes(fields.message), fields.signature.trim(), signer] };
+    }
+    case 'merkle': {
+      if (!fields.leaf || !fields.root) return { error: '' };
+      const path = fields.path.split(/[\s,]+/).filter(Boolean);
+      if (!isBytes32(fields.leaf) || !isBytes32(fields.root) || !path.every(isBytes32)) {
+        return { error: messageKey('templates.errors.merkleHex') };
+      }
+      return { params: [fields.leaf.trim(), path, fields.root.trim()] };
+    }
+    default: {
+      const rounds = Number(fields.rounds);
+      if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_HASH_CHAIN_ROUNDS) {
+        return { error: messageKey('templates.errors.rounds', { max: MAX_HASH_CHAIN_ROUNDS }) };
+      }
+      return { params: [ethers.utils.toUtf8Bytes(fields.seed), Number(fields.algorithm), rounds] };
+    }
+  }
+};
+
+/**
+ * TaskTemplateForm component
+ * @param {Object} props - Component props
+ * @param {Function} props.onChange - Called with { bytes, error, description } whenever the encoded input changes
+ */
+const TaskTemplateForm = ({ onChange }) => {
+  const { t } = useI18n();
+  const [templateKey, setTemplateKey] = useState('ecdsa');
+  const [fields, setFields] = useState(INITIAL_FIELDS);
+
+  const current = fields[templateKey];
+
+  // Encode the selected template whenever its fields change
+  useEffect(() => {
+    const { params, error } = buildParams(templateKey, current);
+    if (!params) {
+      onChange({ bytes: null, error, description: '' });
+      return;
+    }
+    try {
+      onChange({
+        bytes: ethers.utils.arrayify(encodeTemplateInput(templateKey, params)),
+        error: '',
+        description: TASK_TEMPLATES[templateKey].name
+      });
+    } catch (err) {
+      onChange({ bytes: null, error: messageKey('templates.errors.encodeFailed', { reason: describeTxError(err) }), description: '' });
+    }
+  }, [templateKey, current, onChange]);
+
+  /**
+   * Update one field of the selected template
+   * @param {string} name - Field name
+   * @returns {Function} Change handler
+   */
+  const setField = (name) => (e) => {
+    const { value } = e.target;
+    setFields(prev => ({ ...prev, [templateKey]: { ...prev[templateKey], [name]: value } }));
+  };
+
+  return (
+    <div className="abi-editor template-form">
+      <label>
+        {t('templates.template')}
+        <select value={templateKey} onChange={(e) => setTemplateKey(e.target.value)}>
+          {Object.values(TASK_TEMPLATES).map(template => (
+            <option key={template.key} value={template.key}>{t(templateName(template.key))}</option>
+          ))}
+        </select>
+      </label>
+
+      {templateKey === 'ecdsa' && (
+        <>
+          <label>
+            {t('templates.ecdsa.message')}
+            <input type="text" value={current.message} onChange={setField('message')} placeholder={t('templates.ecdsa.messagePlaceholder')} />
+          </label>
+          <label>
+            {t('templates.ecdsa.signature')}
+            <input type="text" value={current.signature} onChange={setField('signature')} placeholder={t('templates.ecdsa.signaturePlaceholder')} spellCheck={false} />
+          </label>
+          <label>
+            {t('templates.ecdsa.signer')}
+            <input type="text" value={current.signer} onChange={setField('signer')} placeholder="0x..." spellCheck={false} />
+          </label>
+        </>
+      )}
+
+      {templateKey === 'merkle' && (
+        <>
+          <label>
+            {t('templates.merkle.leaf')}
+            <input type="text" value={current.leaf} onChange={setField('leaf')} placeholder={t('templates.merkle.leafPlaceholder')} spellCheck={false} />
+          </label>
+          <label>
+            {t('templates.merkle.path')}
+            <textarea
+              value={current.path}
+              onChange={setField('path')}
+              placeholder={t('templates.merkle.pathPlaceholder')}
+              rows={3}
+              spellCheck={false}
+            />
+          </label>
+          <label>
+            {t('templates.merkle.root')}
+            <input type="text" value={current.root} onChange={setField('root')} placeholder={t('templates.merkle.rootPlaceholder')} spellCheck={false} />
+          </label>
+        </>
+      )}
+
+      {templateKey === 'hashChain' && (
+        <>
+          <label>
+            {t('templates.hashChain.seed')}
+            <input type="text" value={current.seed} onChange={setField('seed')} placeholder={t('templates.hashChain.seedPlaceholder')} />
+          </label>
+          <label>
+            {t('templates.hashChain.algorithm')}
+            <select value={current.algorithm} onChange={setField('algorithm')}>
+              {HASH_ALGORITHMS.map((algorithm, index) => (
+                <option key={algorithm} value={String(index)}>{algorithm}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t('templates.hashChain.rounds')}
+            <input
+              type="number"
+              min="1"
+              max={MAX_HASH_CHAIN_ROUNDS}
+              value={current.rounds}
+              onChange={setField('rounds')}
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaskTemplateForm;
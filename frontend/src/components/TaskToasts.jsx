@@ -0,0 +1,37 @@
+/**
+ * Task toasts
+ * In-app alerts raised when a watched task is proven or goes unanswered
+ */
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { taskPath } from '../utils/routes';
+import RouteLink from './RouteLink';
+
+/**
+ * TaskToasts component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.toasts - Toasts from useTaskAlerts
+ * @param {Function} props.onDismiss - Called with a toast id to close it
+ */
+const TaskToasts = ({ toasts, onDismiss }) => {
+  const { t } = useI18n();
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="task-toasts" aria-live="polite">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`task-toast toast-${toast.kind}`}>
+          <div className="transaction-header">
+            <span className="transaction-label">{t(toast.title)}</span>
+            <button className="dismiss-task" onClick={() => onDismiss(toast.id)} title={t('common.dismiss')}>×</button>
+          </div>
+          <p>{t(toast.message)}</p>
+          <RouteLink to={taskPath(toast.taskId)} onClick={() => onDismiss(toast.id)}>{t('alerts.viewTask')}</RouteLink>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TaskToasts;
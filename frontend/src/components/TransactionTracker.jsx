@@ -0,0 +1,76 @@
+/**
+ * Transaction tracker panel
+ * Lists every transaction sent in this session with its state, hash, explorer link and
+ * confirmation count. Finished transactions can be dismissed
+ */
+import React from 'react';
+import { useTransactions, TX_STATUS_LABELS } from '../hooks/useTransactions';
+import { useI18n } from '../hooks/useI18n';
+import { shortenHex } from '../utils/format';
+
+/**
+ * Status text, with the confirmation count while a transaction is on-chain
+ * @param {Object} entry - Tracked transaction
+ * @param {Function} t - Translate function from useI18n
+ * @returns {string} Status text
+ */
+const statusText = (entry, t) => {
+  if (entry.status === 'submitted' || entry.status === 'confirming') {
+    return t('transactions.withConfirmations', {
+      status: t(TX_STATUS_LABELS[entry.status]),
+      confirmations: entry.confirmations,
+      required: entry.requiredConfirmations
+    });
+  }
+  return t(TX_STATUS_LABELS[entry.status]);
+};
+
+/**
+ * TransactionTracker component
+ */
+const TransactionTracker = () => {
+  const { t } = useI18n();
+  const { transactions, dismiss } = useTransactions();
+
+  if (transactions.length === 0) return null;
+
+  return (
+    <div className="transaction-tracker" aria-live="polite">
+      {transactions.map(entry => {
+        const finished = entry.status === 'confirmed' || entry.status === 'failed';
+
+        return (
+          <div key={entry.id} className={`transaction-entry tx-${entry.status}`}>
+            <div className="transaction-header">
+              <span className="transaction-label">{t(entry.label)}</span>
+              <span className="transaction-status">
+                {!finished && <span className="loading-spinner"></span>}
+                {statusText(entry, t)}
+              </span>
+              {finished && (
+                <button className="dismiss-task" onClick={() => dismiss(entry.id)} title={t('common.dismiss')}>×</button>
+              )}
+            </div>
+
+            {entry.hash && (
+              <p className="transaction-hash">
+                {entry.txUrl ? (
+                  <a href={entry.txUrl} target="_blank" rel="noopener noreferrer" title={entry.hash}>
+                    {shortenHex(entry.hash)} ↗
+                  </a>
+                ) : (
+                  <span title={entry.hash}>{shortenHex(entry.hash)}</span>
+                )}
+                {entry.replaced && <span className="transaction-note"> · {t('transactions.spedUp')}</span>}
+              </p>
+            )}
+
+            {entry.error && <p className="field-error">{t(entry.error)}</p>}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TransactionTracker;
@@ -0,0 +1,54 @@
+/**
+ * Wallet picker
+ * Lists every wallet found through EIP-6963 so users with several browser wallets
+ * choose which one connects instead of getting whichever claimed window.ethereum, or
+ * open the offline sandbox instead
+ */
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * WalletPicker component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.wallets - Wallets from useWalletDiscovery
+ * @param {Function} props.onSelect - Called with the chosen wallet
+ * @param {Function} props.onSandbox - Called when the offline sandbox is chosen
+ * @param {Function} props.onClose - Called when the picker is dismissed
+ */
+const WalletPicker = ({ wallets, onSelect, onSandbox, onClose }) => {
+  const { t, rich } = useI18n();
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="wallet-picker" onClick={(e) => e.stopPropagation()}>
+        <button className="close-modal" onClick={onClose}>×</button>
+        <h2>{t('wallet.title')}</h2>
+        {wallets.length === 0 ? (
+          <p className="operator-hint">{t('wallet.none')}</p>
+        ) : (
+          <ul className="wallet-list">
+            {wallets.map(wallet => (
+              <li key={wallet.info.uuid}>
+                <button className="wallet-option" onClick={() => onSelect(wallet)}>
+                  {wallet.info.icon ? (
+                    <img src={wallet.info.icon} alt="" className="wallet-icon" />
+                  ) : (
+                    <span className="wallet-icon wallet-icon-placeholder" />
+                  )}
+                  <span>{wallet.info.name || t('wallet.browserWallet')}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="operator-hint">
+          {rich('wallet.sandbox', {
+            link: <button className="link-button" onClick={onSandbox}>{t('wallet.sandboxLink')}</button>
+          })}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default WalletPicker;
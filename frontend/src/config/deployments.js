@@ -0,0 +1,197 @@
+/**
+ * Deployment registry
+ * Everything the dashboard needs to know about each supported chain, keyed by chainId:
+ * wallet network parameters, block explorer and where ZKCoProcessor (and the
+ * ReferenceProcessor used for normal-gas estimates) are deployed.
+ *
+ * Addresses can be overridden at build time with REACT_APP_<NETWORK>_CONTRACT_ADDRESS,
+ * REACT_APP_<NETWORK>_REFERENCE_ADDRESS and REACT_APP_<NETWORK>_DEPLOYMENT_BLOCK, and a
+ * read-only endpoint for the network set with REACT_APP_<NETWORK>_RPC_URL. The ETH/USD price
+ * feed used to show costs in dollars is REACT_APP_<NETWORK>_PRICE_FEED_ADDRESS. CRA only
+ * inlines env vars referenced by their full name, so each one is spelled out below.
+ */
+
+/**
+ * Read a block number from an env var
+ * @param {string|undefined} value - Env var value
+ * @returns {number} Block number, or 0 when unset
+ */
+const toBlock = (value) => Number(value || 0);
+
+/**
+ * A supported chain and the contracts deployed on it
+ * @typedef {Object} Deployment
+ * @property {number} chainId - Chain ID
+ * @property {string} key - Short network key used in the UI and env vars
+ * @property {string} name - Display name
+ * @property {Object|null} network - wallet_addEthereumChain parameters, null for the offline sandbox
+ * @property {string|null} explorerUrl - Block explorer base URL
+ * @property {string|null} contractAddress - ZKCoProcessor address, null when not deployed
+ * @property {string|null} referenceAddress - ReferenceProcessor address
+ * @property {number} deploymentBlock - Block ZKCoProcessor was deployed in
+ * @property {number} confirmations - Confirmations before a transaction is shown as confirmed
+ * @property {string|null} rpcUrl - JSON-RPC endpoint for read-only data when a link names this network
+ * @property {string|null} priceFeedAddress - Chainlink-style ETH/USD aggregator, null when costs cannot be shown in USD
+ * @property {boolean} [sandbox] - Whether this is the offline sandbox simulated in the browser
+ */
+
+/** @type {Object<number, Deployment>} */
+export const DEPLOYMENTS = {
+  // Sepolia testnet (REACT_APP_CONTRACT_ADDRESS is still honoured for existing setups)
+  11155111: {
+    chainId: 11155111,
+    key: 'sepolia',
+    name: 'Sepolia Testnet',
+    network: {
+      chainId: '0xaa36a7',
+      chainName: 'Sepolia Test Network',
+      nativeCurrency: {
+        name: 'Sepolia Ether',
+        symbol: 'SEP',
+        decimals: 18
+      },
+      rpcUrls: ['https://sepolia.infura.io/v3/'],
+      blockExplorerUrls: ['https://sepolia.etherscan.io']
+    },
+    explorerUrl: 'https://sepolia.etherscan.io',
+    contractAddress: process.env.REACT_APP_SEPOLIA_CONTRACT_ADDRESS || process.env.REACT_APP_CONTRACT_ADDRESS || null,
+    referenceAddress: process.env.REACT_APP_SEPOLIA_REFERENCE_ADDRESS || process.env.REACT_APP_REFERENCE_CONTRACT_ADDRESS || null,
+    deploymentBlock: toBlock(process.env.REACT_APP_SEPOLIA_DEPLOYMENT_BLOCK || process.env.REACT_APP_DEPLOYMENT_BLOCK),
+    confirmations: 2,
+    rpcUrl: process.env.REACT_APP_SEPOLIA_RPC_URL || null,
+    // Chainlink ETH/USD on Sepolia
+    priceFeedAddress: process.env.REACT_APP_SEPOLIA_PRICE_FEED_ADDRESS || '0x694AA1769357215DE4FAC081bf1f309aDC325306'
+  },
+  // Ethereum mainnet
+  1: {
+    chainId: 1,
+    key: 'mainnet',
+    name: 'Ethereum Mainnet',
+    network: {
+      chainId: '0x1',
+      chainName: 'Ethereum Mainnet',
+      nativeCurrency: {
+        name: 'Ether',
+        symbol: 'ETH',
+        decimals: 18
+      },
+      rpcUrls: ['https://mainnet.infura.io/v3/'],
+      blockExplorerUrls: ['https://etherscan.io']
+    },
+    explorerUrl: 'https://etherscan.io',
+    contractAddress: process.env.REACT_APP_MAINNET_CONTRACT_ADDRESS || null,
+    referenceAddress: process.env.REACT_APP_MAINNET_REFERENCE_ADDRESS || null,
+    deploymentBlock: toBlock(process.env.REACT_APP_MAINNET_DEPLOYMENT_BLOCK),
+    confirmations: 3,
+    rpcUrl: process.env.REACT_APP_MAINNET_RPC_URL || null,
+    // Chainlink ETH/USD on mainnet
+    priceFeedAddress: process.env.REACT_APP_MAINNET_PRICE_FEED_ADDRESS || '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419'
+  },
+  // Local Anvil or Hardhat node. The defaults are the addresses deploy.s.sol produces on a
+  // fresh Anvil chain with the first default account (nonce 0 and 1)
+  31337: {
+    chainId: 31337,
+    key: 'local',
+    name: 'Localhost (Anvil/Hardhat)',
+    network: {
+      chainId: '0x7a69',
+      chainName: 'Localhost 8545',
+      nativeCurrency: {
+        name: 'Ether',
+        symbol: 'ETH',
+        decimals: 18
+      },
+      rpcUrls: ['http://127.0.0.1:8545']
+    },
+    explorerUrl: null,
+    contractAddress: process.env.REACT_APP_LOCAL_CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    referenceAddress: process.env.REACT_APP_LOCAL_REFERENCE_ADDRESS || '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+    deploymentBlock: toBlock(process.env.REACT_APP_LOCAL_DEPLOYMENT_BLOCK),
+    // Anvil only mines when a transaction arrives, so a second block may never come
+    confirmations: 1,
+    rpcUrl: process.env.REACT_APP_LOCAL_RPC_URL || null,
+    // A fresh local chain has no feed; point this at a mock aggregator to try USD
+    priceFeedAddress: process.env.REACT_APP_LOCAL_PRICE_FEED_ADDRESS || null
+  },
+  // Offline sandbox (src/sandbox): a chain, ZKCoProcessor and operator simulated in the browser.
+  // The addresses are where the sandbox user's first two transactions deploy the contracts
+  7357: {
+    chainId: 7357,
+    key: 'sandbox',
+    name: 'Offline Sandbox',
+    network: null,
+    explorerUrl: null,
+    contractAddress: '0x1c7094E3707216c35466eC654B2078165A8C6C4B',
+    referenceAddress: '0xB5202cBe8DDb796075E5B0F2836a16c9ADfb67F7',
+    deploymentBlock: 1,
+    // Every transaction is mined in its own block, and none follow without one
+    confirmations: 1,
+    rpcUrl: null,
+    priceFeedAddress: null,
+    sandbox: true
+  }
+};
+
+// JSON-RPC endpoint used to show live data to visitors without a wallet, unless a link names a
+// network with its own rpcUrl. The chain is detected from the endpoint, so it must serve one
+// of the networks above
+export const READ_ONLY_RPC_URL = process.env.REACT_APP_RPC_URL || null;
+
+// Image ID the proof inspector checks proofs against by default. submitProof uses bytes32(0)
+// until it is wired to a real guest program, so that is the fallback
+export const DEFAULT_IMAGE_ID = process.env.REACT_APP_RISC0_IMAGE_ID ||
+  '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// Minutes a watched task may wait for a proof before it is flagged as unanswered. Users can
+// change it in the Your Tasks panel
+export const DEFAULT_STALE_TASK_MINUTES = Number(process.env.REACT_APP_STALE_TASK_MINUTES) || 30;
+
+// Names for common chains that have no deployment, so the UI can say where the wallet is
+const KNOWN_CHAIN_NAMES = {
+  5: 'Goerli Testnet',
+  10: 'Optimism',
+  137: 'Polygon',
+  8453: 'Base',
+  42161: 'Arbitrum One'
+};
+
+/**
+ * Normalise a chain ID from a wallet (hex string) or provider (number)
+ * @param {number|string} chainId - Chain ID
+ * @returns {number} Chain ID as a number
+ */
+export const toChainId = (chainId) => (typeof chainId === 'string' ? parseInt(chainId, 16) : Number(chainId));
+
+/**
+ * Look up the deployment for a chain
+ * @param {number|string} chainId - Chain ID (number or hex string)
+ * @returns {Deployment|null} Registry entry, or null for unsupported chains
+ */
+export const getDeployment = (chainId) => DEPLOYMENTS[toChainId(chainId)] || null;
+
+/**
+ * Look up a deployment by its network key
+ * @param {string} key - Network key, e.g. 'sepolia'
+ * @returns {Deployment|null} Registry entry
+ */
+export const getDeploymentByKey = (key) =>
+  Object.values(DEPLOYMENTS).find(deployment => deployment.key === key) || null;
+
+/**
+ * Networks a wallet can switch to: deployments that have a ZKCoProcessor address configured,
+ * leaving out the offline sandbox
+ * @returns {Array<Deployment>} Registry entries
+ */
+export const getSupportedDeployments = () =>
+  Object.values(DEPLOYMENTS).filter(deployment => deployment.contractAddress && !deployment.sandbox);
+
+/**
+ * Display name for any chain
+ * @param {number|string} chainId - Chain ID (number or hex string)
+ * @returns {string} Network name
+ */
+export const getChainName = (chainId) => {
+  const id = toChainId(chainId);
+  if (DEPLOYMENTS[id]) return DEPLOYMENTS[id].name;
+  return KNOWN_CHAIN_NAMES[id] || `Unknown (${id})`;
+};
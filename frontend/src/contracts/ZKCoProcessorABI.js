@@ -0,0 +1,44 @@
+/**
+ * Human-readable ABI for the ZKCoProcessor contract
+ * Shared by the React dashboard and the Node operator daemon so both sides
+ * always agree on the contract surface
+ */
+
+// ABI for our ZKCoProcessor contract
+export const ZKCoProcessorABI = [
+  // Events
+  "event ComputationRequested(bytes32 indexed taskId, address requester, uint256 complexity, uint256 reward)",
+  "event ProofSubmitted(bytes32 indexed taskId, address operator, bytes32 resultHash)",
+  "event ComparisonLogged(uint256 zkGasUsed, uint256 normalGasUsed, uint256 timeSaved)",
+  "event RewardPaid(address indexed operator, uint256 amount, bytes32 indexed taskId)",
+  "event OperatorRegistered(address indexed operator, uint256 stake)",
+  "event OperatorSlashed(address indexed operator, uint256 amount, string reason)",
+
+  // Requesters and operators
+  "function requestComputation(bytes calldata inputData) external payable",
+  "function registerAsOperator() external payable",
+  "function submitProof(bytes32 taskId, bytes calldata proof, bytes32 resultHash) external",
+  "function claimRewards() external",
+  "function logComparison(uint256 zkGasUsed, uint256 normalGasUsed, uint256 timeSaved) external",
+
+  // Views
+  "function tasks(bytes32) external view returns (bool completed, uint256 startTime, uint256 endTime, uint256 reward, address operator, uint256 complexity, bytes32 resultHash, bool verified)",
+  "function operators(address) external view returns (bool registered, uint256 stake, uint256 reputation, uint256 tasksCompleted)",
+  "function operatorRewards(address) external view returns (uint256)",
+  "function calculateReward(uint256 complexity) external view returns (uint256)",
+  "function getComputationTime(bytes32 taskId) external view returns (uint256)",
+  "function totalTasksProcessed() external view returns (uint256)",
+  "function baseRewardAmount() external view returns (uint256)",
+  "function minOperatorStake() external view returns (uint256)",
+  "function owner() external view returns (address)",
+  "function verifierContract() external view returns (address)",
+  "function validatePayload(bytes calldata proof) external pure",
+
+  // Owner only
+  "function setBaseRewardAmount(uint256 newAmount) external",
+  "function setVerifierContract(address _verifierContract) external",
+  "function slashOperator(address operator, uint256 amount, string calldata reason) external",
+  "function withdrawETH(uint256 amount) external"
+];
+
+export default ZKCoProcessorABI;
@@ -0,0 +1,568 @@
+/**
+ * Framework-agnostic client for the ZKCoProcessor contract
+ * Wraps every contract function and event and converts raw BigNumbers and tuples
+ * into plain objects. Works in the browser and in Node with either a signer
+ * (reads and writes) or a provider (read-only)
+ *
+ * Value conventions for everything the client returns:
+ * - wei amounts are native bigints
+ * - counts, complexities, block numbers and unix timestamps (seconds) are numbers
+ * - unset addresses, hashes and timestamps (zero on-chain) are null
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+import { ZKCoProcessorABI } from './ZKCoProcessorABI.js';
+
+const ZERO_HASH = ethers.constants.HashZero;
+
+/**
+ * Convert a BigNumber holding a wei amount to a bigint
+ * @param {BigNumber} value - Amount in wei
+ * @returns {bigint} Amount in wei
+ */
+const toWei = (value) => BigInt(value.toString());
+
+/**
+ * Map the zero address to null
+ * @param {string} address - Address returned by the contract
+ * @returns {string|null} Checksummed address or null
+ */
+const toAddress = (address) => (address === ethers.constants.AddressZero ? null : address);
+
+/**
+ * Map the zero hash to null
+ * @param {string} hash - bytes32 value returned by the contract
+ * @returns {string|null} Hash or null
+ */
+const toHash = (hash) => (hash === ZERO_HASH ? null : hash);
+
+/**
+ * Typed task record from the `tasks` mapping
+ * @typedef {Object} Task
+ * @property {string} taskId - Task identifier
+ * @property {boolean} exists - False when no task with this ID was ever requested
+ * @property {boolean} completed - Whether a proof has been submitted
+ * @property {boolean} verified - Whether the proof was accepted
+ * @property {number|null} startTime - Request time (unix seconds)
+ * @property {number|null} endTime - Proof submission time (unix seconds)
+ * @property {bigint} reward - Reward paid to the operator in wei
+ * @property {string|null} operator - Operator that submitted the proof
+ * @property {number} complexity - Input size in bytes
+ * @property {string|null} resultHash - Hash of the computation result
+ */
+
+/**
+ * Typed operator record from the `operators` mapping
+ * @typedef {Object} Operator
+ * @property {string} address - Operator address
+ * @property {boolean} registered - Whether the address is a registered operator
+ * @property {bigint} stake - Current stake in wei
+ * @property {number} reputation - Reputation score
+ * @property {number} tasksCompleted - Number of proofs submitted
+ * @property {bigint} pendingRewards - Unclaimed rewards in wei
+ */
+
+// Converters from decoded event args to typed event fields, keyed by event name
+const EVENT_FIELDS = {
+  ComputationRequested: (args) => ({
+    taskId: args.taskId,
+    requester: args.requester,
+    complexity: args.complexity.toNumber(),
+    reward: toWei(args.reward)
+  }),
+  ProofSubmitted: (args) => ({
+    taskId: args.taskId,
+    operator: args.operator,
+    resultHash: args.resultHash
+  }),
+  ComparisonLogged: (args) => ({
+    zkGasUsed: args.zkGasUsed.toNumber(),
+    normalGasUsed: args.normalGasUsed.toNumber(),
+    timeSaved: args.timeSaved.toNumber()
+  }),
+  RewardPaid: (args) => ({
+    operator: args.operator,
+    amount: toWei(args.amount),
+    taskId: args.taskId
+  }),
+  OperatorRegistered: (args) => ({
+    operator: args.operator,
+    stake: toWei(args.stake)
+  }),
+  OperatorSlashed: (args) => ({
+    operator: args.operator,
+    amount: toWei(args.amount),
+    reason: args.reason
+  })
+};
+
+// Names of all events the contract emits
+export const ZKCoProcessorEvents = Object.keys(EVENT_FIELDS);
+
+/**
+ * Client for a deployed ZKCoProcessor contract
+ */
+export class ZKCoProcessorClient {
+  /**
+   * @param {string} address - Address of the deployed contract
+   * @param {Signer|Provider} signerOrProvider - Signer for read/write access, provider for read-only
+   */
+  constructor(address, signerOrProvider) {
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error(`Invalid ZKCoProcessor address: ${address}`);
+    }
+    if (!signerOrProvider) {
+      throw new Error('A signer or provider is required');
+    }
+
+    this.address = ethers.utils.getAddress(address);
+    this.contract = new ethers.Contract(this.address, ZKCoProcessorABI, signerOrProvider);
+    this.interface = this.contract.interface;
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+  }
+
+  /**
+   * Whether this client can only read (no signer attached)
+   */
+  get readOnly() {
+    return this.signer === null;
+  }
+
+  /**
+   * Create a client for the same contract with a different signer or provider
+   * @param {Signer|Provider} signerOrProvider - New signer or provider
+   * @returns {ZKCoProcessorClient} New client
+   */
+  connect(signerOrProvider) {
+    return new ZKCoProcessorClient(this.address, signerOrProvider);
+  }
+
+  /**
+   * Throw a clear error when a write is attempted without a signer
+   * @param {string} method - Name of the contract function
+   */
+  requireSigner(method) {
+    if (this.readOnly) {
+      throw new Error(`${method} requires a signer; this client is read-only`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get a task by ID
+   * @param {string} taskId - Task identifier (bytes32)
+   * @returns {Promise<Task>} Typed task record
+   */
+  async getTask(taskId) {
+    const task = await this.contract.tasks(taskId);
+    return {
+      taskId,
+      exists: !task.startTime.isZero(),
+      completed: task.completed,
+      verified: task.verified,
+      startTime: task.startTime.isZero() ? null : task.startTime.toNumber(),
+      endTime: task.endTime.isZero() ? null : task.endTime.toNumber(),
+      reward: toWei(task.reward),
+      operator: toAddress(task.operator),
+      complexity: task.complexity.toNumber(),
+      resultHash: toHash(task.resultHash)
+    };
+  }
+
+  /**
+   * Get an operator's registration, stake, reputation and unclaimed rewards
+   * @param {string} address - Operator address
+   * @returns {Promise<Operator>} Typed operator record
+   */
+  async getOperator(address) {
+    const [operator, pendingRewards] = await Promise.all([
+      this.contract.operators(address),
+      this.contract.operatorRewards(address)
+    ]);
+    return {
+      address: ethers.utils.getAddress(address),
+      registered: operator.registered,
+      stake: toWei(operator.stake),
+      reputation: operator.reputation.toNumber(),
+      tasksCompleted: operator.tasksCompleted.toNumber(),
+      pendingRewards: toWei(pendingRewards)
+    };
+  }
+
+  /**
+   * @param {string} address - Operator address
+   * @returns {Promise<bigint>} Unclaimed rewards in wei
+   */
+  async getOperatorRewards(address) {
+    return toWei(await this.contract.operatorRewards(address));
+  }
+
+  /**
+   * @param {number} complexity - Input size in bytes
+   * @returns {Promise<bigint>} Reward the contract requires for this complexity, in wei
+   */
+  async calculateReward(complexity) {
+    return toWei(await this.contract.calculateReward(complexity));
+  }
+
+  /**
+   * Get the time between request and proof for a completed task
+   * Reverts on-chain (and therefore throws) if the task is not completed yet
+   * @param {string} taskId - Task identifier
+   * @returns {Promise<number>} Computation time in seconds
+   */
+  async getComputationTime(taskId) {
+    return (await this.contract.getComputationTime(taskId)).toNumber();
+  }
+
+  /**
+   * @returns {Promise<number>} Number of tasks with a submitted proof
+   */
+  async getTotalTasksProcessed() {
+    return (await this.contract.totalTasksProcessed()).toNumber();
+  }
+
+  /**
+   * @returns {Promise<bigint>} Base reward per 100 bytes of input, in wei
+   */
+  async getBaseRewardAmount() {
+    return toWei(await this.contract.baseRewardAmount());
+  }
+
+  /**
+   * @returns {Promise<bigint>} Minimum stake to register as an operator, in wei
+   */
+  async getMinOperatorStake() {
+    return toWei(await this.contract.minOperatorStake());
+  }
+
+  /**
+   * @returns {Promise<string>} Contract owner address
+   */
+  async getOwner() {
+    return this.contract.owner();
+  }
+
+  /**
+   * @returns {Promise<string|null>} RISC0 verifier address, or null when none is set
+   */
+  async getVerifierContract() {
+    return toAddress(await this.contract.verifierContract());
+  }
+
+  /**
+   * @returns {Promise<bigint>} ETH held by the contract, in wei
+   */
+  async getBalance() {
+    return toWei(await this.provider.getBalance(this.address));
+  }
+
+  /**
+   * Read all contract-wide parameters in one call
+   * @returns {Promise<Object>} owner, verifierContract, baseRewardAmount, minOperatorStake,
+   *   totalTasksProcessed and balance
+   */
+  async getParameters() {
+    const [owner, verifierContract, baseRewardAmount, minOperatorStake, totalTasksProcessed, balance] =
+      await Promise.all([
+        this.getOwner(),
+        this.getVerifierContract(),
+        this.getBaseRewardAmount(),
+        this.getMinOperatorStake(),
+        this.getTotalTasksProcessed(),
+        this.getBalance()
+      ]);
+    return { owner, verifierContract, baseRewardAmount, minOperatorStake, totalTasksProcessed, balance };
+  }
+
+  /**
+   * Check a proof against the contract's AVS payload validation (view call)
+   * @param {BytesLike} proof - Proof bytes
+   * @returns {Promise<boolean>} Whether the payload passes validation
+   */
+  async validatePayload(proof) {
+    try {
+      await this.contract.validatePayload(proof);
+      return true;
+    } catch (error) {
+      if (error.code === ethers.errors.CALL_EXCEPTION) return false;
+      throw error;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Quotes and preflight checks (nothing is sent)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Quote what requesting a computation costs: the reward the contract requires plus gas
+   * Without a sender (a read-only client and no `from`) only the reward is quoted: gas cannot
+   * be estimated for a call that pays the reward from no account
+   * @param {BytesLike} inputData - Input bytes for the computation
+   * @param {string} [from] - Account that will send the request (defaults to the signer)
+   * @returns {Promise<Object>} complexity, reward, gasLimit, gasPrice, maxFeePerGas, gasCost,
+   *   maxGasCost and total (reward + gasCost); wei amounts are bigints, gasLimit is a number.
+   *   gasLimit, gasCost and maxGasCost are null and total is the reward when there is no sender
+   */
+  async quoteRequest(inputData, from) {
+    const complexity = ethers.utils.arrayify(inputData).length;
+    const reward = await this.calculateReward(complexity);
+    const sender = from || (this.signer ? await this.signer.getAddress() : undefined);
+
+    if (!sender) {
+      return { complexity, reward, gasLimit: null, gasPrice: null, maxFeePerGas: null, gasCost: null, maxGasCost: null, total: reward };
+    }
+
+    const [gasLimit, feeData] = await Promise.all([
+      this.contract.estimateGas.requestComputation(inputData, { value: reward.toString(), from: sender }),
+      this.provider.getFeeData()
+    ]);
+
+    // gasPrice is what the transaction is expected to pay; maxFeePerGas is the EIP-1559 upper bound
+    const gasPrice = toWei(feeData.gasPrice);
+    const maxFeePerGas = feeData.maxFeePerGas ? toWei(feeData.maxFeePerGas) : gasPrice;
+    const gas = BigInt(gasLimit.toString());
+
+    return {
+      complexity,
+      reward,
+      gasLimit: gasLimit.toNumber(),
+      gasPrice,
+      maxFeePerGas,
+      gasCost: gas * gasPrice,
+      maxGasCost: gas * maxFeePerGas,
+      total: reward + gas * gasPrice
+    };
+  }
+
+  /**
+   * Simulate requestComputation with callStatic; throws with the revert reason if it would fail
+   * @param {BytesLike} inputData - Input bytes for the computation
+   * @param {Object} overrides - Call overrides; `value` should be the quoted reward
+   * @returns {Promise<void>}
+   */
+  async simulateRequestComputation(inputData, overrides = {}) {
+    this.requireSigner('requestComputation');
+    await this.contract.callStatic.requestComputation(inputData, overrides);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writes (require a signer); each returns the ethers TransactionResponse
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Request a computation
+   * @param {BytesLike} inputData - Input bytes for the computation
+   * @param {Object} overrides - Transaction overrides; `value` must cover calculateReward
+   * @returns {Promise<TransactionResponse>}
+   */
+  async requestComputation(inputData, overrides = {}) {
+    this.requireSigner('requestComputation');
+    return this.contract.requestComputation(inputData, overrides);
+  }
+
+  /**
+   * Register the signer as an operator
+   * @param {BigNumberish} stake - Stake to send, in wei
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async registerAsOperator(stake, overrides = {}) {
+    this.requireSigner('registerAsOperator');
+    return this.contract.registerAsOperator({ ...overrides, value: stake.toString() });
+  }
+
+  /**
+   * Submit a proof for a task (registered operators only)
+   * @param {string} taskId - Task identifier
+   * @param {BytesLike} proof - Proof bytes
+   * @param {string} resultHash - Hash of the computation result
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async submitProof(taskId, proof, resultHash, overrides = {}) {
+    this.requireSigner('submitProof');
+    return this.contract.submitProof(taskId, proof, resultHash, overrides);
+  }
+
+  /**
+   * Withdraw the signer's accumulated operator rewards
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async claimRewards(overrides = {}) {
+    this.requireSigner('claimRewards');
+    return this.contract.claimRewards(overrides);
+  }
+
+  /**
+   * Emit a ComparisonLogged event
+   * @param {number} zkGasUsed - Gas used by ZK processing
+   * @param {number} normalGasUsed - Gas normal processing would have used
+   * @param {number} timeSaved - Time saved in milliseconds
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async logComparison(zkGasUsed, normalGasUsed, timeSaved, overrides = {}) {
+    this.requireSigner('logComparison');
+    return this.contract.logComparison(zkGasUsed, normalGasUsed, timeSaved, overrides);
+  }
+
+  /**
+   * Set the base reward amount (owner only)
+   * @param {BigNumberish} amount - New base reward in wei
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async setBaseRewardAmount(amount, overrides = {}) {
+    this.requireSigner('setBaseRewardAmount');
+    return this.contract.setBaseRewardAmount(amount.toString(), overrides);
+  }
+
+  /**
+   * Set the RISC0 verifier contract (owner only)
+   * @param {string} verifier - Verifier address, or the zero address to disable verification
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async setVerifierContract(verifier, overrides = {}) {
+    this.requireSigner('setVerifierContract');
+    return this.contract.setVerifierContract(verifier, overrides);
+  }
+
+  /**
+   * Slash an operator's stake (owner only)
+   * @param {string} operator - Operator address
+   * @param {BigNumberish} amount - Amount to slash in wei
+   * @param {string} reason - Reason recorded in the OperatorSlashed event
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async slashOperator(operator, amount, reason, overrides = {}) {
+    this.requireSigner('slashOperator');
+    return this.contract.slashOperator(operator, amount.toString(), reason, overrides);
+  }
+
+  /**
+   * Withdraw ETH from the contract to the owner (owner only)
+   * @param {BigNumberish} amount - Amount in wei
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<TransactionResponse>}
+   */
+  async withdrawETH(amount, overrides = {}) {
+    this.requireSigner('withdrawETH');
+    return this.contract.withdrawETH(amount.toString(), overrides);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Convert a raw log (or an ethers Event) from this contract into a typed event
+   * @param {Object} log - Log with topics, data and position fields
+   * @returns {Object|null} Typed event, or null if the log is not a ZKCoProcessor event
+   */
+  parseLog(log) {
+    if (!log.address || ethers.utils.getAddress(log.address) !== this.address) return null;
+
+    let parsed;
+    try {
+      parsed = this.interface.parseLog(log);
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      event: parsed.name,
+      ...EVENT_FIELDS[parsed.name](parsed.args),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex
+    };
+  }
+
+  /**
+   * Typed events emitted by this contract in a transaction receipt
+   * @param {TransactionReceipt} receipt - Receipt to inspect
+   * @param {string} [eventName] - Only return events with this name
+   * @returns {Array<Object>} Typed events
+   */
+  parseReceipt(receipt, eventName) {
+    return receipt.logs
+      .map(log => this.parseLog(log))
+      .filter(event => event && (!eventName || event.event === eventName));
+  }
+
+  /**
+   * Read the taskId from a requestComputation receipt
+   * @param {TransactionReceipt} receipt - Receipt of a requestComputation transaction
+   * @returns {string|null} Task identifier, or null if no ComputationRequested event was emitted
+   */
+  getTaskIdFromReceipt(receipt) {
+    const [requested] = this.parseReceipt(receipt, 'ComputationRequested');
+    return requested ? requested.taskId : null;
+  }
+
+  /**
+   * Build a log filter for an event
+   * @param {string} eventName - Event name
+   * @param {Array} args - Values for indexed arguments (null to match any)
+   * @returns {Object} Filter usable with queryFilter or provider.on
+   */
+  filter(eventName, ...args) {
+    if (!EVENT_FIELDS[eventName]) {
+      throw new Error(`Unknown ZKCoProcessor event: ${eventName}`);
+    }
+    return this.contract.filters[eventName](...args);
+  }
+
+  /**
+   * Query past events
+   * @param {string} eventName - Event name
+   * @param {Object} [options] - Query options
+   * @param {Array} [options.args] - Values for indexed arguments
+   * @param {number|string} [options.fromBlock] - First block (default 0)
+   * @param {number|string} [options.toBlock] - Last block (default 'latest')
+   * @returns {Promise<Array<Object>>} Typed events in chain order
+   */
+  async queryEvents(eventName, { args = [], fromBlock = 0, toBlock = 'latest' } = {}) {
+    const events = await this.contract.queryFilter(this.filter(eventName, ...args), fromBlock, toBlock);
+    return events.map(event => this.parseLog(event));
+  }
+
+  /**
+   * Query every event the contract emitted in a block range with a single queryFilter call
+   * @param {number} fromBlock - First block
+   * @param {number|string} toBlock - Last block
+   * @returns {Promise<Array<Object>>} Typed events in chain order
+   */
+  async queryAllEvents(fromBlock, toBlock) {
+    const events = await this.contract.queryFilter('*', fromBlock, toBlock);
+    return events.map(event => this.parseLog(event)).filter(Boolean);
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Called with each typed event
+   * @param {Array} [args] - Values for indexed arguments
+   * @returns {Function} Call to unsubscribe
+   */
+  on(eventName, listener, args = []) {
+    const filter = this.filter(eventName, ...args);
+    const handler = (...params) => {
+      const event = params[params.length - 1];
+      listener(this.parseLog(event));
+    };
+    this.contract.on(filter, handler);
+    return () => this.contract.off(filter, handler);
+  }
+}
+
+export default ZKCoProcessorClient;
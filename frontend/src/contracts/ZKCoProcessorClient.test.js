@@ -0,0 +1,397 @@
+/**
+ * ZKCoProcessorClient against a mocked provider
+ * The provider answers eth_call from ABI-encoded fixtures, records estimateGas and sent
+ * transactions, serves logs to queryFilter and hands subscriptions to the test, so the client's
+ * conversions run on exactly what a node would return
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+import { ZKCoProcessorClient, ZKCoProcessorEvents } from './ZKCoProcessorClient';
+import { ZKCoProcessorABI } from './ZKCoProcessorABI';
+
+const { AddressZero, HashZero } = ethers.constants;
+const { parseEther } = ethers.utils;
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const USER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OPERATOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const TASK_ID = ethers.utils.id('task-1');
+const RESULT_HASH = ethers.utils.id('result');
+
+const iface = new ethers.utils.Interface(ZKCoProcessorABI);
+
+// Selector of Error(string), the data a require() failure reverts with
+const ERROR_SELECTOR = ethers.utils.id('Error(string)').substring(0, 10);
+
+/**
+ * Provider that serves contract reads from a table of function results
+ */
+class MockProvider extends ethers.providers.Provider {
+  /**
+   * @param {Object} results - Function name to a function returning its outputs for the call's args
+   */
+  constructor(results = {}) {
+    super();
+    this.results = results;
+    this.calls = [];
+    this.estimates = [];
+    this.logs = [];
+    this.listeners = [];
+    this.feeData = {
+      gasPrice: ethers.BigNumber.from(2000000000),
+      maxFeePerGas: ethers.BigNumber.from(3000000000),
+      maxPriorityFeePerGas: ethers.BigNumber.from(1000000000)
+    };
+  }
+
+  async getNetwork() {
+    return { chainId: 31337, name: 'unknown' };
+  }
+
+  async resolveName(name) {
+    return name;
+  }
+
+  async call(tx) {
+    const { name, args } = iface.parseTransaction({ data: tx.data });
+    this.calls.push({ name, args, to: tx.to });
+    const result = this.results[name];
+    if (!result) throw new Error(`No result for ${name}`);
+    return iface.encodeFunctionResult(name, result(args));
+  }
+
+  async estimateGas(tx) {
+    this.estimates.push(tx);
+    return ethers.BigNumber.from(120000);
+  }
+
+  async getFeeData() {
+    return this.feeData;
+  }
+
+  async getBalance() {
+    return parseEther('1.5');
+  }
+
+  async getLogs(filter) {
+    return this.logs.filter(log => !filter.topics || filter.topics.every((topic, i) => !topic || topic === log.topics[i]));
+  }
+
+  on(eventName, listener) {
+    this.listeners.push({ eventName, listener });
+    return this;
+  }
+
+  off(eventName, listener) {
+    this.listeners = this.listeners.filter(entry => entry.listener !== listener);
+    return this;
+  }
+}
+
+/**
+ * Signer that records the transactions it is asked to send
+ */
+class MockSigner extends ethers.Signer {
+  /**
+   * @param {MockProvider} provider - Provider the signer is attached to
+   */
+  constructor(provider) {
+    super();
+    ethers.utils.defineReadOnly(this, 'provider', provider);
+    this.sent = [];
+  }
+
+  async getAddress() {
+    return USER;
+  }
+
+  async signMessage() {
+    throw new Error('Not supported');
+  }
+
+  async signTransaction() {
+    throw new Error('Not supported');
+  }
+
+  connect(provider) {
+    return new MockSigner(provider);
+  }
+
+  async sendTransaction(tx) {
+    const resolved = await ethers.utils.resolveProperties(tx);
+    this.sent.push(resolved);
+    return { hash: ethers.utils.id(`tx-${this.sent.length}`), ...resolved, wait: async () => ({ status: 1 }) };
+  }
+}
+
+/**
+ * Build a log the contract would emit
+ * @param {string} eventName - Event name
+ * @param {Array} values - Event arguments
+ * @param {Object} [position] - Block and transaction fields
+ * @returns {Object} Log
+ */
+const makeLog = (eventName, values, position = {}) => ({
+  address: CONTRACT,
+  ...iface.encodeEventLog(iface.getEvent(eventName), values),
+  blockNumber: 12,
+  blockHash: ethers.utils.id('block-12'),
+  transactionHash: ethers.utils.id('tx'),
+  logIndex: 0,
+  ...position
+});
+
+describe('ZKCoProcessorClient', () => {
+  describe('construction', () => {
+    it('rejects an invalid address or a missing provider', () => {
+      expect(() => new ZKCoProcessorClient('0x1234', new MockProvider())).toThrow('Invalid ZKCoProcessor address: 0x1234');
+      expect(() => new ZKCoProcessorClient(CONTRACT)).toThrow('A signer or provider is required');
+    });
+
+    it('is read-only with a provider and writable with a signer', () => {
+      const provider = new MockProvider();
+      const readOnly = new ZKCoProcessorClient(CONTRACT.toLowerCase(), provider);
+      expect(readOnly.readOnly).toBe(true);
+      expect(readOnly.address).toBe(CONTRACT);
+      expect(readOnly.provider).toBe(provider);
+
+      const signer = new MockSigner(provider);
+      const writable = readOnly.connect(signer);
+      expect(writable.readOnly).toBe(false);
+      expect(writable.signer).toBe(signer);
+      expect(writable.provider).toBe(provider);
+    });
+  });
+
+  describe('reads', () => {
+    it('converts a task record to plain values', async () => {
+      const provider = new MockProvider({
+        tasks: () => [true, 1700000000, 1700000042, parseEther('0.002'), OPERATOR, 250, RESULT_HASH, true]
+      });
+      const client = new ZKCoProcessorClient(CONTRACT, provider);
+
+      await expect(client.getTask(TASK_ID)).resolves.toEqual({
+        taskId: TASK_ID,
+        exists: true,
+        completed: true,
+        verified: true,
+        startTime: 1700000000,
+        endTime: 1700000042,
+        reward: BigInt('2000000000000000'),
+        operator: OPERATOR,
+        complexity: 250,
+        resultHash: RESULT_HASH
+      });
+      expect(provider.calls).toEqual([expect.objectContaining({ name: 'tasks', to: CONTRACT })]);
+      expect(provider.calls[0].args[0]).toBe(TASK_ID);
+    });
+
+    it('maps an unknown task to nulls', async () => {
+      const provider = new MockProvider({ tasks: () => [false, 0, 0, 0, AddressZero, 0, HashZero, false] });
+      const task = await new ZKCoProcessorClient(CONTRACT, provider).getTask(TASK_ID);
+
+      expect(task).toMatchObject({ exists: false, startTime: null, endTime: null, operator: null, resultHash: null, reward: BigInt(0) });
+    });
+
+    it('combines an operator record with its unclaimed rewards', async () => {
+      const provider = new MockProvider({
+        operators: () => [true, parseEther('1'), 105, 7],
+        operatorRewards: () => [parseEther('0.01')]
+      });
+      const operator = await new ZKCoProcessorClient(CONTRACT, provider).getOperator(OPERATOR.toLowerCase());
+
+      expect(operator).toEqual({
+        address: OPERATOR,
+        registered: true,
+        stake: BigInt('1000000000000000000'),
+        reputation: 105,
+        tasksCompleted: 7,
+        pendingRewards: BigInt('10000000000000000')
+      });
+    });
+
+    it('reads every contract parameter', async () => {
+      const provider = new MockProvider({
+        owner: () => [USER],
+        verifierContract: () => [AddressZero],
+        baseRewardAmount: () => [parseEther('0.001')],
+        minOperatorStake: () => [parseEther('0.1')],
+        totalTasksProcessed: () => [42]
+      });
+
+      await expect(new ZKCoProcessorClient(CONTRACT, provider).getParameters()).resolves.toEqual({
+        owner: USER,
+        verifierContract: null,
+        baseRewardAmount: BigInt('1000000000000000'),
+        minOperatorStake: BigInt('100000000000000000'),
+        totalTasksProcessed: 42,
+        balance: BigInt('1500000000000000000')
+      });
+    });
+
+    it('reports whether a payload passes validation', async () => {
+      let reason = null;
+      const provider = new MockProvider({ validatePayload: () => [] });
+      const call = provider.call.bind(provider);
+      // A revert comes back from eth_call as Error(string) data
+      provider.call = async (tx) => (reason
+        ? ethers.utils.hexConcat([ERROR_SELECTOR, ethers.utils.defaultAbiCoder.encode(['string'], [reason])])
+        : call(tx));
+      const client = new ZKCoProcessorClient(CONTRACT, provider);
+
+      await expect(client.validatePayload('0x01')).resolves.toBe(true);
+      reason = 'Empty proof';
+      await expect(client.validatePayload('0x')).resolves.toBe(false);
+    });
+  });
+
+  describe('quotes', () => {
+    it('quotes only the reward without a sender', async () => {
+      const provider = new MockProvider({ calculateReward: () => [parseEther('0.003')] });
+      const quote = await new ZKCoProcessorClient(CONTRACT, provider).quoteRequest('0x010203');
+
+      expect(quote).toEqual({
+        complexity: 3,
+        reward: BigInt('3000000000000000'),
+        gasLimit: null,
+        gasPrice: null,
+        maxFeePerGas: null,
+        gasCost: null,
+        maxGasCost: null,
+        total: BigInt('3000000000000000')
+      });
+      expect(provider.calls[0].args[0].toNumber()).toBe(3);
+      expect(provider.estimates).toHaveLength(0);
+    });
+
+    it('adds the estimated gas for the signer', async () => {
+      const provider = new MockProvider({ calculateReward: () => [parseEther('0.001')] });
+      const client = new ZKCoProcessorClient(CONTRACT, new MockSigner(provider));
+      const quote = await client.quoteRequest('0x0102');
+
+      expect(quote).toMatchObject({
+        complexity: 2,
+        gasLimit: 120000,
+        gasPrice: BigInt(2000000000),
+        maxFeePerGas: BigInt(3000000000),
+        gasCost: BigInt(120000) * BigInt(2000000000),
+        maxGasCost: BigInt(120000) * BigInt(3000000000),
+        total: BigInt('1000000000000000') + BigInt(120000) * BigInt(2000000000)
+      });
+      const [estimate] = provider.estimates;
+      expect(estimate.from).toBe(USER);
+      expect(estimate.value.toString()).toBe('1000000000000000');
+      expect(iface.parseTransaction({ data: estimate.data }).name).toBe('requestComputation');
+    });
+  });
+
+  describe('writes', () => {
+    it('refuses to send from a read-only client', async () => {
+      const client = new ZKCoProcessorClient(CONTRACT, new MockProvider());
+
+      await expect(client.requestComputation('0x01')).rejects.toThrow('requestComputation requires a signer; this client is read-only');
+      await expect(client.claimRewards()).rejects.toThrow('claimRewards requires a signer');
+    });
+
+    it('sends the encoded call with its value', async () => {
+      const signer = new MockSigner(new MockProvider());
+      const client = new ZKCoProcessorClient(CONTRACT, signer);
+
+      await client.requestComputation('0xabcd', { value: '500' });
+      await client.registerAsOperator(BigInt('100000000000000000'));
+      await client.submitProof(TASK_ID, '0x01', RESULT_HASH);
+
+      const [request, register, submit] = signer.sent;
+      expect(request.to).toBe(CONTRACT);
+      expect(request.value.toString()).toBe('500');
+      expect(iface.parseTransaction(request).args.inputData).toBe('0xabcd');
+      expect(register.value.toString()).toBe('100000000000000000');
+      expect(iface.parseTransaction(register).name).toBe('registerAsOperator');
+      expect(iface.parseTransaction(submit).args).toEqual(expect.objectContaining({ taskId: TASK_ID, proof: '0x01', resultHash: RESULT_HASH }));
+    });
+  });
+
+  describe('events', () => {
+    const client = new ZKCoProcessorClient(CONTRACT, new MockProvider());
+
+    it('types every event the contract emits', () => {
+      expect(ZKCoProcessorEvents).toEqual([
+        'ComputationRequested', 'ProofSubmitted', 'ComparisonLogged', 'RewardPaid', 'OperatorRegistered', 'OperatorSlashed'
+      ]);
+
+      expect(client.parseLog(makeLog('ComputationRequested', [TASK_ID, USER, 250, parseEther('0.002')]))).toEqual({
+        event: 'ComputationRequested',
+        taskId: TASK_ID,
+        requester: USER,
+        complexity: 250,
+        reward: BigInt('2000000000000000'),
+        blockNumber: 12,
+        blockHash: ethers.utils.id('block-12'),
+        transactionHash: ethers.utils.id('tx'),
+        logIndex: 0
+      });
+      expect(client.parseLog(makeLog('ComparisonLogged', [90000, 150000, 1200]))).toMatchObject({
+        event: 'ComparisonLogged', zkGasUsed: 90000, normalGasUsed: 150000, timeSaved: 1200
+      });
+      expect(client.parseLog(makeLog('OperatorSlashed', [OPERATOR, parseEther('0.05'), 'Invalid proof']))).toMatchObject({
+        event: 'OperatorSlashed', operator: OPERATOR, amount: BigInt('50000000000000000'), reason: 'Invalid proof'
+      });
+    });
+
+    it('ignores logs from other contracts and unknown events', () => {
+      expect(client.parseLog(makeLog('ProofSubmitted', [TASK_ID, OPERATOR, RESULT_HASH], { address: USER }))).toBeNull();
+      expect(client.parseLog({ address: CONTRACT, topics: [ethers.utils.id('Other()')], data: '0x' })).toBeNull();
+      expect(client.parseLog({ topics: [], data: '0x' })).toBeNull();
+    });
+
+    it('reads the task ID from a request receipt', () => {
+      const receipt = {
+        logs: [
+          makeLog('ProofSubmitted', [TASK_ID, OPERATOR, RESULT_HASH], { address: USER }),
+          makeLog('ComputationRequested', [TASK_ID, USER, 3, 1], { logIndex: 1 })
+        ]
+      };
+
+      expect(client.parseReceipt(receipt)).toHaveLength(1);
+      expect(client.getTaskIdFromReceipt(receipt)).toBe(TASK_ID);
+      expect(client.getTaskIdFromReceipt({ logs: [] })).toBeNull();
+    });
+
+    it('rejects filters for unknown events', () => {
+      expect(() => client.filter('Transfer')).toThrow('Unknown ZKCoProcessor event: Transfer');
+    });
+
+    it('queries past events with their indexed arguments', async () => {
+      const provider = new MockProvider();
+      const otherTask = ethers.utils.id('task-2');
+      provider.logs = [
+        makeLog('ProofSubmitted', [TASK_ID, OPERATOR, RESULT_HASH], { blockNumber: 10 }),
+        makeLog('ProofSubmitted', [otherTask, OPERATOR, RESULT_HASH], { blockNumber: 11 }),
+        makeLog('RewardPaid', [OPERATOR, 5, TASK_ID], { blockNumber: 10, logIndex: 1 })
+      ];
+      const reader = new ZKCoProcessorClient(CONTRACT, provider);
+
+      const proofs = await reader.queryEvents('ProofSubmitted', { args: [otherTask] });
+      expect(proofs).toEqual([expect.objectContaining({ event: 'ProofSubmitted', taskId: otherTask, operator: OPERATOR, blockNumber: 11 })]);
+
+      const all = await reader.queryAllEvents(0, 'latest');
+      expect(all.map(event => event.event)).toEqual(['ProofSubmitted', 'ProofSubmitted', 'RewardPaid']);
+      expect(all[2]).toMatchObject({ operator: OPERATOR, amount: BigInt(5), taskId: TASK_ID });
+    });
+
+    it('delivers subscribed events until unsubscribed', async () => {
+      const provider = new MockProvider();
+      const listener = jest.fn();
+      const unsubscribe = new ZKCoProcessorClient(CONTRACT, provider).on('ProofSubmitted', listener);
+
+      expect(provider.listeners).toHaveLength(1);
+      provider.listeners[0].listener(makeLog('ProofSubmitted', [TASK_ID, OPERATOR, RESULT_HASH]));
+      // ethers calls contract listeners on the next tick
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ event: 'ProofSubmitted', taskId: TASK_ID, resultHash: RESULT_HASH }));
+
+      unsubscribe();
+      expect(provider.listeners).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Gas comparisons built from measured on-chain data
+ *
+ * - ZK gas is the gasUsed of the two transactions the co-processor route costs on L1:
+ *   the requester's requestComputation and the operator's submitProof.
+ * - Normal gas is an estimate of doing the same computation directly on L1, obtained with
+ *   estimateGas on ReferenceProcessor.process(inputData) (operator/src/ReferenceProcessor.sol).
+ *   When no reference contract is configured the baseline is left null rather than guessed.
+ *
+ * Costs in wei price each figure at a gas price: the co-processor transactions at what their
+ * receipts say they paid, the normal-processing estimate at the request's price.
+ *
+ * Nothing here sends a transaction.
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+
+// ABI of the on-chain reference implementation
+export const ReferenceProcessorABI = [
+  "function process(bytes calldata inputData) external returns (bytes32 resultHash)"
+];
+
+/**
+ * Estimate the gas normal (on-chain) processing of an input would use
+ * @param {Provider} provider - Provider for the chain the reference is deployed on
+ * @param {string} referenceAddress - ReferenceProcessor address
+ * @param {BytesLike} inputData - Task input
+ * @param {string} [from] - Account to estimate for (the original requester)
+ * @returns {Promise<number>} Estimated gas, including the intrinsic transaction cost
+ */
+export const estimateNormalGas = async (provider, referenceAddress, inputData, from) => {
+  const reference = new ethers.Contract(referenceAddress, ReferenceProcessorABI, provider);
+  const gas = await reference.estimateGas.process(inputData, from ? { from } : {});
+  return gas.toNumber();
+};
+
+/**
+ * Gas price a transaction paid, from its receipt
+ * @param {TransactionReceipt} receipt - Transaction receipt
+ * @returns {bigint|null} Wei per gas, or null when the node does not report effectiveGasPrice
+ */
+const paidGasPrice = (receipt) => (receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice.toString()) : null);
+
+/**
+ * Recover the input bytes of a requestComputation transaction
+ * @param {ZKCoProcessorClient} client - Contract client
+ * @param {TransactionResponse} tx - The request transaction
+ * @returns {string|null} Input data as hex, or null if the request was not a direct call
+ */
+export const decodeRequestInput = (client, tx) => {
+  if (!tx || !tx.to || ethers.utils.getAddress(tx.to) !== client.address) return null;
+  try {
+    const parsed = client.interface.parseTransaction({ data: tx.data, value: tx.value });
+    return parsed.name === 'requestComputation' ? parsed.args.inputData : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a comparison for a task whose proof has been submitted
+ * @param {ZKCoProcessorClient} client - Contract client
+ * @param {Object} proofEvent - Typed ProofSubmitted event
+ * @param {Object} [options] - Optional inputs
+ * @param {string} [options.referenceAddress] - ReferenceProcessor address for the normal-gas baseline
+ * @param {number} [options.fromBlock] - Earliest block to search for the request (deployment block)
+ * @param {Object} [options.requestEvent] - Typed ComputationRequested event, if already known
+ * @returns {Promise<Object|null>} Comparison, or null if the request could not be found
+ */
+export const buildComparison = async (client, proofEvent, { referenceAddress, fromBlock = 0, requestEvent } = {}) => {
+  const { provider } = client;
+  const { taskId } = proofEvent;
+
+  let request = requestEvent;
+  if (!request) {
+    [request] = await client.queryEvents('ComputationRequested', {
+      args: [taskId],
+      fromBlock,
+      toBlock: proofEvent.blockNumber
+    });
+  }
+  if (!request) return null;
+
+  const [requestTx, requestReceipt, proofReceipt, task] = await Promise.all([
+    provider.getTransaction(request.transactionHash),
+    provider.getTransactionReceipt(request.transactionHash),
+    provider.getTransactionReceipt(proofEvent.transactionHash),
+    client.getTask(taskId)
+  ]);
+
+  const requestGasUsed = requestReceipt.gasUsed.toNumber();
+  const proofGasUsed = proofReceipt.gasUsed.toNumber();
+  const inputData = decodeRequestInput(client, requestTx);
+
+  let normalGasUsed = null;
+  if (referenceAddress && inputData) {
+    try {
+      normalGasUsed = await estimateNormalGas(provider, referenceAddress, inputData, request.requester);
+    } catch (error) {
+      console.error(`Could not estimate normal gas for task ${taskId}:`, error);
+    }
+  }
+
+  return {
+    taskId,
+    requester: request.requester,
+    operator: proofEvent.operator,
+    resultHash: proofEvent.resultHash,
+    complexity: request.complexity,
+    reward: request.reward,
+    requestTxHash: request.transactionHash,
+    requestBlock: request.blockNumber,
+    proofTxHash: proofEvent.transactionHash,
+    proofBlock: proofEvent.blockNumber,
+    requestGasUsed,
+    proofGasUsed,
+    zkGasUsed: requestGasUsed + proofGasUsed,
+    normalGasUsed,
+    // What each transaction paid per gas, in wei
+    requestGasPrice: paidGasPrice(requestReceipt),
+    proofGasPrice: paidGasPrice(proofReceipt),
+    // Reference contract the estimate was made against, so cached comparisons can be rebuilt
+    referenceAddress: referenceAddress || null,
+    startTime: task.startTime,
+    endTime: task.endTime,
+    // Seconds between the request and the proof, from the on-chain task record
+    provingTime: task.endTime !== null && task.startTime !== null ? task.endTime - task.startTime : null,
+    timestamp: (task.endTime || task.startTime || 0) * 1000
+  };
+};
+
+/**
+ * Gas saved by the co-processor route as a percentage of normal gas
+ * Negative when the co-processor route costs more than doing the work on-chain
+ * @param {Object} comparison - Comparison from buildComparison
+ * @returns {number|null} Rounded percentage, or null without a normal-gas baseline
+ */
+export const gasSavingsPercent = (comparison) => {
+  if (!comparison || !comparison.normalGasUsed) return null;
+  return Math.round(((comparison.normalGasUsed - comparison.zkGasUsed) / comparison.normalGasUsed) * 100);
+};
+
+/**
+ * Price of gas right now from provider.getFeeData(): the latest base fee plus the priority
+ * fee (EIP-1559), or the legacy gas price on chains without a base fee
+ * @param {FeeData} feeData - Fee data from the provider
+ * @returns {bigint|null} Wei per gas, or null when the provider reported nothing
+ */
+export const currentGasPrice = (feeData) => {
+  if (feeData.lastBaseFeePerGas) {
+    const priorityFee = feeData.maxPriorityFeePerGas ? BigInt(feeData.maxPriorityFeePerGas.toString()) : BigInt(0);
+    return BigInt(feeData.lastBaseFeePerGas.toString()) + priorityFee;
+  }
+  return feeData.gasPrice ? BigInt(feeData.gasPrice.toString()) : null;
+};
+
+/**
+ * What the two routes of a comparison cost in wei
+ * The co-processor route is priced at what its request and proof transactions paid, and the
+ * normal-processing estimate at the request's price, as if the work had been done in that
+ * transaction. Comparisons without recorded prices (indexed before they were recorded, or
+ * demo rows) are priced at the fallback
+ * @param {Object} comparison - Comparison from buildComparison
+ * @param {bigint|null} fallbackGasPrice - Price for figures without a recorded one, e.g. currentGasPrice()
+ * @returns {Object} zkCost, normalCost and saved (normalCost - zkCost) in wei, each null when
+ *   unknown, and whether the receipts' prices were used (fromReceipts)
+ */
+export const comparisonCosts = (comparison, fallbackGasPrice) => {
+  const requestPrice = comparison.requestGasPrice ?? fallbackGasPrice ?? null;
+  const proofPrice = comparison.proofGasPrice ?? fallbackGasPrice ?? null;
+  const cost = (gas, price) => (gas === null || gas === undefined || price === null ? null : BigInt(gas) * price);
+
+  const split = comparison.requestGasUsed !== undefined && comparison.proofGasUsed !== undefined;
+  const requestCost = split ? cost(comparison.requestGasUsed, requestPrice) : null;
+  const proofCost = split ? cost(comparison.proofGasUsed, proofPrice) : null;
+  const zkCost = split
+    ? (requestCost === null || proofCost === null ? null : requestCost + proofCost)
+    : cost(comparison.zkGasUsed, fallbackGasPrice ?? null);
+  const normalCost = cost(comparison.normalGasUsed, requestPrice);
+
+  return {
+    requestCost,
+    proofCost,
+    zkCost,
+    normalCost,
+    saved: zkCost !== null && normalCost !== null ? normalCost - zkCost : null,
+    fromReceipts: Boolean(comparison.requestGasPrice && comparison.proofGasPrice)
+  };
+};
+
+/**
+ * What a set of comparisons saved in total, over those with a normal-gas estimate
+ * @param {Array<Object>} comparisons - Comparisons from buildComparison
+ * @param {bigint|null} fallbackGasPrice - Price for figures without a recorded one
+ * @returns {Object} gas (units saved), wei (saved, null when any figure could not be priced) and
+ *   count (comparisons included)
+ */
+export const totalSavings = (comparisons, fallbackGasPrice) => {
+  const estimated = comparisons.filter(comparison => comparison.normalGasUsed !== null && comparison.normalGasUsed !== undefined);
+  let wei = BigInt(0);
+  estimated.forEach(comparison => {
+    const { saved } = comparisonCosts(comparison, fallbackGasPrice);
+    wei = wei === null || saved === null ? null : wei + saved;
+  });
+  return {
+    gas: estimated.reduce((sum, comparison) => sum + comparison.normalGasUsed - comparison.zkGasUsed, 0),
+    wei,
+    count: estimated.length
+  };
+};
@@ -0,0 +1,15 @@
+/**
+ * Entry point for the shared ZKCoProcessor bindings
+ */
+export { ZKCoProcessorABI } from './ZKCoProcessorABI.js';
+export { ZKCoProcessorClient, ZKCoProcessorEvents } from './ZKCoProcessorClient.js';
+export { ReferenceProcessorABI, buildComparison, comparisonCosts, currentGasPrice, decodeRequestInput, estimateNormalGas, gasSavingsPercent, totalSavings } from './gasComparison.js';
+export { AggregatorV3ABI, readPriceFeed } from './priceFeed.js';
+export { RISC0VerifierABI, decodeSubmitProof, inspectProof, verifierArguments, verifyWithRisc0 } from './proofInspection.js';
+export { loadTaskDetail } from './taskDetail.js';
+export { classifyQuery, resolveSearch } from './search.js';
+export { MOCK_IMAGE_ID, mockProve } from './mockProver.js';
+export { percentile, summarize } from './stats.js';
+export { createLogger } from './logger.js';
+export { sleep } from './sleep.js';
+export { TASK_TEMPLATES, HASH_ALGORITHMS, MAX_HASH_CHAIN_ROUNDS, encodeTemplateInput, decodeTemplateInput, computeReference } from './taskTemplates.js';
@@ -0,0 +1,32 @@
+/**
+ * Minimal leveled logger for the Node operator tooling (the daemon and the benchmark)
+ * Writes timestamped lines to stdout/stderr so output works with any process manager
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Create a logger that drops messages below the given level
+ * @param {string} level - Minimum level to print ('debug', 'info', 'warn' or 'error')
+ * @returns {Object} Logger with debug, info, warn and error methods
+ */
+export const createLogger = (level = 'info') => {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const write = (name) => (...args) => {
+    if (LEVELS[name] < threshold) return;
+    const line = [new Date().toISOString(), name.toUpperCase().padEnd(5), ...args];
+    if (LEVELS[name] >= LEVELS.warn) {
+      console.error(...line);
+    } else {
+      console.log(...line);
+    }
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+  };
+};
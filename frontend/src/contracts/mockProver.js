@@ -0,0 +1,24 @@
+/**
+ * Mock prover shared by the operator daemon and the sandbox's simulated operator
+ * Template inputs (signature, Merkle and hash chain tasks) get the template's result, anything
+ * else is keccak256 over the raw input bytes. The proof encodes (imageId, taskId, resultHash)
+ * so it can be inspected later; the demo contract does not verify proofs yet
+ */
+import { ethers } from 'ethers';
+import { computeReference } from './taskTemplates.js';
+
+// Image ID the mock prover claims to have executed
+export const MOCK_IMAGE_ID = ethers.utils.id('zkco.mock-prover.v1');
+
+/**
+ * Prove a task with the mock prover
+ * @param {string} taskId - Task ID
+ * @param {string|Uint8Array} inputData - Task input
+ * @returns {Object} proof and resultHash as hex strings
+ */
+export const mockProve = (taskId, inputData) => {
+  const reference = computeReference(inputData);
+  const resultHash = reference && reference.resultHash ? reference.resultHash : ethers.utils.keccak256(inputData);
+  const proof = ethers.utils.defaultAbiCoder.encode(['bytes32', 'bytes32', 'bytes32'], [MOCK_IMAGE_ID, taskId, resultHash]);
+  return { proof, resultHash };
+};
@@ -0,0 +1,39 @@
+/**
+ * Chainlink-style price feeds
+ * Reads the latest answer of an AggregatorV3Interface contract, such as Chainlink's ETH/USD
+ * feed, to convert wei amounts to USD. Nothing here sends a transaction.
+ */
+import { ethers } from 'ethers';
+
+// The part of AggregatorV3Interface the dashboard reads
+export const AggregatorV3ABI = [
+  "function decimals() external view returns (uint8)",
+  "function description() external view returns (string)",
+  "function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+/**
+ * Read the latest price from a feed
+ * @param {Provider} provider - Provider for the chain the feed is deployed on
+ * @param {string} feedAddress - Aggregator address
+ * @returns {Promise<Object>} price (quote units per base unit, e.g. USD per ETH), description,
+ *   roundId and updatedAt (unix seconds)
+ */
+export const readPriceFeed = async (provider, feedAddress) => {
+  const feed = new ethers.Contract(feedAddress, AggregatorV3ABI, provider);
+  const [decimals, description, round] = await Promise.all([
+    feed.decimals(),
+    feed.description(),
+    feed.latestRoundData()
+  ]);
+
+  if (round.answer.lte(0)) {
+    throw new Error(`The price feed at ${feedAddress} has no valid answer`);
+  }
+  return {
+    price: Number(ethers.utils.formatUnits(round.answer, decimals)),
+    description,
+    roundId: round.roundId.toString(),
+    updatedAt: round.updatedAt.toNumber()
+  };
+};
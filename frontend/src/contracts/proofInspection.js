@@ -0,0 +1,102 @@
+/**
+ * Proof inspection
+ *
+ * The contract does not store proof bytes; ProofSubmitted only carries the taskId, operator
+ * and resultHash. The proof is recovered from the calldata of the submitProof transaction
+ * that emitted the event, and can then be checked independently against the RISC Zero
+ * verifier with the same input and journal submitProof builds:
+ *   input = abi.encode(taskId), journal = abi.encode(resultHash)
+ *
+ * This matters because submitProof itself does not call the verifier yet.
+ * Nothing here sends a transaction.
+ */
+import { ethers } from 'ethers';
+
+// ABI of the verifier contract (operator/src/interfaces/IRISC0Verifier.sol)
+export const RISC0VerifierABI = [
+  "function verifyProof(bytes32 imageId, bytes calldata input, bytes calldata proof, bytes calldata journal) external view returns (bool)"
+];
+
+/**
+ * Decode the arguments of a submitProof transaction
+ * @param {ZKCoProcessorClient} client - Contract client
+ * @param {TransactionResponse} tx - The proof transaction
+ * @returns {Object|null} taskId, proof (hex) and resultHash, or null if the proof was not submitted by a direct call
+ */
+export const decodeSubmitProof = (client, tx) => {
+  if (!tx || !tx.to || ethers.utils.getAddress(tx.to) !== client.address) return null;
+  try {
+    const parsed = client.interface.parseTransaction({ data: tx.data, value: tx.value });
+    if (parsed.name !== 'submitProof') return null;
+    return { taskId: parsed.args.taskId, proof: parsed.args.proof, resultHash: parsed.args.resultHash };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the verifier input and journal exactly as submitProof does
+ * @param {string} taskId - Task identifier
+ * @param {string} resultHash - Result hash submitted with the proof
+ * @returns {Object} input and journal as hex
+ */
+export const verifierArguments = (taskId, resultHash) => ({
+  input: ethers.utils.defaultAbiCoder.encode(['bytes32'], [taskId]),
+  journal: ethers.utils.defaultAbiCoder.encode(['bytes32'], [resultHash])
+});
+
+/**
+ * Find the proof submitted for a task
+ * @param {ZKCoProcessorClient} client - Contract client
+ * @param {string} taskId - Task identifier
+ * @param {Object} [options] - Optional inputs
+ * @param {number} [options.fromBlock] - Earliest block to search (deployment block)
+ * @returns {Promise<Object|null>} The ProofSubmitted event fields, the transaction and the decoded
+ *   proof (null when it could not be recovered from calldata); null when no proof was submitted
+ */
+export const inspectProof = async (client, taskId, { fromBlock = 0 } = {}) => {
+  const [submitted] = await client.queryEvents('ProofSubmitted', { args: [taskId], fromBlock });
+  if (!submitted) return null;
+
+  const tx = await client.provider.getTransaction(submitted.transactionHash);
+  const decoded = decodeSubmitProof(client, tx);
+  const proof = decoded ? ethers.utils.arrayify(decoded.proof) : null;
+
+  return {
+    taskId,
+    operator: submitted.operator,
+    resultHash: submitted.resultHash,
+    transactionHash: submitted.transactionHash,
+    blockNumber: submitted.blockNumber,
+    proof,
+    proofSize: proof ? proof.length : null,
+    // The event and the calldata should always agree; a mismatch means the decoding went wrong
+    calldataResultHash: decoded ? decoded.resultHash : null
+  };
+};
+
+/**
+ * Check a proof with the RISC Zero verifier (view call)
+ * @param {Provider} provider - Provider for the chain the verifier is deployed on
+ * @param {string} verifierAddress - Verifier contract address
+ * @param {Object} proofData - What to verify
+ * @param {string} proofData.imageId - Image ID of the guest program (bytes32)
+ * @param {string} proofData.taskId - Task identifier
+ * @param {BytesLike} proofData.proof - Proof bytes from the submitProof calldata
+ * @param {string} proofData.resultHash - Result hash submitted with the proof
+ * @returns {Promise<Object>} verified, and when it is false, failure ('noContract' or 'returnedFalse')
+ *   and a readable reason
+ * @throws When the verifier reverts, which is how most verifiers reject an invalid proof
+ */
+export const verifyWithRisc0 = async (provider, verifierAddress, { imageId, taskId, proof, resultHash }) => {
+  const code = await provider.getCode(verifierAddress);
+  if (code === '0x') {
+    return { verified: false, failure: 'noContract', reason: `No contract is deployed at ${verifierAddress}` };
+  }
+
+  const verifier = new ethers.Contract(verifierAddress, RISC0VerifierABI, provider);
+  const { input, journal } = verifierArguments(taskId, resultHash);
+  const verified = await verifier.verifyProof(imageId, input, proof, journal);
+  if (!verified) return { verified, failure: 'returnedFalse', reason: 'The verifier returned false' };
+  return { verified, failure: null, reason: null };
+};
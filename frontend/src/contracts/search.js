@@ -0,0 +1,89 @@
+/**
+ * Search
+ *
+ * Resolves what a user pasted into the search box: a taskId, the hash of a transaction that
+ * requested or proved a task, or the address of an operator or a requester. Task IDs and
+ * transaction hashes are both 32 bytes, so a hash is first looked up in `tasks` and then as
+ * a transaction. The requester is not an indexed event argument, so requester lookups scan
+ * ComputationRequested events (or use ones the caller has already indexed).
+ *
+ * Nothing here sends a transaction.
+ */
+import { ethers } from 'ethers';
+
+/**
+ * Work out what kind of value a query is
+ * @param {string} input - Text typed by the user
+ * @returns {Object|null} type ('hash' or 'address') and value (lower-case hash or checksummed
+ *   address), or null when the query is neither
+ */
+export const classifyQuery = (input) => {
+  const value = (input || '').trim();
+  if (ethers.utils.isHexString(value, 32)) return { type: 'hash', value: value.toLowerCase() };
+  if (ethers.utils.isAddress(value)) return { type: 'address', value: ethers.utils.getAddress(value) };
+  return null;
+};
+
+/**
+ * Look up a 32-byte hash as a taskId, then as a transaction
+ * @param {ZKCoProcessorClient} client - Contract client
+ * @param {string} hash - Lower-case hash
+ * @returns {Promise<Object>} Search result
+ */
+const resolveHash = async (client, hash) => {
+  const task = await client.getTask(hash);
+  if (task.exists) return { kind: 'task', taskId: hash, source: 'taskId' };
+
+  const receipt = await client.provider.getTransactionReceipt(hash);
+  if (!receipt) {
+    const pending = await client.provider.getTransaction(hash);
+    return { kind: 'notFound', reason: pending ? 'pending' : 'unknownHash' };
+  }
+
+  const [event] = client.parseReceipt(receipt)
+    .filter(log => log.event === 'ComputationRequested' || log.event === 'ProofSubmitted');
+  if (!event) return { kind: 'notFound', reason: 'notATask' };
+
+  return { kind: 'task', taskId: event.taskId.toLowerCase(), source: 'transaction', event: event.event };
+};
+
+/**
+ * Look up an address as an operator, then as a requester
+ * @param {ZKCoProcessorClient} client - Contract client
+ * @param {string} address - Checksummed address
+ * @param {Array<Object>} requests - Typed ComputationRequested events
+ * @returns {Promise<Object>} Search result
+ */
+const resolveAddress = async (client, address, requests) => {
+  const requestCount = requests.filter(event => event.requester === address).length;
+
+  const operator = await client.getOperator(address);
+  if (operator.registered) return { kind: 'operator', address, requestCount };
+  if (requestCount > 0) return { kind: 'requester', address, requestCount };
+
+  return { kind: 'notFound', reason: 'unknownAddress' };
+};
+
+/**
+ * Resolve a search query against the contract
+ * @param {ZKCoProcessorClient} client - Contract client (read-only is enough)
+ * @param {string} input - Text typed by the user
+ * @param {Object} [options] - Optional inputs
+ * @param {number} [options.fromBlock] - Earliest block to scan for requests (deployment block)
+ * @param {Array<Object>|null} [options.requests] - ComputationRequested events already indexed;
+ *   when omitted they are queried from fromBlock
+ * @returns {Promise<Object>} One of
+ *   { kind: 'task', taskId, source ('taskId' or 'transaction'), event },
+ *   { kind: 'operator' | 'requester', address, requestCount } or
+ *   { kind: 'notFound', reason ('invalidQuery', 'pending', 'unknownHash', 'notATask' or 'unknownAddress',
+ *   the keys of the search.notFound messages) }
+ */
+export const resolveSearch = async (client, input, { fromBlock = 0, requests = null } = {}) => {
+  const query = classifyQuery(input);
+  if (!query) return { kind: 'notFound', reason: 'invalidQuery' };
+
+  if (query.type === 'hash') return resolveHash(client, query.value);
+
+  const knownRequests = requests || await client.queryEvents('ComputationRequested', { fromBlock });
+  return resolveAddress(client, query.value, knownRequests);
+};
@@ -0,0 +1,79 @@
+/**
+ * Search: classifying queries and resolving them against a stubbed client
+ */
+import { classifyQuery, resolveSearch } from './search';
+
+const HASH = `0x${'ab'.repeat(32)}`;
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+/**
+ * A client that knows one task, one mined transaction and one operator
+ * @param {Object} [overrides] - Replacements for the stubbed methods
+ * @returns {Object} Client stub
+ */
+const stubClient = (overrides = {}) => ({
+  getTask: async (taskId) => ({ exists: taskId === `0x${'11'.repeat(32)}` }),
+  getOperator: async (address) => ({ registered: address === '0x90F79bf6EB2c4f870365E785982E1f101E93b906' }),
+  queryEvents: async () => [],
+  parseReceipt: () => [],
+  provider: {
+    getTransactionReceipt: async () => null,
+    getTransaction: async () => null
+  },
+  ...overrides
+});
+
+describe('classifyQuery', () => {
+  it('recognises 32-byte hashes, lower-cased', () => {
+    expect(classifyQuery(`  ${HASH.toUpperCase().replace('0X', '0x')} `)).toEqual({ type: 'hash', value: HASH });
+  });
+
+  it('recognises addresses, checksummed', () => {
+    expect(classifyQuery(ADDRESS.toLowerCase())).toEqual({ type: 'address', value: ADDRESS });
+  });
+
+  it('rejects anything else', () => {
+    expect(classifyQuery('')).toBeNull();
+    expect(classifyQuery(null)).toBeNull();
+    expect(classifyQuery('0x1234')).toBeNull();
+    expect(classifyQuery(`${HASH}00`)).toBeNull();
+    expect(classifyQuery('hello')).toBeNull();
+  });
+});
+
+describe('resolveSearch', () => {
+  it('returns a reason, not an error, for queries it cannot use', async () => {
+    expect(await resolveSearch(stubClient(), 'hello')).toEqual({ kind: 'notFound', reason: 'invalidQuery' });
+  });
+
+  it('finds a task by its ID first', async () => {
+    const taskId = `0x${'11'.repeat(32)}`;
+    expect(await resolveSearch(stubClient(), taskId)).toEqual({ kind: 'task', taskId, source: 'taskId' });
+  });
+
+  it('finds a task from the transaction that requested it', async () => {
+    const client = stubClient({
+      provider: { getTransactionReceipt: async () => ({ logs: [] }) },
+      parseReceipt: () => [{ event: 'ComputationRequested', taskId: HASH.toUpperCase().replace('0X', '0x') }]
+    });
+    expect(await resolveSearch(client, HASH)).toEqual({ kind: 'task', taskId: HASH, source: 'transaction', event: 'ComputationRequested' });
+  });
+
+  it('tells pending, unknown and unrelated hashes apart', async () => {
+    const pending = stubClient({ provider: { getTransactionReceipt: async () => null, getTransaction: async () => ({}) } });
+    expect(await resolveSearch(pending, HASH)).toEqual({ kind: 'notFound', reason: 'pending' });
+    expect(await resolveSearch(stubClient(), HASH)).toEqual({ kind: 'notFound', reason: 'unknownHash' });
+
+    const unrelated = stubClient({ provider: { getTransactionReceipt: async () => ({ logs: [] }) } });
+    expect(await resolveSearch(unrelated, HASH)).toEqual({ kind: 'notFound', reason: 'notATask' });
+  });
+
+  it('resolves an address as an operator, then as a requester', async () => {
+    const operator = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+    const requests = [{ requester: ADDRESS }, { requester: ADDRESS }, { requester: operator }];
+
+    expect(await resolveSearch(stubClient(), operator, { requests })).toEqual({ kind: 'operator', address: operator, requestCount: 1 });
+    expect(await resolveSearch(stubClient(), ADDRESS, { requests })).toEqual({ kind: 'requester', address: ADDRESS, requestCount: 2 });
+    expect(await resolveSearch(stubClient(), ADDRESS)).toEqual({ kind: 'notFound', reason: 'unknownAddress' });
+  });
+});
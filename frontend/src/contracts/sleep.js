@@ -0,0 +1,10 @@
+/**
+ * Promise-based delay shared by the operator daemon and the benchmark
+ */
+
+/**
+ * Resolve after the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,35 @@
+/**
+ * Summary statistics shared by the analytics page and the load benchmark
+ */
+
+/**
+ * Value at a percentile, nearest-rank method
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value, or null for an empty list
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+/**
+ * Count, range, mean, median and percentiles of a list of values
+ * @param {Array<number|null>} values - Values; null and undefined are ignored
+ * @param {Array<number>} [percentiles] - Percentiles to add as p<N>, e.g. [95] adds p95
+ * @returns {Object} count, min, max, mean, median and p<N> (null when there are no values)
+ */
+export const summarize = (values, percentiles = [95]) => {
+  const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const summary = {
+    count: sorted.length,
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    mean: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null,
+    median: sorted.length === 0 ? null : sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+  };
+  percentiles.forEach(p => { summary[`p${p}`] = percentile(sorted, p); });
+  return summary;
+};
@@ -0,0 +1,30 @@
+/**
+ * Summary statistics shared by the analytics page and the load benchmark
+ */
+import { percentile, summarize } from './stats';
+
+describe('percentile', () => {
+  it('takes the nearest rank', () => {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    expect(percentile(sorted, 50)).toBe(50);
+    expect(percentile(sorted, 95)).toBe(100);
+    expect(percentile(sorted, 0)).toBe(10);
+    expect(percentile([], 95)).toBeNull();
+  });
+});
+
+describe('summarize', () => {
+  it('ignores missing values and sorts the rest', () => {
+    expect(summarize([4, null, 1, undefined, 3, 2], [50, 95])).toEqual({
+      count: 4, min: 1, max: 4, mean: 2.5, median: 2.5, p50: 2, p95: 4
+    });
+  });
+
+  it('takes the middle value of an odd count as the median', () => {
+    expect(summarize([9, 1, 5]).median).toBe(5);
+  });
+
+  it('reports nulls when there are no values', () => {
+    expect(summarize([null])).toEqual({ count: 0, min: null, max: null, mean: null, median: null, p95: null });
+  });
+});
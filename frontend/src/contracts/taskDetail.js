@@ -0,0 +1,49 @@
+/**
+ * Task detail
+ *
+ * Everything known on-chain about one task: the `tasks(taskId)` record, getComputationTime,
+ * the ComputationRequested event (requester, request transaction) with the original input
+ * decoded from that transaction's calldata, and the ProofSubmitted event.
+ *
+ * Nothing here sends a transaction.
+ */
+import { decodeRequestInput } from './gasComparison.js';
+
+/**
+ * Load the on-chain record of a task
+ * @param {ZKCoProcessorClient} client - Contract client
+ * @param {string} taskId - Task identifier
+ * @param {Object} [options] - Optional inputs
+ * @param {number} [options.fromBlock] - Earliest block to search for events (deployment block)
+ * @returns {Promise<Object|null>} task (typed record), computationTime (seconds, null until proven),
+ *   requester, inputData (hex, null when the request was not a direct call), the request and proof
+ *   transaction hashes and blocks; null when no task with this ID was ever requested
+ */
+export const loadTaskDetail = async (client, taskId, { fromBlock = 0 } = {}) => {
+  const task = await client.getTask(taskId);
+  if (!task.exists) return null;
+
+  const [[requested], [submitted], computationTime] = await Promise.all([
+    client.queryEvents('ComputationRequested', { args: [taskId], fromBlock }),
+    task.completed ? client.queryEvents('ProofSubmitted', { args: [taskId], fromBlock }) : [],
+    // getComputationTime reverts until the task is completed
+    task.completed ? client.getComputationTime(taskId) : null
+  ]);
+
+  let inputData = null;
+  if (requested) {
+    const requestTx = await client.provider.getTransaction(requested.transactionHash);
+    inputData = decodeRequestInput(client, requestTx);
+  }
+
+  return {
+    task,
+    computationTime,
+    requester: requested ? requested.requester : null,
+    inputData,
+    requestTxHash: requested ? requested.transactionHash : null,
+    requestBlock: requested ? requested.blockNumber : null,
+    proofTxHash: submitted ? submitted.transactionHash : null,
+    proofBlock: submitted ? submitted.blockNumber : null
+  };
+};
@@ -0,0 +1,182 @@
+/**
+ * Built-in task templates
+ *
+ * A template input is abi.encode(bytes32 templateId, bytes params), where params is the
+ * ABI encoding of the template's parameters. Anyone holding the input can compute the
+ * expected result, so the dashboard checks the operator's resultHash against a local
+ * reference and the mock prover answers template tasks with the same computation.
+ *
+ * The result of a template is ABI-encoded and resultHash = keccak256(result).
+ */
+import { ethers } from 'ethers';
+
+const { defaultAbiCoder, keccak256, sha256 } = ethers.utils;
+
+// Upper bound on hash chain rounds, so a reference can be computed in the browser
+export const MAX_HASH_CHAIN_ROUNDS = 100000;
+
+// Hash functions available to the hash chain template
+export const HASH_ALGORITHMS = ['keccak256', 'sha256'];
+
+/**
+ * Run an ECDSA check: recover the EIP-191 signer of the message and compare it
+ * @param {Array} params - [message bytes, signature bytes, expected signer]
+ * @returns {Object} ABI-encoded (bool valid, address recovered), a readable summary and its details
+ */
+const runEcdsa = ([message, signature, expectedSigner]) => {
+  let recovered = ethers.constants.AddressZero;
+  try {
+    recovered = ethers.utils.verifyMessage(ethers.utils.arrayify(message), signature);
+  } catch (error) {
+    // A malformed signature recovers nobody, so the check fails
+  }
+  const valid = recovered === ethers.utils.getAddress(expectedSigner);
+  return {
+    result: defaultAbiCoder.encode(['bool', 'address'], [valid, recovered]),
+    summary: valid ? `Valid signature by ${recovered}` : `Invalid: recovered ${recovered}`,
+    details: { valid, recovered }
+  };
+};
+
+/**
+ * Walk a Merkle proof with sorted-pair keccak256 hashing (the OpenZeppelin MerkleProof convention)
+ * @param {Array} params - [leaf, proof path, root]
+ * @returns {Object} ABI-encoded (bool included, bytes32 computedRoot), a readable summary and its details
+ */
+const runMerkle = ([leaf, path, root]) => {
+  const computedRoot = path.reduce((node, sibling) => {
+    const [a, b] = node.toLowerCase() < sibling.toLowerCase() ? [node, sibling] : [sibling, node];
+    return keccak256(ethers.utils.concat([a, b]));
+  }, leaf);
+  const included = computedRoot.toLowerCase() === root.toLowerCase();
+  return {
+    result: defaultAbiCoder.encode(['bool', 'bytes32'], [included, computedRoot]),
+    summary: included ? 'Leaf is included in the tree' : `Not included: path leads to ${computedRoot}`,
+    details: { included, computedRoot }
+  };
+};
+
+/**
+ * Hash the seed, then hash the digest again for the remaining rounds
+ * @param {Array} params - [seed bytes, algorithm index, rounds]
+ * @returns {Object} ABI-encoded bytes32 final digest, a readable summary and its details
+ */
+const runHashChain = ([seed, algorithm, rounds]) => {
+  const hash = HASH_ALGORITHMS[algorithm] === 'sha256' ? sha256 : keccak256;
+  let digest = seed;
+  for (let round = 0; round < rounds; round++) {
+    digest = hash(digest);
+  }
+  return {
+    result: defaultAbiCoder.encode(['bytes32'], [digest]),
+    summary: `${HASH_ALGORITHMS[algorithm]} × ${rounds}: ${digest}`,
+    details: { algorithm: HASH_ALGORITHMS[algorithm], rounds, digest }
+  };
+};
+
+// Readable messages for the codes validate() returns
+const VALIDATION_ERRORS = {
+  unknownAlgorithm: 'Unknown hash algorithm',
+  roundsOutOfRange: `Rounds must be between 1 and ${MAX_HASH_CHAIN_ROUNDS}`
+};
+
+/**
+ * Check hash chain parameters before running them
+ * @param {Array} params - [seed bytes, algorithm index, rounds]
+ * @returns {string|null} Why the parameters are invalid, as a key of VALIDATION_ERRORS
+ */
+const validateHashChain = ([, algorithm, rounds]) => {
+  if (!HASH_ALGORITHMS[algorithm]) return 'unknownAlgorithm';
+  if (rounds < 1 || rounds > MAX_HASH_CHAIN_ROUNDS) return 'roundsOutOfRange';
+  return null;
+};
+
+/**
+ * A built-in template
+ * @typedef {Object} TaskTemplate
+ * @property {string} key - Short key used in the UI
+ * @property {string} name - Display name
+ * @property {string} id - bytes32 identifier at the start of the input
+ * @property {Array<string>} paramTypes - ABI types of the parameters
+ * @property {Function} run - Computes { result, summary, details } from decoded parameters
+ * @property {Function} [validate] - Returns an error code for parameters that cannot be run
+ */
+
+/** @type {Object<string, TaskTemplate>} */
+export const TASK_TEMPLATES = {
+  ecdsa: {
+    key: 'ecdsa',
+    name: 'ECDSA signature verification',
+    id: ethers.utils.id('zkco.template.ecdsa.v1'),
+    paramTypes: ['bytes', 'bytes', 'address'],
+    run: runEcdsa
+  },
+  merkle: {
+    key: 'merkle',
+    name: 'Merkle inclusion proof',
+    id: ethers.utils.id('zkco.template.merkle.v1'),
+    paramTypes: ['bytes32', 'bytes32[]', 'bytes32'],
+    run: runMerkle
+  },
+  hashChain: {
+    key: 'hashChain',
+    name: 'Hash chain',
+    id: ethers.utils.id('zkco.template.hash-chain.v1'),
+    paramTypes: ['bytes', 'uint8', 'uint32'],
+    run: runHashChain,
+    validate: validateHashChain
+  }
+};
+
+/**
+ * Encode a template input
+ * @param {string} key - Template key
+ * @param {Array} params - Parameters in the order of the template's paramTypes
+ * @returns {string} Input data as hex
+ */
+export const encodeTemplateInput = (key, params) => {
+  const template = TASK_TEMPLATES[key];
+  if (!template) throw new Error(`Unknown task template: ${key}`);
+  const encodedParams = defaultAbiCoder.encode(template.paramTypes, params);
+  return defaultAbiCoder.encode(['bytes32', 'bytes'], [template.id, encodedParams]);
+};
+
+/**
+ * Recognise a template input
+ * @param {BytesLike} inputData - Task input
+ * @returns {Object|null} The template and its decoded parameters, or null for any other input
+ */
+export const decodeTemplateInput = (inputData) => {
+  try {
+    const [id, encodedParams] = defaultAbiCoder.decode(['bytes32', 'bytes'], inputData);
+    const template = Object.values(TASK_TEMPLATES).find(candidate => candidate.id === id);
+    if (!template) return null;
+    const params = defaultAbiCoder.decode(template.paramTypes, encodedParams);
+    // Plain numbers are easier to work with than BigNumbers for the small integer parameters
+    return { template, params: params.map(value => (ethers.BigNumber.isBigNumber(value) ? value.toNumber() : value)) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Compute the expected result of a template input
+ * @param {BytesLike} inputData - Task input
+ * @returns {Object|null} template key and name, result (hex), resultHash, a readable summary with
+ *   the details it is built from, and an error (with its errorCode) when the parameters cannot be
+ *   run; null when the input is not a template
+ */
+export const computeReference = (inputData) => {
+  const decoded = decodeTemplateInput(inputData);
+  if (!decoded) return null;
+
+  const { template, params } = decoded;
+  const base = { template: template.key, name: template.name };
+  const errorCode = template.validate ? template.validate(params) : null;
+  if (errorCode) {
+    return { ...base, result: null, resultHash: null, summary: '', details: null, error: VALIDATION_ERRORS[errorCode], errorCode };
+  }
+
+  const { result, summary, details } = template.run(params);
+  return { ...base, result, resultHash: keccak256(result), summary, details, error: null, errorCode: null };
+};
@@ -0,0 +1,76 @@
+/**
+ * Task templates: input encoding and the reference results the dashboard and mock prover compute
+ */
+import { ethers } from 'ethers';
+import { TASK_TEMPLATES, MAX_HASH_CHAIN_ROUNDS, encodeTemplateInput, decodeTemplateInput, computeReference } from './taskTemplates';
+
+const { keccak256, sha256, defaultAbiCoder } = ethers.utils;
+
+// Hardhat's first account
+const signer = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+
+describe('template inputs', () => {
+  it('round-trip through encode and decode', () => {
+    const seed = '0x1234';
+    const decoded = decodeTemplateInput(encodeTemplateInput('hashChain', [seed, 1, 3]));
+    expect(decoded.template).toBe(TASK_TEMPLATES.hashChain);
+    expect(decoded.params).toEqual([seed, 1, 3]);
+  });
+
+  it('are not recognised in other inputs', () => {
+    expect(decodeTemplateInput('0x1234')).toBeNull();
+    expect(decodeTemplateInput(defaultAbiCoder.encode(['bytes32', 'bytes'], [ethers.utils.id('other'), '0x']))).toBeNull();
+    expect(computeReference('0x')).toBeNull();
+  });
+
+  it('cannot be encoded for an unknown template', () => {
+    expect(() => encodeTemplateInput('nope', [])).toThrow('Unknown task template: nope');
+  });
+});
+
+describe('computeReference', () => {
+  it('verifies an ECDSA signature by its signer', async () => {
+    const message = ethers.utils.toUtf8Bytes('hello');
+    const signature = await signer.signMessage(message);
+
+    const valid = computeReference(encodeTemplateInput('ecdsa', [message, signature, signer.address]));
+    expect(valid.details).toEqual({ valid: true, recovered: signer.address });
+    expect(valid.resultHash).toBe(keccak256(defaultAbiCoder.encode(['bool', 'address'], [true, signer.address])));
+
+    const other = ethers.Wallet.createRandom().address;
+    expect(computeReference(encodeTemplateInput('ecdsa', [message, signature, other])).details.valid).toBe(false);
+  });
+
+  it('fails an ECDSA check with a malformed signature', () => {
+    const reference = computeReference(encodeTemplateInput('ecdsa', ['0x01', '0x1234', signer.address]));
+    expect(reference.details).toEqual({ valid: false, recovered: ethers.constants.AddressZero });
+  });
+
+  it('walks a Merkle proof with sorted pairs', () => {
+    const leaves = ['a', 'b', 'c', 'd'].map(ethers.utils.id);
+    const pair = (x, y) => keccak256(ethers.utils.concat(x.toLowerCase() < y.toLowerCase() ? [x, y] : [y, x]));
+    const root = pair(pair(leaves[0], leaves[1]), pair(leaves[2], leaves[3]));
+    const path = [leaves[3], pair(leaves[0], leaves[1])];
+
+    const included = computeReference(encodeTemplateInput('merkle', [leaves[2], path, root]));
+    expect(included.details).toEqual({ included: true, computedRoot: root });
+
+    const excluded = computeReference(encodeTemplateInput('merkle', [leaves[0], path, root]));
+    expect(excluded.details.included).toBe(false);
+  });
+
+  it('hashes a chain with either algorithm', () => {
+    const seed = '0xabcd';
+    expect(computeReference(encodeTemplateInput('hashChain', [seed, 0, 2])).details.digest).toBe(keccak256(keccak256(seed)));
+    const reference = computeReference(encodeTemplateInput('hashChain', [seed, 1, 2]));
+    expect(reference.details).toEqual({ algorithm: 'sha256', rounds: 2, digest: sha256(sha256(seed)) });
+    expect(reference.result).toBe(defaultAbiCoder.encode(['bytes32'], [sha256(sha256(seed))]));
+  });
+
+  it('reports hash chain parameters it will not run', () => {
+    const unknown = computeReference(encodeTemplateInput('hashChain', ['0x00', 7, 1]));
+    expect(unknown).toMatchObject({ template: 'hashChain', result: null, resultHash: null, errorCode: 'unknownAlgorithm' });
+    expect(computeReference(encodeTemplateInput('hashChain', ['0x00', 0, 0])).errorCode).toBe('roundsOutOfRange');
+    expect(computeReference(encodeTemplateInput('hashChain', ['0x00', 0, MAX_HASH_CHAIN_ROUNDS + 1])).errorCode).toBe('roundsOutOfRange');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Custom hook for the owner-only governance functions of the contract
+ * Works out whether the connected account is the owner, reads the contract-wide
+ * parameters and sends setBaseRewardAmount, setVerifierContract, slashOperator and withdrawETH
+ */
+import { useState, useCallback, useEffect } from 'react';
+import { useContractAction } from './useContractAction';
+import { messageKey } from '../i18n';
+import { describeTxError, DisplayError } from '../utils/txErrors';
+
+/**
+ * Custom hook for owner governance actions
+ * @param {ZKCoProcessorClient|null} client - Contract client with the wallet's signer
+ * @param {string|null} account - Connected account
+ * @returns {Object} isOwner, contract parameters and owner actions
+ */
+export const useAdmin = (client, account) => {
+  const [parameters, setParameters] = useState(null);
+  const { pendingAction, error, setError, run } = useContractAction();
+
+  const isOwner = !!(parameters && account && parameters.owner.toLowerCase() === account.toLowerCase());
+
+  /**
+   * Re-read owner, verifier, base reward, minimum stake and contract balance
+   */
+  const refresh = useCallback(async () => {
+    if (!client) return;
+
+    try {
+      setParameters(await client.getParameters());
+    } catch (err) {
+      console.error("Error loading contract parameters:", err);
+      setError(describeTxError(err));
+    }
+  }, [client, setError]);
+
+  // Load on connect, and keep the balance current as requests pay in and rewards are claimed
+  useEffect(() => {
+    setParameters(null);
+    if (!client) return undefined;
+
+    refresh();
+
+    const unsubscribers = [
+      client.on('ComputationRequested', refresh),
+      client.on('OperatorRegistered', refresh)
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [client, refresh]);
+
+  /**
+   * Send an owner transaction and re-read the parameters once it is mined
+   * @param {string} action - Action name
+   * @param {Function} send - Returns the TransactionResponse
+   * @param {Object} label - Description shown in the transaction tracker, a message made with messageKey
+   * @returns {Promise<TransactionReceipt>} Mined receipt
+   */
+  const runOwnerAction = useCallback(async (action, send, label) => {
+    if (!client) throw new DisplayError('common.connectFirst');
+    const receipt = await run(action, send, label);
+    await refresh();
+    return receipt;
+  }, [client, run, refresh]);
+
+  /**
+   * Look up an operator so slashing can be validated against its stake
+   * @param {string} address - Operator address
+   * @returns {Promise<Operator>} Typed operator record
+   */
+  const getOperator = useCallback((address) => client.getOperator(address), [client]);
+
+  /**
+   * @param {bigint} amount - New base reward in wei
+   */
+  const setBaseRewardAmount = useCallback(
+    (amount) => runOwnerAction('setBaseRewardAmount', () => client.setBaseRewardAmount(amount), messageKey('transactions.labels.setBaseReward')),
+    [client, runOwnerAction]
+  );
+
+  /**
+   * @param {string} verifier - Verifier contract address (the zero address disables verification)
+   */
+  const setVerifierContract = useCallback(
+    (verifier) => runOwnerAction('setVerifierContract', () => client.setVerifierContract(verifier), messageKey('transactions.labels.setVerifier')),
+    [client, runOwnerAction]
+  );
+
+  /**
+   * @param {string} operator - Operator address
+   * @param {bigint} amount - Stake to slash in wei
+   * @param {string} reason - Reason recorded in the OperatorSlashed event
+   */
+  const slashOperator = useCallback(
+    (operator, amount, reason) => runOwnerAction('slashOperator', () => client.slashOperator(operator, amount, reason), messageKey('transactions.labels.slash')),
+    [client, runOwnerAction]
+  );
+
+  /**
+   * @param {bigint} amount - Amount to withdraw to the owner, in wei
+   */
+  const withdrawETH = useCallback(
+    (amount) => runOwnerAction('withdrawETH', () => client.withdrawETH(amount), messageKey('transactions.labels.withdraw')),
+    [client, runOwnerAction]
+  );
+
+  return {
+    isOwner,
+    parameters,
+    pendingAction,
+    error,
+    refresh,
+    getOperator,
+    setBaseRewardAmount,
+    setVerifierContract,
+    slashOperator,
+    withdrawETH
+  };
+};
@@ -0,0 +1,41 @@
+/**
+ * Custom hook for sending contract transactions from a panel
+ * Tracks which action is in flight, sends the transaction through the shared
+ * transaction tracker and keeps the last error (a message from describeTxError) for display
+ */
+import { useState, useCallback } from 'react';
+import { useTransactions } from './useTransactions';
+import { describeTxError } from '../utils/txErrors';
+
+/**
+ * Custom hook to run contract transactions one at a time
+ * @returns {Object} pendingAction, error, setError and run(action, send, label)
+ */
+export const useContractAction = () => {
+  const { track } = useTransactions();
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Send a transaction and wait for it to be mined
+   * @param {string} action - Name of the action, exposed as pendingAction while it runs
+   * @param {Function} send - Returns the TransactionResponse
+   * @param {Object} label - Description shown in the transaction tracker, a message made with messageKey
+   * @returns {Promise<TransactionReceipt>} Mined receipt
+   */
+  const run = useCallback(async (action, send, label) => {
+    setPendingAction(action);
+    setError('');
+    try {
+      return await track(label, send);
+    } catch (err) {
+      console.error(`Error during ${action}:`, err);
+      setError(describeTxError(err));
+      throw err;
+    } finally {
+      setPendingAction(null);
+    }
+  }, [track]);
+
+  return { pendingAction, error, setError, run };
+};
@@ -0,0 +1,272 @@
+/**
+ * Custom hook that indexes the full event history of the contract
+ * Backfills events with queryFilter in block-range chunks starting at the deployment block,
+ * caches them in IndexedDB so later loads only fetch new blocks, keeps following new
+ * blocks, and derives a gas comparison for every submitted proof
+ */
+import { useState, useEffect } from 'react';
+import { buildComparison } from '../contracts/gasComparison';
+import { openEventCache, cacheScope } from '../utils/eventCache';
+import { describeTxError } from '../utils/txErrors';
+
+// Block range per queryFilter call; halved automatically when a provider rejects a range
+const CHUNK_SIZE = 2000;
+const MIN_CHUNK_SIZE = 10;
+
+// Blocks this close to the head may still be reorganised, so they are re-fetched
+// on every sync and never written to the cache
+const REORG_DEPTH = 5;
+
+// How long newly indexed comparisons stay highlighted
+const NEW_HIGHLIGHT_MS = 3000;
+
+// A comparison that fails to build is retried after this many blocks, doubling on every
+// further failure up to the maximum, instead of on every new block
+const RETRY_AFTER_BLOCKS = 2;
+const MAX_RETRY_AFTER_BLOCKS = 256;
+
+/**
+ * Sort comparisons newest first
+ * @param {Array<Object>} comparisons - Comparisons to sort
+ * @returns {Array<Object>} Sorted copy
+ */
+const newestFirst = (comparisons) =>
+  [...comparisons].sort((a, b) => b.timestamp - a.timestamp || b.proofBlock - a.proofBlock);
+
+/**
+ * Drop UI-only fields before a comparison is cached
+ * @param {Object} comparison - Comparison shown in the UI
+ * @returns {Object} Comparison to persist
+ */
+const toCacheRecord = ({ isNew, ...comparison }) => comparison;
+
+/**
+ * Custom hook to index contract history
+ * @param {ZKCoProcessorClient|null} client - Contract client
+ * @param {Object} options - Indexing options
+ * @param {number} [options.fromBlock] - Block the contract was deployed in
+ * @param {string|null} [options.referenceAddress] - ReferenceProcessor for normal-gas estimates
+ * @returns {Object} events (chain order), comparisons (newest first) and sync status
+ */
+export const useEventHistory = (client, { fromBlock = 0, referenceAddress = null } = {}) => {
+  const [events, setEvents] = useState([]);
+  const [comparisons, setComparisons] = useState([]);
+  const [status, setStatus] = useState({
+    syncing: false,
+    startBlock: fromBlock,
+    syncedBlock: null,
+    latestBlock: null,
+    error: null
+  });
+
+  useEffect(() => {
+    setEvents([]);
+    setComparisons([]);
+    setStatus({ syncing: false, startBlock: fromBlock, syncedBlock: null, latestBlock: null, error: null });
+
+    if (!client) return undefined;
+
+    const { provider } = client;
+    let cancelled = false;
+    let cache = null;
+    let initialSyncDone = false;
+    let syncInProgress = false;
+
+    // Last block whose events are final and cached; blocks after it are re-fetched
+    let safeBlock = null;
+    let indexedEvents = [];
+    const comparisonsByTask = new Map();
+    const cachedTasks = new Set();
+    // Tasks whose comparison failed to build: taskId → { attempts, retryBlock }
+    const failedTasks = new Map();
+
+    const publishComparisons = () => {
+      if (!cancelled) setComparisons(newestFirst(comparisonsByTask.values()));
+    };
+
+    /**
+     * Fetch all contract events in [start, end], shrinking the chunk size when the
+     * provider rejects a range as too large
+     */
+    const fetchRange = async (start, end, latestBlock) => {
+      const fetched = [];
+      let chunkSize = CHUNK_SIZE;
+      let chunkStart = start;
+
+      while (!cancelled && chunkStart <= end) {
+        const chunkEnd = Math.min(chunkStart + chunkSize - 1, end);
+        let chunkEvents;
+        try {
+          chunkEvents = await client.queryAllEvents(chunkStart, chunkEnd);
+        } catch (error) {
+          if (chunkSize <= MIN_CHUNK_SIZE) throw error;
+          chunkSize = Math.max(Math.floor(chunkSize / 2), MIN_CHUNK_SIZE);
+          continue;
+        }
+        fetched.push(...chunkEvents);
+
+        // Persist the part of this chunk that is deep enough to be final
+        const finalBlock = Math.min(chunkEnd, latestBlock - REORG_DEPTH);
+        if (finalBlock >= chunkStart) {
+          await cache.saveEvents(chunkEvents.filter(event => event.blockNumber <= finalBlock), finalBlock);
+          safeBlock = finalBlock;
+        }
+
+        if (!cancelled) {
+          setStatus(prev => ({ ...prev, syncedBlock: chunkEnd, latestBlock }));
+        }
+        chunkStart = chunkEnd + 1;
+      }
+
+      return fetched;
+    };
+
+    /**
+     * Build comparisons for proofs that don't have one yet
+     * @param {number} latestBlock - Current head, for backing off tasks that failed before
+     */
+    const buildMissingComparisons = async (latestBlock) => {
+      const requests = new Map(
+        indexedEvents
+          .filter(event => event.event === 'ComputationRequested')
+          .map(event => [event.taskId, event])
+      );
+      const proofs = indexedEvents.filter(event => event.event === 'ProofSubmitted');
+
+      // Drop comparisons whose proof was reorganised away and cache the ones that became final
+      const provenTasks = new Set(proofs.map(proof => proof.taskId));
+      const becameFinal = [];
+      for (const [taskId, comparison] of comparisonsByTask) {
+        if (!provenTasks.has(taskId)) {
+          comparisonsByTask.delete(taskId);
+        } else if (!cachedTasks.has(taskId) && safeBlock !== null && comparison.proofBlock <= safeBlock) {
+          becameFinal.push(toCacheRecord(comparison));
+          cachedTasks.add(taskId);
+        }
+      }
+      if (becameFinal.length > 0) await cache.saveComparisons(becameFinal);
+
+      for (const proof of proofs) {
+        if (cancelled) return;
+
+        const cached = comparisonsByTask.get(proof.taskId);
+        // Rebuild cached comparisons that were made without the current reference contract
+        if (cached && (cached.referenceAddress === referenceAddress || !referenceAddress)) continue;
+
+        const failure = failedTasks.get(proof.taskId);
+        if (failure && latestBlock < failure.retryBlock) continue;
+
+        let comparison;
+        try {
+          comparison = await buildComparison(client, proof, {
+            referenceAddress,
+            fromBlock,
+            requestEvent: requests.get(proof.taskId)
+          });
+        } catch (error) {
+          console.error(`Error building comparison for task ${proof.taskId}:`, error);
+          const attempts = failure ? failure.attempts + 1 : 1;
+          const wait = Math.min(RETRY_AFTER_BLOCKS * 2 ** (attempts - 1), MAX_RETRY_AFTER_BLOCKS);
+          failedTasks.set(proof.taskId, { attempts, retryBlock: latestBlock + wait });
+        }
+        if (!comparison || cancelled) continue;
+        failedTasks.delete(proof.taskId);
+
+        comparisonsByTask.set(proof.taskId, { ...comparison, isNew: initialSyncDone });
+        if (safeBlock !== null && proof.blockNumber <= safeBlock) {
+          await cache.saveComparisons([toCacheRecord(comparison)]);
+          cachedTasks.add(proof.taskId);
+        }
+        publishComparisons();
+
+        if (initialSyncDone) {
+          setTimeout(() => {
+            const current = comparisonsByTask.get(proof.taskId);
+            if (current && current.isNew) {
+              comparisonsByTask.set(proof.taskId, { ...current, isNew: false });
+              publishComparisons();
+            }
+          }, NEW_HIGHLIGHT_MS);
+        }
+      }
+    };
+
+    /**
+     * Fetch everything after the last final block, then derive comparisons
+     */
+    const sync = async () => {
+      if (syncInProgress || cancelled) return;
+      syncInProgress = true;
+
+      try {
+        const latestBlock = await provider.getBlockNumber();
+        const start = safeBlock === null ? fromBlock : safeBlock + 1;
+        if (start <= latestBlock) {
+          setStatus(prev => ({ ...prev, syncing: true, latestBlock, error: null }));
+
+          const fetched = await fetchRange(start, latestBlock, latestBlock);
+          if (cancelled) return;
+
+          // Events after the previous final block are replaced by the fresh fetch
+          indexedEvents = [...indexedEvents.filter(event => event.blockNumber < start), ...fetched];
+          setEvents(indexedEvents);
+        }
+
+        await buildMissingComparisons(latestBlock);
+        initialSyncDone = true;
+        if (!cancelled) {
+          setStatus(prev => ({ ...prev, syncing: false, syncedBlock: latestBlock, latestBlock }));
+        }
+      } catch (error) {
+        console.error('Error syncing contract history:', error);
+        if (!cancelled) {
+          setStatus(prev => ({ ...prev, syncing: false, error: describeTxError(error) }));
+        }
+      } finally {
+        syncInProgress = false;
+      }
+    };
+
+    const start = async () => {
+      try {
+        const network = await provider.getNetwork();
+        cache = await openEventCache(cacheScope(network.chainId, client.address));
+
+        // Show cached history immediately, then fetch only what is new
+        const cached = await cache.load();
+        if (cancelled) return;
+
+        indexedEvents = cached.events;
+        safeBlock = cached.lastBlock;
+        cached.comparisons.forEach(comparison => {
+          comparisonsByTask.set(comparison.taskId, comparison);
+          cachedTasks.add(comparison.taskId);
+        });
+        setEvents(indexedEvents);
+        publishComparisons();
+        if (safeBlock !== null) {
+          setStatus(prev => ({ ...prev, syncedBlock: safeBlock }));
+        }
+
+        await sync();
+        // The client may have changed during the first sync, and the cleanup already ran
+        if (cancelled) return;
+        provider.on('block', sync);
+      } catch (error) {
+        console.error('Error loading contract history:', error);
+        if (!cancelled) {
+          setStatus(prev => ({ ...prev, syncing: false, error: describeTxError(error) }));
+        }
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      provider.off('block', sync);
+    };
+  }, [client, fromBlock, referenceAddress]);
+
+  return { events, comparisons, status };
+};
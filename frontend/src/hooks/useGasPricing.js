@@ -0,0 +1,104 @@
+/**
+ * Custom hook for turning gas into money
+ * Follows the chain's current gas price (base fee plus priority fee, from getFeeData) and,
+ * when the deployment names one, the ETH/USD price from its Chainlink-style feed, and keeps
+ * the unit the user picked for costs
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { currentGasPrice, readPriceFeed } from '../contracts';
+import { messageKey } from '../i18n';
+
+// localStorage key holding the picked unit
+const UNIT_KEY = 'zkco.costUnit';
+
+// How often the gas price and the feed are read again
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Units costs can be shown in, with the message keys of their labels
+export const COST_UNITS = [
+  { key: 'gas', label: 'pricing.units.gas' },
+  { key: 'eth', label: 'pricing.units.eth' },
+  { key: 'usd', label: 'pricing.units.usd' }
+];
+
+/**
+ * Read the picked unit from localStorage
+ * @returns {string} Unit key
+ */
+const loadUnit = () => {
+  const stored = localStorage.getItem(UNIT_KEY);
+  return COST_UNITS.some(({ key }) => key === stored) ? stored : 'gas';
+};
+
+/**
+ * Custom hook to price gas on the current chain
+ * @param {ZKCoProcessorClient|null} client - Contract client; its provider is read
+ * @param {Deployment|null} deployment - Deployment in use, for its price feed
+ * @returns {Object} unit (USD falls back to ETH while no price is known), setUnit, gasPrice
+ *   (wei per gas, bigint), ethUsd (USD per ETH), feed (the reading from readPriceFeed),
+ *   usdAvailable (whether the deployment has a feed) and error
+ */
+export const useGasPricing = (client, deployment) => {
+  const [unit, setUnitState] = useState(loadUnit);
+  const [gasPrice, setGasPrice] = useState(null);
+  const [feed, setFeed] = useState(null);
+  const [error, setError] = useState('');
+
+  const feedAddress = deployment ? deployment.priceFeedAddress : null;
+
+  useEffect(() => {
+    setGasPrice(null);
+    setFeed(null);
+    setError('');
+    if (!client) return undefined;
+
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        const feeData = await client.provider.getFeeData();
+        if (!cancelled) setGasPrice(currentGasPrice(feeData));
+      } catch (err) {
+        console.error("Error reading fee data:", err);
+      }
+
+      if (!feedAddress) return;
+      try {
+        const reading = await readPriceFeed(client.provider, feedAddress);
+        if (!cancelled) {
+          setFeed(reading);
+          setError('');
+        }
+      } catch (err) {
+        console.error("Error reading the price feed:", err);
+        if (!cancelled) setError(messageKey('pricing.feedError'));
+      }
+    };
+
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [client, feedAddress]);
+
+  /**
+   * Pick the unit costs are shown in
+   * @param {string} key - 'gas', 'eth' or 'usd'
+   */
+  const setUnit = useCallback((key) => {
+    localStorage.setItem(UNIT_KEY, key);
+    setUnitState(key);
+  }, []);
+
+  return {
+    unit: unit === 'usd' && !feed ? 'eth' : unit,
+    setUnit,
+    gasPrice,
+    ethUsd: feed ? feed.price : null,
+    feed,
+    usdAvailable: Boolean(feedAddress),
+    error
+  };
+};
@@ -0,0 +1,146 @@
+/**
+ * Custom hook behind the header search box
+ * Resolves a taskId, transaction hash or address, opens the matching page and remembers
+ * recent searches in localStorage
+ */
+import { useState, useCallback } from 'react';
+import { classifyQuery, resolveSearch } from '../contracts/search';
+import { messageKey } from '../i18n';
+import { describeTxError } from '../utils/txErrors';
+import { taskPath, operatorPath, requesterPath } from '../utils/routes';
+import { useRouter } from './useRouter';
+
+// localStorage key holding recent searches
+const RECENT_SEARCHES_KEY = 'zkco.recentSearches';
+
+// Recent searches kept
+const MAX_RECENT_SEARCHES = 8;
+
+/**
+ * Read recent searches from localStorage
+ * @returns {Array<Object>} Recent searches, newest first
+ */
+const loadRecentSearches = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Page and label for a search result
+ * The label is a message, so recent searches read in whatever language is picked later
+ * @param {Object} result - Result from resolveSearch
+ * @returns {Object} path and label
+ */
+const describeResult = (result) => {
+  switch (result.kind) {
+    case 'task':
+      return {
+        path: taskPath(result.taskId),
+        label: result.source === 'transaction'
+          ? messageKey('search.results.taskFromTransaction', { event: result.event })
+          : messageKey('search.results.task')
+      };
+    case 'operator':
+      return { path: operatorPath(result.address), label: messageKey('search.results.operator') };
+    default:
+      return {
+        path: requesterPath(result.address),
+        label: messageKey('search.results.requester', { count: result.requestCount })
+      };
+  }
+};
+
+/**
+ * Custom hook for global search
+ * @param {ZKCoProcessorClient|null} client - Contract client (read-only is enough)
+ * @param {Object} options - Search inputs
+ * @param {number} [options.fromBlock] - Deployment block, where request scans start
+ * @param {Array<Object>} [options.events] - Indexed contract events
+ * @param {Object|null} [options.historyStatus] - Sync status of the indexed history
+ * @param {string|null} [options.chain] - Key of the network being searched
+ * @returns {Object} search(input), searching, error, recent, openRecent(entry) and clearRecent()
+ */
+export const useGlobalSearch = (client, { fromBlock = 0, events = [], historyStatus = null, chain = null } = {}) => {
+  const { navigate } = useRouter();
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+  const [recent, setRecent] = useState(loadRecentSearches);
+
+  /**
+   * Put a search at the top of the recent list
+   * @param {Object} entry - query, label, path and chain
+   */
+  const remember = useCallback((entry) => {
+    setRecent(previous => {
+      const next = [
+        entry,
+        ...previous.filter(item => item.query !== entry.query || item.chain !== entry.chain)
+      ].slice(0, MAX_RECENT_SEARCHES);
+      localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  /**
+   * Resolve a query and open its page
+   * @param {string} input - Text typed by the user
+   * @returns {Promise<boolean>} Whether a page was opened
+   */
+  const search = useCallback(async (input) => {
+    setError('');
+    if (!classifyQuery(input)) {
+      setError(messageKey('search.notFound.invalidQuery'));
+      return false;
+    }
+    if (!client) {
+      setError(messageKey('search.noClient'));
+      return false;
+    }
+
+    // Requests from a fully synced history save a scan of the whole chain
+    const synced = historyStatus && !historyStatus.syncing && historyStatus.syncedBlock !== null;
+    const requests = synced ? events.filter(event => event.event === 'ComputationRequested') : null;
+
+    setSearching(true);
+    try {
+      const result = await resolveSearch(client, input, { fromBlock, requests });
+      if (result.kind === 'notFound') {
+        setError(messageKey(`search.notFound.${result.reason}`));
+        return false;
+      }
+
+      const { path, label } = describeResult(result);
+      remember({ query: input.trim(), label, path, chain, time: Date.now() });
+      navigate(path);
+      return true;
+    } catch (err) {
+      console.error('Error searching:', err);
+      setError(describeTxError(err));
+      return false;
+    } finally {
+      setSearching(false);
+    }
+  }, [client, fromBlock, events, historyStatus, chain, remember, navigate]);
+
+  /**
+   * Open a recent search on the network it was made on
+   * @param {Object} entry - Entry from recent
+   */
+  const openRecent = useCallback((entry) => {
+    setError('');
+    remember({ ...entry, time: Date.now() });
+    navigate(entry.path, { chain: entry.chain });
+  }, [remember, navigate]);
+
+  // Forget all recent searches
+  const clearRecent = useCallback(() => {
+    localStorage.removeItem(RECENT_SEARCHES_KEY);
+    setRecent([]);
+  }, []);
+
+  return { search, searching, error, recent, openRecent, clearRecent };
+};
@@ -0,0 +1,108 @@
+/**
+ * Shared locale
+ * Holds the locale picked with the locale switcher (or detected from the browser), translates
+ * messages from the catalogs in src/i18n and keeps the number and date formatters in step
+ */
+import { createContext, createElement, Fragment, isValidElement, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { detectLocale, saveLocale, translate, LOCALES } from '../i18n';
+import { setFormatLocale } from '../utils/format';
+
+const I18nContext = createContext(null);
+
+// The only markup a message may carry, and the markers standing in for element placeholders
+const RICH_PATTERN = /<strong>(.*?)<\/strong>|\uE000(\w+)\uE000/g;
+
+/**
+ * Turn a message with <strong> runs and element placeholders into React children
+ * @param {string} message - Translated message
+ * @param {Object} elements - React elements by placeholder name
+ * @returns {React.ReactNode} Text, strong and placeholder elements
+ */
+const renderRich = (message, elements) => {
+  const children = [];
+  let last = 0;
+  for (const match of message.matchAll(RICH_PATTERN)) {
+    if (match.index > last) children.push(message.substring(last, match.index));
+    children.push(match[2]
+      ? createElement(Fragment, { key: match.index }, elements[match[2]])
+      : createElement('strong', { key: match.index }, match[1]));
+    last = match.index + match[0].length;
+  }
+  if (last < message.length) children.push(message.substring(last));
+  return createElement(Fragment, null, ...children);
+};
+
+/**
+ * Provider holding the current locale
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The app
+ */
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(() => {
+    const detected = detectLocale();
+    // Formatters read the locale while rendering, so it is set before the first render
+    setFormatLocale(detected);
+    return detected;
+  });
+
+  // Screen readers and hyphenation follow the page language
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  /**
+   * Switch to another locale and remember it
+   * @param {string} next - Locale key from LOCALES
+   */
+  const setLocale = useCallback((next) => {
+    if (!LOCALES.some(({ key }) => key === next)) return;
+    saveLocale(next);
+    setFormatLocale(next);
+    setLocaleState(next);
+  }, []);
+
+  /**
+   * Translate a message
+   * @param {string|Object} key - Dotted message key, or a message made with messageKey
+   * @param {Object} [params] - Placeholder values
+   * @returns {string} Message
+   */
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+
+  /**
+   * Translate a message that marks words with <strong> or places elements (a link, a button)
+   * inside the sentence
+   * @param {string} key - Dotted message key
+   * @param {Object} [params] - Placeholder values; React elements are rendered where their placeholder is
+   * @returns {React.ReactNode} Message
+   */
+  const rich = useCallback((key, params = {}) => {
+    const elements = {};
+    const values = {};
+    Object.entries(params).forEach(([name, value]) => {
+      if (isValidElement(value)) {
+        elements[name] = value;
+        values[name] = `\uE000${name}\uE000`;
+      } else {
+        values[name] = value;
+      }
+    });
+    return renderRich(translate(locale, key, values), elements);
+  }, [locale]);
+
+  const value = useMemo(() => ({ locale, setLocale, t, rich }), [locale, setLocale, t, rich]);
+
+  return createElement(I18nContext.Provider, { value }, children);
+};
+
+/**
+ * Custom hook to reach the shared locale
+ * @returns {Object} locale, setLocale(locale), t(key, params) and rich(key, params)
+ */
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used inside an I18nProvider');
+  }
+  return context;
+};
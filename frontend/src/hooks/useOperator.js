@@ -0,0 +1,109 @@
+/**
+ * Custom hook for the connected account's operator record
+ * Reads registration, stake, reputation, completed tasks and unclaimed rewards, and
+ * sends the registerAsOperator and claimRewards transactions. The record is re-read
+ * whenever an event concerning the account is emitted or one of its transactions is mined
+ */
+/* global BigInt */
+import { useState, useCallback, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { useContractAction } from './useContractAction';
+import { messageKey } from '../i18n';
+import { describeTxError, DisplayError } from '../utils/txErrors';
+
+/**
+ * Custom hook to read and manage the connected account's operator status
+ * The operator page reuses it read-only for any address
+ * @param {ZKCoProcessorClient|null} client - Contract client with the wallet's signer
+ * @param {string|null} account - Connected account, or the operator being viewed
+ * @returns {Object} Operator record, minimum stake, wallet balance and actions
+ */
+export const useOperator = (client, account) => {
+  const [operator, setOperator] = useState(null);
+  const [minStake, setMinStake] = useState(null);
+  const [walletBalance, setWalletBalance] = useState(null);
+  const { pendingAction, error, setError, run } = useContractAction();
+
+  /**
+   * Re-read the operator record, the minimum stake and the wallet balance
+   */
+  const refresh = useCallback(async () => {
+    if (!client || !account) return;
+
+    try {
+      const [record, stake, balance] = await Promise.all([
+        client.getOperator(account),
+        client.getMinOperatorStake(),
+        client.provider.getBalance(account)
+      ]);
+      setOperator(record);
+      setMinStake(stake);
+      setWalletBalance(BigInt(balance.toString()));
+    } catch (err) {
+      console.error("Error loading operator status:", err);
+      setError(describeTxError(err));
+    }
+  }, [client, account, setError]);
+
+  // Load on connect and follow every event that changes this account's record
+  useEffect(() => {
+    setOperator(null);
+    setWalletBalance(null);
+    setError('');
+    if (!client || !account) return undefined;
+
+    refresh();
+
+    const refreshIfOurs = (event) => {
+      if (event.operator && event.operator.toLowerCase() === account.toLowerCase()) {
+        refresh();
+      }
+    };
+
+    const unsubscribers = [
+      client.on('OperatorRegistered', refresh, [account]),
+      client.on('OperatorSlashed', refresh, [account]),
+      client.on('RewardPaid', refresh, [account]),
+      // ProofSubmitted has no indexed operator, so it is filtered here
+      client.on('ProofSubmitted', refreshIfOurs)
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [client, account, refresh, setError]);
+
+  /**
+   * Register the connected account as an operator
+   * @param {string} stakeEth - Stake in ETH, as typed by the user
+   * @returns {Promise<TransactionReceipt>} Mined receipt
+   */
+  const register = useCallback(async (stakeEth) => {
+    if (!client) throw new DisplayError('common.connectFirst');
+    const stake = ethers.utils.parseEther(stakeEth);
+    const receipt = await run('register', () => client.registerAsOperator(stake), messageKey('transactions.labels.register'));
+    await refresh();
+    return receipt;
+  }, [client, run, refresh]);
+
+  /**
+   * Withdraw the connected account's unclaimed rewards
+   * @returns {Promise<TransactionReceipt>} Mined receipt
+   */
+  const claim = useCallback(async () => {
+    if (!client) throw new DisplayError('common.connectFirst');
+    const receipt = await run('claim', () => client.claimRewards(), messageKey('transactions.labels.claim'));
+    // Refresh once the claim is mined so the wallet balance includes the payout
+    await refresh();
+    return receipt;
+  }, [client, run, refresh]);
+
+  return {
+    operator,
+    minStake,
+    walletBalance,
+    pendingAction,
+    error,
+    refresh,
+    register,
+    claim
+  };
+};
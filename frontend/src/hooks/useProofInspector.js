@@ -0,0 +1,94 @@
+/**
+ * Custom hook behind the proof inspector
+ * Loads the proof submitted for a task from its submitProof calldata and re-checks it
+ * against the configured RISC Zero verifier on request
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { inspectProof, verifyWithRisc0 } from '../contracts/proofInspection';
+import { ethers } from 'ethers';
+import { messageKey } from '../i18n';
+import { describeTxError, getRevertReason } from '../utils/txErrors';
+
+// Messages for the ways verifyWithRisc0 reports a proof it did not verify
+const VERIFY_FAILURES = {
+  noContract: 'inspector.noContract',
+  returnedFalse: 'inspector.returnedFalse'
+};
+
+/**
+ * Custom hook to inspect and verify the proof of one task
+ * @param {ZKCoProcessorClient|null} client - Contract client (read-only is enough)
+ * @param {string|null} taskId - Task to inspect
+ * @param {number} fromBlock - Earliest block to search for the proof (deployment block)
+ * @returns {Object} inspection, verifierContract, verification, loading, verifying, error and verify(imageId)
+ */
+export const useProofInspector = (client, taskId, fromBlock) => {
+  const [inspection, setInspection] = useState(null);
+  const [verifierContract, setVerifierContract] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the proof whenever the task changes
+  useEffect(() => {
+    setInspection(null);
+    setVerification(null);
+    setError('');
+    if (!client || !taskId) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+
+    Promise.all([inspectProof(client, taskId, { fromBlock }), client.getVerifierContract()])
+      .then(([result, verifier]) => {
+        if (cancelled) return;
+        setInspection(result);
+        setVerifierContract(verifier);
+        if (!result) setError(messageKey('inspector.noProof'));
+      })
+      .catch(err => {
+        console.error('Error inspecting proof:', err);
+        if (!cancelled) setError(describeTxError(err));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, taskId, fromBlock]);
+
+  /**
+   * Call verifyProof on the verifier contract with the recovered proof
+   * @param {string} imageId - Image ID of the guest program (bytes32)
+   */
+  const verify = useCallback(async (imageId) => {
+    if (!client || !inspection || !inspection.proof || !verifierContract) return;
+    setVerifying(true);
+    setVerification(null);
+    try {
+      const result = await verifyWithRisc0(client.provider, verifierContract, {
+        imageId,
+        taskId: inspection.taskId,
+        proof: inspection.proof,
+        resultHash: inspection.resultHash
+      });
+      const reason = result.verified ? null : messageKey(VERIFY_FAILURES[result.failure], { address: verifierContract });
+      setVerification({ verified: result.verified, reason, imageId });
+    } catch (err) {
+      console.error('Error verifying proof:', err);
+      // Verifiers usually reject an invalid proof by reverting rather than returning false
+      const revertReason = getRevertReason(err);
+      let reason = describeTxError(err);
+      if (revertReason) reason = messageKey('inspector.verifierRejected', { reason: revertReason });
+      else if (err.code === ethers.errors.CALL_EXCEPTION) reason = messageKey('inspector.revertedWithoutReason');
+      setVerification({ verified: false, reason, imageId });
+    } finally {
+      setVerifying(false);
+    }
+  }, [client, inspection, verifierContract]);
+
+  return { inspection, verifierContract, verification, loading, verifying, error, verify };
+};
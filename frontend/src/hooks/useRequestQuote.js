@@ -0,0 +1,62 @@
+/**
+ * Custom hook that quotes a computation request while the user types
+ * Reads the reward from the contract's calculateReward and estimates the gas of the
+ * request transaction, debounced so a quote is only fetched once typing pauses. Visitors
+ * without a wallet get the reward alone, since quoting only reads
+ */
+import { useState, useEffect } from 'react';
+import { describeTxError } from '../utils/txErrors';
+
+// Delay after the last keystroke before a new quote is fetched
+const QUOTE_DEBOUNCE_MS = 400;
+
+/**
+ * Custom hook to keep a live quote for the current input
+ * @param {ZKCoProcessorClient|null} client - Contract client, with the wallet's signer or read-only
+ * @param {Uint8Array|null} inputBytes - Encoded input, or null when there is nothing to quote
+ * @returns {Object} quote (from client.quoteRequest; the previous one while a new one is
+ *   fetched), fresh (whether quote is for the current input and client), quoting and error
+ */
+export const useRequestQuote = (client, inputBytes) => {
+  // The quote with the client and input it was made for
+  const [quoted, setQuoted] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    if (!client || !inputBytes || inputBytes.length === 0) {
+      setQuoted(null);
+      setQuoting(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setQuoting(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const result = await client.quoteRequest(inputBytes);
+        if (!cancelled) setQuoted({ quote: result, client, inputBytes });
+      } catch (err) {
+        console.error("Error quoting request:", err);
+        if (!cancelled) {
+          setQuoted(null);
+          setError(describeTxError(err));
+        }
+      } finally {
+        if (!cancelled) setQuoting(false);
+      }
+    }, QUOTE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [client, inputBytes]);
+
+  const quote = quoted ? quoted.quote : null;
+  const fresh = !!quoted && !quoting && quoted.client === client && quoted.inputBytes === inputBytes;
+
+  return { quote, fresh, quoting, error };
+};
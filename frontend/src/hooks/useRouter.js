@@ -0,0 +1,78 @@
+/**
+ * Shared router
+ * Keeps the current route in sync with the address bar through the History API, so pages
+ * can be opened from a link, refreshed, and left with the browser's back and forward buttons
+ */
+import { createContext, createElement, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { parseRoute, parseChain, withChain } from '../utils/routes';
+
+const RouterContext = createContext(null);
+
+/**
+ * Read the route and network from the address bar
+ * @returns {Object} route ({ page, params }) and chain (deployment key or null)
+ */
+const readLocation = () => ({
+  route: parseRoute(window.location.pathname),
+  chain: parseChain(window.location.search)
+});
+
+/**
+ * Provider holding the current route
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The app
+ */
+export const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+
+  // Back and forward
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  /**
+   * Go to a path, keeping the network named in the current URL
+   * @param {string} path - Route path, e.g. /tasks/0x...
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+   * @param {string|null} [options.chain] - Network to put in the URL instead of the current one
+   */
+  const navigate = useCallback((path, { replace = false, chain } = {}) => {
+    const url = withChain(path, chain === undefined ? parseChain(window.location.search) : chain);
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+      window.scrollTo(0, 0);
+    }
+    setLocation(readLocation());
+  }, []);
+
+  /**
+   * Name a network in the URL without adding a history entry
+   * @param {string|null} chain - Deployment key
+   */
+  const setChain = useCallback((chain) => {
+    navigate(window.location.pathname, { replace: true, chain });
+  }, [navigate]);
+
+  const value = useMemo(() => ({ ...location, navigate, setChain }), [location, navigate, setChain]);
+
+  return createElement(RouterContext.Provider, { value }, children);
+};
+
+/**
+ * Custom hook to reach the shared router
+ * @returns {Object} route ({ page, params }), chain, navigate(path, options) and setChain(chain)
+ */
+export const useRouter = () => {
+  const context = useContext(RouterContext);
+  if (!context) {
+    throw new Error('useRouter must be used inside a RouterProvider');
+  }
+  return context;
+};
@@ -0,0 +1,27 @@
+/**
+ * Custom hook for the offline sandbox's simulated operator
+ * Follows the operator's delay, pause state and queue of scheduled proofs, and changes them
+ */
+import { useState, useCallback, useEffect } from 'react';
+import { openSandbox } from '../sandbox';
+
+/**
+ * Custom hook to follow and configure the simulated operator
+ * Only used while the dashboard is connected to the sandbox, which is open by then
+ * @returns {Object} operator state (delaySeconds, paused, queue) and configure(changes)
+ */
+export const useSandboxOperator = () => {
+  const [state, setState] = useState(() => openSandbox().operator.getState());
+
+  useEffect(() => openSandbox().operator.subscribe(setState), []);
+
+  /**
+   * Change the proof delay or pause the operator
+   * @param {Object} changes - delaySeconds and/or paused
+   */
+  const configure = useCallback((changes) => {
+    openSandbox().operator.configure(changes);
+  }, []);
+
+  return { state, configure };
+};
@@ -0,0 +1,174 @@
+/**
+ * Custom hook that alerts the user about watched tasks
+ * Raises an in-app toast (and, when the user opted in, a browser notification) once when a
+ * watched task is proven, and once when it has waited longer than the stale timeout
+ */
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { DEFAULT_STALE_TASK_MINUTES } from '../config/deployments';
+import { taskPath } from '../utils/routes';
+import { shortenHex } from '../utils/format';
+import { useRouter } from './useRouter';
+import { useI18n } from './useI18n';
+import { messageKey } from '../i18n';
+
+// localStorage key remembering whether the user opted in to browser notifications
+const BROWSER_ALERTS_KEY = 'zkco.browserNotifications';
+
+// localStorage key holding the stale timeout chosen by the user, in minutes
+const STALE_MINUTES_KEY = 'zkco.staleTaskMinutes';
+
+// How long a toast stays on screen
+const TOAST_MS = 10000;
+
+// How often waiting tasks are checked against the stale timeout
+const STALE_CHECK_INTERVAL_MS = 30000;
+
+/**
+ * Whether this browser has the Notification API
+ * @returns {boolean} Whether notifications can be requested
+ */
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Read the stale timeout from localStorage
+ * @returns {number} Minutes
+ */
+const loadStaleMinutes = () => {
+  const stored = Number(localStorage.getItem(STALE_MINUTES_KEY));
+  return stored > 0 ? stored : DEFAULT_STALE_TASK_MINUTES;
+};
+
+/**
+ * Custom hook for task alerts
+ * @param {Array<Object>} tasks - Tracked tasks from useTaskLifecycle
+ * @param {Function} annotateTask - Merges fields into a tracked task; used to remember which
+ *   alerts were raised, so they are not repeated after a reload
+ * @returns {Object} toasts, dismissToast(id), staleTaskIds, staleAfterMinutes, setStaleAfterMinutes(minutes),
+ *   browserAlerts (support, permission and opt-in) and setBrowserAlerts(enabled)
+ */
+export const useTaskAlerts = (tasks, annotateTask) => {
+  const { navigate } = useRouter();
+  const { t } = useI18n();
+  const [toasts, setToasts] = useState([]);
+  const [staleAfterMinutes, setStaleAfterMinutesState] = useState(loadStaleMinutes);
+  const [browserOptIn, setBrowserOptIn] = useState(() => localStorage.getItem(BROWSER_ALERTS_KEY) === 'true');
+  const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : 'unsupported'));
+  const [now, setNow] = useState(Date.now);
+
+  // Alerts raised in this session; annotateTask is asynchronous, so this stops an alert from
+  // being raised twice before the task record catches up
+  const raised = useRef(new Set());
+
+  /**
+   * Remove a toast
+   * @param {number} id - Toast identifier
+   */
+  const dismissToast = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  /**
+   * Show a toast and, when allowed, a browser notification
+   * @param {Object} alert - kind ('proven' or 'stale'), taskId, and title and message as messages
+   *   (see messageKey), translated when shown
+   */
+  const raise = useCallback((alert) => {
+    const id = Date.now() + Math.random();
+    setToasts(prev => [...prev, { ...alert, id }]);
+    setTimeout(() => dismissToast(id), TOAST_MS);
+
+    if (browserOptIn && permission === 'granted') {
+      const notification = new Notification(t(alert.title), { body: t(alert.message), tag: `${alert.taskId}:${alert.kind}` });
+      notification.onclick = () => {
+        window.focus();
+        navigate(taskPath(alert.taskId));
+        notification.close();
+      };
+    }
+  }, [browserOptIn, permission, navigate, dismissToast, t]);
+
+  // Tasks still waiting for a proof, re-checked as time passes
+  const hasWaitingTasks = tasks.some(task => task.stage === 'pending');
+  useEffect(() => {
+    if (!hasWaitingTasks) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), STALE_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasWaitingTasks]);
+
+  const staleAfterMs = staleAfterMinutes * 60 * 1000;
+  const staleTaskIds = new Set(tasks
+    .filter(task => task.stage === 'pending' && now - task.requestedAt > staleAfterMs)
+    .map(task => task.taskId));
+
+  // Raise each alert once per task; runs after every render, as tasks and the clock both move
+  useEffect(() => {
+    tasks.forEach(task => {
+      if (task.stage !== 'pending' && !task.provenAlertedAt && !raised.current.has(`${task.taskId}:proven`)) {
+        raised.current.add(`${task.taskId}:proven`);
+        annotateTask(task.taskId, { provenAlertedAt: Date.now() });
+        raise({
+          kind: 'proven',
+          taskId: task.taskId,
+          title: messageKey('alerts.provenTitle'),
+          message: task.operator
+            ? messageKey('alerts.provenBy', { task: shortenHex(task.taskId), operator: shortenHex(task.operator) })
+            : messageKey('alerts.proven', { task: shortenHex(task.taskId) })
+        });
+      } else if (staleTaskIds.has(task.taskId) && !task.staleAlertedAt && !raised.current.has(`${task.taskId}:stale`)) {
+        raised.current.add(`${task.taskId}:stale`);
+        annotateTask(task.taskId, { staleAlertedAt: Date.now() });
+        raise({
+          kind: 'stale',
+          taskId: task.taskId,
+          title: messageKey('alerts.staleTitle'),
+          message: messageKey('alerts.stale', { task: shortenHex(task.taskId), count: staleAfterMinutes })
+        });
+      }
+    });
+  });
+
+  /**
+   * Change the stale timeout
+   * @param {number} minutes - Minutes a task may wait for a proof
+   */
+  const setStaleAfterMinutes = useCallback((minutes) => {
+    if (!(minutes > 0)) return;
+    localStorage.setItem(STALE_MINUTES_KEY, String(minutes));
+    setStaleAfterMinutesState(minutes);
+  }, []);
+
+  /**
+   * Opt in to or out of browser notifications, asking for permission when needed
+   * @param {boolean} enabled - Whether to send browser notifications
+   * @returns {Promise<boolean>} Whether notifications are now enabled
+   */
+  const setBrowserAlerts = useCallback(async (enabled) => {
+    if (!enabled) {
+      localStorage.setItem(BROWSER_ALERTS_KEY, 'false');
+      setBrowserOptIn(false);
+      return false;
+    }
+    if (!notificationsSupported()) return false;
+
+    const result = Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+    setPermission(result);
+    const granted = result === 'granted';
+    localStorage.setItem(BROWSER_ALERTS_KEY, granted ? 'true' : 'false');
+    setBrowserOptIn(granted);
+    return granted;
+  }, []);
+
+  return {
+    toasts,
+    dismissToast,
+    staleTaskIds,
+    staleAfterMinutes,
+    setStaleAfterMinutes,
+    browserAlerts: {
+      supported: permission !== 'unsupported',
+      permission,
+      enabled: browserOptIn && permission === 'granted'
+    },
+    setBrowserAlerts
+  };
+};
@@ -0,0 +1,50 @@
+/**
+ * Custom hook behind the computation detail modal
+ * Loads a task's on-chain record, its requester and original input, and its proof
+ */
+import { useState, useEffect } from 'react';
+import { loadTaskDetail } from '../contracts/taskDetail';
+import { messageKey } from '../i18n';
+import { describeTxError } from '../utils/txErrors';
+
+/**
+ * Custom hook to load the detail of one task
+ * @param {ZKCoProcessorClient|null} client - Contract client (read-only is enough)
+ * @param {string|null} taskId - Task to load
+ * @param {number} fromBlock - Earliest block to search for the task's events (deployment block)
+ * @returns {Object} detail (from loadTaskDetail), loading and error
+ */
+export const useTaskDetail = (client, taskId, fromBlock) => {
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDetail(null);
+    setError('');
+    if (!client || !taskId) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+
+    loadTaskDetail(client, taskId, { fromBlock })
+      .then(result => {
+        if (cancelled) return;
+        setDetail(result);
+        if (!result) setError(messageKey('modal.notFound'));
+      })
+      .catch(err => {
+        console.error('Error loading task detail:', err);
+        if (!cancelled) setError(describeTxError(err));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, taskId, fromBlock]);
+
+  return { detail, loading, error };
+};
@@ -0,0 +1,300 @@
+/**
+ * Custom hook for following computation tasks after they are requested
+ * Each tracked task moves through pending → proof submitted → verified → reward paid.
+ * Progress comes from ProofSubmitted/RewardPaid events for the taskId, with polling of
+ * tasks(taskId) as a fallback for events missed while the page was busy or offline.
+ * Tracked tasks form a watchlist that is kept in localStorage per deployment, so watching
+ * resumes when the page is opened again
+ */
+/* global BigInt */
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+// How often open tasks are re-read from the contract
+const POLL_INTERVAL_MS = 5000;
+
+// localStorage key prefix for the watchlist; the deployment scope is appended
+const WATCHLIST_KEY_PREFIX = 'zkco.watchlist.';
+
+// Task fields holding wei amounts, stored as decimal strings
+const WEI_FIELDS = ['reward', 'rewardAmount'];
+
+// Lifecycle stages in order
+export const TASK_STAGES = ['pending', 'proofSubmitted', 'verified', 'rewardPaid'];
+
+// Message keys of the labels shown in the UI for each stage
+export const TASK_STAGE_LABELS = {
+  pending: 'lifecycle.stages.pending',
+  proofSubmitted: 'lifecycle.stages.proofSubmitted',
+  verified: 'lifecycle.stages.verified',
+  rewardPaid: 'lifecycle.stages.rewardPaid'
+};
+
+/**
+ * Work out the current stage from the timestamps recorded on a task
+ * Stages only move forward, so the latest recorded timestamp wins
+ * @param {Object} task - Tracked task status object
+ * @returns {string} One of TASK_STAGES
+ */
+const deriveStage = (task) => {
+  if (task.rewardPaidAt) return 'rewardPaid';
+  if (task.verifiedAt) return 'verified';
+  if (task.proofSubmittedAt) return 'proofSubmitted';
+  return 'pending';
+};
+
+/**
+ * Read a deployment's watchlist from localStorage
+ * @param {string|null} scope - Deployment scope (see cacheScope)
+ * @returns {Object} Task status objects keyed by taskId
+ */
+const loadWatchlist = (scope) => {
+  if (!scope) return {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(WATCHLIST_KEY_PREFIX + scope)) || {};
+    return Object.fromEntries(Object.entries(stored).map(([taskId, task]) => {
+      const restored = { ...task };
+      WEI_FIELDS.forEach(field => {
+        if (typeof restored[field] === 'string') restored[field] = BigInt(restored[field]);
+      });
+      return [taskId, restored];
+    }));
+  } catch (error) {
+    console.error('Could not read the task watchlist:', error);
+    return {};
+  }
+};
+
+/**
+ * Write a deployment's watchlist to localStorage
+ * @param {string} scope - Deployment scope (see cacheScope)
+ * @param {Object} tasks - Task status objects keyed by taskId
+ */
+const saveWatchlist = (scope, tasks) => {
+  if (Object.keys(tasks).length === 0) {
+    localStorage.removeItem(WATCHLIST_KEY_PREFIX + scope);
+    return;
+  }
+  localStorage.setItem(WATCHLIST_KEY_PREFIX + scope, JSON.stringify(tasks, (key, value) =>
+    (typeof value === 'bigint' ? value.toString() : value)));
+};
+
+/**
+ * Delete a deployment's watchlist, for deployments that no longer exist
+ * @param {string} scope - Deployment scope (see cacheScope)
+ */
+export const forgetWatchlist = (scope) => localStorage.removeItem(WATCHLIST_KEY_PREFIX + scope);
+
+/**
+ * Custom hook to track the lifecycle of requested tasks
+ * @param {ZKCoProcessorClient|null} client - Contract client used for events and polling
+ * @param {string|null} scope - Deployment the client talks to (see cacheScope); the watchlist
+ *   is stored under it
+ * @returns {Object} Tracked tasks (newest first) and functions to add, annotate or remove tasks
+ */
+export const useTaskLifecycle = (client, scope) => {
+  // The deployment's watchlist: task status objects keyed by taskId
+  const [watchlist, setWatchlist] = useState(() => ({ scope, tasks: loadWatchlist(scope) }));
+  
+  // Switch watchlists when the wallet or read-only endpoint moves to another deployment
+  if (watchlist.scope !== scope) {
+    setWatchlist({ scope, tasks: loadWatchlist(scope) });
+  }
+  const tasks = watchlist.scope === scope ? watchlist.tasks : {};
+
+  /**
+   * Update the current watchlist
+   * @param {Function} update - Receives the task map and returns the new one
+   */
+  const setTasks = useCallback((update) => {
+    setWatchlist(prev => {
+      const next = update(prev.tasks);
+      return next === prev.tasks ? prev : { ...prev, tasks: next };
+    });
+  }, []);
+
+  // Persist every change
+  useEffect(() => {
+    if (watchlist.scope) saveWatchlist(watchlist.scope, watchlist.tasks);
+  }, [watchlist]);
+
+  // Block timestamps are cached so each block is only fetched once
+  const blockTimes = useRef({});
+
+  /**
+   * Merge changes into a tracked task and recompute its stage
+   * @param {string} taskId - Task identifier
+   * @param {Object} changes - Fields to merge
+   */
+  const updateTask = useCallback((taskId, changes) => {
+    setTasks(prev => {
+      if (!prev[taskId]) return prev;
+      const merged = { ...prev[taskId], ...changes, updatedAt: Date.now() };
+      return { ...prev, [taskId]: { ...merged, stage: deriveStage(merged) } };
+    });
+  }, [setTasks]);
+
+  /**
+   * Get the timestamp of a block in milliseconds
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<number>} Block timestamp in ms
+   */
+  const getBlockTime = useCallback(async (blockNumber) => {
+    if (!blockTimes.current[blockNumber]) {
+      const block = await client.provider.getBlock(blockNumber);
+      blockTimes.current[blockNumber] = block.timestamp * 1000;
+    }
+    return blockTimes.current[blockNumber];
+  }, [client]);
+
+  /**
+   * Record a ProofSubmitted event for a tracked task
+   * @param {Object} event - Typed ProofSubmitted event from the client
+   */
+  const handleProofSubmitted = useCallback(async (event) => {
+    updateTask(event.taskId, {
+      proofSubmittedAt: await getBlockTime(event.blockNumber),
+      proofTxHash: event.transactionHash,
+      proofBlock: event.blockNumber,
+      operator: event.operator,
+      resultHash: event.resultHash
+    });
+  }, [updateTask, getBlockTime]);
+
+  /**
+   * Record a RewardPaid event for a tracked task
+   * @param {Object} event - Typed RewardPaid event from the client
+   */
+  const handleRewardPaid = useCallback(async (event) => {
+    updateTask(event.taskId, {
+      rewardPaidAt: await getBlockTime(event.blockNumber),
+      rewardTxHash: event.transactionHash,
+      rewardAmount: event.amount
+    });
+  }, [updateTask, getBlockTime]);
+
+  /**
+   * Re-read a task from the contract and backfill any events that were missed
+   * @param {Object} task - Tracked task status object
+   */
+  const refreshTask = useCallback(async (task) => {
+    if (!client) return;
+
+    try {
+      const onChain = await client.getTask(task.taskId);
+      if (!onChain.completed) return;
+
+      updateTask(task.taskId, {
+        proofSubmittedAt: task.proofSubmittedAt || onChain.endTime * 1000,
+        verifiedAt: onChain.verified ? task.verifiedAt || onChain.endTime * 1000 : null,
+        operator: onChain.operator,
+        resultHash: onChain.resultHash
+      });
+
+      // The proof was seen on-chain but its events were not; look them up for the tx hashes
+      const fromBlock = task.requestBlock || 0;
+      if (!task.proofTxHash) {
+        const [proof] = await client.queryEvents('ProofSubmitted', { args: [task.taskId], fromBlock });
+        if (proof) await handleProofSubmitted(proof);
+      }
+      if (!task.rewardPaidAt) {
+        const [reward] = await client.queryEvents('RewardPaid', { args: [null, task.taskId], fromBlock });
+        if (reward) await handleRewardPaid(reward);
+      }
+    } catch (error) {
+      console.error(`Error refreshing task ${task.taskId}:`, error);
+    }
+  }, [client, updateTask, handleProofSubmitted, handleRewardPaid]);
+
+  /**
+   * Start tracking a task, typically right after its request was mined
+   * @param {string} taskId - Task identifier from the ComputationRequested event
+   * @param {Object} details - Known details about the request
+   * @param {Object} [details.receipt] - Receipt of the requestComputation transaction
+   * @param {string} [details.requester] - Account that requested the task
+   * @param {number} [details.complexity] - Input size in bytes
+   * @param {bigint} [details.reward] - Reward paid with the request, in wei
+   * @param {Object} [details.reference] - Locally computed result of a template task (computeReference)
+   */
+  const trackTask = useCallback((taskId, { receipt, requester = null, complexity, reward, reference = null } = {}) => {
+    setTasks(prev => {
+      if (prev[taskId]) return prev;
+      const task = {
+        taskId,
+        requester,
+        complexity,
+        reward,
+        reference,
+        requestedAt: Date.now(),
+        requestTxHash: receipt ? receipt.transactionHash : null,
+        requestBlock: receipt ? receipt.blockNumber : null,
+        proofSubmittedAt: null,
+        verifiedAt: null,
+        rewardPaidAt: null,
+        updatedAt: Date.now()
+      };
+      return { ...prev, [taskId]: { ...task, stage: deriveStage(task) } };
+    });
+
+    // Replace the local time with the block time once it is known
+    if (receipt && client) {
+      getBlockTime(receipt.blockNumber)
+        .then(requestedAt => updateTask(taskId, { requestedAt }))
+        .catch(error => console.error('Error reading request block:', error));
+    }
+  }, [client, getBlockTime, updateTask, setTasks]);
+
+  /**
+   * Stop tracking a task
+   * @param {string} taskId - Task identifier
+   */
+  const untrackTask = useCallback((taskId) => {
+    setTasks(prev => {
+      const { [taskId]: removed, ...rest } = prev;
+      return rest;
+    });
+  }, [setTasks]);
+
+  // IDs of tasks that have not reached the final stage, as a stable key for effects
+  const openTaskIds = Object.values(tasks)
+    .filter(task => task.stage !== 'rewardPaid')
+    .map(task => task.taskId)
+    .sort()
+    .join(',');
+
+  // Keep the latest task map available to the polling interval without resubscribing
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+
+  // Subscribe to events for open tasks and poll them until they are done
+  useEffect(() => {
+    if (!client || !openTaskIds) return undefined;
+
+    const ids = openTaskIds.split(',');
+    const unsubscribers = ids.flatMap(taskId => [
+      client.on('ProofSubmitted', handleProofSubmitted, [taskId]),
+      client.on('RewardPaid', handleRewardPaid, [null, taskId])
+    ]);
+
+    const poll = () => ids.forEach(taskId => {
+      const task = tasksRef.current[taskId];
+      if (task) refreshTask(task);
+    });
+    poll();
+    const interval = setInterval(poll, POLL_INTERVAL_MS);
+
+    return () => {
+      clearInterval(interval);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [client, openTaskIds, handleProofSubmitted, handleRewardPaid, refreshTask]);
+
+  // Newest tasks first
+  const trackedTasks = Object.values(tasks).sort((a, b) => b.requestedAt - a.requestedAt);
+
+  return {
+    trackedTasks,
+    trackTask,
+    annotateTask: updateTask,
+    untrackTask
+  };
+};
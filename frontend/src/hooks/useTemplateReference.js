@@ -0,0 +1,35 @@
+/**
+ * Custom hook for the expected result of a template input
+ * computeReference runs the template's computation in the browser, and a hash chain near
+ * MAX_HASH_CHAIN_ROUNDS takes over a second, so it only runs once edits pause instead of on
+ * every keystroke
+ */
+import { useState, useEffect } from 'react';
+import { computeReference, decodeTemplateInput } from '../contracts/taskTemplates';
+
+// Delay after the last edit before the expected result is computed
+const REFERENCE_DEBOUNCE_MS = 400;
+
+/**
+ * Custom hook to compute a template input's expected result, debounced
+ * @param {Uint8Array|null} bytes - Encoded input, or null when there is none
+ * @returns {Object} reference (from computeReference, for the current bytes only) and
+ *   computing (whether a template input is waiting for its result)
+ */
+export const useTemplateReference = (bytes) => {
+  // The result with the bytes it was computed for
+  const [computed, setComputed] = useState({ bytes: null, reference: null });
+
+  useEffect(() => {
+    if (!bytes) return undefined;
+    const timer = setTimeout(() => setComputed({ bytes, reference: computeReference(bytes) }), REFERENCE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [bytes]);
+
+  const current = !!bytes && computed.bytes === bytes;
+  return {
+    reference: current ? computed.reference : null,
+    // Decoding is cheap; only running the template is deferred
+    computing: !!bytes && !current && decodeTemplateInput(bytes) !== null
+  };
+};
@@ -0,0 +1,166 @@
+/**
+ * Shared transaction tracker
+ * Every write the dashboard sends goes through track(), which records it as
+ * awaiting signature → submitted → confirming (N/M) → confirmed or failed so one panel
+ * can show the hash, explorer link and progress of all of them. Sped-up transactions
+ * are followed to their replacement; cancelled ones fail with a readable message. Labels and
+ * errors are messages (see messageKey in src/i18n), translated by the tracker panel
+ */
+import { createContext, createElement, useCallback, useContext, useMemo, useRef, useState } from 'react';
+import { getDeployment } from '../config/deployments';
+import { translate, DEFAULT_LOCALE } from '../i18n';
+import { describeTxError } from '../utils/txErrors';
+
+// Transaction states in order; 'failed' can follow any of them
+export const TX_STATUSES = ['awaitingSignature', 'submitted', 'confirming', 'confirmed'];
+
+// Message keys of the labels shown in the UI for each state
+export const TX_STATUS_LABELS = {
+  awaitingSignature: 'transactions.status.awaitingSignature',
+  submitted: 'transactions.status.submitted',
+  confirming: 'transactions.status.confirming',
+  confirmed: 'transactions.status.confirmed',
+  failed: 'transactions.status.failed'
+};
+
+const TransactionContext = createContext(null);
+
+/**
+ * Wait until a transaction has the given number of confirmations
+ * When the wallet speeds it up, ethers reports a 'repriced' replacement carrying the same
+ * call; that is still a success, so waiting continues on the replacement
+ * @param {TransactionResponse} tx - Submitted transaction
+ * @param {number} confirmations - Confirmations to wait for
+ * @returns {Promise<Object>} The transaction that was mined and its receipt
+ */
+const waitForConfirmations = async (tx, confirmations) => {
+  try {
+    const receipt = await tx.wait(confirmations);
+    return { tx, receipt };
+  } catch (error) {
+    if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced' && !error.cancelled) {
+      return { tx: error.replacement, receipt: error.receipt };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Build the explorer link for a transaction on the chain it was sent to
+ * @param {number} chainId - Chain ID from the transaction
+ * @param {string} hash - Transaction hash
+ * @returns {string|null} Explorer URL, or null when the chain has no explorer
+ */
+const explorerTxUrl = (chainId, hash) => {
+  const deployment = getDeployment(chainId);
+  return deployment && deployment.explorerUrl ? `${deployment.explorerUrl}/tx/${hash}` : null;
+};
+
+/**
+ * Provider holding the transactions sent in this session
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The app
+ */
+export const TransactionProvider = ({ children }) => {
+  // Newest first
+  const [transactions, setTransactions] = useState([]);
+  const nextId = useRef(0);
+
+  /**
+   * Merge changes into a tracked transaction
+   * @param {number} id - Tracker ID
+   * @param {Object} changes - Fields to merge
+   */
+  const update = useCallback((id, changes) => {
+    setTransactions(prev => prev.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }, []);
+
+  /**
+   * Send a transaction and follow it until it has the network's required confirmations
+   * Resolves as soon as it is mined so callers can read the receipt; the remaining
+   * confirmations are counted in the background
+   * @param {Object} label - What the transaction does, shown in the tracker; a message made with messageKey
+   * @param {Function} send - Prompts the wallet and returns the TransactionResponse
+   * @returns {Promise<TransactionReceipt>} Receipt of the mined transaction
+   */
+  const track = useCallback(async (label, send) => {
+    nextId.current += 1;
+    const id = nextId.current;
+    setTransactions(prev => [{
+      id,
+      label,
+      status: 'awaitingSignature',
+      hash: null,
+      txUrl: null,
+      confirmations: 0,
+      requiredConfirmations: 1,
+      replaced: false,
+      error: null,
+      startedAt: Date.now()
+    }, ...prev]);
+
+    let mined;
+    try {
+      const tx = await send();
+      const deployment = getDeployment(tx.chainId);
+      const requiredConfirmations = deployment ? deployment.confirmations : 1;
+      update(id, {
+        status: 'submitted',
+        hash: tx.hash,
+        txUrl: explorerTxUrl(tx.chainId, tx.hash),
+        requiredConfirmations
+      });
+
+      mined = await waitForConfirmations(tx, 1);
+      if (mined.tx.hash !== tx.hash) {
+        update(id, { hash: mined.tx.hash, txUrl: explorerTxUrl(tx.chainId, mined.tx.hash), replaced: true });
+      }
+
+      if (requiredConfirmations <= 1) {
+        update(id, { status: 'confirmed', confirmations: 1 });
+        return mined.receipt;
+      }
+      update(id, { status: 'confirming', confirmations: 1 });
+
+      // Count the remaining confirmations without holding up the caller
+      (async () => {
+        for (let count = 2; count <= requiredConfirmations; count++) {
+          await mined.tx.wait(count);
+          update(id, { status: count === requiredConfirmations ? 'confirmed' : 'confirming', confirmations: count });
+        }
+      })().catch(error => {
+        console.error(`Error confirming ${translate(DEFAULT_LOCALE, label)}:`, error);
+        update(id, { status: 'failed', error: describeTxError(error) });
+      });
+
+      return mined.receipt;
+    } catch (error) {
+      update(id, { status: 'failed', error: describeTxError(error) });
+      throw error;
+    }
+  }, [update]);
+
+  /**
+   * Remove a transaction from the tracker
+   * @param {number} id - Tracker ID
+   */
+  const dismiss = useCallback((id) => {
+    setTransactions(prev => prev.filter(entry => entry.id !== id));
+  }, []);
+
+  const value = useMemo(() => ({ transactions, track, dismiss }), [transactions, track, dismiss]);
+
+  return createElement(TransactionContext.Provider, { value }, children);
+};
+
+/**
+ * Custom hook to reach the shared transaction tracker
+ * @returns {Object} transactions (newest first), track(label, send) and dismiss(id)
+ */
+export const useTransactions = () => {
+  const context = useContext(TransactionContext);
+  if (!context) {
+    throw new Error('useTransactions must be used inside a TransactionProvider');
+  }
+  return context;
+};
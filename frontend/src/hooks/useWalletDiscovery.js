@@ -0,0 +1,56 @@
+/**
+ * Custom hook for discovering browser wallets with EIP-6963
+ * Every installed wallet announces itself with its own EIP-1193 provider, so users with
+ * several extensions can pick one instead of whichever claimed window.ethereum. Wallets
+ * that only inject window.ethereum are still listed as a fallback
+ */
+import { useState, useEffect, useMemo } from 'react';
+
+// Identifier for the legacy window.ethereum entry
+export const INJECTED_WALLET_ID = 'injected';
+
+/**
+ * Build the fallback entry for a wallet that only injects window.ethereum
+ * @param {Object} ethereum - window.ethereum
+ * @returns {Object} Wallet entry in the same shape as an EIP-6963 announcement; name is null
+ *   when the wallet cannot be identified, and the picker shows a translated placeholder
+ */
+const injectedWallet = (ethereum) => ({
+  info: {
+    uuid: INJECTED_WALLET_ID,
+    rdns: INJECTED_WALLET_ID,
+    name: ethereum.isMetaMask ? 'MetaMask' : null,
+    icon: null
+  },
+  provider: ethereum
+});
+
+/**
+ * Custom hook to list the wallets available in the browser
+ * @returns {Array<Object>} Wallets as { info: { uuid, rdns, name, icon }, provider }
+ */
+export const useWalletDiscovery = () => {
+  const [announced, setAnnounced] = useState([]);
+
+  useEffect(() => {
+    const handleAnnounce = (event) => {
+      const { info, provider } = event.detail || {};
+      if (!info || !provider) return;
+      // A wallet re-announces whenever a page asks, so entries are keyed by rdns
+      setAnnounced(prev => [...prev.filter(wallet => wallet.info.rdns !== info.rdns), { info, provider }]);
+    };
+
+    window.addEventListener('eip6963:announceProvider', handleAnnounce);
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+    return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+  }, []);
+
+  // Only fall back to window.ethereum when it is not already one of the announced providers
+  return useMemo(() => {
+    if (window.ethereum && !announced.some(wallet => wallet.provider === window.ethereum)) {
+      return [...announced, injectedWallet(window.ethereum)];
+    }
+    return announced;
+  }, [announced]);
+};
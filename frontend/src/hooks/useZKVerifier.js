@@ -5,59 +5,70 @@
  */
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
+import { ZKCoProcessorClient } from '../contracts/ZKCoProcessorClient';
+import { computeReference } from '../contracts/taskTemplates';
+import { useTaskLifecycle, forgetWatchlist } from './useTaskLifecycle';
+import { useEventHistory } from './useEventHistory';
+import { useWalletDiscovery } from './useWalletDiscovery';
+import { useTransactions } from './useTransactions';
+import { useI18n } from './useI18n';
+import { cacheScope, openEventCache } from '../utils/eventCache';
+import { messageKey } from '../i18n';
+import { formatEth } from '../utils/format';
+import { describeTxError, DisplayError } from '../utils/txErrors';
+import { getDeployment, getDeploymentByKey, getChainName, toChainId, READ_ONLY_RPC_URL } from '../config/deployments';
+import { openSandbox, resetSandbox as discardSandbox, SANDBOX_WALLET_ID } from '../sandbox';
 
-// Network configurations
-const NETWORK_CONFIGS = {
-  // Sepolia testnet
-  sepolia: {
-    chainId: '0xaa36a7', // Sepolia testnet chain ID in hex
-    chainName: 'Sepolia Test Network',
-    nativeCurrency: {
-      name: 'Sepolia Ether',
-      symbol: 'SEP',
-      decimals: 18
-    },
-    rpcUrls: ['https://sepolia.infura.io/v3/'],
-    blockExplorerUrls: ['https://sepolia.etherscan.io']
-  },
-  // Ethereum mainnet
-  mainnet: {
-    chainId: '0x1', // Ethereum mainnet ID in hex
-    chainName: 'Ethereum Mainnet',
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18
-    },
-    rpcUrls: ['https://mainnet.infura.io/v3/'],
-    blockExplorerUrls: ['https://etherscan.io']
-  }
+// localStorage key remembering whether demo rows should fill an empty history
+const DEMO_MODE_KEY = 'zkco.demoMode';
+
+// localStorage key remembering which wallet (by EIP-6963 rdns, or SANDBOX_WALLET_ID) to
+// reconnect on the next visit
+const WALLET_KEY = 'zkco.wallet';
+
+// How long to wait for EIP-6963 announcements before reconnecting on page load
+const DISCOVERY_WAIT_MS = 300;
+
+/**
+ * Find the deployment for a chain and check that the contract really exists there
+ * @param {Provider} provider - Provider connected to the wallet's chain
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} The registry entry (or null) and whether contract code was found
+ */
+const resolveDeployment = async (provider, chainId) => {
+  const deployment = getDeployment(chainId);
+  if (!deployment || !deployment.contractAddress) return { deployment, hasContract: false };
+  
+  const code = await provider.getCode(deployment.contractAddress);
+  return { deployment, hasContract: code !== '0x' };
 };
 
-// ABI for our ZKCoProcessor contract
-const ZKCoProcessorABI = [
-  "event ComputationRequested(bytes32 indexed taskId, address requester, uint256 complexity, uint256 reward)",
-  "event ProofSubmitted(bytes32 indexed taskId, address operator, bytes32 resultHash)",
-  "event ComparisonLogged(uint256 zkGasUsed, uint256 normalGasUsed, uint256 timeSaved)",
-  "event RewardPaid(address indexed operator, uint256 amount, bytes32 indexed taskId)",
-  "event OperatorRegistered(address indexed operator, uint256 stake)",
-  "function requestComputation(bytes calldata inputData) external payable",
-  "function submitProof(bytes32 taskId, bytes calldata proof, bytes32 resultHash) external",
-  "function logComparison(uint256 zkGasUsed, uint256 normalGasUsed, uint256 timeSaved) external",
-  "function tasks(bytes32) external view returns (bool completed, uint256 startTime, uint256 endTime, uint256 reward, address operator, uint256 complexity, bytes32 resultHash, bool verified)",
-  "function totalTasksProcessed() external view returns (uint256)"
-];
+/**
+ * Pick the JSON-RPC endpoint for read-only data
+ * @param {string|null} chainKey - Network named in the URL
+ * @returns {string|null} That network's rpcUrl when it has one, otherwise the default endpoint
+ */
+const readOnlyRpcUrl = (chainKey) => {
+  const preferred = chainKey ? getDeploymentByKey(chainKey) : null;
+  return preferred && preferred.rpcUrl ? preferred.rpcUrl : READ_ONLY_RPC_URL;
+};
 
 /**
  * Custom hook to interact with the ZK Co-Processor contract
+ * @param {Object} [options] - Connection options
+ * @param {string|null} [options.preferredChain] - Network named in the URL; read-only data comes from its endpoint
  * @returns {Object} Functions and state variables for interacting with the contract
  */
-export const useZKVerifier = () => {
+export const useZKVerifier = ({ preferredChain = null } = {}) => {
+  // Wallets found through EIP-6963 (plus window.ethereum as a fallback)
+  const wallets = useWalletDiscovery();
+  const { t } = useI18n();
+  
   // State variables
-  const [contract, setContract] = useState(null);
+  const [wallet, setWallet] = useState(null);
+  const [client, setClient] = useState(null);
   // eslint-disable-next-line no-unused-vars
   const [provider, setProvider] = useState(null);
-  const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [isCorrectNetwork, setIsCorrectNetwork] = useState(false);
@@ -66,99 +77,238 @@ export const useZKVerifier = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [initialized, setInitialized] = useState(false);
   
-  // Store recent comparisons - limited to 5 for better performance
-  const [recentComparisons, setRecentComparisons] = useState([]);
-
-  // Get contract address from environment variables
-  const contractAddress = process.env.REACT_APP_CONTRACT_ADDRESS || "0x1234567890123456789012345678901234567890";
+  // True while data comes from the read-only JSON-RPC provider instead of a wallet
+  const [isReadOnly, setIsReadOnly] = useState(false);
+  
+  // Registry entry for the wallet's chain, and whether the contract was found there:
+  // 'unknown' before connecting, then 'checking', 'ready' or 'missing'
+  const [deployment, setDeployment] = useState(null);
+  const [deploymentStatus, setDeploymentStatus] = useState('unknown');
+  
+  // Demo rows are opt-in so an empty history is never mistaken for real data
+  const [demoMode, setDemoModeState] = useState(() => localStorage.getItem(DEMO_MODE_KEY) === 'true');
+  
+  // ReferenceProcessor used to estimate the gas of normal (on-chain) processing
+  const referenceAddress = deployment ? deployment.referenceAddress : null;
+  
+  // Block the contract was deployed in; history is indexed from here
+  const deploymentBlock = deployment ? deployment.deploymentBlock : 0;
   
-  // Use useRef to maintain event listener references for cleanup
-  const eventListeners = useRef({
-    chainChanged: null,
-    accountsChanged: null,
-    comparison: null
+  // Every transaction is shown in the shared tracker
+  const { track } = useTransactions();
+  
+  // Follow requested tasks through proof submission, verification and reward payment;
+  // the watchlist is kept per deployment
+  const watchlistScope = client && deployment ? cacheScope(deployment.chainId, client.address) : null;
+  const { trackedTasks, trackTask, annotateTask, untrackTask } = useTaskLifecycle(client, watchlistScope);
+  
+  // Index every request and proof since deployment and derive comparisons from them
+  const { events: historyEvents, comparisons, status: historyStatus } = useEventHistory(client, {
+    fromBlock: deploymentBlock,
+    referenceAddress
   });
+  
+  // The live wallet connection. Callbacks read it instead of React state, which still
+  // holds the previous chain until the next render
+  const connection = useRef({ wallet: null, client: null, chainId: null, hasContract: false });
+  
+  // Latest discovered wallets, for reconnecting on page load
+  const walletsRef = useRef(wallets);
+  walletsRef.current = wallets;
+  
+  // Latest network named in the URL, for picking the read-only endpoint
+  const preferredChainRef = useRef(preferredChain);
+  preferredChainRef.current = preferredChain;
+  
+  // Endpoint the read-only provider was last opened on
+  const readOnlyUrl = useRef(null);
 
   /**
-   * Simulate a comparison for demonstration purposes
-   * In a real implementation, comparisons would come from actual processing
-   * @param {number} complexity - The complexity of the task
-   * @param {string} inputData - The original input data (optional)
+   * Rebuild provider, signer and contract client from the wallet's current account and chain
+   * Runs on connect and again whenever the wallet reports a chain or account change
+   * @param {Object} selected - Wallet from useWalletDiscovery
+   * @returns {Promise<Object>} Whether an account is connected, its chainId and whether the contract exists there
    */
-  const simulateComparison = useCallback((complexity, inputData = '') => {
-    if (!contract) return;
+  const syncWallet = useCallback(async (selected) => {
+    const accounts = await selected.provider.request({ method: 'eth_accounts' });
+    if (accounts.length === 0) return { connected: false, chainId: null, hasContract: false };
+    
+    // 'any' lets the provider follow chain changes instead of failing with a network error
+    const web3Provider = new ethers.providers.Web3Provider(selected.provider, 'any');
+    const web3Signer = web3Provider.getSigner(accounts[0]);
+    
+    // Pick the deployment for the wallet's chain and make sure the contract exists there
+    setDeploymentStatus('checking');
+    const { chainId } = await web3Provider.getNetwork();
+    const resolved = await resolveDeployment(web3Provider, chainId);
+    
+    // Create contract client; without a deployment nothing is called
+    const zkClient = resolved.hasContract
+      ? new ZKCoProcessorClient(resolved.deployment.contractAddress, web3Signer)
+      : null;
+    connection.current = { wallet: selected, client: zkClient, chainId, hasContract: resolved.hasContract };
+    
+    setProvider(web3Provider);
+    setAccount(accounts[0]);
+    setIsConnected(true);
+    setIsReadOnly(false);
+    setNetworkName(getChainName(chainId));
+    setNetworkId(resolved.deployment ? resolved.deployment.key : '');
+    setDeployment(resolved.deployment);
+    setIsCorrectNetwork(resolved.hasContract);
+    setDeploymentStatus(resolved.hasContract ? 'ready' : 'missing');
+    setClient(zkClient);
+    setInitialized(true);
+    
+    return { connected: true, chainId, hasContract: resolved.hasContract };
+  }, []);
+
+  /**
+   * Show live contract data without a wallet through the configured JSON-RPC endpoint
+   * @returns {Promise<boolean>} Whether a read-only client was created
+   */
+  const initializeReadOnly = useCallback(async () => {
+    const rpcUrl = readOnlyRpcUrl(preferredChainRef.current);
+    readOnlyUrl.current = rpcUrl;
+    if (!rpcUrl) {
+      setInitialized(true);
+      return false;
+    }
     
     try {
-      // Calculate simulated gas usage based on input complexity
-      const zkGasUsed = Math.floor(10000 + (complexity * 50));
-      const normalGasUsed = Math.floor(zkGasUsed * (2 + Math.random() * 3)); // 2-5x more gas for normal processing
-      const timeSaved = Math.floor(complexity * (1 + Math.random() * 2));
+      const rpcProvider = new ethers.providers.JsonRpcProvider(rpcUrl);
+      setDeploymentStatus('checking');
       
-      // Store original input data for reference in UI
-      // In a real app, this would be stored in a database or emitted in an event
-      localStorage.setItem('lastInputData', inputData);
+      const { chainId } = await rpcProvider.getNetwork();
+      const resolved = await resolveDeployment(rpcProvider, chainId);
       
-      // Log the comparison to the contract (this will trigger the event listener)
-      contract.logComparison(zkGasUsed, normalGasUsed, timeSaved);
+      setProvider(rpcProvider);
+      setDeployment(resolved.deployment);
+      setNetworkName(getChainName(chainId));
+      setNetworkId(resolved.deployment ? resolved.deployment.key : '');
+      setIsCorrectNetwork(resolved.hasContract);
+      setDeploymentStatus(resolved.hasContract ? 'ready' : 'missing');
+      setClient(resolved.hasContract
+        ? new ZKCoProcessorClient(resolved.deployment.contractAddress, rpcProvider)
+        : null);
+      setIsReadOnly(true);
+      return resolved.hasContract;
     } catch (error) {
-      console.error("Error simulating comparison:", error);
+      console.error("Error connecting to the read-only RPC endpoint:", error);
+      setDeploymentStatus('unknown');
+      return false;
+    } finally {
+      setInitialized(true);
     }
-  }, [contract]);
+  }, []);
 
   /**
-   * Function to check which network the user is currently on
-   * @returns {Promise<Object>} Network information
+   * Drop the wallet connection and go back to read-only data
+   * @returns {Promise<void>}
    */
-  const checkNetwork = useCallback(async () => {
-    if (!window.ethereum) return { isCorrect: false, id: '', name: 'Not Connected' };
+  const resetConnection = useCallback(async () => {
+    connection.current = { wallet: null, client: null, chainId: null, hasContract: false };
+    setWallet(null);
+    setIsConnected(false);
+    setAccount(null);
+    setClient(null);
+    setProvider(null);
+    setDeployment(null);
+    setIsCorrectNetwork(false);
+    setDeploymentStatus('unknown');
+    setNetworkName('');
+    setNetworkId('');
+    await initializeReadOnly();
+  }, [initializeReadOnly]);
+
+  // Follow the selected wallet's chain and account changes in place
+  useEffect(() => {
+    if (!wallet || typeof wallet.provider.on !== 'function') return undefined;
     
-    try {
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-      let networkName = 'Unknown Network';
-      let isCorrect = false;
-      let networkId = '';
-      
-      // Check if on Sepolia (our target network)
-      if (chainId === NETWORK_CONFIGS.sepolia.chainId) {
-        networkName = 'Sepolia Testnet';
-        isCorrect = true;
-        networkId = 'sepolia';
-      } 
-      // Check if on Ethereum mainnet
-      else if (chainId === NETWORK_CONFIGS.mainnet.chainId) {
-        networkName = 'Ethereum Mainnet';
-        networkId = 'mainnet';
-      }
-      // Other common networks
-      else if (chainId === '0x5') {
-        networkName = 'Goerli Testnet';
-      } else if (chainId === '0x89') {
-        networkName = 'Polygon';
+    // Rebuild provider, signer and client for the new chain
+    const chainChangedListener = () => {
+      syncWallet(wallet).catch(error => console.error("Error handling chain change:", error));
+    };
+    
+    const accountsChangedListener = (accounts) => {
+      if (accounts.length > 0) {
+        syncWallet(wallet).catch(error => console.error("Error handling account change:", error));
       } else {
-        networkName = `Unknown (${chainId})`;
+        // The site was disconnected from inside the wallet
+        localStorage.removeItem(WALLET_KEY);
+        resetConnection();
       }
+    };
+    
+    wallet.provider.on('chainChanged', chainChangedListener);
+    wallet.provider.on('accountsChanged', accountsChangedListener);
+    
+    return () => {
+      wallet.provider.removeListener('chainChanged', chainChangedListener);
+      wallet.provider.removeListener('accountsChanged', accountsChangedListener);
+    };
+  }, [wallet, syncWallet, resetConnection]);
+
+  // Reconnect to the wallet used last time without prompting, otherwise show read-only data
+  useEffect(() => {
+    let cancelled = false;
+    
+    const init = async () => {
+      // Give wallets a moment to answer the EIP-6963 request
+      await new Promise(resolve => setTimeout(resolve, DISCOVERY_WAIT_MS));
+      if (cancelled) return;
       
-      setIsCorrectNetwork(isCorrect);
-      setNetworkName(networkName);
-      setNetworkId(networkId);
+      const storedId = localStorage.getItem(WALLET_KEY);
+      let stored = null;
+      if (storedId === SANDBOX_WALLET_ID) {
+        stored = openSandbox().wallet;
+      } else if (storedId) {
+        stored = walletsRef.current.find(candidate => candidate.info.rdns === storedId) || null;
+      }
       
-      return { isCorrect, id: networkId, name: networkName, chainId };
-    } catch (error) {
-      console.error("Error checking network:", error);
-      return { isCorrect: false, id: '', name: 'Error' };
-    }
-  }, []);
+      let connected = false;
+      if (stored) {
+        try {
+          // eth_accounts never prompts and is empty once the site is no longer authorised
+          const state = await syncWallet(stored);
+          connected = state.connected;
+          if (connected && !cancelled) setWallet(stored);
+        } catch (error) {
+          console.error("Error reconnecting to wallet:", error);
+        }
+      }
+      
+      if (!connected && !cancelled) {
+        await initializeReadOnly();
+      }
+    };
+    
+    init();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [syncWallet, initializeReadOnly]);
+
+  // A link to another network swaps the read-only endpoint; a connected wallet stays where it is
+  useEffect(() => {
+    if (!initialized || connection.current.wallet) return;
+    if (readOnlyRpcUrl(preferredChain) === readOnlyUrl.current) return;
+    initializeReadOnly();
+  }, [preferredChain, initialized, initializeReadOnly]);
 
   /**
    * Switch networks
-   * @param {string} targetNetwork - Network ID to switch to ('sepolia' or 'mainnet')
+   * @param {string} targetNetwork - Network key from the deployment registry ('sepolia', 'mainnet' or 'local')
    * @returns {Promise<boolean>} Success status
    */
   const switchNetwork = useCallback(async (targetNetwork) => {
-    if (!window.ethereum) return false;
+    const activeWallet = connection.current.wallet;
+    if (!activeWallet) return false;
     
     try {
-      const config = NETWORK_CONFIGS[targetNetwork];
+      const target = getDeploymentByKey(targetNetwork);
+      const config = target ? target.network : null;
       if (!config) {
         console.error(`Invalid network: ${targetNetwork}`);
         return false;
@@ -166,33 +316,35 @@ export const useZKVerifier = () => {
       
       // Try to switch to the target network
       try {
-        await window.ethereum.request({
+        await activeWallet.provider.request({
           method: 'wallet_switchEthereumChain',
           params: [{ chainId: config.chainId }]
         });
-        return true;
       } catch (switchError) {
-        // This error code indicates that the chain has not been added to MetaMask
-        if (switchError.code === 4902) {
-          try {
-            await window.ethereum.request({
-              method: 'wallet_addEthereumChain',
-              params: [config]
-            });
-            return true;
-          } catch (addError) {
-            console.error(`Error adding ${targetNetwork} network:`, addError);
-            return false;
-          }
+        // This error code indicates that the chain has not been added to the wallet
+        if (switchError.code !== 4902) {
+          console.error(`Error switching to ${targetNetwork}:`, switchError);
+          return false;
+        }
+        try {
+          await activeWallet.provider.request({
+            method: 'wallet_addEthereumChain',
+            params: [config]
+          });
+        } catch (addError) {
+          console.error(`Error adding ${targetNetwork} network:`, addError);
+          return false;
         }
-        console.error(`Error switching to ${targetNetwork}:`, switchError);
-        return false;
       }
+      
+      // Rebuild now instead of waiting for chainChanged, so callers see the new chain
+      const state = await syncWallet(activeWallet);
+      return state.chainId === target.chainId;
     } catch (error) {
       console.error("Error switching networks:", error);
       return false;
     }
-  }, []);
+  }, [syncWallet]);
 
   /**
    * Helper function to switch to Sepolia
@@ -209,289 +361,203 @@ export const useZKVerifier = () => {
   const switchToMainnet = useCallback(async () => {
     return await switchNetwork('mainnet');
   }, [switchNetwork]);
-  
+
   /**
-   * Initialize the contract and web3 connection
+   * Connect a wallet
+   * @param {Object} [selected] - Wallet from the discovered list; may be omitted when there is only one
    * @returns {Promise<boolean>} Success status
    */
-  const initializeWeb3 = useCallback(async () => {
-    if (!window.ethereum) {
-      console.error("Ethereum provider not found. Please install MetaMask.");
+  const connectWallet = useCallback(async (selected) => {
+    const candidates = walletsRef.current;
+    const target = selected || (candidates.length === 1 ? candidates[0] : null);
+    
+    if (!target) {
+      if (candidates.length === 0) {
+        alert(t('request.noWallet'));
+      }
       return false;
     }
     
     try {
-      // Check which network we're on
-      // eslint-disable-next-line no-unused-vars
-      const { isCorrect, chainId } = await checkNetwork();
-      
-      // Request account access
-      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+      // Prompt for access to this wallet's accounts
+      const accounts = await target.provider.request({ method: 'eth_requestAccounts' });
+      if (accounts.length === 0) return false;
       
-      if (accounts.length === 0) {
-        setIsConnected(false);
-        setAccount(null);
-        return false;
+      const state = await syncWallet(target);
+      if (state.connected) {
+        localStorage.setItem(WALLET_KEY, target.info.rdns);
+        setWallet(target);
       }
-      
-      // Create a Web3Provider
-      const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
-      setProvider(web3Provider);
-      
-      // Get the signer
-      const web3Signer = web3Provider.getSigner();
-      setSigner(web3Signer);
-      
-      // Set account
-      setAccount(accounts[0]);
-      setIsConnected(true);
-      
-      // Create contract instance
-      const zkContract = new ethers.Contract(contractAddress, ZKCoProcessorABI, web3Signer);
-      setContract(zkContract);
-      
-      // Set up comparison event listener
-      const comparisonListener = (zkGasUsed, normalGasUsed, timeSaved) => {
-        const newComparison = {
-          zkGasUsed: zkGasUsed.toNumber(),
-          normalGasUsed: normalGasUsed.toNumber(),
-          timeSaved: timeSaved.toNumber(),
-          isNew: true, // Flag to indicate this is a new entry for animation
-          timestamp: Date.now() // Add timestamp for sorting
-        };
-        
-        setRecentComparisons(prev => {
-          // Add the new comparison to the top and keep only the 5 most recent entries
-          const newComparisons = [newComparison, ...prev.slice(0, 4)];
-          
-          // After a delay, remove the isNew flag to stop the animation
-          setTimeout(() => {
-            setRecentComparisons(current => 
-              current.map((comp, i) => i === 0 ? { ...comp, isNew: false } : comp)
-            );
-          }, 3000);
-          
-          return newComparisons;
-        });
-      };
-      
-      // Save event listener reference for cleanup
-      eventListeners.current.comparison = comparisonListener;
-      zkContract.on("ComparisonLogged", comparisonListener);
-      
-      setInitialized(true);
-      return true;
+      return state.connected;
     } catch (error) {
-      console.error("Error initializing Web3:", error);
-      setIsConnected(false);
+      console.error("Error connecting to wallet:", error);
       return false;
     }
-  }, [contractAddress, checkNetwork]);
-  
+  }, [syncWallet, t]);
+
   /**
-   * Setup event listeners for MetaMask events
+   * Connect the offline sandbox, which is used like a wallet
+   * @returns {Promise<boolean>} Success status
    */
-  const setupEventListeners = useCallback(() => {
-    if (!window.ethereum) return;
-    
-    // Listen for network changes
-    const chainChangedListener = (_chainId) => {
-      // Reset the entire app state when network changes
-      window.location.reload();
-    };
-    
-    // Listen for account changes
-    const accountsChangedListener = (accounts) => {
-      if (accounts.length > 0) {
-        setAccount(accounts[0]);
-        // Re-initialize contract with new signer
-        initializeWeb3();
-      } else {
-        setIsConnected(false);
-        setAccount(null);
-      }
-    };
-    
-    // Save listener references for cleanup
-    eventListeners.current.chainChanged = chainChangedListener;
-    eventListeners.current.accountsChanged = accountsChangedListener;
-    
-    window.ethereum.on('chainChanged', chainChangedListener);
-    window.ethereum.on('accountsChanged', accountsChangedListener);
-  }, [initializeWeb3]);
-  
+  const connectSandbox = useCallback(async () => {
+    return await connectWallet(openSandbox().wallet);
+  }, [connectWallet]);
+
   /**
-   * Cleanup event listeners
+   * Start the sandbox over from its first blocks, forgetting its indexed history and
+   * watchlist, then reload so every view starts from the new chain
+   * @returns {Promise<void>}
    */
-  const cleanupEventListeners = useCallback(() => {
-    // Remove contract listeners
-    if (contract && eventListeners.current.comparison) {
-      contract.removeListener("ComparisonLogged", eventListeners.current.comparison);
+  const resetSandbox = useCallback(async () => {
+    const sandbox = getDeploymentByKey('sandbox');
+    const scope = cacheScope(sandbox.chainId, sandbox.contractAddress);
+    try {
+      const cache = await openEventCache(scope);
+      await cache.clear();
+    } catch (error) {
+      console.warn("Could not clear the sandbox history cache:", error);
     }
+    forgetWatchlist(scope);
+    discardSandbox();
+    window.location.reload();
+  }, []);
+
+  /**
+   * Disconnect the wallet and fall back to read-only data
+   * @returns {Promise<void>}
+   */
+  const disconnectWallet = useCallback(async () => {
+    const activeWallet = connection.current.wallet;
+    localStorage.removeItem(WALLET_KEY);
     
-    // Remove ethereum provider listeners
-    if (window.ethereum) {
-      if (eventListeners.current.chainChanged) {
-        window.ethereum.removeListener('chainChanged', eventListeners.current.chainChanged);
-      }
-      if (eventListeners.current.accountsChanged) {
-        window.ethereum.removeListener('accountsChanged', eventListeners.current.accountsChanged);
+    if (activeWallet) {
+      try {
+        // Not every wallet supports revoking; the site just forgets the wallet then
+        await activeWallet.provider.request({
+          method: 'wallet_revokePermissions',
+          params: [{ eth_accounts: {} }]
+        });
+      } catch (error) {
+        console.warn("Wallet did not revoke permissions:", error);
       }
     }
-  }, [contract]);
-
-  // Initialize web3 and set up event listeners when component mounts
-  useEffect(() => {
-    const init = async () => {
-      await initializeWeb3();
-      setupEventListeners();
-    };
     
-    init();
-    
-    // Cleanup event listeners when component unmounts
-    return () => {
-      cleanupEventListeners();
-    };
-  }, [initializeWeb3, setupEventListeners, cleanupEventListeners]);
+    await resetConnection();
+  }, [resetConnection]);
 
   /**
    * Request computation function - sends a transaction to the smart contract
-   * @param {string} inputData - The data to be processed by the ZK Co-Processor
-   * @returns {Promise<object>} The transaction receipt
+   * @param {BytesLike} inputData - Encoded input to be processed by the ZK Co-Processor
+   * @param {Object} [options] - Request options
+   * @param {bigint} [options.expectedReward] - Reward the user was quoted; the request is refused if it changed
+   * @returns {Promise<object>} The taskId read from the ComputationRequested event and the receipt
    */
-  const requestComputation = useCallback(async (inputData) => {
-    if (!window.ethereum) {
-      throw new Error("MetaMask not installed. Please install MetaMask.");
+  const requestComputation = useCallback(async (inputData, { expectedReward } = {}) => {
+    const activeWallet = connection.current.wallet;
+    if (!activeWallet) {
+      throw new DisplayError('request.notConnected');
     }
     
-    if (!isConnected) {
-      // Try to connect
-      const success = await initializeWeb3();
-      if (!success) {
-        throw new Error("Failed to connect to wallet. Please try again.");
-      }
+    // Ask the wallet which chain it is on right now; if it moved since the last sync,
+    // rebuild before anything is sent
+    const walletChainId = toChainId(await activeWallet.provider.request({ method: 'eth_chainId' }));
+    if (walletChainId !== connection.current.chainId) {
+      await syncWallet(activeWallet);
     }
     
-    if (!contract || !signer) {
-      throw new Error("Web3 not initialized. Please try refreshing the page.");
-    }
-    
-    // Make sure we're on Sepolia
-    if (!isCorrectNetwork) {
-      const switched = await switchToSepolia();
-      if (!switched) {
-        throw new Error(`Please switch to Sepolia testnet. You are currently on ${networkName}.`);
-      }
-      
-      // Wait for network switch to complete
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Re-initialize web3 after network switch
-      await initializeWeb3();
-      
-      // If still not on the correct network, throw error
-      if (!isCorrectNetwork) {
-        throw new Error("Network switch didn't complete properly. Please refresh and try again.");
-      }
+    // Only send to a contract that exists on the wallet's chain
+    const { client: activeClient, chainId, hasContract } = connection.current;
+    if (!hasContract || !activeClient) {
+      throw new DisplayError('request.noDeployment', { network: getChainName(chainId) });
     }
     
     setIsLoading(true);
     
     try {
-      // Convert input data to bytes
-      const inputBytes = ethers.utils.toUtf8Bytes(inputData);
+      // The complexity the contract charges for is the byte length
+      const inputBytes = ethers.utils.arrayify(inputData);
       
-      // Estimate the cost (task complexity based on data size)
-      const complexity = inputBytes.length;
-      const baseReward = ethers.utils.parseEther("0.001");
-      // eslint-disable-next-line no-unused-vars
-      const estimatedReward = baseReward.mul(ethers.BigNumber.from(1 + Math.floor(complexity / 100)));
+      // The contract requires at least calculateReward(complexity) and keeps any excess,
+      // so exactly the on-chain reward is sent
+      const reward = await activeClient.calculateReward(inputBytes.length);
+      if (expectedReward !== undefined && expectedReward !== null && reward !== expectedReward) {
+        throw new DisplayError('request.rewardChanged', { reward: formatEth(reward) });
+      }
+      const overrides = { value: reward.toString() };
       
-      // This is a testnet, so we're not using real ETH
-      // We'll just pay a minimal gas fee
-      const minimalPayment = ethers.utils.parseEther("0.0001");
+      // Simulate first so a request that would revert is never sent (and never paid for)
+      try {
+        await activeClient.simulateRequestComputation(inputBytes, overrides);
+      } catch (error) {
+        throw new DisplayError('request.wouldFail', { reason: describeTxError(error) });
+      }
       
-      // Send transaction with the reward amount (minimal on testnet)
-      const tx = await contract.requestComputation(inputBytes, { value: minimalPayment });
-      const receipt = await tx.wait();
+      // This is the only transaction sent from the requester's wallet; the comparison
+      // is built from this receipt and the operator's submitProof receipt
+      const receipt = await track(messageKey('transactions.labels.requestComputation'), () => activeClient.requestComputation(inputBytes, overrides));
       
-      // After transaction, simulate a comparison for demonstration purposes
-      // In a production app, this would come from actual on-chain events
-      setTimeout(() => {
-        simulateComparison(complexity, inputData);
-      }, 2000);
+      // Read the taskId from the ComputationRequested event and start following the task
+      const [requested] = activeClient.parseReceipt(receipt, 'ComputationRequested');
+      if (!requested) {
+        throw new DisplayError('request.noEvent');
+      }
+      trackTask(requested.taskId, {
+        receipt,
+        requester: requested.requester,
+        complexity: requested.complexity,
+        reward: requested.reward,
+        // Template tasks carry the result expected from the operator
+        reference: computeReference(inputBytes)
+      });
       
-      return receipt;
+      return { taskId: requested.taskId, receipt };
     } catch (error) {
       console.error("Error requesting computation:", error);
       throw error;
     } finally {
       setIsLoading(false);
     }
-  }, [contract, signer, isConnected, isCorrectNetwork, switchToSepolia, networkName, simulateComparison, initializeWeb3]);
+  }, [syncWallet, track, trackTask]);
 
   /**
    * Get total tasks processed from the contract
-   * @returns {Promise<number>} Total tasks processed
+   * @returns {Promise<number|null>} Total tasks processed, or null when it cannot be read
    */
   const getTotalTasksProcessed = useCallback(async () => {
-    if (!contract) {
-      // If contract is not initialized, return mock data for demonstration
-      return 12; // Default mock value
-    }
+    if (!client) return null;
     
     try {
-      const total = await contract.totalTasksProcessed();
-      return total.toNumber();
+      return await client.getTotalTasksProcessed();
     } catch (error) {
       console.error("Error getting total tasks:", error);
-      return 12; // Fallback to mock data on error
+      return null;
     }
-  }, [contract]);
+  }, [client]);
 
   /**
-   * Get the latest comparison data
-   * @returns {Array} Array of comparison objects with zkGasUsed, normalGasUsed, timeSaved
+   * Turn demo rows on or off and remember the choice
+   * @param {boolean} enabled - Whether demo rows should be shown
    */
-  const getLatestComparisons = useCallback(() => {
-    // Return the stored recent comparisons
-    if (recentComparisons.length === 0) {
-      // If no comparisons yet, return some mock data for demonstration
-      return [
-        { zkGasUsed: 25000, normalGasUsed: 75000, timeSaved: 120, isNew: false, timestamp: Date.now() - 1000 },
-        { zkGasUsed: 15000, normalGasUsed: 65000, timeSaved: 95, isNew: false, timestamp: Date.now() - 2000 },
-        { zkGasUsed: 30000, normalGasUsed: 85000, timeSaved: 150, isNew: false, timestamp: Date.now() - 3000 }
-      ];
-    }
-    return recentComparisons;
-  }, [recentComparisons]);
+  const setDemoMode = useCallback((enabled) => {
+    localStorage.setItem(DEMO_MODE_KEY, enabled ? 'true' : 'false');
+    setDemoModeState(enabled);
+  }, []);
 
   /**
-   * Connect to MetaMask (or other Web3 provider)
-   * @returns {Promise<boolean>} Success status
+   * Get the comparison history
+   * @returns {Array} Comparison objects, newest first, with zkGasUsed, normalGasUsed, provingTime
    */
-  const connectWallet = useCallback(async () => {
-    if (!window.ethereum) {
-      alert("MetaMask is not installed. Please install MetaMask to use this application.");
-      return false;
-    }
-    
-    try {
-      const success = await initializeWeb3();
-      
-      if (success && !isCorrectNetwork) {
-        await switchToSepolia();
-        // Re-initialize after network switch
-        await initializeWeb3();
-      }
-      
-      return success;
-    } catch (error) {
-      console.error("Error connecting to wallet:", error);
-      return false;
+  const getLatestComparisons = useCallback(() => {
+    if (comparisons.length === 0 && demoMode) {
+      // Demo rows only when explicitly enabled and nothing has been indexed
+      return [
+        { zkGasUsed: 25000, normalGasUsed: 75000, provingTime: 12, complexity: 64, isNew: false, isDemo: true, timestamp: Date.now() - 1000 },
+        { zkGasUsed: 15000, normalGasUsed: 65000, provingTime: 9, complexity: 32, isNew: false, isDemo: true, timestamp: Date.now() - 2000 },
+        { zkGasUsed: 30000, normalGasUsed: 85000, provingTime: 15, complexity: 128, isNew: false, isDemo: true, timestamp: Date.now() - 3000 }
+      ];
     }
-  }, [initializeWeb3, isCorrectNetwork, switchToSepolia]);
+    return comparisons;
+  }, [comparisons, demoMode]);
 
   /**
    * Toggle between Sepolia and Mainnet
@@ -507,15 +573,34 @@ export const useZKVerifier = () => {
   }, [networkId, switchToMainnet, switchToSepolia]);
 
   return {
+    client,
     requestComputation,
     getTotalTasksProcessed,
     getLatestComparisons,
+    comparisons,
+    historyEvents,
+    trackedTasks,
+    annotateTask,
+    untrackTask,
+    historyStatus,
+    demoMode,
+    setDemoMode,
     isConnected,
+    isReadOnly,
     isCorrectNetwork,
+    deployment,
+    deploymentStatus,
     account,
     networkName,
     networkId,
+    wallets,
+    wallet,
     connectWallet,
+    connectSandbox,
+    resetSandbox,
+    isSandbox: Boolean(deployment && deployment.sandbox),
+    disconnectWallet,
+    switchNetwork,
     switchToSepolia,
     switchToMainnet,
     toggleNetwork,
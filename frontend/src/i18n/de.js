@@ -0,0 +1,635 @@
+/**
+ * German messages
+ */
+const de = {
+  common: {
+    dismiss: 'Schließen',
+    connectFirst: 'Verbinde zuerst deine Wallet.',
+    notAvailable: 'k. A.'
+  },
+  units: {
+    gas: '{amount} Gas',
+    gwei: '{amount} gwei'
+  },
+  header: {
+    title: 'ZK-Co-Prozessor-Dashboard',
+    switchToTitle: 'Zu {network} wechseln',
+    switchToMainnet: 'Zu Mainnet wechseln',
+    switchToSepolia: 'Zu Sepolia wechseln',
+    leaveSandbox: 'Sandbox verlassen',
+    disconnect: 'Trennen',
+    readOnly: 'Nur lesen · {network}',
+    readOnlyTitle: 'Zeigt Live-Daten ohne Wallet',
+    connectWallet: 'Wallet verbinden',
+    trySandbox: 'Sandbox ausprobieren',
+    trySandboxTitle: 'Den ganzen Ablauf in diesem Browser ausführen, ohne Wallet und ohne Netzwerk',
+    language: 'Sprache'
+  },
+  network: {
+    missing: 'Kein ZKCoProcessor-Deployment auf {network}.',
+    missingAt: 'Kein ZKCoProcessor-Deployment auf {network} (unter {address} wurde nichts gefunden).',
+    switchHint: 'Wechsle zu einem unterstützten Netzwerk, um das Dashboard zu nutzen.',
+    rpcHint: 'Prüfe den konfigurierten RPC-Endpunkt.',
+    switchTo: 'Zu {network} wechseln',
+    linkFor: 'Dieser Link gehört zu {linked}, das Dashboard zeigt aber {network}.',
+    unknownNetwork: 'einem unbekannten Netzwerk ({chain})',
+    noReadOnly: 'Für dieses Netzwerk ist kein Nur-Lese-Endpunkt konfiguriert.',
+    openSandbox: 'Sandbox öffnen',
+    stayOn: 'Bei {network} bleiben'
+  },
+  nav: {
+    dashboard: 'Dashboard',
+    analytics: 'Analysen',
+    operator: 'Operator',
+    admin: 'Verwaltung'
+  },
+  notFound: {
+    title: 'Seite nicht gefunden',
+    body: 'Unter dieser Adresse gibt es nichts.',
+    back: 'Zurück zum Dashboard'
+  },
+  intro: {
+    title: 'Was ist ein ZK-Co-Prozessor?',
+    offloading: 'Ein <strong>Zero-Knowledge-Co-Prozessor</strong> verlagert Rechenaufgaben von Ethereums L1 auf spezialisierte Prozessoren und senkt so die Gaskosten drastisch, während kryptografische Beweise die Sicherheit erhalten.',
+    restaking: 'Über den <strong>Restaking-Mechanismus von EigenLayer</strong> nutzen diese Co-Prozessoren bereits gestaktes ETH als Sicherheit für Off-Chain-Berechnungen und schaffen so eine effiziente Ausführungsumgebung, ohne auf Vertrauenslosigkeit zu verzichten.',
+    useCases: 'Typische Anwendungsfälle sind aufwendige Prüfungen wie digitale Signaturen, die Inferenz von KI-Modellen und rechenintensive Operationen, die on-chain unerschwinglich teuer wären.',
+    imageAlt: 'Diagramm eines ZK-Beweises',
+    imageCaption: 'Zero-Knowledge-Kryptografie ermöglicht überprüfbare Berechnungen off-chain',
+    proofsTitle: 'Wie ZK-Beweise das möglich machen',
+    proofs: 'Mit Zero-Knowledge-Beweisen kann eine Partei (der Beweiser) einer anderen (dem Prüfer) zeigen, dass eine Aussage wahr ist, ohne mehr preiszugeben als ihre Gültigkeit. In Blockchain-Anwendungen heißt das: Die Berechnung läuft off-chain, und nur ein kompakter Beweis wird on-chain eingereicht und geprüft.',
+    learnMore: 'Mehr über ZK-Technologie'
+  },
+  links: {
+    zkProofs: {
+      title: 'Einführung in Zero-Knowledge-Beweise',
+      description: 'Die Grundlagen von ZK-Beweisen auf Ethereum.org'
+    },
+    eigenLayer: {
+      title: 'EigenLayer-Dokumentation',
+      description: 'Den Restaking-Mechanismus von EigenLayer verstehen'
+    },
+    coProcessors: {
+      title: 'ZK-Co-Prozessoren erklärt',
+      description: 'Polygons Erklärung von ZK-Co-Prozessoren'
+    },
+    riscZero: {
+      title: 'RISC-Zero-Dokumentation',
+      description: 'Die zkVM von RISC Zero zum Erzeugen von ZK-Beweisen kennenlernen'
+    }
+  },
+  stats: {
+    totalTasks: 'Verarbeitete Aufgaben',
+    provingTime: 'Zeit Anfrage → Beweis',
+    gasSavings: 'Gasersparnis',
+    saved: '{amount} gespart',
+    totalSaved: 'Insgesamt gespart',
+    acrossTasks: {
+      one: 'über {count} Aufgabe mit Schätzung',
+      other: 'über {count} Aufgaben mit Schätzung'
+    },
+    demoData: 'Demodaten',
+    demoDataTitle: 'Beispielwerte, nicht aus dem Vertrag gelesen'
+  },
+  chart: {
+    zk: 'ZK-Co-Prozessor (Anfrage + Beweis)',
+    normal: 'Normale Verarbeitung (Schätzung)',
+    normalNoEstimate: 'Normale Verarbeitung (keine Schätzung)',
+    gasDataset: 'Vergleich des Gasverbrauchs',
+    costDataset: 'Kostenvergleich',
+    gasTitle: 'Gasverbrauch: ZK vs. normale Verarbeitung',
+    costTitle: 'Kosten: ZK vs. normale Verarbeitung',
+    gasTooltip: 'Verbrauchtes Gas: {gas} Einheiten',
+    costTooltip: 'Kosten: {cost} ({gas})',
+    axis: {
+      gas: 'Gaseinheiten',
+      eth: 'ETH',
+      usd: 'USD'
+    }
+  },
+  request: {
+    noWallet: 'Keine Ethereum-Wallet gefunden. Installiere eine Browser-Wallet wie MetaMask, um diese Anwendung zu nutzen.',
+    notConnected: 'Keine Wallet verbunden. Bitte verbinde zuerst eine Wallet.',
+    noDeployment: 'Auf {network} gibt es kein ZKCoProcessor-Deployment. Bitte wechsle zu einem unterstützten Netzwerk.',
+    rewardChanged: 'Die Belohnung hat sich seit dem Angebot auf {reward} geändert. Prüfe das neue Angebot und versuche es erneut.',
+    wouldFail: 'Diese Anfrage würde on-chain fehlschlagen: {reason}',
+    noEvent: 'Die Transaktion war erfolgreich, aber es wurde kein ComputationRequested-Event gefunden.',
+    title: 'Selbst ausprobieren: eine ZK-Berechnung anfordern',
+    explainer: 'Gib unten Text, rohes Hex, eine Datei oder ABI-kodierte Werte ein, um eine Rechenaufgabe an den ZK-Co-Prozessor zu senden. Das System verarbeitet deine Eingabe und vergleicht ZK- mit normaler Verarbeitung.',
+    testnetNote: 'Dies läuft im Sepolia-Testnetz und verwendet kein echtes ETH.',
+    howTitle: 'So funktioniert es:',
+    steps: {
+      encode: 'Deine Eingabe wird als Bytes kodiert und an den Smart Contract gesendet',
+      measure: 'Der Vertrag misst die Rechenkomplexität anhand der Eingabegröße',
+      prove: 'Ein simulierter ZK-Beweis wird erzeugt und geprüft',
+      compare: 'Oben werden Gasverbrauch und Zeit im Vergleich angezeigt'
+    },
+    connectToRequest: 'Wallet verbinden, um anzufragen',
+    processing: 'Wird verarbeitet...',
+    submit: 'ZK-Berechnung anfordern',
+    connectPrompt: 'Bitte verbinde deine Wallet, um Berechnungen anzufordern.',
+    emptyInput: 'Bitte gib Eingabedaten zur Verarbeitung ein'
+  },
+  modal: {
+    notFound: 'In diesem Netzwerk wurde keine Aufgabe mit dieser ID gefunden.',
+    title: 'Details der Berechnung',
+    inspectProof: 'Beweis untersuchen',
+    performance: 'Leistungskennzahlen',
+    zkGas: 'ZK-Gasverbrauch:',
+    normalGas: 'Normales Gas (Schätzung):',
+    requestGas: 'Gas der Anfrage:',
+    proofGas: 'Gas des Beweises:',
+    saved: 'Gespart:',
+    gasPrice: 'Gaspreis:',
+    gasPriceFromReceipts: '{request} Anfrage, {proof} Beweis (aus den Belegen)',
+    gasPriceCurrent: '{price} (aktuell; kein Preis aus einem Beleg)',
+    efficiency: 'Effizienzgewinn:',
+    gasUnits: '{gas} Einheiten',
+    costWithGas: '{cost} ({gas} Gas)',
+    sampleRow: 'Dies ist eine Beispielzeile; es gibt keine Aufgabe on-chain.',
+    noClient: 'Verbinde eine Wallet oder konfiguriere einen Nur-Lese-RPC-Endpunkt, um die Aufgabe zu laden.',
+    loading: 'Aufgabe wird aus dem Vertrag geladen...',
+    taskRecord: 'Aufgabendatensatz',
+    status: 'Status:',
+    waiting: 'Wartet auf einen Beweis',
+    verified: 'Beweis geprüft',
+    submitted: 'Beweis eingereicht',
+    requester: 'Anfragender:',
+    operator: 'Operator:',
+    resultHash: 'Ergebnis-Hash:',
+    reward: 'Belohnung:',
+    requested: 'Angefragt:',
+    proofSubmitted: 'Beweis eingereicht:',
+    computationTime: 'Rechenzeit:',
+    input: 'Eingabe der Berechnung',
+    inputSize: 'Eingabegröße:',
+    notDirect: 'Die Anfrage war kein direkter Aufruf von requestComputation, daher lässt sich ihre Eingabe nicht aus den Calldata lesen.',
+    template: 'Vorlage:',
+    expected: '(erwartet: {summary})',
+    asText: 'Als Text:',
+    moreBytes: {
+      one: '… {count} weiteres Byte',
+      other: '… {count} weitere Bytes'
+    },
+    transactions: 'Transaktionen',
+    request: 'Anfrage:',
+    proof: 'Beweis:',
+    block: '(Block {block})'
+  },
+  footer: {
+    builtOn: 'Gebaut auf Ethereums Sepolia-Testnetz mit der Restaking-Technologie von EigenLayer',
+    educational: 'Dies ist eine Lehrdemonstration, die das Potenzial von ZK-Co-Prozessoren zeigt',
+    version: 'Version {version}'
+  },
+  txErrors: {
+    unknown: 'Unbekannter Fehler',
+    other: '{message}',
+    rejected: 'Du hast die Anfrage in deiner Wallet abgelehnt.',
+    cancelled: 'Die Transaktion wurde in deiner Wallet abgebrochen.',
+    replaced: 'Die Transaktion wurde in deiner Wallet durch eine andere ersetzt.',
+    insufficientFunds: 'Deine Wallet hat nicht genug ETH für diese Transaktion und ihr Gas.',
+    rejectedByContract: 'Der Vertrag hat die Transaktion abgelehnt: {reason}',
+    minedReverted: 'Die Transaktion wurde gemined, aber rückgängig gemacht.',
+    networkChanged: 'Die Wallet hat das Netzwerk gewechselt, während die Transaktion gesendet wurde.',
+    revert: {
+      onlyOwner: 'Nur der Vertragseigentümer kann das tun.',
+      onlyOperator: 'Dieses Konto ist kein registrierter Operator.',
+      alreadyRegistered: 'Dieses Konto ist bereits als Operator registriert.',
+      insufficientStake: 'Der Stake liegt unter dem Mindest-Stake für Operatoren.',
+      insufficientReward: 'Das gesendete ETH deckt die Belohnung für diese Eingabe nicht. Warte auf ein neues Angebot und versuche es erneut.',
+      taskCompleted: 'Für diese Aufgabe wurde bereits ein Beweis eingereicht.',
+      invalidProof: 'Der Verifier-Vertrag hat den Beweis abgelehnt.',
+      taskNotCompleted: 'Die Aufgabe hat noch keinen Beweis.',
+      noRewards: 'Es gibt keine Belohnungen zum Abholen.',
+      transferFailed: 'Der Vertrag konnte das ETH nicht senden.',
+      notOperator: 'Diese Adresse ist kein registrierter Operator.',
+      insufficientStakeToSlash: 'Der Operator hat nicht so viel Stake, der gekürzt werden könnte.',
+      emptyProof: 'Der Beweis ist leer.',
+      insufficientBalance: 'Der Vertrag hält nicht so viel ETH.'
+    }
+  },
+  quote: {
+    wouldFail: 'Diese Anfrage würde fehlschlagen: {reason}',
+    fetching: 'Angebot wird abgerufen...',
+    reward: 'Belohnung ({size})',
+    gas: 'Gas',
+    gasWithoutWallet: 'Wird geschätzt, sobald eine Wallet verbunden ist',
+    estimatedGas: 'Geschätztes Gas ({gas} Einheiten)',
+    maxGasCost: 'Bis zu {cost} bei der aktuellen Höchstgebühr',
+    total: 'Geschätzte Summe'
+  },
+  pricing: {
+    units: {
+      gas: 'Gas',
+      eth: 'ETH',
+      usd: 'USD'
+    },
+    noFeed: 'Für dieses Netzwerk ist kein ETH/USD-Preisfeed konfiguriert',
+    feedPending: 'Der ETH/USD-Preisfeed wurde noch nicht gelesen',
+    feedError: 'Der ETH/USD-Preisfeed konnte nicht gelesen werden.',
+    pricedAt: 'Bewertet mit dem, was jede Transaktion für Gas bezahlt hat, oder mit den aktuellen {price} für Werte ohne Beleg',
+    ethUsd: '1 ETH = {price} ({feed}, aktualisiert {updated})'
+  },
+  transactions: {
+    status: {
+      awaitingSignature: 'Wartet auf Signatur',
+      submitted: 'Gesendet',
+      confirming: 'Wird bestätigt',
+      confirmed: 'Bestätigt',
+      failed: 'Fehlgeschlagen'
+    },
+    withConfirmations: '{status} ({confirmations}/{required})',
+    spedUp: 'in der Wallet beschleunigt',
+    labels: {
+      requestComputation: 'Berechnung anfordern',
+      register: 'Als Operator registrieren',
+      claim: 'Belohnungen abholen',
+      setBaseReward: 'Basisbelohnung festlegen',
+      setVerifier: 'Verifier-Vertrag festlegen',
+      slash: 'Operator slashen',
+      withdraw: 'ETH abheben'
+    }
+  },
+  alerts: {
+    provenTitle: 'Aufgabe bewiesen',
+    proven: 'Aufgabe {task} wurde bewiesen.',
+    provenBy: 'Aufgabe {task} wurde von {operator} bewiesen.',
+    staleTitle: 'Aufgabe unbeantwortet',
+    stale: {
+      one: 'Kein Beweis für Aufgabe {task} nach {count} Minute.',
+      other: 'Kein Beweis für Aufgabe {task} nach {count} Minuten.'
+    },
+    viewTask: 'Aufgabe ansehen'
+  },
+  lifecycle: {
+    title: 'Deine Aufgaben',
+    notifications: 'Browser-Benachrichtigungen',
+    notificationsBlocked: 'Browser-Benachrichtigungen (in den Browsereinstellungen blockiert)',
+    staleAfter: 'Als unbeantwortet markieren nach {minutes} Minuten',
+    stopWatching: 'Nicht mehr beobachten',
+    waiting: 'wartet...',
+    unanswered: {
+      one: 'Unbeantwortet: kein Beweis nach {count} Minute. Möglicherweise läuft kein Operator.',
+      other: 'Unbeantwortet: kein Beweis nach {count} Minuten. Möglicherweise läuft kein Operator.'
+    },
+    provenBy: 'Bewiesen von {operator}',
+    result: 'Ergebnis {hash}',
+    inspect: 'Beweis prüfen',
+    referenceMatches: 'Ergebnis des Operators stimmt mit der lokalen Referenz überein',
+    referenceMismatch: 'Ergebnis des Operators stimmt nicht mit der lokalen Referenz überein',
+    referenceWaiting: 'wartet auf das Ergebnis des Operators',
+    stages: {
+      pending: 'Ausstehend',
+      proofSubmitted: 'Beweis eingereicht',
+      verified: 'Verifiziert',
+      rewardPaid: 'Belohnung gezahlt'
+    }
+  },
+  search: {
+    placeholder: 'Aufgaben-ID, Tx-Hash oder Adresse suchen',
+    label: 'Nach Aufgaben-ID, Transaktions-Hash oder Adresse suchen',
+    submit: 'Suchen',
+    searching: 'Suche läuft...',
+    recent: 'Letzte Suchen',
+    clear: 'Leeren',
+    noClient: 'Verbinde eine Wallet oder konfiguriere einen schreibgeschützten RPC-Endpunkt, um zu suchen.',
+    notFound: {
+      invalidQuery: 'Gib eine Aufgaben-ID, einen Transaktions-Hash oder eine Adresse ein (0x…)',
+      pending: 'Diese Transaktion wurde noch nicht gemined; suche erneut, sobald sie es ist.',
+      unknownHash: 'In diesem Netzwerk wurde keine Aufgabe oder Transaktion mit diesem Hash gefunden.',
+      notATask: 'Diese Transaktion hat im Vertrag dieses Netzwerks keine Aufgabe angefordert oder bewiesen.',
+      unknownAddress: 'Diese Adresse ist kein registrierter Operator und hat in diesem Netzwerk keine Aufgaben angefordert.'
+    },
+    results: {
+      task: 'Aufgabe',
+      taskFromTransaction: 'Aufgabe aus {event}-Transaktion',
+      operator: 'Operator',
+      requester: {
+        one: 'Anfragender ({count} Aufgabe)',
+        other: 'Anfragender ({count} Aufgaben)'
+      }
+    }
+  },
+  inspector: {
+    title: 'Beweisprüfung',
+    taskId: 'Aufgaben-ID',
+    taskIdPlaceholder: 'Aufgaben-ID (bytes32)',
+    inspect: 'Prüfen',
+    noClient: 'Verbinde eine Wallet oder konfiguriere einen schreibgeschützten RPC-Endpunkt, um Beweise zu prüfen.',
+    loading: 'Beweis wird gesucht...',
+    submission: 'Einreichung',
+    operator: 'Operator:',
+    transaction: 'Transaktion:',
+    resultHash: 'Ergebnis-Hash:',
+    calldataMismatch: 'Die Calldata enthält einen anderen Ergebnis-Hash: {hash}',
+    proof: 'Beweis',
+    size: 'Größe:',
+    notDirect: 'Der Beweis wurde nicht über einen direkten submitProof-Aufruf eingereicht (zum Beispiel über eine Multisig), daher lassen sich seine Bytes nicht aus der Calldata der Transaktion gewinnen.',
+    verification: 'RISC-Zero-Verifizierung',
+    noVerifier: 'Es ist kein Verifier-Contract gesetzt, daher akzeptiert submitProof jeden Beweis ohne Verifizierung.',
+    verifyHint: 'Ruft verifyProof(imageId, abi.encode(taskId), proof, abi.encode(resultHash)) auf {verifier} als View-Aufruf auf. submitProof ruft den Verifier noch nicht auf, daher ist dies die einzige Prüfung, die der Beweis erhält.',
+    imageId: 'Image-ID',
+    imageIdPlaceholder: 'Image-ID (bytes32)',
+    verify: 'Verifizieren',
+    verifying: 'Wird verifiziert...',
+    invalidImageId: 'Die Image-ID muss ein 32-Byte-Hexwert sein',
+    verified: 'Der Beweis ist für Image {imageId} gültig',
+    notVerified: 'Der Beweis ist ungültig: {reason}',
+    noProof: 'Für diese Aufgabe wurde noch kein Beweis eingereicht.',
+    verifierRejected: 'Der Verifier hat ihn abgelehnt: {reason}',
+    revertedWithoutReason: 'Der Verifier hat ohne Grund abgebrochen',
+    noContract: 'An {address} ist kein Vertrag bereitgestellt',
+    returnedFalse: 'Der Verifier hat false zurückgegeben'
+  },
+  analytics: {
+    title: 'Analysen',
+    from: 'Von',
+    to: 'Bis',
+    indexing: 'Verlauf wird indexiert… die Diagramme füllen sich, sobald Beweise gefunden werden.',
+    empty: 'In diesem Zeitraum wurden keine Beweise eingereicht.',
+    proofs: 'Beweise',
+    medianSavings: 'Median der Gasersparnis',
+    p95Latency: 'p95-Latenz',
+    rewardsPaid: 'Gezahlte Belohnungen',
+    table: {
+      metric: 'Kennzahl',
+      samples: 'Stichproben',
+      mean: 'Mittelwert',
+      median: 'Median',
+      p95: 'p95',
+      savings: 'Gasersparnis',
+      latency: 'Bearbeitungsdauer',
+      rewardPerDay: 'Belohnungen pro aktivem Tag'
+    },
+    savingsTitle: 'Gasersparnis im Zeitverlauf',
+    savingsDataset: 'Gasersparnis (%)',
+    savingsTooltip: 'Ersparnis: {savings}',
+    savingsAxis: 'Ersparnis gegenüber on-chain (%)',
+    noEstimates: 'Noch keine Schätzungen für normales Gas (ist ein ReferenceProcessor konfiguriert?)',
+    complexityTitle: 'Komplexität und Gas',
+    zkGas: 'ZK-Gas (Anfrage + Beweis)',
+    normalGas: 'Normales Gas (Schätzung)',
+    complexityTooltip: '{series}: {gas} Gas bei {size}',
+    complexityAxis: 'Komplexität (Eingabebytes)',
+    latencyTitle: 'Bearbeitungsdauer der Aufgaben',
+    tasks: 'Aufgaben',
+    latencyAxis: 'Anfrage → Beweis (startTime bis endTime)',
+    rewardsTitle: 'Gezahlte Belohnungen pro Tag',
+    rewardsDataset: 'Gezahlte Belohnungen (ETH)',
+    rewardsTooltip: {
+      one: '{amount} in {count} Zahlung',
+      other: '{amount} in {count} Zahlungen'
+    },
+    ranges: {
+      days7: '7 Tage',
+      days30: '30 Tage',
+      days90: '90 Tage',
+      all: 'Gesamter Zeitraum'
+    }
+  },
+  input: {
+    textPlaceholder: "Daten für die ZK-Berechnung eingeben (z. B. 'Diese Signatur prüfen' oder 'Merkle-Beweis berechnen')...",
+    hexPlaceholder: '0xdeadbeef... (Leerzeichen werden ignoriert)',
+    fileLabel: 'Eingabedatei',
+    fileHint: 'Beliebige Binärdatei bis {size}.',
+    types: 'Typen',
+    jsonPlaceholder: 'JSON, z. B. [1, 2, 3]',
+    complexity: 'Komplexität',
+    rewardTier: 'Belohnungsstufe',
+    tier: 'Stufe {tier} ({minBytes}-{maxBytes} Bytes) · {tier}× Grundbelohnung',
+    tierTitle: 'Eingaben mit {minBytes}-{maxBytes} Bytes erhalten das {tier}-Fache der Grundbelohnung',
+    expected: 'Erwartetes Ergebnis',
+    computing: 'Wird berechnet...',
+    modes: {
+      text: 'Text',
+      hex: 'Hex',
+      file: 'Datei',
+      abi: 'ABI',
+      template: 'Vorlage'
+    },
+    errors: {
+      fileTooLarge: '{name} ist {size} groß; die Grenze liegt bei {limit}',
+      fileEmpty: '{name} ist leer',
+      hexDigits: 'Nur Hex-Ziffern (0-9, a-f) sind erlaubt',
+      hexEven: 'Hex braucht eine gerade Anzahl von Ziffern (zwei pro Byte)',
+      noTypes: 'Gib mindestens einen Typ ein',
+      invalidTypes: 'Ungültige Typliste: {reason}',
+      expectedBool: 'true oder false erwartet',
+      missingValue: 'Gib einen Wert für {type} ein (Feld {field})',
+      invalidValue: 'Feld {field} ({type}): {reason}',
+      encodeFailed: 'Die Werte konnten nicht kodiert werden: {reason}'
+    }
+  },
+  history: {
+    title: 'Verlauf der Beweisvergleiche',
+    columns: {
+      time: 'Zeit',
+      zkGas: 'Verbrauchtes ZK-Gas (Anfrage + Beweis)',
+      normalGas: 'Normales Gas (Schätzung)',
+      provingTime: 'Anfrage → Beweis',
+      savings: 'Effizienzgewinn'
+    },
+    syncFailed: 'Synchronisierung des Verlaufs fehlgeschlagen: {reason}',
+    indexing: 'Verlauf wird indexiert: Block {block} von {latest} ({percent})',
+    indexed: 'Verlauf indexiert bis Block {block}',
+    demoDataTitle: 'Beispielzeilen, nicht aus dem Contract gelesen',
+    showDemo: 'Demodaten anzeigen, wenn es keinen Verlauf gibt',
+    clickRow: 'Klicke auf eine Zeile, um Details zu sehen',
+    processing: 'Deine Berechnung wird verarbeitet...',
+    indexingShort: 'Verlauf wird indexiert...',
+    empty: 'Bisher wurden keine Beweise eingereicht',
+    prev: 'Zurück',
+    next: 'Weiter',
+    page: 'Seite {page} von {pages}',
+    proofCount: {
+      one: '{count} Beweis',
+      other: '{count} Beweise'
+    }
+  },
+  templates: {
+    template: 'Vorlage',
+    summary: '{summary}',
+    ecdsa: {
+      name: 'ECDSA-Signaturprüfung',
+      message: 'Nachricht',
+      messagePlaceholder: 'Signierte Nachricht (personal_sign)',
+      signature: 'Signatur',
+      signaturePlaceholder: '0x... (65 Bytes)',
+      signer: 'Erwarteter Unterzeichner',
+      valid: 'Gültige Signatur von {signer}',
+      invalid: 'Ungültig: wiederhergestellt wurde {signer}'
+    },
+    merkle: {
+      name: 'Merkle-Inklusionsbeweis',
+      leaf: 'Blatt',
+      leafPlaceholder: 'bytes32-Hash des Blatts',
+      path: 'Beweispfad',
+      pathPlaceholder: 'Ein bytes32-Geschwisterknoten pro Zeile, vom Blatt aufwärts (Paare werden sortiert gehasht)',
+      root: 'Wurzel',
+      rootPlaceholder: 'bytes32-Wurzel',
+      included: 'Das Blatt ist im Baum enthalten',
+      excluded: 'Nicht enthalten: der Pfad führt zu {root}'
+    },
+    hashChain: {
+      name: 'Hash-Kette',
+      seed: 'Startwert',
+      seedPlaceholder: 'Zu hashender Text',
+      algorithm: 'Hashfunktion',
+      rounds: 'Runden',
+      digest: '{algorithm} × {count}: {digest}'
+    },
+    errors: {
+      signatureHex: 'Die Signatur muss hexadezimal sein (0x...)',
+      signerAddress: 'Gib eine gültige Unterzeichneradresse ein',
+      merkleHex: 'Blatt, Wurzel und jeder Beweisknoten müssen 32-Byte-Hexwerte sein',
+      rounds: 'Die Runden müssen eine ganze Zahl von 1 bis {max} sein',
+      encodeFailed: 'Die Vorlage konnte nicht kodiert werden: {reason}',
+      unknownAlgorithm: 'Unbekannter Hash-Algorithmus',
+      roundsOutOfRange: 'Die Runden müssen zwischen 1 und {max} liegen'
+    }
+  },
+  export: {
+    button: '{format} exportieren',
+    title: {
+      one: '{count} Eintrag als {format} herunterladen',
+      other: '{count} Einträge als {format} herunterladen'
+    }
+  },
+  wallet: {
+    title: 'Wallet verbinden',
+    none: 'Es wurde keine Browser-Wallet gefunden. Installiere eine, etwa MetaMask, und lade die Seite neu.',
+    browserWallet: 'Browser-Wallet',
+    sandbox: 'Keine Wallet oder Test-ETH? {link} – sie simuliert den Contract und einen Operator in diesem Browser.',
+    sandboxLink: 'Probiere die Offline-Sandbox aus'
+  },
+  sandbox: {
+    title: 'Offline-Sandbox',
+    reset: 'Sandbox zurücksetzen',
+    confirmReset: 'Sandbox neu starten? Alle Aufgaben, Beweise und Guthaben darin werden gelöscht.',
+    intro: 'Die Chain, der ZKCoProcessor-Contract und sein Operator werden in diesem Browser simuliert; nichts wird an ein Netzwerk gesendet. Dein Konto hat den Contract bereitgestellt, daher funktioniert auch die Admin-Seite, und es besitzt 100 Test-ETH. Der simulierte Operator {operator} beantwortet jede Anfrage mit einem Mock-Beweis.',
+    delay: 'Anfragen nach {seconds} Sekunden beweisen',
+    pause: 'Operator pausieren (Anfragen warten, bis er weiterläuft)',
+    provenIn: 'wird bewiesen in {seconds}'
+  },
+  requester: {
+    title: 'Anfragender',
+    indexing: 'Der Contract-Verlauf wird indexiert; weitere Aufgaben können erscheinen.',
+    requested: 'Angefragte Aufgaben',
+    proven: 'Bewiesen',
+    rewardsOffered: 'Angebotene Belohnungen',
+    tasks: 'Aufgaben',
+    empty: 'Keine Aufgaben dieser Adresse im indexierten Verlauf.',
+    columns: {
+      block: 'Block',
+      task: 'Aufgabe',
+      complexity: 'Komplexität',
+      reward: 'Belohnung',
+      status: 'Status',
+      operator: 'Operator',
+      savings: 'Gasersparnis'
+    },
+    statusProven: 'Bewiesen',
+    statusWaiting: 'Wartet auf einen Beweis'
+  },
+  operator: {
+    title: 'Operator-Konsole',
+    connect: 'Verbinde deine Wallet, um dich als Operator zu registrieren oder Belohnungen abzuholen.',
+    loading: 'Operator-Status wird geladen...',
+    stake: 'Einsatz',
+    reputation: 'Reputation',
+    tasksCompleted: 'Erledigte Aufgaben',
+    pendingRewards: 'Offene Belohnungen',
+    claim: 'Belohnungen abholen',
+    claiming: 'Wird abgeholt...',
+    claimed: '{amount} abgeholt.',
+    walletBalance: 'Wallet-Guthaben: {amount}',
+    registerHint: 'Hinterlege ETH, um dieses Konto als Operator zu registrieren. Operatoren reichen Beweise für angefragte Aufgaben ein und erhalten deren Belohnungen. Der Mindesteinsatz beträgt {amount}.',
+    stakeLabel: 'Einsatz in ETH',
+    register: 'Als Operator registrieren',
+    registering: 'Wird registriert...',
+    registered: 'Als Operator registriert.',
+    errors: {
+      missingStake: 'Gib einen Einsatz ein',
+      invalidStake: 'Gib einen gültigen ETH-Betrag ein',
+      belowMinimum: 'Der Mindesteinsatz beträgt {amount}',
+      overBalance: 'Der Einsatz übersteigt dein Wallet-Guthaben'
+    }
+  },
+  profile: {
+    title: 'Operator',
+    alsoRequested: {
+      one: 'Diese Adresse hat außerdem {count} Aufgabe angefragt.',
+      other: 'Diese Adresse hat außerdem {count} Aufgaben angefragt.'
+    },
+    viewRequests: 'Anzeigen',
+    noClient: 'Verbinde eine Wallet oder konfiguriere einen schreibgeschützten RPC-Endpunkt, um diesen Operator zu laden.',
+    loading: 'Operator-Daten werden geladen...',
+    notRegistered: 'Diese Adresse ist nicht als Operator registriert.',
+    rewardsEarned: 'Verdiente Belohnungen (indexiert)',
+    slashes: 'Slashings',
+    slash: '{amount} in Block {block}: {reason}',
+    proofs: 'Beweise ({count})',
+    noProofs: 'Keine Beweise dieses Operators im indexierten Verlauf.',
+    columns: {
+      task: 'Aufgabe',
+      zkGas: 'Verbrauchtes ZK-Gas',
+      reward: 'Belohnung'
+    },
+    showingLatest: 'Die neuesten {shown} von {count} Beweisen werden angezeigt.'
+  },
+  admin: {
+    title: 'Admin-Konsole',
+    refresh: 'Aktualisieren',
+    connectedAsOwner: 'Du bist als Eigentümer des Contracts verbunden.',
+    notOwner: 'Das verbundene Konto ist nicht der Eigentümer des Contracts.',
+    connectOwner: 'Verbinde die Wallet des Contract-Eigentümers, um den Contract zu verwalten.',
+    confirm: '{summary}\n\nDiese Transaktion senden?',
+    done: 'Erledigt: {summary}',
+    baseReward: 'Grundbelohnung',
+    minStake: 'Mindesteinsatz für Operatoren',
+    verifier: 'Verifier-Contract',
+    notSet: 'Nicht gesetzt',
+    balance: 'Contract-Guthaben',
+    newBaseReward: 'Neue Grundbelohnung',
+    newBaseRewardLabel: 'Neue Grundbelohnung in ETH',
+    setBaseReward: 'Grundbelohnung setzen',
+    updating: 'Wird aktualisiert...',
+    verifierPlaceholder: '0x... (Nulladresse zum Deaktivieren)',
+    verifierLabel: 'Adresse des Verifier-Contracts',
+    setVerifier: 'Verifier setzen',
+    slashTitle: 'Operator slashen',
+    operatorAddress: 'Operator-Adresse',
+    amount: 'Betrag',
+    slashAmountLabel: 'Zu slashender Betrag in ETH',
+    reason: 'Grund',
+    slash: 'Slashen',
+    slashing: 'Wird geslasht...',
+    withdrawTitle: 'ETH abheben',
+    withdrawAmountLabel: 'Abzuhebender Betrag in ETH',
+    withdraw: 'Abheben',
+    withdrawing: 'Wird abgehoben...',
+    errors: {
+      checkFailed: 'Die Eingabe konnte nicht geprüft werden: {reason}',
+      invalidAmount: 'Gib einen gültigen ETH-Betrag ein',
+      baseRewardZero: 'Die Grundbelohnung muss größer als 0 ETH sein',
+      sameBaseReward: 'Das ist bereits die Grundbelohnung',
+      invalidAddress: 'Gib eine gültige Adresse ein',
+      sameVerifier: 'Das ist bereits der Verifier-Contract',
+      noContract: 'An dieser Adresse ist kein Contract bereitgestellt',
+      invalidOperator: 'Gib eine gültige Operator-Adresse ein',
+      missingReason: 'Gib einen Grund ein; er wird on-chain gespeichert',
+      notOperator: 'Diese Adresse ist kein registrierter Operator',
+      overStake: 'Der Operator hat nur {amount} hinterlegt',
+      lowReputation: 'Ein Slashing kostet {penalty} Reputation und dieser Operator hat nur {reputation}',
+      overBalance: 'Der Contract hält nur {amount}'
+    },
+    summaries: {
+      baseReward: 'Grundbelohnung von {from} auf {to} pro 100 Bytes ändern.',
+      removeVerifier: 'Verifier-Contract entfernen (Beweise werden nicht mehr verifiziert).',
+      verifier: 'Verifier-Contract auf {address} setzen.',
+      slash: '{amount} vom Einsatz ({stake}) von {operator} slashen wegen „{reason}“.',
+      withdraw: '{amount} aus dem Contract auf das Eigentümerkonto abheben.'
+    }
+  }
+};
+
+export default de;
@@ -0,0 +1,635 @@
+/**
+ * English messages; the reference catalog every other locale falls back to
+ */
+const en = {
+  common: {
+    dismiss: 'Dismiss',
+    connectFirst: 'Connect your wallet first.',
+    notAvailable: 'n/a'
+  },
+  units: {
+    gas: '{amount} gas',
+    gwei: '{amount} gwei'
+  },
+  header: {
+    title: 'ZK Co-Processor Dashboard',
+    switchToTitle: 'Switch to {network}',
+    switchToMainnet: 'Switch to Mainnet',
+    switchToSepolia: 'Switch to Sepolia',
+    leaveSandbox: 'Leave Sandbox',
+    disconnect: 'Disconnect',
+    readOnly: 'Read-only · {network}',
+    readOnlyTitle: 'Showing live data without a wallet',
+    connectWallet: 'Connect Wallet',
+    trySandbox: 'Try the Sandbox',
+    trySandboxTitle: 'Run the full flow in this browser, without a wallet or a network',
+    language: 'Language'
+  },
+  network: {
+    missing: 'No ZKCoProcessor deployment on {network}.',
+    missingAt: 'No ZKCoProcessor deployment on {network} (nothing found at {address}).',
+    switchHint: 'Switch to a supported network to use the dashboard.',
+    rpcHint: 'Check the configured RPC endpoint.',
+    switchTo: 'Switch to {network}',
+    linkFor: 'This link is for {linked}, but the dashboard is showing {network}.',
+    unknownNetwork: 'an unknown network ({chain})',
+    noReadOnly: 'No read-only endpoint is configured for that network.',
+    openSandbox: 'Open the Sandbox',
+    stayOn: 'Stay on {network}'
+  },
+  nav: {
+    dashboard: 'Dashboard',
+    analytics: 'Analytics',
+    operator: 'Operator',
+    admin: 'Admin'
+  },
+  notFound: {
+    title: 'Page not found',
+    body: 'There is nothing at this address.',
+    back: 'Back to the dashboard'
+  },
+  intro: {
+    title: 'What is a ZK Co-Processor?',
+    offloading: 'A <strong>Zero-Knowledge Co-Processor</strong> offloads computational tasks from Ethereum\'s L1 to specialized processors, dramatically reducing gas costs while maintaining security through cryptographic proofs.',
+    restaking: 'Using <strong>EigenLayer\'s restaking mechanism</strong>, these Co-Processors leverage existing staked ETH as security for off-chain computations, creating an efficient execution environment without sacrificing trustlessness.',
+    useCases: 'Common use cases include complex verifications like digital signatures, AI model inference, and computational-heavy operations that would otherwise be prohibitively expensive on-chain.',
+    imageAlt: 'ZK Proof Diagram',
+    imageCaption: 'Zero-Knowledge cryptography enables verifiable computation off-chain',
+    proofsTitle: 'How ZK Proofs Make This Possible',
+    proofs: 'Zero-Knowledge proofs allow one party (the prover) to prove to another party (the verifier) that a statement is true, without revealing any additional information beyond the validity of the statement itself. In blockchain applications, this means computation can happen off-chain, with only a compact proof being submitted and verified on-chain.',
+    learnMore: 'Learn More About ZK Technology'
+  },
+  links: {
+    zkProofs: {
+      title: 'Introduction to Zero-Knowledge Proofs',
+      description: 'Learn the basics of ZK proofs from Ethereum.org'
+    },
+    eigenLayer: {
+      title: 'EigenLayer Documentation',
+      description: 'Understand EigenLayer\'s restaking mechanism'
+    },
+    coProcessors: {
+      title: 'ZK Co-Processors Explained',
+      description: 'Polygon\'s explanation of ZK co-processors'
+    },
+    riscZero: {
+      title: 'RISC Zero Documentation',
+      description: 'Learn about RISC Zero\'s zkVM for generating ZK proofs'
+    }
+  },
+  stats: {
+    totalTasks: 'Total Tasks Processed',
+    provingTime: 'Request → Proof Time',
+    gasSavings: 'Gas Savings',
+    saved: '{amount} saved',
+    totalSaved: 'Total Saved',
+    acrossTasks: {
+      one: 'across {count} task with an estimate',
+      other: 'across {count} tasks with an estimate'
+    },
+    demoData: 'Demo data',
+    demoDataTitle: 'Sample figures, not read from the contract'
+  },
+  chart: {
+    zk: 'ZK Co-Processor (request + proof)',
+    normal: 'Normal Processing (estimate)',
+    normalNoEstimate: 'Normal Processing (no estimate)',
+    gasDataset: 'Gas Usage Comparison',
+    costDataset: 'Cost Comparison',
+    gasTitle: 'Gas Usage Comparison: ZK vs Normal Processing',
+    costTitle: 'Cost Comparison: ZK vs Normal Processing',
+    gasTooltip: 'Gas Used: {gas} units',
+    costTooltip: 'Cost: {cost} ({gas})',
+    axis: {
+      gas: 'Gas Units',
+      eth: 'ETH',
+      usd: 'USD'
+    }
+  },
+  request: {
+    noWallet: 'No Ethereum wallet was found. Please install a browser wallet such as MetaMask to use this application.',
+    notConnected: 'No wallet connected. Please connect a wallet first.',
+    noDeployment: 'There is no ZKCoProcessor deployment on {network}. Please switch to a supported network.',
+    rewardChanged: 'The reward changed to {reward} since it was quoted. Please review the new quote and try again.',
+    wouldFail: 'This request would fail on-chain: {reason}',
+    noEvent: 'Transaction succeeded but no ComputationRequested event was found.',
+    title: 'Try it yourself: Request a ZK Computation',
+    explainer: 'Enter text, raw hex, a file or ABI-encoded values below to send a computation task to the ZK Co-Processor. The system will process your input and generate a comparison between ZK and normal processing methods.',
+    testnetNote: 'This is running on Sepolia testnet and does not use real ETH.',
+    howTitle: 'How It Works:',
+    steps: {
+      encode: 'Your input is encoded as bytes and sent to the smart contract',
+      measure: 'The contract measures computation complexity based on input size',
+      prove: 'A simulated ZK proof is generated and verified',
+      compare: 'Results comparing gas usage and time are displayed above'
+    },
+    connectToRequest: 'Connect Wallet to Request',
+    processing: 'Processing...',
+    submit: 'Request ZK Computation',
+    connectPrompt: 'Please connect your wallet to request computations.',
+    emptyInput: 'Please enter some input data to process'
+  },
+  modal: {
+    notFound: 'No task with this ID was found on this network.',
+    title: 'Computation Details',
+    inspectProof: 'Inspect Proof',
+    performance: 'Performance Metrics',
+    zkGas: 'ZK Gas Used:',
+    normalGas: 'Normal Gas (estimate):',
+    requestGas: 'Request Gas:',
+    proofGas: 'Proof Gas:',
+    saved: 'Saved:',
+    gasPrice: 'Gas Price:',
+    gasPriceFromReceipts: '{request} request, {proof} proof (from the receipts)',
+    gasPriceCurrent: '{price} (current; no receipt price recorded)',
+    efficiency: 'Efficiency Gain:',
+    gasUnits: '{gas} units',
+    costWithGas: '{cost} ({gas} gas)',
+    sampleRow: 'This is a sample row; there is no task on-chain to show.',
+    noClient: 'Connect a wallet or configure a read-only RPC endpoint to load the task.',
+    loading: 'Loading the task from the contract...',
+    taskRecord: 'Task Record',
+    status: 'Status:',
+    waiting: 'Waiting for a proof',
+    verified: 'Proof verified',
+    submitted: 'Proof submitted',
+    requester: 'Requester:',
+    operator: 'Operator:',
+    resultHash: 'Result Hash:',
+    reward: 'Reward:',
+    requested: 'Requested:',
+    proofSubmitted: 'Proof Submitted:',
+    computationTime: 'Computation Time:',
+    input: 'Computation Input',
+    inputSize: 'Input Size:',
+    notDirect: 'The request was not a direct requestComputation call, so its input cannot be read from the calldata.',
+    template: 'Template:',
+    expected: '(expected: {summary})',
+    asText: 'As text:',
+    moreBytes: {
+      one: '… {count} more byte',
+      other: '… {count} more bytes'
+    },
+    transactions: 'Transactions',
+    request: 'Request:',
+    proof: 'Proof:',
+    block: '(block {block})'
+  },
+  footer: {
+    builtOn: 'Built on Ethereum\'s Sepolia testnet using EigenLayer\'s restaking technology',
+    educational: 'This is an educational demonstration to showcase the potential of ZK Co-Processors',
+    version: 'Version {version}'
+  },
+  txErrors: {
+    unknown: 'Unknown error',
+    other: '{message}',
+    rejected: 'You rejected the request in your wallet.',
+    cancelled: 'The transaction was cancelled in your wallet.',
+    replaced: 'The transaction was replaced by a different transaction in your wallet.',
+    insufficientFunds: 'Your wallet does not have enough ETH to pay for this transaction and its gas.',
+    rejectedByContract: 'The contract rejected the transaction: {reason}',
+    minedReverted: 'The transaction was mined but reverted.',
+    networkChanged: 'The wallet switched networks while the transaction was being sent.',
+    revert: {
+      onlyOwner: 'Only the contract owner can do this.',
+      onlyOperator: 'This account is not a registered operator.',
+      alreadyRegistered: 'This account is already registered as an operator.',
+      insufficientStake: 'The stake is below the minimum operator stake.',
+      insufficientReward: 'The ETH sent does not cover the reward for this input. Wait for a new quote and try again.',
+      taskCompleted: 'A proof has already been submitted for this task.',
+      invalidProof: 'The verifier contract rejected the proof.',
+      taskNotCompleted: 'The task has no proof yet.',
+      noRewards: 'There are no rewards to claim.',
+      transferFailed: 'The contract could not send the ETH.',
+      notOperator: 'This address is not a registered operator.',
+      insufficientStakeToSlash: 'The operator does not have that much stake to slash.',
+      emptyProof: 'The proof is empty.',
+      insufficientBalance: 'The contract does not hold that much ETH.'
+    }
+  },
+  quote: {
+    wouldFail: 'This request would fail: {reason}',
+    fetching: 'Fetching quote...',
+    reward: 'Reward ({size})',
+    gas: 'Gas',
+    gasWithoutWallet: 'Estimated once a wallet is connected',
+    estimatedGas: 'Estimated gas ({gas} units)',
+    maxGasCost: 'Up to {cost} at the current max fee',
+    total: 'Estimated total'
+  },
+  pricing: {
+    units: {
+      gas: 'Gas',
+      eth: 'ETH',
+      usd: 'USD'
+    },
+    noFeed: 'No ETH/USD price feed is configured for this network',
+    feedPending: 'The ETH/USD price feed has not been read yet',
+    feedError: 'The ETH/USD price feed could not be read.',
+    pricedAt: 'Priced at what each transaction paid for gas, or the current {price} for figures without a receipt',
+    ethUsd: '1 ETH = {price} ({feed}, updated {updated})'
+  },
+  transactions: {
+    status: {
+      awaitingSignature: 'Awaiting signature',
+      submitted: 'Submitted',
+      confirming: 'Confirming',
+      confirmed: 'Confirmed',
+      failed: 'Failed'
+    },
+    withConfirmations: '{status} ({confirmations}/{required})',
+    spedUp: 'sped up in wallet',
+    labels: {
+      requestComputation: 'Request computation',
+      register: 'Register as operator',
+      claim: 'Claim rewards',
+      setBaseReward: 'Set base reward',
+      setVerifier: 'Set verifier contract',
+      slash: 'Slash operator',
+      withdraw: 'Withdraw ETH'
+    }
+  },
+  alerts: {
+    provenTitle: 'Task proven',
+    proven: 'Task {task} was proven.',
+    provenBy: 'Task {task} was proven by {operator}.',
+    staleTitle: 'Task unanswered',
+    stale: {
+      one: 'No proof for task {task} after {count} minute.',
+      other: 'No proof for task {task} after {count} minutes.'
+    },
+    viewTask: 'View task'
+  },
+  lifecycle: {
+    title: 'Your Tasks',
+    notifications: 'Browser notifications',
+    notificationsBlocked: 'Browser notifications (blocked in the browser settings)',
+    staleAfter: 'Flag as unanswered after {minutes} minutes',
+    stopWatching: 'Stop watching',
+    waiting: 'waiting...',
+    unanswered: {
+      one: 'Unanswered: no proof after {count} minute. No operator may be running.',
+      other: 'Unanswered: no proof after {count} minutes. No operator may be running.'
+    },
+    provenBy: 'Proven by {operator}',
+    result: 'result {hash}',
+    inspect: 'Inspect proof',
+    referenceMatches: 'operator result matches the local reference',
+    referenceMismatch: 'operator result does not match the local reference',
+    referenceWaiting: 'waiting for the operator result',
+    stages: {
+      pending: 'Pending',
+      proofSubmitted: 'Proof Submitted',
+      verified: 'Verified',
+      rewardPaid: 'Reward Paid'
+    }
+  },
+  search: {
+    placeholder: 'Search task ID, tx hash or address',
+    label: 'Search by task ID, transaction hash or address',
+    submit: 'Search',
+    searching: 'Searching...',
+    recent: 'Recent searches',
+    clear: 'Clear',
+    noClient: 'Connect a wallet or configure a read-only RPC endpoint to search.',
+    notFound: {
+      invalidQuery: 'Enter a task ID, a transaction hash or an address (0x…)',
+      pending: 'This transaction has not been mined yet; search again once it is.',
+      unknownHash: 'No task or transaction with this hash was found on this network.',
+      notATask: 'This transaction did not request or prove a task on this network\'s contract.',
+      unknownAddress: 'This address is not a registered operator and has not requested any tasks on this network.'
+    },
+    results: {
+      task: 'Task',
+      taskFromTransaction: 'Task from {event} transaction',
+      operator: 'Operator',
+      requester: {
+        one: 'Requester ({count} task)',
+        other: 'Requester ({count} tasks)'
+      }
+    }
+  },
+  inspector: {
+    title: 'Proof Inspector',
+    taskId: 'Task ID',
+    taskIdPlaceholder: 'Task ID (bytes32)',
+    inspect: 'Inspect',
+    noClient: 'Connect a wallet or configure a read-only RPC endpoint to inspect proofs.',
+    loading: 'Looking up the proof...',
+    submission: 'Submission',
+    operator: 'Operator:',
+    transaction: 'Transaction:',
+    resultHash: 'Result hash:',
+    calldataMismatch: 'The calldata carries a different result hash: {hash}',
+    proof: 'Proof',
+    size: 'Size:',
+    notDirect: 'The proof was not submitted by a direct submitProof call (for example through a multisig), so its bytes cannot be recovered from the transaction calldata.',
+    verification: 'RISC Zero Verification',
+    noVerifier: 'No verifier contract is set, so submitProof accepts every proof without verification.',
+    verifyHint: 'Calls verifyProof(imageId, abi.encode(taskId), proof, abi.encode(resultHash)) on {verifier} as a view call. submitProof does not call the verifier yet, so this is the only check the proof gets.',
+    imageId: 'Image ID',
+    imageIdPlaceholder: 'Image ID (bytes32)',
+    verify: 'Verify',
+    verifying: 'Verifying...',
+    invalidImageId: 'The image ID must be a 32-byte hex value',
+    verified: 'The proof verifies for image {imageId}',
+    notVerified: 'The proof does not verify: {reason}',
+    noProof: 'No proof has been submitted for this task.',
+    verifierRejected: 'The verifier rejected it: {reason}',
+    revertedWithoutReason: 'The verifier reverted without a reason',
+    noContract: 'No contract is deployed at {address}',
+    returnedFalse: 'The verifier returned false'
+  },
+  analytics: {
+    title: 'Analytics',
+    from: 'From',
+    to: 'To',
+    indexing: 'Indexing history… charts fill in as proofs are found.',
+    empty: 'No proofs were submitted in this date range.',
+    proofs: 'Proofs',
+    medianSavings: 'Median Gas Savings',
+    p95Latency: 'p95 Latency',
+    rewardsPaid: 'Rewards Paid',
+    table: {
+      metric: 'Metric',
+      samples: 'Samples',
+      mean: 'Mean',
+      median: 'Median',
+      p95: 'p95',
+      savings: 'Gas savings',
+      latency: 'Completion latency',
+      rewardPerDay: 'Rewards per active day'
+    },
+    savingsTitle: 'Gas Savings Over Time',
+    savingsDataset: 'Gas savings (%)',
+    savingsTooltip: 'Savings: {savings}',
+    savingsAxis: 'Savings vs. on-chain (%)',
+    noEstimates: 'No normal-gas estimates yet (is a ReferenceProcessor configured?)',
+    complexityTitle: 'Complexity vs. Gas',
+    zkGas: 'ZK gas (request + proof)',
+    normalGas: 'Normal gas (estimate)',
+    complexityTooltip: '{series}: {gas} gas at {size}',
+    complexityAxis: 'Complexity (input bytes)',
+    latencyTitle: 'Task Completion Latency',
+    tasks: 'Tasks',
+    latencyAxis: 'Request → proof (startTime to endTime)',
+    rewardsTitle: 'Rewards Paid per Day',
+    rewardsDataset: 'Rewards paid (ETH)',
+    rewardsTooltip: {
+      one: '{amount} in {count} payment',
+      other: '{amount} in {count} payments'
+    },
+    ranges: {
+      days7: '7 days',
+      days30: '30 days',
+      days90: '90 days',
+      all: 'All time'
+    }
+  },
+  input: {
+    textPlaceholder: "Enter data for ZK computation (e.g., 'Verify this signature' or 'Calculate merkle proof')...",
+    hexPlaceholder: '0xdeadbeef... (whitespace is ignored)',
+    fileLabel: 'Input file',
+    fileHint: 'Any binary file up to {size}.',
+    types: 'Types',
+    jsonPlaceholder: 'JSON, e.g. [1, 2, 3]',
+    complexity: 'Complexity',
+    rewardTier: 'Reward tier',
+    tier: 'Tier {tier} ({minBytes}-{maxBytes} bytes) · {tier}× base reward',
+    tierTitle: 'Inputs of {minBytes}-{maxBytes} bytes pay {tier}× the base reward',
+    expected: 'Expected result',
+    computing: 'Computing...',
+    modes: {
+      text: 'Text',
+      hex: 'Hex',
+      file: 'File',
+      abi: 'ABI',
+      template: 'Template'
+    },
+    errors: {
+      fileTooLarge: '{name} is {size}; the limit is {limit}',
+      fileEmpty: '{name} is empty',
+      hexDigits: 'Only hex digits (0-9, a-f) are allowed',
+      hexEven: 'Hex needs an even number of digits (two per byte)',
+      noTypes: 'Enter at least one type',
+      invalidTypes: 'Invalid type list: {reason}',
+      expectedBool: 'expected true or false',
+      missingValue: 'Enter a value for {type} (field {field})',
+      invalidValue: 'Field {field} ({type}): {reason}',
+      encodeFailed: 'Could not encode the values: {reason}'
+    }
+  },
+  history: {
+    title: 'Proof Comparison History',
+    columns: {
+      time: 'Time',
+      zkGas: 'ZK Gas Used (request + proof)',
+      normalGas: 'Normal Gas (estimate)',
+      provingTime: 'Request → Proof',
+      savings: 'Efficiency Gain'
+    },
+    syncFailed: 'History sync failed: {reason}',
+    indexing: 'Indexing history: block {block} of {latest} ({percent})',
+    indexed: 'History indexed up to block {block}',
+    demoDataTitle: 'Sample rows, not read from the contract',
+    showDemo: 'Show demo data when there is no history',
+    clickRow: 'Click on any row to view detailed information',
+    processing: 'Processing your computation...',
+    indexingShort: 'Indexing history...',
+    empty: 'No proofs have been submitted yet',
+    prev: 'Prev',
+    next: 'Next',
+    page: 'Page {page} of {pages}',
+    proofCount: {
+      one: '{count} proof',
+      other: '{count} proofs'
+    }
+  },
+  templates: {
+    template: 'Template',
+    summary: '{summary}',
+    ecdsa: {
+      name: 'ECDSA signature verification',
+      message: 'Message',
+      messagePlaceholder: 'Signed message (personal_sign)',
+      signature: 'Signature',
+      signaturePlaceholder: '0x... (65 bytes)',
+      signer: 'Expected signer',
+      valid: 'Valid signature by {signer}',
+      invalid: 'Invalid: recovered {signer}'
+    },
+    merkle: {
+      name: 'Merkle inclusion proof',
+      leaf: 'Leaf',
+      leafPlaceholder: 'bytes32 leaf hash',
+      path: 'Proof path',
+      pathPlaceholder: 'One bytes32 sibling per line, from the leaf up (pairs are hashed sorted)',
+      root: 'Root',
+      rootPlaceholder: 'bytes32 root',
+      included: 'Leaf is included in the tree',
+      excluded: 'Not included: path leads to {root}'
+    },
+    hashChain: {
+      name: 'Hash chain',
+      seed: 'Seed',
+      seedPlaceholder: 'Text to hash',
+      algorithm: 'Hash function',
+      rounds: 'Rounds',
+      digest: '{algorithm} × {count}: {digest}'
+    },
+    errors: {
+      signatureHex: 'The signature must be hex (0x...)',
+      signerAddress: 'Enter a valid signer address',
+      merkleHex: 'Leaf, root and every proof node must be 32-byte hex values',
+      rounds: 'Rounds must be a whole number from 1 to {max}',
+      encodeFailed: 'Could not encode the template: {reason}',
+      unknownAlgorithm: 'Unknown hash algorithm',
+      roundsOutOfRange: 'Rounds must be between 1 and {max}'
+    }
+  },
+  export: {
+    button: 'Export {format}',
+    title: {
+      one: 'Download {count} record as {format}',
+      other: 'Download {count} records as {format}'
+    }
+  },
+  wallet: {
+    title: 'Connect a Wallet',
+    none: 'No browser wallet was found. Install one such as MetaMask and reload the page.',
+    browserWallet: 'Browser Wallet',
+    sandbox: 'No wallet or test ETH? {link}, which simulates the contract and an operator in this browser.',
+    sandboxLink: 'Try the offline sandbox'
+  },
+  sandbox: {
+    title: 'Offline Sandbox',
+    reset: 'Reset Sandbox',
+    confirmReset: 'Start the sandbox over? Every task, proof and balance in it is deleted.',
+    intro: 'The chain, the ZKCoProcessor contract and its operator are simulated in this browser; nothing is sent to a network. Your account deployed the contract, so the Admin page works too, and it holds 100 test ETH. The simulated operator {operator} answers every request with a mock proof.',
+    delay: 'Prove requests after {seconds} seconds',
+    pause: 'Pause the operator (requests wait until it resumes)',
+    provenIn: 'proven in {seconds}'
+  },
+  requester: {
+    title: 'Requester',
+    indexing: 'Indexing contract history; more tasks may appear.',
+    requested: 'Tasks Requested',
+    proven: 'Proven',
+    rewardsOffered: 'Rewards Offered',
+    tasks: 'Tasks',
+    empty: 'No tasks from this address in the indexed history.',
+    columns: {
+      block: 'Block',
+      task: 'Task',
+      complexity: 'Complexity',
+      reward: 'Reward',
+      status: 'Status',
+      operator: 'Operator',
+      savings: 'Gas Savings'
+    },
+    statusProven: 'Proven',
+    statusWaiting: 'Waiting for a proof'
+  },
+  operator: {
+    title: 'Operator Console',
+    connect: 'Connect your wallet to register as an operator or claim rewards.',
+    loading: 'Loading operator status...',
+    stake: 'Stake',
+    reputation: 'Reputation',
+    tasksCompleted: 'Tasks Completed',
+    pendingRewards: 'Pending Rewards',
+    claim: 'Claim Rewards',
+    claiming: 'Claiming...',
+    claimed: 'Claimed {amount}.',
+    walletBalance: 'Wallet balance: {amount}',
+    registerHint: 'Stake ETH to register this account as an operator. Operators submit proofs for requested tasks and earn the task rewards. The minimum stake is {amount}.',
+    stakeLabel: 'Stake in ETH',
+    register: 'Register as Operator',
+    registering: 'Registering...',
+    registered: 'Registered as an operator.',
+    errors: {
+      missingStake: 'Enter a stake amount',
+      invalidStake: 'Enter a valid ETH amount',
+      belowMinimum: 'The minimum stake is {amount}',
+      overBalance: 'The stake is more than your wallet balance'
+    }
+  },
+  profile: {
+    title: 'Operator',
+    alsoRequested: {
+      one: 'This address has also requested {count} task.',
+      other: 'This address has also requested {count} tasks.'
+    },
+    viewRequests: 'View them',
+    noClient: 'Connect a wallet or configure a read-only RPC endpoint to load this operator.',
+    loading: 'Loading operator record...',
+    notRegistered: 'This address is not registered as an operator.',
+    rewardsEarned: 'Rewards Earned (indexed)',
+    slashes: 'Slashes',
+    slash: '{amount} in block {block}: {reason}',
+    proofs: 'Proofs ({count})',
+    noProofs: 'No proofs from this operator in the indexed history.',
+    columns: {
+      task: 'Task',
+      zkGas: 'ZK Gas Used',
+      reward: 'Reward'
+    },
+    showingLatest: 'Showing the latest {shown} of {count} proofs.'
+  },
+  admin: {
+    title: 'Admin Console',
+    refresh: 'Refresh',
+    connectedAsOwner: 'You are connected as the contract owner.',
+    notOwner: 'The connected account is not the contract owner.',
+    connectOwner: 'Connect the contract owner\'s wallet to manage the contract.',
+    confirm: '{summary}\n\nSend this transaction?',
+    done: 'Done: {summary}',
+    baseReward: 'Base Reward',
+    minStake: 'Min Operator Stake',
+    verifier: 'Verifier Contract',
+    notSet: 'Not set',
+    balance: 'Contract Balance',
+    newBaseReward: 'New base reward',
+    newBaseRewardLabel: 'New base reward in ETH',
+    setBaseReward: 'Set Base Reward',
+    updating: 'Updating...',
+    verifierPlaceholder: '0x... (zero address to disable)',
+    verifierLabel: 'Verifier contract address',
+    setVerifier: 'Set Verifier',
+    slashTitle: 'Slash Operator',
+    operatorAddress: 'Operator address',
+    amount: 'Amount',
+    slashAmountLabel: 'Amount to slash in ETH',
+    reason: 'Reason',
+    slash: 'Slash',
+    slashing: 'Slashing...',
+    withdrawTitle: 'Withdraw ETH',
+    withdrawAmountLabel: 'Amount to withdraw in ETH',
+    withdraw: 'Withdraw',
+    withdrawing: 'Withdrawing...',
+    errors: {
+      checkFailed: 'Could not check the input: {reason}',
+      invalidAmount: 'Enter a valid ETH amount',
+      baseRewardZero: 'The base reward must be more than 0 ETH',
+      sameBaseReward: 'This is already the base reward',
+      invalidAddress: 'Enter a valid address',
+      sameVerifier: 'This is already the verifier contract',
+      noContract: 'No contract is deployed at this address',
+      invalidOperator: 'Enter a valid operator address',
+      missingReason: 'Enter a reason; it is recorded on-chain',
+      notOperator: 'This address is not a registered operator',
+      overStake: 'The operator only has {amount} staked',
+      lowReputation: 'Slashing costs {penalty} reputation and this operator only has {reputation}',
+      overBalance: 'The contract only holds {amount}'
+    },
+    summaries: {
+      baseReward: 'Set the base reward from {from} to {to} per 100 bytes.',
+      removeVerifier: 'Remove the verifier contract (proofs will no longer be verified).',
+      verifier: 'Set the verifier contract to {address}.',
+      slash: 'Slash {amount} of {operator}\'s {stake} stake for "{reason}".',
+      withdraw: 'Withdraw {amount} from the contract to the owner account.'
+    }
+  }
+};
+
+export default en;
@@ -0,0 +1,635 @@
+/**
+ * Spanish messages
+ */
+const es = {
+  common: {
+    dismiss: 'Descartar',
+    connectFirst: 'Conecta primero tu billetera.',
+    notAvailable: 'n/d'
+  },
+  units: {
+    gas: '{amount} gas',
+    gwei: '{amount} gwei'
+  },
+  header: {
+    title: 'Panel del Co-Procesador ZK',
+    switchToTitle: 'Cambiar a {network}',
+    switchToMainnet: 'Cambiar a Mainnet',
+    switchToSepolia: 'Cambiar a Sepolia',
+    leaveSandbox: 'Salir del Sandbox',
+    disconnect: 'Desconectar',
+    readOnly: 'Solo lectura · {network}',
+    readOnlyTitle: 'Mostrando datos en vivo sin una billetera',
+    connectWallet: 'Conectar billetera',
+    trySandbox: 'Probar el Sandbox',
+    trySandboxTitle: 'Ejecuta todo el flujo en este navegador, sin billetera ni red',
+    language: 'Idioma'
+  },
+  network: {
+    missing: 'No hay un despliegue de ZKCoProcessor en {network}.',
+    missingAt: 'No hay un despliegue de ZKCoProcessor en {network} (no se encontró nada en {address}).',
+    switchHint: 'Cambia a una red compatible para usar el panel.',
+    rpcHint: 'Revisa el endpoint RPC configurado.',
+    switchTo: 'Cambiar a {network}',
+    linkFor: 'Este enlace es para {linked}, pero el panel muestra {network}.',
+    unknownNetwork: 'una red desconocida ({chain})',
+    noReadOnly: 'No hay un endpoint de solo lectura configurado para esa red.',
+    openSandbox: 'Abrir el Sandbox',
+    stayOn: 'Quedarse en {network}'
+  },
+  nav: {
+    dashboard: 'Panel',
+    analytics: 'Analítica',
+    operator: 'Operador',
+    admin: 'Administración'
+  },
+  notFound: {
+    title: 'Página no encontrada',
+    body: 'No hay nada en esta dirección.',
+    back: 'Volver al panel'
+  },
+  intro: {
+    title: '¿Qué es un Co-Procesador ZK?',
+    offloading: 'Un <strong>Co-Procesador de Conocimiento Cero</strong> traslada tareas de cómputo desde la L1 de Ethereum a procesadores especializados, reduciendo drásticamente los costos de gas y manteniendo la seguridad mediante pruebas criptográficas.',
+    restaking: 'Gracias al <strong>mecanismo de restaking de EigenLayer</strong>, estos Co-Procesadores usan el ETH ya depositado en staking como garantía para los cómputos fuera de la cadena, creando un entorno de ejecución eficiente sin renunciar a la ausencia de confianza.',
+    useCases: 'Los casos de uso habituales incluyen verificaciones complejas como firmas digitales, inferencia de modelos de IA y operaciones de cómputo intensivo que serían prohibitivamente caras en la cadena.',
+    imageAlt: 'Diagrama de una prueba ZK',
+    imageCaption: 'La criptografía de conocimiento cero permite cómputo verificable fuera de la cadena',
+    proofsTitle: 'Cómo lo hacen posible las pruebas ZK',
+    proofs: 'Las pruebas de conocimiento cero permiten que una parte (el probador) demuestre a otra (el verificador) que una afirmación es verdadera, sin revelar ninguna información más allá de su validez. En las aplicaciones blockchain, esto significa que el cómputo puede hacerse fuera de la cadena y solo se envía y verifica en la cadena una prueba compacta.',
+    learnMore: 'Más información sobre la tecnología ZK'
+  },
+  links: {
+    zkProofs: {
+      title: 'Introducción a las pruebas de conocimiento cero',
+      description: 'Aprende lo básico de las pruebas ZK en Ethereum.org'
+    },
+    eigenLayer: {
+      title: 'Documentación de EigenLayer',
+      description: 'Entiende el mecanismo de restaking de EigenLayer'
+    },
+    coProcessors: {
+      title: 'Los Co-Procesadores ZK explicados',
+      description: 'La explicación de Polygon sobre los co-procesadores ZK'
+    },
+    riscZero: {
+      title: 'Documentación de RISC Zero',
+      description: 'Conoce la zkVM de RISC Zero para generar pruebas ZK'
+    }
+  },
+  stats: {
+    totalTasks: 'Tareas procesadas',
+    provingTime: 'Tiempo de solicitud → prueba',
+    gasSavings: 'Ahorro de gas',
+    saved: '{amount} ahorrados',
+    totalSaved: 'Ahorro total',
+    acrossTasks: {
+      one: 'en {count} tarea con estimación',
+      other: 'en {count} tareas con estimación'
+    },
+    demoData: 'Datos de ejemplo',
+    demoDataTitle: 'Cifras de muestra, no leídas del contrato'
+  },
+  chart: {
+    zk: 'Co-Procesador ZK (solicitud + prueba)',
+    normal: 'Procesamiento normal (estimación)',
+    normalNoEstimate: 'Procesamiento normal (sin estimación)',
+    gasDataset: 'Comparación de uso de gas',
+    costDataset: 'Comparación de costos',
+    gasTitle: 'Uso de gas: ZK frente a procesamiento normal',
+    costTitle: 'Costo: ZK frente a procesamiento normal',
+    gasTooltip: 'Gas usado: {gas} unidades',
+    costTooltip: 'Costo: {cost} ({gas})',
+    axis: {
+      gas: 'Unidades de gas',
+      eth: 'ETH',
+      usd: 'USD'
+    }
+  },
+  request: {
+    noWallet: 'No se encontró ninguna billetera de Ethereum. Instala una billetera de navegador como MetaMask para usar esta aplicación.',
+    notConnected: 'No hay ninguna billetera conectada. Conecta una billetera primero.',
+    noDeployment: 'No hay ningún despliegue de ZKCoProcessor en {network}. Cambia a una red compatible.',
+    rewardChanged: 'La recompensa cambió a {reward} desde la cotización. Revisa la nueva cotización e inténtalo de nuevo.',
+    wouldFail: 'Esta solicitud fallaría en la cadena: {reason}',
+    noEvent: 'La transacción se completó, pero no se encontró ningún evento ComputationRequested.',
+    title: 'Pruébalo tú mismo: solicita un cómputo ZK',
+    explainer: 'Introduce texto, hex en bruto, un archivo o valores codificados en ABI para enviar una tarea de cómputo al Co-Procesador ZK. El sistema procesará tu entrada y generará una comparación entre el procesamiento ZK y el normal.',
+    testnetNote: 'Esto se ejecuta en la testnet Sepolia y no usa ETH real.',
+    howTitle: 'Cómo funciona:',
+    steps: {
+      encode: 'Tu entrada se codifica en bytes y se envía al contrato inteligente',
+      measure: 'El contrato mide la complejidad del cómputo según el tamaño de la entrada',
+      prove: 'Se genera y verifica una prueba ZK simulada',
+      compare: 'Arriba se muestran los resultados comparando uso de gas y tiempo'
+    },
+    connectToRequest: 'Conecta tu billetera para solicitar',
+    processing: 'Procesando...',
+    submit: 'Solicitar cómputo ZK',
+    connectPrompt: 'Conecta tu billetera para solicitar cómputos.',
+    emptyInput: 'Introduce algún dato de entrada para procesar'
+  },
+  modal: {
+    notFound: 'No se encontró ninguna tarea con este ID en esta red.',
+    title: 'Detalles del cómputo',
+    inspectProof: 'Inspeccionar prueba',
+    performance: 'Métricas de rendimiento',
+    zkGas: 'Gas ZK usado:',
+    normalGas: 'Gas normal (estimación):',
+    requestGas: 'Gas de la solicitud:',
+    proofGas: 'Gas de la prueba:',
+    saved: 'Ahorro:',
+    gasPrice: 'Precio del gas:',
+    gasPriceFromReceipts: '{request} solicitud, {proof} prueba (de los recibos)',
+    gasPriceCurrent: '{price} (actual; no hay precio en los recibos)',
+    efficiency: 'Mejora de eficiencia:',
+    gasUnits: '{gas} unidades',
+    costWithGas: '{cost} ({gas} gas)',
+    sampleRow: 'Esta es una fila de ejemplo; no hay ninguna tarea en la cadena que mostrar.',
+    noClient: 'Conecta una billetera o configura un endpoint RPC de solo lectura para cargar la tarea.',
+    loading: 'Cargando la tarea desde el contrato...',
+    taskRecord: 'Registro de la tarea',
+    status: 'Estado:',
+    waiting: 'Esperando una prueba',
+    verified: 'Prueba verificada',
+    submitted: 'Prueba enviada',
+    requester: 'Solicitante:',
+    operator: 'Operador:',
+    resultHash: 'Hash del resultado:',
+    reward: 'Recompensa:',
+    requested: 'Solicitada:',
+    proofSubmitted: 'Prueba enviada:',
+    computationTime: 'Tiempo de cómputo:',
+    input: 'Entrada del cómputo',
+    inputSize: 'Tamaño de la entrada:',
+    notDirect: 'La solicitud no fue una llamada directa a requestComputation, así que su entrada no puede leerse de los calldata.',
+    template: 'Plantilla:',
+    expected: '(esperado: {summary})',
+    asText: 'Como texto:',
+    moreBytes: {
+      one: '… {count} byte más',
+      other: '… {count} bytes más'
+    },
+    transactions: 'Transacciones',
+    request: 'Solicitud:',
+    proof: 'Prueba:',
+    block: '(bloque {block})'
+  },
+  footer: {
+    builtOn: 'Construido sobre la testnet Sepolia de Ethereum con la tecnología de restaking de EigenLayer',
+    educational: 'Esta es una demostración educativa del potencial de los Co-Procesadores ZK',
+    version: 'Versión {version}'
+  },
+  txErrors: {
+    unknown: 'Error desconocido',
+    other: '{message}',
+    rejected: 'Rechazaste la solicitud en tu billetera.',
+    cancelled: 'La transacción se canceló en tu billetera.',
+    replaced: 'La transacción se reemplazó por otra en tu billetera.',
+    insufficientFunds: 'Tu billetera no tiene suficiente ETH para pagar esta transacción y su gas.',
+    rejectedByContract: 'El contrato rechazó la transacción: {reason}',
+    minedReverted: 'La transacción se minó pero se revirtió.',
+    networkChanged: 'La billetera cambió de red mientras se enviaba la transacción.',
+    revert: {
+      onlyOwner: 'Solo el propietario del contrato puede hacer esto.',
+      onlyOperator: 'Esta cuenta no es un operador registrado.',
+      alreadyRegistered: 'Esta cuenta ya está registrada como operador.',
+      insufficientStake: 'El stake es inferior al stake mínimo de operador.',
+      insufficientReward: 'El ETH enviado no cubre la recompensa para esta entrada. Espera una nueva cotización e inténtalo de nuevo.',
+      taskCompleted: 'Ya se envió una prueba para esta tarea.',
+      invalidProof: 'El contrato verificador rechazó la prueba.',
+      taskNotCompleted: 'La tarea aún no tiene prueba.',
+      noRewards: 'No hay recompensas para reclamar.',
+      transferFailed: 'El contrato no pudo enviar el ETH.',
+      notOperator: 'Esta dirección no es un operador registrado.',
+      insufficientStakeToSlash: 'El operador no tiene tanto stake para penalizar.',
+      emptyProof: 'La prueba está vacía.',
+      insufficientBalance: 'El contrato no tiene tanto ETH.'
+    }
+  },
+  quote: {
+    wouldFail: 'Esta solicitud fallaría: {reason}',
+    fetching: 'Obteniendo cotización...',
+    reward: 'Recompensa ({size})',
+    gas: 'Gas',
+    gasWithoutWallet: 'Se estima al conectar una billetera',
+    estimatedGas: 'Gas estimado ({gas} unidades)',
+    maxGasCost: 'Hasta {cost} con la tarifa máxima actual',
+    total: 'Total estimado'
+  },
+  pricing: {
+    units: {
+      gas: 'Gas',
+      eth: 'ETH',
+      usd: 'USD'
+    },
+    noFeed: 'No hay ningún feed de precios ETH/USD configurado para esta red',
+    feedPending: 'El feed de precios ETH/USD aún no se ha leído',
+    feedError: 'No se pudo leer el feed de precios ETH/USD.',
+    pricedAt: 'Valorado con lo que pagó cada transacción por el gas, o con el precio actual de {price} para las cifras sin recibo',
+    ethUsd: '1 ETH = {price} ({feed}, actualizado {updated})'
+  },
+  transactions: {
+    status: {
+      awaitingSignature: 'Esperando firma',
+      submitted: 'Enviada',
+      confirming: 'Confirmando',
+      confirmed: 'Confirmada',
+      failed: 'Fallida'
+    },
+    withConfirmations: '{status} ({confirmations}/{required})',
+    spedUp: 'acelerada en la billetera',
+    labels: {
+      requestComputation: 'Solicitar cómputo',
+      register: 'Registrarse como operador',
+      claim: 'Reclamar recompensas',
+      setBaseReward: 'Fijar recompensa base',
+      setVerifier: 'Fijar contrato verificador',
+      slash: 'Penalizar operador',
+      withdraw: 'Retirar ETH'
+    }
+  },
+  alerts: {
+    provenTitle: 'Tarea probada',
+    proven: 'La tarea {task} fue probada.',
+    provenBy: 'La tarea {task} fue probada por {operator}.',
+    staleTitle: 'Tarea sin respuesta',
+    stale: {
+      one: 'Ninguna prueba para la tarea {task} tras {count} minuto.',
+      other: 'Ninguna prueba para la tarea {task} tras {count} minutos.'
+    },
+    viewTask: 'Ver tarea'
+  },
+  lifecycle: {
+    title: 'Tus tareas',
+    notifications: 'Notificaciones del navegador',
+    notificationsBlocked: 'Notificaciones del navegador (bloqueadas en la configuración del navegador)',
+    staleAfter: 'Marcar como sin respuesta tras {minutes} minutos',
+    stopWatching: 'Dejar de seguir',
+    waiting: 'esperando...',
+    unanswered: {
+      one: 'Sin respuesta: ninguna prueba tras {count} minuto. Puede que no haya ningún operador activo.',
+      other: 'Sin respuesta: ninguna prueba tras {count} minutos. Puede que no haya ningún operador activo.'
+    },
+    provenBy: 'Probada por {operator}',
+    result: 'resultado {hash}',
+    inspect: 'Inspeccionar la prueba',
+    referenceMatches: 'el resultado del operador coincide con la referencia local',
+    referenceMismatch: 'el resultado del operador no coincide con la referencia local',
+    referenceWaiting: 'esperando el resultado del operador',
+    stages: {
+      pending: 'Pendiente',
+      proofSubmitted: 'Prueba enviada',
+      verified: 'Verificada',
+      rewardPaid: 'Recompensa pagada'
+    }
+  },
+  search: {
+    placeholder: 'Busca un ID de tarea, hash de tx o dirección',
+    label: 'Buscar por ID de tarea, hash de transacción o dirección',
+    submit: 'Buscar',
+    searching: 'Buscando...',
+    recent: 'Búsquedas recientes',
+    clear: 'Borrar',
+    noClient: 'Conecta una billetera o configura un endpoint RPC de solo lectura para buscar.',
+    notFound: {
+      invalidQuery: 'Introduce un ID de tarea, un hash de transacción o una dirección (0x…)',
+      pending: 'Esta transacción aún no se ha minado; vuelve a buscar cuando lo esté.',
+      unknownHash: 'No se encontró ninguna tarea ni transacción con este hash en esta red.',
+      notATask: 'Esta transacción no solicitó ni probó ninguna tarea en el contrato de esta red.',
+      unknownAddress: 'Esta dirección no es un operador registrado y no ha solicitado tareas en esta red.'
+    },
+    results: {
+      task: 'Tarea',
+      taskFromTransaction: 'Tarea de una transacción {event}',
+      operator: 'Operador',
+      requester: {
+        one: 'Solicitante ({count} tarea)',
+        other: 'Solicitante ({count} tareas)'
+      }
+    }
+  },
+  inspector: {
+    title: 'Inspector de pruebas',
+    taskId: 'ID de tarea',
+    taskIdPlaceholder: 'ID de tarea (bytes32)',
+    inspect: 'Inspeccionar',
+    noClient: 'Conecta una billetera o configura un endpoint RPC de solo lectura para inspeccionar pruebas.',
+    loading: 'Buscando la prueba...',
+    submission: 'Envío',
+    operator: 'Operador:',
+    transaction: 'Transacción:',
+    resultHash: 'Hash del resultado:',
+    calldataMismatch: 'El calldata lleva otro hash de resultado: {hash}',
+    proof: 'Prueba',
+    size: 'Tamaño:',
+    notDirect: 'La prueba no se envió con una llamada directa a submitProof (por ejemplo, desde una multisig), así que sus bytes no se pueden recuperar del calldata de la transacción.',
+    verification: 'Verificación de RISC Zero',
+    noVerifier: 'No hay ningún contrato verificador, así que submitProof acepta todas las pruebas sin verificarlas.',
+    verifyHint: 'Llama a verifyProof(imageId, abi.encode(taskId), proof, abi.encode(resultHash)) en {verifier} como llamada de solo lectura. submitProof aún no llama al verificador, así que esta es la única comprobación que recibe la prueba.',
+    imageId: 'ID de imagen',
+    imageIdPlaceholder: 'ID de imagen (bytes32)',
+    verify: 'Verificar',
+    verifying: 'Verificando...',
+    invalidImageId: 'El ID de imagen debe ser un valor hexadecimal de 32 bytes',
+    verified: 'La prueba es válida para la imagen {imageId}',
+    notVerified: 'La prueba no es válida: {reason}',
+    noProof: 'No se ha enviado ninguna prueba para esta tarea.',
+    verifierRejected: 'El verificador la rechazó: {reason}',
+    revertedWithoutReason: 'El verificador revirtió sin motivo',
+    noContract: 'No hay ningún contrato desplegado en {address}',
+    returnedFalse: 'El verificador devolvió false'
+  },
+  analytics: {
+    title: 'Analíticas',
+    from: 'Desde',
+    to: 'Hasta',
+    indexing: 'Indexando el historial… los gráficos se completan a medida que se encuentran pruebas.',
+    empty: 'No se enviaron pruebas en este rango de fechas.',
+    proofs: 'Pruebas',
+    medianSavings: 'Ahorro de gas mediano',
+    p95Latency: 'Latencia p95',
+    rewardsPaid: 'Recompensas pagadas',
+    table: {
+      metric: 'Métrica',
+      samples: 'Muestras',
+      mean: 'Media',
+      median: 'Mediana',
+      p95: 'p95',
+      savings: 'Ahorro de gas',
+      latency: 'Latencia de finalización',
+      rewardPerDay: 'Recompensas por día activo'
+    },
+    savingsTitle: 'Ahorro de gas a lo largo del tiempo',
+    savingsDataset: 'Ahorro de gas (%)',
+    savingsTooltip: 'Ahorro: {savings}',
+    savingsAxis: 'Ahorro frente a on-chain (%)',
+    noEstimates: 'Aún no hay estimaciones de gas normal (¿está configurado un ReferenceProcessor?)',
+    complexityTitle: 'Complejidad frente a gas',
+    zkGas: 'Gas ZK (solicitud + prueba)',
+    normalGas: 'Gas normal (estimado)',
+    complexityTooltip: '{series}: {gas} de gas con {size}',
+    complexityAxis: 'Complejidad (bytes de entrada)',
+    latencyTitle: 'Latencia de finalización de tareas',
+    tasks: 'Tareas',
+    latencyAxis: 'Solicitud → prueba (startTime a endTime)',
+    rewardsTitle: 'Recompensas pagadas por día',
+    rewardsDataset: 'Recompensas pagadas (ETH)',
+    rewardsTooltip: {
+      one: '{amount} en {count} pago',
+      other: '{amount} en {count} pagos'
+    },
+    ranges: {
+      days7: '7 días',
+      days30: '30 días',
+      days90: '90 días',
+      all: 'Todo'
+    }
+  },
+  input: {
+    textPlaceholder: "Introduce datos para el cálculo ZK (p. ej., 'Verificar esta firma' o 'Calcular prueba de Merkle')...",
+    hexPlaceholder: '0xdeadbeef... (se ignoran los espacios)',
+    fileLabel: 'Archivo de entrada',
+    fileHint: 'Cualquier archivo binario de hasta {size}.',
+    types: 'Tipos',
+    jsonPlaceholder: 'JSON, p. ej. [1, 2, 3]',
+    complexity: 'Complejidad',
+    rewardTier: 'Nivel de recompensa',
+    tier: 'Nivel {tier} ({minBytes}-{maxBytes} bytes) · {tier}× la recompensa base',
+    tierTitle: 'Las entradas de {minBytes}-{maxBytes} bytes pagan {tier}× la recompensa base',
+    expected: 'Resultado esperado',
+    computing: 'Calculando...',
+    modes: {
+      text: 'Texto',
+      hex: 'Hex',
+      file: 'Archivo',
+      abi: 'ABI',
+      template: 'Plantilla'
+    },
+    errors: {
+      fileTooLarge: '{name} ocupa {size}; el límite es {limit}',
+      fileEmpty: '{name} está vacío',
+      hexDigits: 'Solo se permiten dígitos hexadecimales (0-9, a-f)',
+      hexEven: 'El hex necesita un número par de dígitos (dos por byte)',
+      noTypes: 'Introduce al menos un tipo',
+      invalidTypes: 'Lista de tipos no válida: {reason}',
+      expectedBool: 'se esperaba true o false',
+      missingValue: 'Introduce un valor para {type} (campo {field})',
+      invalidValue: 'Campo {field} ({type}): {reason}',
+      encodeFailed: 'No se pudieron codificar los valores: {reason}'
+    }
+  },
+  history: {
+    title: 'Historial de comparación de pruebas',
+    columns: {
+      time: 'Hora',
+      zkGas: 'Gas ZK usado (solicitud + prueba)',
+      normalGas: 'Gas normal (estimado)',
+      provingTime: 'Solicitud → Prueba',
+      savings: 'Ganancia de eficiencia'
+    },
+    syncFailed: 'Falló la sincronización del historial: {reason}',
+    indexing: 'Indexando el historial: bloque {block} de {latest} ({percent})',
+    indexed: 'Historial indexado hasta el bloque {block}',
+    demoDataTitle: 'Filas de ejemplo, no leídas del contrato',
+    showDemo: 'Mostrar datos de demostración cuando no hay historial',
+    clickRow: 'Haz clic en una fila para ver la información detallada',
+    processing: 'Procesando tu cálculo...',
+    indexingShort: 'Indexando el historial...',
+    empty: 'Aún no se ha enviado ninguna prueba',
+    prev: 'Anterior',
+    next: 'Siguiente',
+    page: 'Página {page} de {pages}',
+    proofCount: {
+      one: '{count} prueba',
+      other: '{count} pruebas'
+    }
+  },
+  templates: {
+    template: 'Plantilla',
+    summary: '{summary}',
+    ecdsa: {
+      name: 'Verificación de firma ECDSA',
+      message: 'Mensaje',
+      messagePlaceholder: 'Mensaje firmado (personal_sign)',
+      signature: 'Firma',
+      signaturePlaceholder: '0x... (65 bytes)',
+      signer: 'Firmante esperado',
+      valid: 'Firma válida de {signer}',
+      invalid: 'No válida: se recuperó {signer}'
+    },
+    merkle: {
+      name: 'Prueba de inclusión de Merkle',
+      leaf: 'Hoja',
+      leafPlaceholder: 'hash bytes32 de la hoja',
+      path: 'Ruta de la prueba',
+      pathPlaceholder: 'Un hermano bytes32 por línea, desde la hoja hacia arriba (los pares se ordenan antes de hashear)',
+      root: 'Raíz',
+      rootPlaceholder: 'raíz bytes32',
+      included: 'La hoja está incluida en el árbol',
+      excluded: 'No incluida: la ruta lleva a {root}'
+    },
+    hashChain: {
+      name: 'Cadena de hashes',
+      seed: 'Semilla',
+      seedPlaceholder: 'Texto a hashear',
+      algorithm: 'Función hash',
+      rounds: 'Rondas',
+      digest: '{algorithm} × {count}: {digest}'
+    },
+    errors: {
+      signatureHex: 'La firma debe ser hexadecimal (0x...)',
+      signerAddress: 'Introduce una dirección de firmante válida',
+      merkleHex: 'La hoja, la raíz y cada nodo de la prueba deben ser valores hexadecimales de 32 bytes',
+      rounds: 'Las rondas deben ser un número entero de 1 a {max}',
+      encodeFailed: 'No se pudo codificar la plantilla: {reason}',
+      unknownAlgorithm: 'Algoritmo de hash desconocido',
+      roundsOutOfRange: 'Las rondas deben estar entre 1 y {max}'
+    }
+  },
+  export: {
+    button: 'Exportar {format}',
+    title: {
+      one: 'Descargar {count} registro como {format}',
+      other: 'Descargar {count} registros como {format}'
+    }
+  },
+  wallet: {
+    title: 'Conectar una billetera',
+    none: 'No se encontró ninguna billetera del navegador. Instala una, como MetaMask, y recarga la página.',
+    browserWallet: 'Billetera del navegador',
+    sandbox: '¿No tienes billetera ni ETH de prueba? {link}, que simula el contrato y un operador en este navegador.',
+    sandboxLink: 'Prueba el sandbox sin conexión'
+  },
+  sandbox: {
+    title: 'Sandbox sin conexión',
+    reset: 'Reiniciar el sandbox',
+    confirmReset: '¿Reiniciar el sandbox? Se eliminan todas sus tareas, pruebas y saldos.',
+    intro: 'La cadena, el contrato ZKCoProcessor y su operador se simulan en este navegador; no se envía nada a ninguna red. Tu cuenta desplegó el contrato, así que la página de administración también funciona, y tiene 100 ETH de prueba. El operador simulado {operator} responde a cada solicitud con una prueba ficticia.',
+    delay: 'Probar las solicitudes tras {seconds} segundos',
+    pause: 'Pausar el operador (las solicitudes esperan hasta que se reanude)',
+    provenIn: 'se probará en {seconds}'
+  },
+  requester: {
+    title: 'Solicitante',
+    indexing: 'Indexando el historial del contrato; pueden aparecer más tareas.',
+    requested: 'Tareas solicitadas',
+    proven: 'Probadas',
+    rewardsOffered: 'Recompensas ofrecidas',
+    tasks: 'Tareas',
+    empty: 'No hay tareas de esta dirección en el historial indexado.',
+    columns: {
+      block: 'Bloque',
+      task: 'Tarea',
+      complexity: 'Complejidad',
+      reward: 'Recompensa',
+      status: 'Estado',
+      operator: 'Operador',
+      savings: 'Ahorro de gas'
+    },
+    statusProven: 'Probada',
+    statusWaiting: 'Esperando una prueba'
+  },
+  operator: {
+    title: 'Consola de operador',
+    connect: 'Conecta tu billetera para registrarte como operador o reclamar recompensas.',
+    loading: 'Cargando el estado del operador...',
+    stake: 'Depósito',
+    reputation: 'Reputación',
+    tasksCompleted: 'Tareas completadas',
+    pendingRewards: 'Recompensas pendientes',
+    claim: 'Reclamar recompensas',
+    claiming: 'Reclamando...',
+    claimed: 'Se reclamaron {amount}.',
+    walletBalance: 'Saldo de la billetera: {amount}',
+    registerHint: 'Deposita ETH para registrar esta cuenta como operador. Los operadores envían pruebas para las tareas solicitadas y ganan sus recompensas. El depósito mínimo es {amount}.',
+    stakeLabel: 'Depósito en ETH',
+    register: 'Registrarse como operador',
+    registering: 'Registrando...',
+    registered: 'Registrado como operador.',
+    errors: {
+      missingStake: 'Introduce un importe de depósito',
+      invalidStake: 'Introduce un importe de ETH válido',
+      belowMinimum: 'El depósito mínimo es {amount}',
+      overBalance: 'El depósito supera el saldo de tu billetera'
+    }
+  },
+  profile: {
+    title: 'Operador',
+    alsoRequested: {
+      one: 'Esta dirección también ha solicitado {count} tarea.',
+      other: 'Esta dirección también ha solicitado {count} tareas.'
+    },
+    viewRequests: 'Verlas',
+    noClient: 'Conecta una billetera o configura un endpoint RPC de solo lectura para cargar este operador.',
+    loading: 'Cargando el registro del operador...',
+    notRegistered: 'Esta dirección no está registrada como operador.',
+    rewardsEarned: 'Recompensas ganadas (indexadas)',
+    slashes: 'Penalizaciones',
+    slash: '{amount} en el bloque {block}: {reason}',
+    proofs: 'Pruebas ({count})',
+    noProofs: 'No hay pruebas de este operador en el historial indexado.',
+    columns: {
+      task: 'Tarea',
+      zkGas: 'Gas ZK usado',
+      reward: 'Recompensa'
+    },
+    showingLatest: 'Se muestran las últimas {shown} de {count} pruebas.'
+  },
+  admin: {
+    title: 'Consola de administración',
+    refresh: 'Actualizar',
+    connectedAsOwner: 'Estás conectado como propietario del contrato.',
+    notOwner: 'La cuenta conectada no es la propietaria del contrato.',
+    connectOwner: 'Conecta la billetera del propietario del contrato para administrarlo.',
+    confirm: '{summary}\n\n¿Enviar esta transacción?',
+    done: 'Hecho: {summary}',
+    baseReward: 'Recompensa base',
+    minStake: 'Depósito mínimo de operador',
+    verifier: 'Contrato verificador',
+    notSet: 'Sin configurar',
+    balance: 'Saldo del contrato',
+    newBaseReward: 'Nueva recompensa base',
+    newBaseRewardLabel: 'Nueva recompensa base en ETH',
+    setBaseReward: 'Fijar recompensa base',
+    updating: 'Actualizando...',
+    verifierPlaceholder: '0x... (dirección cero para desactivarlo)',
+    verifierLabel: 'Dirección del contrato verificador',
+    setVerifier: 'Fijar verificador',
+    slashTitle: 'Penalizar operador',
+    operatorAddress: 'Dirección del operador',
+    amount: 'Importe',
+    slashAmountLabel: 'Importe a penalizar en ETH',
+    reason: 'Motivo',
+    slash: 'Penalizar',
+    slashing: 'Penalizando...',
+    withdrawTitle: 'Retirar ETH',
+    withdrawAmountLabel: 'Importe a retirar en ETH',
+    withdraw: 'Retirar',
+    withdrawing: 'Retirando...',
+    errors: {
+      checkFailed: 'No se pudo comprobar la entrada: {reason}',
+      invalidAmount: 'Introduce un importe de ETH válido',
+      baseRewardZero: 'La recompensa base debe ser mayor que 0 ETH',
+      sameBaseReward: 'Esta ya es la recompensa base',
+      invalidAddress: 'Introduce una dirección válida',
+      sameVerifier: 'Este ya es el contrato verificador',
+      noContract: 'No hay ningún contrato desplegado en esta dirección',
+      invalidOperator: 'Introduce una dirección de operador válida',
+      missingReason: 'Introduce un motivo; se registra en la cadena',
+      notOperator: 'Esta dirección no es un operador registrado',
+      overStake: 'El operador solo tiene {amount} depositados',
+      lowReputation: 'Penalizar cuesta {penalty} de reputación y este operador solo tiene {reputation}',
+      overBalance: 'El contrato solo tiene {amount}'
+    },
+    summaries: {
+      baseReward: 'Cambiar la recompensa base de {from} a {to} por cada 100 bytes.',
+      removeVerifier: 'Quitar el contrato verificador (las pruebas dejarán de verificarse).',
+      verifier: 'Fijar el contrato verificador en {address}.',
+      slash: 'Penalizar {amount} del depósito de {stake} de {operator} por "{reason}".',
+      withdraw: 'Retirar {amount} del contrato a la cuenta del propietario.'
+    }
+  }
+};
+
+export default es;
@@ -0,0 +1,113 @@
+/**
+ * Message catalogs and lookup for the dashboard's copy
+ * Each locale has a catalog of nested messages keyed by area (header, intro, modal, ...).
+ * Messages take {name} placeholders, and a message that depends on a count is an object of
+ * Intl.PluralRules categories (one, other, ...). A key missing from a catalog falls back to
+ * the English message, so a catalog can be added before every string is translated
+ */
+import en from './en';
+import es from './es';
+import de from './de';
+
+// localStorage key holding the locale the user picked
+const LOCALE_KEY = 'zkco.locale';
+
+// Locale used when neither the user nor the browser asks for a supported one
+export const DEFAULT_LOCALE = 'en';
+
+// Supported locales, named in their own language for the switcher
+export const LOCALES = [
+  { key: 'en', name: 'English' },
+  { key: 'es', name: 'Español' },
+  { key: 'de', name: 'Deutsch' }
+];
+
+const CATALOGS = { en, es, de };
+
+/**
+ * Whether a locale has a catalog
+ * @param {string|null} locale - Locale key
+ * @returns {boolean} Whether it is supported
+ */
+const isSupported = (locale) => Object.prototype.hasOwnProperty.call(CATALOGS, locale);
+
+/**
+ * Pick the locale to start with: the one picked earlier, else the first of the browser's
+ * languages with a catalog (es-MX picks es), else English
+ * @returns {string} Locale key
+ */
+export const detectLocale = () => {
+  const stored = localStorage.getItem(LOCALE_KEY);
+  if (isSupported(stored)) return stored;
+
+  const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+  const match = languages
+    .filter(Boolean)
+    .map(language => language.toLowerCase().split('-')[0])
+    .find(isSupported);
+  return match || DEFAULT_LOCALE;
+};
+
+/**
+ * Remember the locale the user picked
+ * @param {string} locale - Locale key
+ */
+export const saveLocale = (locale) => {
+  localStorage.setItem(LOCALE_KEY, locale);
+};
+
+/**
+ * Find a message by its dotted key
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - e.g. header.title
+ * @returns {string|Object|undefined} Message, or undefined when the catalog lacks it
+ */
+const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+/**
+ * A message to translate when it is shown instead of when it is made, for hooks and helpers
+ * outside components (errors, transaction labels, notifications)
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Placeholder values; a value may itself be a message
+ * @returns {Object} key and params, accepted by translate() and t() in place of a key
+ */
+export const messageKey = (key, params = {}) => ({ key, params });
+
+/**
+ * Whether a value is a message made with messageKey
+ * @param {*} value - Anything
+ * @returns {boolean} Whether it is a message
+ */
+const isMessage = (value) => !!value && typeof value === 'object' && typeof value.key === 'string';
+
+/**
+ * Translate a message
+ * @param {string} locale - Locale key
+ * @param {string|Object} key - Dotted message key, or a message made with messageKey
+ * @param {Object} [params] - Placeholder values; numbers are formatted for the locale, messages
+ *   are translated, and count picks the plural form
+ * @returns {string} Message, or the key itself when no catalog has it
+ */
+export const translate = (locale, key, params = {}) => {
+  if (isMessage(key)) return translate(locale, key.key, key.params);
+
+  const safeLocale = isSupported(locale) ? locale : DEFAULT_LOCALE;
+  let message = lookup(CATALOGS[safeLocale], key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(safeLocale).select(Number(params.count) || 0);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    if (isMessage(value)) return translate(safeLocale, value);
+    return typeof value === 'number' ? new Intl.NumberFormat(safeLocale).format(value) : String(value);
+  });
+};
@@ -5,15 +5,26 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './components/App';
+import { TransactionProvider } from './hooks/useTransactions';
+import { RouterProvider } from './hooks/useRouter';
+import { I18nProvider } from './hooks/useI18n';
 import './styles/app.css';
 
 // Create a root container for the React application
 const container = document.getElementById('root');
 const root = createRoot(container);
 
-// Render the App component to the DOM
+// Render the App component to the DOM; the i18n provider holds the locale, the router
+// follows the address bar and every transaction the app sends is tracked by the
+// transaction provider
 root.render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <RouterProvider>
+        <TransactionProvider>
+          <App />
+        </TransactionProvider>
+      </RouterProvider>
+    </I18nProvider>
   </React.StrictMode>
 );
@@ -0,0 +1,671 @@
+/**
+ * In-browser chain for the sandbox
+ * Holds accounts, blocks, transactions, receipts and logs, and runs calls against the simulated
+ * contracts. Every transaction is mined at once in its own block, like Anvil's automine. Calldata
+ * is decoded and results, reverts and events are encoded with the real ABIs, so what comes
+ * back looks exactly like a JSON-RPC node's answer. State is kept in localStorage, so the
+ * sandbox survives a reload
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+import { ZKCoProcessorABI } from '../contracts/ZKCoProcessorABI';
+import { GasMeter } from './gasMeter';
+import {
+  ContractRevert,
+  deployZKCoProcessor,
+  functionOverhead,
+  ReferenceProcessorFunctions,
+  SimulatedReferenceProcessorABI,
+  ZKCoProcessorFunctions,
+  ZKCoProcessorViews
+} from './SimulatedZKCoProcessor';
+
+const { hexlify, hexValue, hexDataLength, keccak256, defaultAbiCoder, getAddress, getContractAddress } = ethers.utils;
+
+// localStorage key holding the sandbox chain
+const STORAGE_KEY = 'zkco.sandbox';
+
+// Bumped whenever the stored state changes shape; older state is discarded
+const STATE_VERSION = 1;
+
+// Accounts of the sandbox: the user, who deploys and owns the contracts, and the simulated
+// operator. Nothing is signed, so they are plain addresses without keys
+export const SANDBOX_USER = '0x056a480f5E4bC3A4274581b5CBD53f1bC79E93F0';
+export const SANDBOX_OPERATOR = '0x9D9D634898395F41880e8b393781F1358C391395';
+
+const ONE_ETHER = BigInt('1000000000000000000');
+const USER_BALANCE = BigInt(100) * ONE_ETHER;
+const OPERATOR_BALANCE = BigInt(10) * ONE_ETHER;
+
+// Fees are flat: every block has the same base fee and every transaction pays it
+const GAS_PRICE = BigInt(1000000000);
+const BLOCK_GAS_LIMIT = 30000000;
+
+// Gas of the two deployments, as measured for the compiled contracts. Contract creation is not
+// simulated, so these are recorded as they are
+const DEPLOYMENT_GAS = { ZKCoProcessor: 2156530, ReferenceProcessor: 1193256 };
+
+// Returned by eth_getCode for the simulated contracts: any non-empty code marks a contract
+const PLACEHOLDER_CODE = '0xfe';
+
+// Selectors of Error(string) and Panic(uint256) revert data
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// The simulated contracts, by kind
+const CONTRACTS = {
+  ZKCoProcessor: {
+    iface: new ethers.utils.Interface(ZKCoProcessorABI),
+    functions: ZKCoProcessorFunctions,
+    views: ZKCoProcessorViews,
+    receive: true
+  },
+  ReferenceProcessor: {
+    iface: new ethers.utils.Interface(SimulatedReferenceProcessorABI),
+    functions: ReferenceProcessorFunctions,
+    views: {},
+    receive: false
+  }
+};
+
+/**
+ * Error for a JSON-RPC request the chain refuses, with the code a node would answer with
+ */
+export class SandboxRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {string} [data] - Revert data, for reverted calls
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'SandboxRpcError';
+    this.code = code;
+    if (data !== undefined) this.data = data;
+  }
+}
+
+/**
+ * Encode what a contract reverts with
+ * @param {ContractRevert} revert - The revert
+ * @returns {string} Revert data
+ */
+const encodeRevert = (revert) => {
+  if (revert.reason) return ethers.utils.hexConcat([ERROR_SELECTOR, defaultAbiCoder.encode(['string'], [revert.reason])]);
+  if (revert.panicCode !== null) return ethers.utils.hexConcat([PANIC_SELECTOR, defaultAbiCoder.encode(['uint256'], [revert.panicCode])]);
+  return '0x';
+};
+
+/**
+ * Convert decoded ABI values (BigNumbers) into the bigints the simulated contracts use
+ * @param {*} value - Decoded value
+ * @returns {*} Value with bigints
+ */
+const fromAbi = (value) => {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toBigInt();
+  if (Array.isArray(value)) return value.map(fromAbi);
+  return value;
+};
+
+/**
+ * Convert bigints back into values the ABI coder accepts
+ * @param {*} value - Value from a simulated contract
+ * @returns {*} Value with decimal strings instead of bigints
+ */
+const toAbi = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toAbi);
+  return value;
+};
+
+/**
+ * JSON replacer keeping bigints, which JSON cannot hold
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Serialisable value
+ */
+const replacer = (key, value) => (typeof value === 'bigint' ? { $bigint: value.toString() } : value);
+
+/**
+ * JSON reviver restoring bigints written by replacer
+ * @param {string} key - Property name
+ * @param {*} value - Parsed value
+ * @returns {*} Value with bigints
+ */
+const reviver = (key, value) => (value && typeof value === 'object' && typeof value.$bigint === 'string' ? BigInt(value.$bigint) : value);
+
+/**
+ * Read a block tag or quantity from a JSON-RPC request
+ * @param {string|undefined} tag - 'latest', 'earliest', 'pending' or a hex quantity
+ * @param {number} latest - Latest block number
+ * @returns {number} Block number
+ */
+const toBlockNumber = (tag, latest) => {
+  if (tag === undefined || tag === null || tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') return latest;
+  if (tag === 'earliest') return 0;
+  return parseInt(tag, 16);
+};
+
+/**
+ * Read a quantity from a JSON-RPC transaction
+ * @param {string|undefined} value - Hex quantity
+ * @returns {bigint} Value
+ */
+const toBigInt = (value) => (value ? BigInt(value) : BigInt(0));
+
+/**
+ * Chain behind the sandbox provider
+ */
+export class SandboxChain {
+  /**
+   * @param {Object} deployment - Sandbox entry of the deployment registry
+   * @param {Object} [options] - Chain options
+   * @param {boolean} [options.persist] - Whether state is read from and saved to localStorage
+   */
+  constructor(deployment, { persist = true } = {}) {
+    this.chainId = deployment.chainId;
+    this.persist = persist && typeof localStorage !== 'undefined';
+    this.listeners = new Set();
+    this.state = (this.persist && this.load()) || this.genesis(deployment);
+  }
+
+  /**
+   * Read the stored chain
+   * @returns {Object|null} State, or null when there is none (or it is from another version)
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY), reviver);
+      return stored && stored.version === STATE_VERSION && stored.chainId === this.chainId ? stored : null;
+    } catch (error) {
+      console.warn("Discarding unreadable sandbox state:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the chain; when storage is full the sandbox keeps running in memory
+   */
+  save() {
+    if (!this.persist) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state, replacer));
+    } catch (error) {
+      console.warn("Could not save the sandbox state:", error);
+    }
+  }
+
+  /**
+   * Build the first blocks: the user deploys ZKCoProcessor and ReferenceProcessor, then the
+   * simulated operator registers with the minimum stake
+   * @param {Object} deployment - Sandbox entry of the deployment registry
+   * @returns {Object} Chain state
+   */
+  genesis(deployment) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    this.state = {
+      version: STATE_VERSION,
+      chainId: this.chainId,
+      blocks: [],
+      transactions: {},
+      receipts: {},
+      accounts: {
+        [SANDBOX_USER]: { balance: USER_BALANCE, nonce: 0 },
+        [SANDBOX_OPERATOR]: { balance: OPERATOR_BALANCE, nonce: 0 }
+      },
+      contracts: {}
+    };
+    this.addBlock([], timestamp);
+
+    const coProcessor = getContractAddress({ from: SANDBOX_USER, nonce: 0 });
+    const reference = getContractAddress({ from: SANDBOX_USER, nonce: 1 });
+    if (coProcessor !== getAddress(deployment.contractAddress) || reference !== getAddress(deployment.referenceAddress)) {
+      throw new Error("The sandbox deployment addresses do not match the sandbox accounts.");
+    }
+    this.deploy('ZKCoProcessor', deployZKCoProcessor(SANDBOX_USER));
+    this.deploy('ReferenceProcessor', {});
+
+    const { iface } = CONTRACTS.ZKCoProcessor;
+    const minStake = this.state.contracts[coProcessor].storage.minOperatorStake;
+    this.sendTransaction({
+      from: SANDBOX_OPERATOR,
+      to: coProcessor,
+      value: hexValue(minStake),
+      data: iface.encodeFunctionData('registerAsOperator')
+    });
+    return this.state;
+  }
+
+  /**
+   * Deploy a simulated contract from the user's account
+   * @param {string} kind - Key of CONTRACTS
+   * @param {Object} storage - Initial storage
+   */
+  deploy(kind, storage) {
+    const sender = this.state.accounts[SANDBOX_USER];
+    const nonce = sender.nonce;
+    const address = getContractAddress({ from: SANDBOX_USER, nonce });
+    this.state.contracts[address] = { kind, storage };
+    this.state.accounts[address] = { balance: BigInt(0), nonce: 1 };
+
+    const gasUsed = DEPLOYMENT_GAS[kind];
+    sender.balance -= BigInt(gasUsed) * GAS_PRICE;
+    sender.nonce += 1;
+    this.mine({ from: SANDBOX_USER, to: null, value: BigInt(0), data: '0x', nonce, gas: gasUsed }, {
+      status: 1, gasUsed, logs: [], contractAddress: address
+    });
+  }
+
+  /**
+   * Follow mined blocks
+   * @param {Function} listener - Called with each new block and its receipts
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Latest block number
+   * @returns {number} Block number
+   */
+  get blockNumber() {
+    return this.state.blocks.length - 1;
+  }
+
+  /**
+   * Gas price every transaction pays
+   * @returns {bigint} Wei per gas
+   */
+  get gasPrice() {
+    return GAS_PRICE;
+  }
+
+  /**
+   * Balance and nonce of an account
+   * @param {string} address - Account
+   * @returns {Object} Balance and nonce
+   */
+  account(address) {
+    return this.state.accounts[getAddress(address)] || { balance: BigInt(0), nonce: 0 };
+  }
+
+  /**
+   * Code at an address
+   * @param {string} address - Account
+   * @returns {string} Placeholder code for the simulated contracts, '0x' for other accounts
+   */
+  getCode(address) {
+    return this.state.contracts[getAddress(address)] ? PLACEHOLDER_CODE : '0x';
+  }
+
+  /**
+   * Run a call or transaction against a copy of the state
+   * @param {Object} tx - from, to, value and data
+   * @param {Object} block - timestamp and number of the block it runs in
+   * @returns {Object} status, gasUsed, gasNeeded (before refunds), returnData, revert data, logs and the new accounts and contracts
+   */
+  execute(tx, block) {
+    const accounts = structuredClone(this.state.accounts);
+    const contracts = structuredClone(this.state.contracts);
+    const from = getAddress(tx.from);
+    const to = getAddress(tx.to);
+    const meter = new GasMeter(tx.data, { accounts: [from, to] });
+    const logs = [];
+
+    const accountOf = (address) => {
+      if (!accounts[address]) accounts[address] = { balance: BigInt(0), nonce: 0 };
+      return accounts[address];
+    };
+    const result = (status, extra) => ({ status, gasUsed: meter.total(), gasNeeded: meter.used, logs, accounts, contracts, returnData: '0x', ...extra });
+
+    accountOf(from).balance -= tx.value;
+    accountOf(to).balance += tx.value;
+
+    const contract = contracts[to];
+    if (!contract) return result(1);
+    const { iface, functions, views, receive } = CONTRACTS[contract.kind];
+
+    try {
+      let fragment = null;
+      let args = [];
+      if (hexDataLength(tx.data) === 0) {
+        if (!receive) throw new ContractRevert(null);
+      } else {
+        try {
+          const parsed = iface.parseTransaction({ data: tx.data });
+          fragment = parsed.functionFragment;
+          args = fromAbi(Array.from(parsed.args));
+        } catch (error) {
+          throw new ContractRevert(null);
+        }
+      }
+      if (tx.value > BigInt(0) && fragment && !fragment.payable) throw new ContractRevert(null);
+
+      const name = fragment ? fragment.name : 'receive';
+      meter.use(functionOverhead(name));
+      const ctx = {
+        storage: contract.storage,
+        sender: from,
+        value: tx.value,
+        timestamp: BigInt(block.timestamp),
+        meter,
+        emit: (event, values) => {
+          const { data, topics } = iface.encodeEventLog(iface.getEvent(event), toAbi(values));
+          meter.log(topics.length, hexDataLength(data));
+          logs.push({ address: to, topics, data });
+        },
+        transfer: (recipient, amount) => {
+          meter.transfer(recipient);
+          accountOf(to).balance -= amount;
+          accountOf(recipient).balance += amount;
+        },
+        balance: () => accountOf(to).balance
+      };
+
+      const run = functions[name] || views[name];
+      const outputs = run(ctx, args);
+      const returnData = fragment && fragment.outputs.length > 0
+        ? iface.encodeFunctionResult(fragment, toAbi(outputs))
+        : '0x';
+      return result(1, { returnData });
+    } catch (error) {
+      if (!(error instanceof ContractRevert)) throw error;
+      return { ...result(0), revert: error, returnData: encodeRevert(error), logs: [] };
+    }
+  }
+
+  /**
+   * Run a read-only call (eth_call)
+   * @param {Object} tx - JSON-RPC transaction object
+   * @returns {string} Return data
+   */
+  call(tx) {
+    const outcome = this.dryRun(tx);
+    if (outcome.status === 0) throw this.revertError(outcome);
+    return outcome.returnData;
+  }
+
+  /**
+   * Estimate the gas a transaction needs (eth_estimateGas)
+   * @param {Object} tx - JSON-RPC transaction object
+   * @returns {number} Gas
+   */
+  estimateGas(tx) {
+    const outcome = this.dryRun(tx);
+    if (outcome.status === 0) throw this.revertError(outcome);
+    // Like a node, refuse to estimate a transaction no block could include
+    if (outcome.gasNeeded > BLOCK_GAS_LIMIT) {
+      throw new SandboxRpcError(-32000, `gas required exceeds allowance (${BLOCK_GAS_LIMIT})`);
+    }
+    return outcome.gasNeeded;
+  }
+
+  /**
+   * Run a JSON-RPC transaction object on top of the latest block without keeping the result
+   * @param {Object} tx - JSON-RPC transaction object
+   * @returns {Object} Outcome from execute()
+   */
+  dryRun(tx) {
+    const latest = this.state.blocks[this.blockNumber];
+    return this.execute({
+      from: tx.from || SANDBOX_USER,
+      to: tx.to,
+      value: toBigInt(tx.value),
+      data: tx.data || tx.input || '0x'
+    }, { number: latest.number + 1, timestamp: Math.max(latest.timestamp + 1, Math.floor(Date.now() / 1000)) });
+  }
+
+  /**
+   * Error a node answers a reverted call with
+   * @param {Object} outcome - Reverted outcome from execute()
+   * @returns {SandboxRpcError} Error with the revert data
+   */
+  revertError(outcome) {
+    const { reason } = outcome.revert;
+    return new SandboxRpcError(3, reason ? `execution reverted: ${reason}` : 'execution reverted', outcome.returnData);
+  }
+
+  /**
+   * Mine a transaction in a new block (eth_sendTransaction)
+   * @param {Object} tx - JSON-RPC transaction object
+   * @returns {string} Transaction hash
+   */
+  sendTransaction(tx) {
+    if (!tx.to) throw new SandboxRpcError(-32000, "The sandbox cannot deploy contracts.");
+    const from = getAddress(tx.from);
+    const sender = this.account(from);
+    const value = toBigInt(tx.value);
+
+    const latest = this.state.blocks[this.blockNumber];
+    const block = { number: latest.number + 1, timestamp: Math.max(latest.timestamp + 1, Math.floor(Date.now() / 1000)) };
+    const outcome = this.execute({ from, to: tx.to, value, data: tx.data || '0x' }, block);
+    const gasLimit = tx.gas ? parseInt(tx.gas, 16) : outcome.gasNeeded;
+
+    if (sender.balance < value + BigInt(gasLimit) * GAS_PRICE) {
+      throw new SandboxRpcError(-32000, 'insufficient funds for gas * price + value');
+    }
+
+    // A reverted or out-of-gas transaction is still mined; only its fee is kept
+    const succeeded = outcome.status === 1 && outcome.gasNeeded <= gasLimit;
+    const gasUsed = outcome.status === 1 && !succeeded ? gasLimit : outcome.gasUsed;
+    if (succeeded) {
+      this.state.accounts = outcome.accounts;
+      this.state.contracts = outcome.contracts;
+    }
+    const account = this.state.accounts[from] || (this.state.accounts[from] = { balance: BigInt(0), nonce: 0 });
+    account.balance -= BigInt(gasUsed) * GAS_PRICE;
+    const nonce = account.nonce;
+    account.nonce += 1;
+
+    const hash = this.mine({ from, to: getAddress(tx.to), value, data: tx.data || '0x', nonce, gas: gasLimit }, {
+      status: succeeded ? 1 : 0, gasUsed, logs: succeeded ? outcome.logs : [], contractAddress: null
+    }, block.timestamp);
+    this.save();
+
+    const receipt = this.state.receipts[hash];
+    this.listeners.forEach(listener => listener(this.state.blocks[receipt.blockNumber], [receipt]));
+    return hash;
+  }
+
+  /**
+   * Append a block
+   * @param {Array<string>} transactions - Transaction hashes
+   * @param {number} timestamp - Block timestamp
+   * @param {number} [gasUsed] - Gas used by the block
+   * @returns {Object} The block
+   */
+  addBlock(transactions, timestamp, gasUsed = 0) {
+    const number = this.state.blocks.length;
+    const parentHash = number > 0 ? this.state.blocks[number - 1].hash : ethers.constants.HashZero;
+    const hash = keccak256(defaultAbiCoder.encode(
+      ['uint256', 'bytes32', 'uint256', 'bytes32[]'],
+      [number, parentHash, timestamp, transactions]
+    ));
+    const block = { number, hash, parentHash, timestamp, gasUsed, transactions };
+    this.state.blocks.push(block);
+    return block;
+  }
+
+  /**
+   * Record a transaction and its receipt in a new block
+   * @param {Object} tx - from, to, value, data, nonce and gas
+   * @param {Object} result - status, gasUsed, logs and contractAddress
+   * @param {number} [timestamp] - Block timestamp; defaults to a second after the last block
+   * @returns {string} Transaction hash
+   */
+  mine(tx, result, timestamp) {
+    const latest = this.state.blocks[this.blockNumber];
+    const hash = keccak256(defaultAbiCoder.encode(['uint256', 'address', 'uint256'], [this.chainId, tx.from, tx.nonce]));
+    const block = this.addBlock([hash], timestamp || latest.timestamp + 1, result.gasUsed);
+
+    const located = { blockHash: block.hash, blockNumber: block.number, transactionIndex: 0 };
+    this.state.transactions[hash] = { ...tx, hash, ...located };
+    this.state.receipts[hash] = {
+      ...located,
+      transactionHash: hash,
+      from: tx.from,
+      to: tx.to,
+      contractAddress: result.contractAddress,
+      status: result.status,
+      gasUsed: result.gasUsed,
+      logs: result.logs.map((log, logIndex) => ({ ...log, ...located, transactionHash: hash, logIndex }))
+    };
+    return hash;
+  }
+
+  /**
+   * Block in JSON-RPC form
+   * @param {string} tagOrHash - Block tag, number or hash
+   * @param {boolean} full - Whether to include full transactions
+   * @returns {Object|null} Block, or null when unknown
+   */
+  getBlock(tagOrHash, full) {
+    const block = hexDataLength(tagOrHash) === 32
+      ? this.state.blocks.find(candidate => candidate.hash === tagOrHash)
+      : this.state.blocks[toBlockNumber(tagOrHash, this.blockNumber)];
+    if (!block) return null;
+
+    return {
+      number: hexValue(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: hexValue(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: hexValue(BLOCK_GAS_LIMIT),
+      gasUsed: hexValue(block.gasUsed),
+      baseFeePerGas: hexValue(GAS_PRICE),
+      miner: ethers.constants.AddressZero,
+      extraData: '0x',
+      transactions: full ? block.transactions.map(hash => this.getTransaction(hash)) : block.transactions
+    };
+  }
+
+  /**
+   * Transaction in JSON-RPC form
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} Transaction, or null when unknown
+   */
+  getTransaction(hash) {
+    const tx = this.state.transactions[hash];
+    if (!tx) return null;
+
+    return {
+      hash,
+      type: '0x0',
+      from: tx.from,
+      to: tx.to,
+      value: hexValue(tx.value),
+      input: hexlify(tx.data),
+      nonce: hexValue(tx.nonce),
+      gas: hexValue(tx.gas),
+      gasPrice: hexValue(GAS_PRICE),
+      chainId: hexValue(this.chainId),
+      blockHash: tx.blockHash,
+      blockNumber: hexValue(tx.blockNumber),
+      transactionIndex: hexValue(tx.transactionIndex)
+    };
+  }
+
+  /**
+   * Receipt in JSON-RPC form
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} Receipt, or null when unknown
+   */
+  getTransactionReceipt(hash) {
+    const receipt = this.state.receipts[hash];
+    if (!receipt) return null;
+
+    return {
+      transactionHash: hash,
+      blockHash: receipt.blockHash,
+      blockNumber: hexValue(receipt.blockNumber),
+      transactionIndex: hexValue(receipt.transactionIndex),
+      from: receipt.from,
+      to: receipt.to,
+      contractAddress: receipt.contractAddress,
+      type: '0x0',
+      status: hexValue(receipt.status),
+      gasUsed: hexValue(receipt.gasUsed),
+      cumulativeGasUsed: hexValue(receipt.gasUsed),
+      effectiveGasPrice: hexValue(GAS_PRICE),
+      logsBloom: hexlify(new Uint8Array(256)),
+      logs: receipt.logs.map(this.formatLog)
+    };
+  }
+
+  /**
+   * Log in JSON-RPC form
+   * @param {Object} log - Stored log
+   * @returns {Object} Log
+   */
+  formatLog(log) {
+    return {
+      ...log,
+      blockNumber: hexValue(log.blockNumber),
+      transactionIndex: hexValue(log.transactionIndex),
+      logIndex: hexValue(log.logIndex),
+      removed: false
+    };
+  }
+
+  /**
+   * Logs matching a filter (eth_getLogs)
+   * @param {Object} filter - address, topics and a block range or blockHash
+   * @returns {Array<Object>} Logs in JSON-RPC form
+   */
+  getLogs(filter) {
+    let blocks;
+    if (filter.blockHash) {
+      blocks = this.state.blocks.filter(block => block.hash === filter.blockHash);
+    } else {
+      const from = toBlockNumber(filter.fromBlock, this.blockNumber);
+      const to = toBlockNumber(filter.toBlock, this.blockNumber);
+      blocks = this.state.blocks.slice(from, to + 1);
+    }
+
+    const addresses = [].concat(filter.address || []).map(address => getAddress(address));
+    const topics = filter.topics || [];
+    const matches = (log) => (addresses.length === 0 || addresses.includes(log.address)) &&
+      topics.every((topic, index) => topic === null || topic === undefined ||
+        [].concat(topic).some(candidate => candidate.toLowerCase() === (log.topics[index] || '').toLowerCase()));
+
+    return blocks
+      .flatMap(block => block.transactions.flatMap(hash => this.state.receipts[hash].logs))
+      .filter(matches)
+      .map(this.formatLog);
+  }
+
+  /**
+   * Decoded call of a mined transaction to a simulated contract
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} The parsed transaction, or null
+   */
+  parseTransaction(hash) {
+    const tx = this.state.transactions[hash];
+    const contract = tx && tx.to ? this.state.contracts[tx.to] : null;
+    if (!contract) return null;
+    try {
+      return CONTRACTS[contract.kind].iface.parseTransaction({ data: tx.data, value: tx.value.toString() });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Storage of a simulated contract, for the simulated operator
+   * @param {string} address - Contract address
+   * @returns {Object|null} Storage
+   */
+  storageOf(address) {
+    const contract = this.state.contracts[getAddress(address)];
+    return contract ? contract.storage : null;
+  }
+}
+
+/**
+ * Forget the stored sandbox chain
+ */
+export const clearSandboxChain = () => localStorage.removeItem(STORAGE_KEY);
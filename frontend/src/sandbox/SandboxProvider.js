@@ -0,0 +1,86 @@
+/**
+ * EIP-1193 provider for the sandbox
+ * Answers the JSON-RPC methods the dashboard and ethers use from the sandbox chain, so the
+ * sandbox plugs into the same wallet connection, contract client and history indexer as a
+ * real wallet. The sandbox user's account is always unlocked; transactions are "signed" by
+ * being mined
+ */
+import { ethers } from 'ethers';
+import { SANDBOX_USER, SandboxRpcError } from './SandboxChain';
+
+const { hexValue } = ethers.utils;
+
+/**
+ * Sandbox provider
+ */
+export class SandboxProvider {
+  /**
+   * @param {SandboxChain} chain - Chain to answer from
+   */
+  constructor(chain) {
+    this.chain = chain;
+  }
+
+  /**
+   * Subscribe to a provider event. The sandbox never changes chain or account, so there is
+   * nothing to emit; this exists for callers that follow a wallet's events
+   */
+  on() {}
+
+  /**
+   * Unsubscribe from a provider event
+   */
+  removeListener() {}
+
+  /**
+   * Handle a JSON-RPC request
+   * @param {Object} request - method and params
+   * @returns {Promise<*>} Result
+   */
+  async request({ method, params = [] }) {
+    const { chain } = this;
+
+    switch (method) {
+      case 'eth_chainId':
+        return hexValue(chain.chainId);
+      case 'net_version':
+        return String(chain.chainId);
+      case 'eth_accounts':
+      case 'eth_requestAccounts':
+        return [SANDBOX_USER];
+      case 'wallet_revokePermissions':
+        return null;
+      case 'eth_blockNumber':
+        return hexValue(chain.blockNumber);
+      case 'eth_gasPrice':
+        return hexValue(chain.gasPrice);
+      case 'eth_getBalance':
+        return hexValue(chain.account(params[0]).balance);
+      case 'eth_getTransactionCount':
+        return hexValue(chain.account(params[0]).nonce);
+      case 'eth_getCode':
+        return chain.getCode(params[0]);
+      case 'eth_call':
+        return chain.call(params[0]);
+      case 'eth_estimateGas':
+        return hexValue(chain.estimateGas(params[0]));
+      case 'eth_sendTransaction':
+        return chain.sendTransaction(params[0]);
+      case 'eth_getBlockByNumber':
+      case 'eth_getBlockByHash':
+        return chain.getBlock(params[0], Boolean(params[1]));
+      case 'eth_getTransactionByHash':
+        return chain.getTransaction(params[0]);
+      case 'eth_getTransactionReceipt':
+        return chain.getTransactionReceipt(params[0]);
+      case 'eth_getLogs':
+        return chain.getLogs(params[0] || {});
+      case 'wallet_switchEthereumChain':
+      case 'wallet_addEthereumChain':
+        // The sandbox is a chain of its own; leave it to reach a real network
+        throw new SandboxRpcError(4200, "The offline sandbox cannot switch networks. Leave the sandbox and connect a wallet instead.");
+      default:
+        throw new SandboxRpcError(4200, `The offline sandbox does not support ${method}.`);
+    }
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Simulated operator for the sandbox
+ * Plays the operator daemon's part: it watches for ComputationRequested, runs the built-in
+ * mock prover (the daemon's, from contracts/mockProver) on the request's input and submits the
+ * proof after a configurable delay
+ */
+import { ethers } from 'ethers';
+import { ZKCoProcessorABI } from '../contracts/ZKCoProcessorABI';
+import { mockProve } from '../contracts/mockProver';
+import { SANDBOX_OPERATOR } from './SandboxChain';
+
+// localStorage key holding the operator's delay and whether it is paused
+const SETTINGS_KEY = 'zkco.sandbox.operator';
+
+// Seconds between a request and its proof, unless the user picks another delay
+export const DEFAULT_PROOF_DELAY_SECONDS = 8;
+
+const iface = new ethers.utils.Interface(ZKCoProcessorABI);
+
+/**
+ * Read the operator settings from localStorage
+ * @returns {Object} delaySeconds and paused
+ */
+const loadSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    return {
+      delaySeconds: stored.delaySeconds >= 0 ? stored.delaySeconds : DEFAULT_PROOF_DELAY_SECONDS,
+      paused: stored.paused === true
+    };
+  } catch (error) {
+    return { delaySeconds: DEFAULT_PROOF_DELAY_SECONDS, paused: false };
+  }
+};
+
+/**
+ * Operator that answers every request on the sandbox chain
+ */
+export class SimulatedOperator {
+  /**
+   * @param {SandboxChain} chain - Sandbox chain
+   * @param {string} contractAddress - ZKCoProcessor address
+   */
+  constructor(chain, contractAddress) {
+    this.chain = chain;
+    this.contractAddress = ethers.utils.getAddress(contractAddress);
+    this.settings = loadSettings();
+    // Scheduled proofs by taskId: { dueAt, timer }
+    this.queue = new Map();
+    this.listeners = new Set();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start answering requests, including those that were waiting before a reload
+   */
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.chain.subscribe((block, receipts) => {
+      receipts.forEach(receipt => receipt.logs.forEach(log => this.onLog(log, block.timestamp)));
+    });
+    this.schedulePending();
+  }
+
+  /**
+   * Stop answering requests
+   */
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    this.clearQueue();
+  }
+
+  /**
+   * Follow the operator's settings and queue
+   * @param {Function} listener - Called with getState() whenever it changes
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Current settings and scheduled proofs
+   * @returns {Object} delaySeconds, paused and queue (taskId and dueAt, soonest first)
+   */
+  getState() {
+    return {
+      ...this.settings,
+      queue: Array.from(this.queue, ([taskId, { dueAt }]) => ({ taskId, dueAt })).sort((a, b) => a.dueAt - b.dueAt)
+    };
+  }
+
+  /**
+   * Change the delay or pause the operator; scheduled proofs move to the new delay
+   * @param {Object} changes - delaySeconds and/or paused
+   */
+  configure(changes) {
+    this.settings = { ...this.settings, ...changes };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    this.clearQueue();
+    this.schedulePending();
+  }
+
+  /**
+   * Tell listeners about a change
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * Cancel every scheduled proof
+   */
+  clearQueue() {
+    this.queue.forEach(({ timer }) => clearTimeout(timer));
+    this.queue.clear();
+    this.notify();
+  }
+
+  /**
+   * Schedule a proof for every request that has none yet
+   */
+  schedulePending() {
+    if (this.settings.paused) return;
+
+    const topic = iface.getEventTopic('ComputationRequested');
+    const logs = this.chain.getLogs({ address: this.contractAddress, topics: [topic], fromBlock: '0x0' });
+    logs.forEach(log => {
+      const block = this.chain.getBlock(log.blockHash, false);
+      this.onLog(log, parseInt(block.timestamp, 16));
+    });
+  }
+
+  /**
+   * Schedule a proof when a log is a request that still needs one
+   * @param {Object} log - Log from the chain
+   * @param {number} requestedAt - Timestamp of the request's block
+   */
+  onLog(log, requestedAt) {
+    if (this.settings.paused || log.address !== this.contractAddress) return;
+
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch (error) {
+      return;
+    }
+    if (parsed.name !== 'ComputationRequested') return;
+
+    const { taskId } = parsed.args;
+    if (this.queue.has(taskId) || this.isCompleted(taskId)) return;
+
+    // Blocks mined in quick succession get timestamps ahead of the clock, so a new request is
+    // timed from when it was seen
+    const dueAt = Math.min(requestedAt * 1000, Date.now()) + this.settings.delaySeconds * 1000;
+    const timer = setTimeout(() => this.prove(taskId, log.transactionHash), Math.max(0, dueAt - Date.now()));
+    this.queue.set(taskId, { dueAt, timer });
+    this.notify();
+  }
+
+  /**
+   * Whether a task already has a proof
+   * @param {string} taskId - Task ID
+   * @returns {boolean} Whether the task is completed
+   */
+  isCompleted(taskId) {
+    const storage = this.chain.storageOf(this.contractAddress);
+    return Boolean(storage && storage.tasks[taskId] && storage.tasks[taskId].completed);
+  }
+
+  /**
+   * Prove a task and submit the proof from the operator's account
+   * @param {string} taskId - Task ID
+   * @param {string} requestHash - Hash of the requestComputation transaction
+   */
+  prove(taskId, requestHash) {
+    this.queue.delete(taskId);
+    try {
+      const request = this.chain.parseTransaction(requestHash);
+      if (!request || request.name !== 'requestComputation' || this.isCompleted(taskId)) return;
+
+      const { proof, resultHash } = mockProve(taskId, request.args.inputData);
+      this.chain.sendTransaction({
+        from: SANDBOX_OPERATOR,
+        to: this.contractAddress,
+        data: iface.encodeFunctionData('submitProof', [taskId, proof, resultHash])
+      });
+    } catch (error) {
+      console.error(`Simulated operator could not prove task ${taskId}:`, error);
+    } finally {
+      this.notify();
+    }
+  }
+}
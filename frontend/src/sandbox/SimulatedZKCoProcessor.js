@@ -0,0 +1,449 @@
+/**
+ * ZKCoProcessor and ReferenceProcessor, implemented in JavaScript for the sandbox
+ * Each function follows its Solidity counterpart line by line: the same require() messages,
+ * the same storage updates and the same events, with gas charged through a GasMeter. The
+ * sandbox chain decodes calldata with the real ABI and calls these functions, so the client,
+ * the history indexer and every page see exactly what the deployed contract would return
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+import { TASK_TEMPLATES, computeReference, decodeTemplateInput } from '../contracts/taskTemplates';
+import { toWords } from './gasMeter';
+
+const { AddressZero, HashZero } = ethers.constants;
+
+// Fixed per-function overhead (dispatch, ABI decoding, checks), measured against the compiled
+// Solidity contracts after subtracting everything the GasMeter charges separately
+const OVERHEAD = {
+  registerAsOperator: 960,
+  requestComputation: 3040,
+  submitProof: 4710,
+  claimRewards: 760,
+  logComparison: 1170,
+  setBaseRewardAmount: 590,
+  setVerifierContract: 650,
+  slashOperator: 2470,
+  withdrawETH: 1030,
+  receive: 100,
+  process: 1314,
+  view: 300
+};
+
+// Extra overhead of ReferenceProcessor's template code: decoding, encoding the result and the
+// work of each loop iteration, measured the same way
+const TEMPLATE_OVERHEAD = {
+  readTemplateId: 390,
+  ecdsa: 7355,
+  ecdsaMessageWord: 226,
+  ecdsaMalformed: 3151,
+  merkle: 2176,
+  merkleStep: 822,
+  keccakChain: 2396,
+  keccakRound: 157,
+  sha256Chain: 3127,
+  sha256Round: 196,
+  invalid: 2419
+};
+
+const ONE_ETHER = BigInt('1000000000000000000');
+
+// Panic code Solidity 0.8 reverts with on arithmetic underflow or overflow
+export const PANIC_ARITHMETIC = 0x11;
+
+/**
+ * Error for a failed require() or a Solidity panic, carrying what the contract would revert with
+ */
+export class ContractRevert extends Error {
+  /**
+   * @param {string|null} reason - require() message
+   * @param {number|null} [panicCode] - Panic(uint256) code, for reverts without a message
+   */
+  constructor(reason, panicCode = null) {
+    super(reason || `Panic(0x${(panicCode || 0).toString(16)})`);
+    this.name = 'ContractRevert';
+    this.reason = reason;
+    this.panicCode = panicCode;
+  }
+}
+
+/**
+ * Fail like require(condition, reason)
+ * @param {boolean} condition - Condition that must hold
+ * @param {string} reason - require() message
+ */
+const requireThat = (condition, reason) => {
+  if (!condition) throw new ContractRevert(reason);
+};
+
+/**
+ * An unset task, as the tasks mapping returns it
+ * @returns {Object} Task fields
+ */
+const emptyTask = () => ({
+  completed: false,
+  startTime: BigInt(0),
+  endTime: BigInt(0),
+  reward: BigInt(0),
+  operator: AddressZero,
+  complexity: BigInt(0),
+  resultHash: HashZero,
+  verified: false
+});
+
+/**
+ * An unregistered operator, as the operators mapping returns it
+ * @returns {Object} Operator fields
+ */
+const emptyOperator = () => ({
+  registered: false,
+  stake: BigInt(0),
+  reputation: BigInt(0),
+  tasksCompleted: BigInt(0)
+});
+
+/**
+ * Storage of a freshly deployed ZKCoProcessor
+ * @param {string} owner - Deployer
+ * @param {string} [verifierContract] - RISC Zero verifier, or the zero address
+ * @returns {Object} Contract storage
+ */
+export const deployZKCoProcessor = (owner, verifierContract = AddressZero) => ({
+  tasks: {},
+  operatorRewards: {},
+  operators: {},
+  totalTasksProcessed: BigInt(0),
+  baseRewardAmount: ONE_ETHER / BigInt(1000),
+  minOperatorStake: ONE_ETHER / BigInt(10),
+  owner,
+  verifierContract
+});
+
+/**
+ * Charge the reads of some fields of a struct in a mapping
+ * @param {GasMeter} meter - Gas meter
+ * @param {string} prefix - Slot key prefix
+ * @param {Array<string>} fields - Fields read
+ */
+const readFields = (meter, prefix, fields) => fields.forEach(field => meter.sload(`${prefix}.${field}`));
+
+/**
+ * Write fields of a struct in a mapping, charging each field's slot
+ * @param {GasMeter} meter - Gas meter
+ * @param {string} prefix - Slot key prefix
+ * @param {Object} previous - Struct before the write
+ * @param {Object} changes - Fields written, with their new values
+ * @returns {Object} Struct after the write
+ */
+const writeFields = (meter, prefix, previous, changes) => {
+  Object.keys(changes).forEach(field => meter.sstore(`${prefix}.${field}`, previous[field], changes[field]));
+  return { ...previous, ...changes };
+};
+
+/**
+ * Write a single storage variable
+ * @param {Object} ctx - Call context
+ * @param {Object} target - Object holding the variable
+ * @param {string} key - Variable name (or mapping key)
+ * @param {string} slot - Slot key for gas accounting
+ * @param {*} value - New value
+ */
+const writeSlot = (ctx, target, key, slot, value) => {
+  ctx.meter.sstore(slot, target[key], value);
+  target[key] = value;
+};
+
+/**
+ * calculateReward(complexity)
+ * @param {Object} ctx - Call context
+ * @param {bigint} complexity - Input size in bytes
+ * @returns {bigint} Reward in wei
+ */
+const calculateReward = (ctx, complexity) => {
+  ctx.meter.sload('baseRewardAmount');
+  return ctx.storage.baseRewardAmount * (BigInt(1) + complexity / BigInt(100));
+};
+
+/**
+ * emit ComparisonLogged(...), as logComparison() does
+ * @param {Object} ctx - Call context
+ * @param {bigint} zkGasUsed - Gas used by ZK processing
+ * @param {bigint} normalGasUsed - Gas of normal processing
+ * @param {bigint} timeSaved - Time saved in milliseconds
+ */
+const logComparison = (ctx, zkGasUsed, normalGasUsed, timeSaved) => {
+  ctx.emit('ComparisonLogged', [zkGasUsed, normalGasUsed, timeSaved]);
+};
+
+// State-changing functions of ZKCoProcessor, keyed by name. Each receives the call context
+// ({ storage, sender, value, timestamp, meter, emit, transfer, balance }) and the decoded arguments
+export const ZKCoProcessorFunctions = {
+  registerAsOperator: (ctx) => {
+    const { storage, sender, value, meter } = ctx;
+    const previous = storage.operators[sender] || emptyOperator();
+    meter.sload(`operators.${sender}.registered`);
+    requireThat(!previous.registered, 'Already registered as operator');
+    meter.sload('minOperatorStake');
+    requireThat(value >= storage.minOperatorStake, 'Insufficient stake');
+
+    storage.operators[sender] = writeFields(meter, `operators.${sender}`, previous, {
+      registered: true,
+      stake: value,
+      reputation: BigInt(100),
+      tasksCompleted: BigInt(0)
+    });
+
+    ctx.emit('OperatorRegistered', [sender, value]);
+  },
+
+  requestComputation: (ctx, [inputData]) => {
+    const { storage, sender, value, timestamp, meter } = ctx;
+    const input = ethers.utils.arrayify(inputData);
+
+    // keccak256(abi.encodePacked(inputData, block.timestamp, msg.sender)) in memory
+    const packedLength = input.length + 32 + 20;
+    meter.copy(input.length);
+    meter.memory(packedLength + 128);
+    meter.keccak(packedLength);
+    const taskId = ethers.utils.solidityKeccak256(['bytes', 'uint256', 'address'], [input, timestamp, sender]);
+
+    const complexity = BigInt(input.length);
+    const reward = calculateReward(ctx, complexity);
+    requireThat(value >= reward, 'Insufficient ETH for reward');
+
+    const previous = storage.tasks[taskId] || emptyTask();
+    storage.tasks[taskId] = writeFields(meter, `tasks.${taskId}`, previous, { ...emptyTask(), startTime: timestamp, reward, complexity });
+
+    ctx.emit('ComputationRequested', [taskId, sender, complexity, reward]);
+  },
+
+  submitProof: (ctx, [taskId, proof, resultHash]) => {
+    const { storage, sender, timestamp, meter } = ctx;
+    meter.sload(`operators.${sender}.registered`);
+    requireThat((storage.operators[sender] || emptyOperator()).registered, 'Only registered operators can call this function');
+
+    const task = storage.tasks[taskId] || emptyTask();
+    meter.sload(`tasks.${taskId}.completed`);
+    requireThat(!task.completed, 'Task already completed');
+
+    // The contract builds the verifier arguments but does not call the verifier yet
+    meter.sload('verifierContract');
+    if (storage.verifierContract !== AddressZero) {
+      meter.memory(ethers.utils.arrayify(proof).length + 256);
+    }
+
+    storage.tasks[taskId] = writeFields(meter, `tasks.${taskId}`, task, {
+      completed: true,
+      endTime: timestamp,
+      operator: sender,
+      resultHash,
+      verified: true
+    });
+
+    const operator = storage.operators[sender];
+    readFields(meter, `operators.${sender}`, ['tasksCompleted', 'reputation']);
+    storage.operators[sender] = writeFields(meter, `operators.${sender}`, operator, {
+      tasksCompleted: operator.tasksCompleted + BigInt(1),
+      reputation: operator.reputation + BigInt(1)
+    });
+
+    meter.sload(`tasks.${taskId}.reward`);
+    meter.sload(`operatorRewards.${sender}`);
+    const rewards = storage.operatorRewards[sender] || BigInt(0);
+    writeSlot(ctx, storage.operatorRewards, sender, `operatorRewards.${sender}`, rewards + task.reward);
+
+    meter.sload('totalTasksProcessed');
+    writeSlot(ctx, storage, 'totalTasksProcessed', 'totalTasksProcessed', storage.totalTasksProcessed + BigInt(1));
+
+    ctx.emit('ProofSubmitted', [taskId, sender, resultHash]);
+    ctx.emit('RewardPaid', [sender, task.reward, taskId]);
+
+    meter.sload(`tasks.${taskId}.complexity`);
+    const zkGasUsed = BigInt(30000) + task.complexity * BigInt(10);
+    logComparison(ctx, zkGasUsed, zkGasUsed * BigInt(5), task.complexity * BigInt(2));
+  },
+
+  claimRewards: (ctx) => {
+    const { storage, sender, meter } = ctx;
+    meter.sload(`operatorRewards.${sender}`);
+    const amount = storage.operatorRewards[sender] || BigInt(0);
+    requireThat(amount > BigInt(0), 'No rewards to claim');
+
+    writeSlot(ctx, storage.operatorRewards, sender, `operatorRewards.${sender}`, BigInt(0));
+    ctx.transfer(sender, amount);
+  },
+
+  logComparison: (ctx, [zkGasUsed, normalGasUsed, timeSaved]) => {
+    logComparison(ctx, zkGasUsed, normalGasUsed, timeSaved);
+  },
+
+  setBaseRewardAmount: (ctx, [newAmount]) => {
+    const { storage, sender, meter } = ctx;
+    meter.sload('owner');
+    requireThat(sender === storage.owner, 'Only owner can call this function');
+    writeSlot(ctx, storage, 'baseRewardAmount', 'baseRewardAmount', newAmount);
+  },
+
+  setVerifierContract: (ctx, [verifierContract]) => {
+    const { storage, sender, meter } = ctx;
+    meter.sload('owner');
+    requireThat(sender === storage.owner, 'Only owner can call this function');
+    writeSlot(ctx, storage, 'verifierContract', 'verifierContract', verifierContract);
+  },
+
+  slashOperator: (ctx, [operator, amount, reason]) => {
+    const { storage, sender, meter } = ctx;
+    meter.sload('owner');
+    requireThat(sender === storage.owner, 'Only owner can call this function');
+
+    const previous = storage.operators[operator] || emptyOperator();
+    readFields(meter, `operators.${operator}`, ['registered', 'stake']);
+    requireThat(previous.registered, 'Not a registered operator');
+    requireThat(previous.stake >= amount, 'Insufficient stake to slash');
+
+    // Solidity 0.8 reverts on underflow instead of wrapping
+    meter.sload(`operators.${operator}.reputation`);
+    if (previous.reputation < BigInt(10)) throw new ContractRevert(null, PANIC_ARITHMETIC);
+
+    storage.operators[operator] = writeFields(meter, `operators.${operator}`, previous, {
+      stake: previous.stake - amount,
+      reputation: previous.reputation - BigInt(10)
+    });
+
+    ctx.emit('OperatorSlashed', [operator, amount, reason]);
+  },
+
+  withdrawETH: (ctx, [amount]) => {
+    const { storage, sender, meter } = ctx;
+    meter.sload('owner');
+    requireThat(sender === storage.owner, 'Only owner can call this function');
+    requireThat(ctx.balance() >= amount, 'Insufficient contract balance');
+    ctx.transfer(storage.owner, amount);
+  },
+
+  receive: () => {}
+};
+
+// View functions of ZKCoProcessor, returning their outputs in ABI order
+export const ZKCoProcessorViews = {
+  tasks: (ctx, [taskId]) => {
+    const task = ctx.storage.tasks[taskId] || emptyTask();
+    return [task.completed, task.startTime, task.endTime, task.reward, task.operator, task.complexity, task.resultHash, task.verified];
+  },
+  operators: (ctx, [address]) => {
+    const operator = ctx.storage.operators[address] || emptyOperator();
+    return [operator.registered, operator.stake, operator.reputation, operator.tasksCompleted];
+  },
+  operatorRewards: (ctx, [address]) => [ctx.storage.operatorRewards[address] || BigInt(0)],
+  calculateReward: (ctx, [complexity]) => [calculateReward(ctx, complexity)],
+  getComputationTime: (ctx, [taskId]) => {
+    const task = ctx.storage.tasks[taskId] || emptyTask();
+    requireThat(task.completed, 'Task not completed yet');
+    return [task.endTime - task.startTime];
+  },
+  totalTasksProcessed: (ctx) => [ctx.storage.totalTasksProcessed],
+  baseRewardAmount: (ctx) => [ctx.storage.baseRewardAmount],
+  minOperatorStake: (ctx) => [ctx.storage.minOperatorStake],
+  owner: (ctx) => [ctx.storage.owner],
+  verifierContract: (ctx) => [ctx.storage.verifierContract],
+  validatePayload: (ctx, [proof]) => {
+    requireThat(ethers.utils.arrayify(proof).length > 0, 'Empty proof');
+    return [];
+  }
+};
+
+// ReferenceProcessor: process() runs a template input's template (any other input is hashed)
+// on-chain and emits Processed
+export const SimulatedReferenceProcessorABI = [
+  'event Processed(address indexed requester, bytes32 resultHash)',
+  'function process(bytes calldata inputData) external returns (bytes32 resultHash)'
+];
+
+/**
+ * Charge for running a template the way ReferenceProcessor's _runTemplate does
+ * @param {GasMeter} meter - Gas meter
+ * @param {Object} decoded - Template and parameters from decodeTemplateInput
+ * @param {boolean} runnable - Whether the parameters pass the template's validation
+ */
+const meterTemplate = (meter, { template, params }, runnable) => {
+  if (!runnable) {
+    meter.use(TEMPLATE_OVERHEAD.invalid);
+    return;
+  }
+
+  if (template.key === 'ecdsa') {
+    const messageLength = ethers.utils.hexDataLength(params[0]);
+    const signature = ethers.utils.arrayify(params[1]);
+    const v = signature[64];
+    // _recoverPersonalSign returns before hashing for a signature it cannot use
+    if (signature.length !== 64 && !(signature.length === 65 && (v < 2 || v >= 27))) {
+      meter.use(TEMPLATE_OVERHEAD.ecdsaMalformed);
+      return;
+    }
+    // "\x19Ethereum Signed Message:\n" + decimal length + message
+    meter.keccak(26 + String(messageLength).length + messageLength);
+    meter.ecrecover();
+    meter.use(TEMPLATE_OVERHEAD.ecdsa + TEMPLATE_OVERHEAD.ecdsaMessageWord * toWords(messageLength));
+  } else if (template.key === 'merkle') {
+    for (let step = 0; step < params[1].length; step++) {
+      meter.keccak(64);
+      meter.use(TEMPLATE_OVERHEAD.merkleStep);
+    }
+    meter.use(TEMPLATE_OVERHEAD.merkle);
+  } else {
+    const [seed, algorithm, rounds] = params;
+    const keccak = algorithm === 0;
+    const hash = (length) => (keccak ? meter.keccak(length) : meter.sha256(length));
+    hash(ethers.utils.hexDataLength(seed));
+    for (let round = 1; round < rounds; round++) {
+      hash(32);
+      meter.use(keccak ? TEMPLATE_OVERHEAD.keccakRound : TEMPLATE_OVERHEAD.sha256Round);
+    }
+    meter.use(keccak ? TEMPLATE_OVERHEAD.keccakChain : TEMPLATE_OVERHEAD.sha256Chain);
+  }
+};
+
+export const ReferenceProcessorFunctions = {
+  process: (ctx, [inputData]) => {
+    const input = ethers.utils.arrayify(inputData);
+    ctx.meter.copy(input.length);
+    ctx.meter.memory(input.length + 128);
+
+    let templateId = HashZero;
+    if (input.length >= 32) {
+      ctx.meter.use(TEMPLATE_OVERHEAD.readTemplateId);
+      templateId = ethers.utils.hexlify(input.slice(0, 32));
+    }
+    let resultHash;
+    if (Object.values(TASK_TEMPLATES).some(template => template.id === templateId)) {
+      // abi.decode reverts without a reason on parameters that do not decode
+      const decoded = decodeTemplateInput(input);
+      if (!decoded) throw new ContractRevert(null);
+      // Decoding copies the parameters into memory twice: once as bytes, once as their values
+      ctx.meter.copy(input.length * 2);
+      ctx.meter.memory(input.length * 3 + 256);
+
+      const reference = computeReference(input);
+      meterTemplate(ctx.meter, decoded, !reference.error);
+      if (reference.error) {
+        ctx.meter.keccak(input.length);
+        resultHash = ethers.utils.keccak256(input);
+      } else {
+        ctx.meter.keccak(ethers.utils.hexDataLength(reference.result));
+        resultHash = reference.resultHash;
+      }
+    } else {
+      ctx.meter.keccak(input.length);
+      resultHash = ethers.utils.keccak256(input);
+    }
+
+    ctx.emit('Processed', [ctx.sender, resultHash]);
+    return [resultHash];
+  }
+};
+
+/**
+ * Fixed overhead of a function
+ * @param {string} name - Function name
+ * @returns {number} Gas
+ */
+export const functionOverhead = (name) => (OVERHEAD[name] !== undefined ? OVERHEAD[name] : OVERHEAD.view);
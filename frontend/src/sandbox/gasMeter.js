@@ -0,0 +1,203 @@
+/**
+ * Gas accounting for the sandbox
+ * The simulated contracts charge gas with the EVM's own schedule for the operations that
+ * dominate their cost: intrinsic and calldata gas, storage reads and writes with EIP-2929
+ * cold/warm pricing and EIP-3529 refunds, logs, hashing, precompiles, memory and ETH transfers. Each
+ * function also pays a fixed overhead for dispatch and ABI decoding, measured against the
+ * compiled Solidity contracts, so gas figures in the sandbox stay close to the real ones
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+
+// EVM gas schedule (London)
+export const GAS = {
+  TRANSACTION: 21000,
+  CREATE: 32000,
+  CALLDATA_ZERO_BYTE: 4,
+  CALLDATA_NONZERO_BYTE: 16,
+  COLD_SLOAD: 2100,
+  WARM_ACCESS: 100,
+  SSTORE_SET: 20000,
+  SSTORE_RESET: 2900,
+  SSTORE_CLEAR_REFUND: 4800,
+  LOG: 375,
+  LOG_TOPIC: 375,
+  LOG_DATA_BYTE: 8,
+  KECCAK: 30,
+  KECCAK_WORD: 6,
+  SHA256: 60,
+  SHA256_WORD: 12,
+  ECRECOVER: 3000,
+  COPY_WORD: 3,
+  MEMORY_WORD: 3,
+  COLD_ACCOUNT_ACCESS: 2600,
+  CALL_VALUE: 9000,
+  CALL_STIPEND: 2300
+};
+
+// Refunds are capped at a fifth of the gas used (EIP-3529)
+const MAX_REFUND_QUOTIENT = 5;
+
+/**
+ * Number of 32-byte words needed for a byte length
+ * @param {number} length - Length in bytes
+ * @returns {number} Words
+ */
+export const toWords = (length) => Math.ceil(length / 32);
+
+/**
+ * Gas charged for transaction calldata
+ * @param {BytesLike} data - Calldata
+ * @returns {number} Gas
+ */
+export const calldataGas = (data) => ethers.utils.arrayify(data || '0x')
+  .reduce((gas, byte) => gas + (byte === 0 ? GAS.CALLDATA_ZERO_BYTE : GAS.CALLDATA_NONZERO_BYTE), 0);
+
+/**
+ * Whether a stored value is zero in the EVM's sense
+ * @param {*} value - Storage value (bigint, boolean, address or bytes32 hex)
+ * @returns {boolean} Whether the slot would hold zero
+ */
+const isZeroValue = (value) => value === null || value === undefined || value === false || value === BigInt(0) ||
+  value === ethers.constants.AddressZero || value === ethers.constants.HashZero;
+
+/**
+ * Memory expansion cost for a memory size
+ * @param {number} words - Memory size in words
+ * @returns {number} Gas
+ */
+const memoryCost = (words) => GAS.MEMORY_WORD * words + Math.floor((words * words) / 512);
+
+/**
+ * Access-set key of an account
+ * @param {string} address - Account
+ * @returns {string} Key
+ */
+const accountKey = (address) => `account:${address.toLowerCase()}`;
+
+/**
+ * Gas meter for one transaction or call
+ */
+export class GasMeter {
+  /**
+   * @param {BytesLike} data - Calldata, charged up front with the intrinsic gas
+   * @param {Object} [options] - Meter options
+   * @param {boolean} [options.create] - Whether the transaction deploys a contract
+   * @param {Array<string>} [options.accounts] - Accounts warm from the start: the sender and recipient
+   */
+  constructor(data, { create = false, accounts = [] } = {}) {
+    this.used = GAS.TRANSACTION + calldataGas(data) + (create ? GAS.CREATE : 0);
+    this.refund = 0;
+    this.memoryWords = 0;
+    // Storage slots and accounts already touched, which are warm for the rest of the transaction
+    this.accessed = new Set(accounts.map(accountKey));
+  }
+
+  /**
+   * Charge a fixed amount
+   * @param {number} gas - Gas
+   */
+  use(gas) {
+    this.used += gas;
+  }
+
+  /**
+   * Charge for reading a storage slot
+   * @param {string} slot - Slot key
+   */
+  sload(slot) {
+    this.use(this.accessed.has(slot) ? GAS.WARM_ACCESS : GAS.COLD_SLOAD);
+    this.accessed.add(slot);
+  }
+
+  /**
+   * Charge for writing a storage slot
+   * @param {string} slot - Slot key
+   * @param {*} previous - Value before the write
+   * @param {*} next - Value written
+   */
+  sstore(slot, previous, next) {
+    if (!this.accessed.has(slot)) {
+      this.use(GAS.COLD_SLOAD);
+      this.accessed.add(slot);
+    }
+
+    if (previous === next) {
+      this.use(GAS.WARM_ACCESS);
+    } else if (isZeroValue(previous)) {
+      this.use(GAS.SSTORE_SET);
+    } else {
+      this.use(GAS.SSTORE_RESET);
+      if (isZeroValue(next)) this.refund += GAS.SSTORE_CLEAR_REFUND;
+    }
+  }
+
+  /**
+   * Grow memory to hold a number of bytes
+   * @param {number} length - Bytes of memory in use
+   */
+  memory(length) {
+    const words = toWords(length);
+    if (words <= this.memoryWords) return;
+    this.use(memoryCost(words) - memoryCost(this.memoryWords));
+    this.memoryWords = words;
+  }
+
+  /**
+   * Charge for copying bytes (calldata or code) into memory
+   * @param {number} length - Bytes copied
+   */
+  copy(length) {
+    this.use(GAS.COPY_WORD * toWords(length));
+  }
+
+  /**
+   * Charge for keccak256 over bytes in memory
+   * @param {number} length - Bytes hashed
+   */
+  keccak(length) {
+    this.use(GAS.KECCAK + GAS.KECCAK_WORD * toWords(length));
+  }
+
+  /**
+   * Charge for a call to the sha256 precompile
+   * @param {number} length - Bytes hashed
+   */
+  sha256(length) {
+    this.use(GAS.WARM_ACCESS + GAS.SHA256 + GAS.SHA256_WORD * toWords(length));
+  }
+
+  /**
+   * Charge for a call to the ecrecover precompile
+   */
+  ecrecover() {
+    this.use(GAS.WARM_ACCESS + GAS.ECRECOVER);
+  }
+
+  /**
+   * Charge for emitting a log
+   * @param {number} topics - Number of topics, including the event signature
+   * @param {number} dataLength - Bytes of log data
+   */
+  log(topics, dataLength) {
+    this.use(GAS.LOG + GAS.LOG_TOPIC * topics + GAS.LOG_DATA_BYTE * dataLength);
+  }
+
+  /**
+   * Charge for sending ETH to an account
+   * @param {string} to - Recipient
+   */
+  transfer(to) {
+    const key = accountKey(to);
+    this.use((this.accessed.has(key) ? GAS.WARM_ACCESS : GAS.COLD_ACCOUNT_ACCESS) + GAS.CALL_VALUE - GAS.CALL_STIPEND);
+    this.accessed.add(key);
+  }
+
+  /**
+   * Gas the transaction pays for, after refunds
+   * @returns {number} Gas used
+   */
+  total() {
+    return this.used - Math.min(this.refund, Math.floor(this.used / MAX_REFUND_QUOTIENT));
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Offline sandbox
+ * A simulated chain, ZKCoProcessor and operator running entirely in the browser, offered to the
+ * dashboard as one more wallet. Nothing is created until the sandbox is first opened
+ */
+import { getDeploymentByKey } from '../config/deployments';
+import { SandboxChain, clearSandboxChain } from './SandboxChain';
+import { SandboxProvider } from './SandboxProvider';
+import { SimulatedOperator } from './SimulatedOperator';
+
+export { SANDBOX_USER, SANDBOX_OPERATOR } from './SandboxChain';
+export { DEFAULT_PROOF_DELAY_SECONDS } from './SimulatedOperator';
+
+// Identifier of the sandbox wallet, stored like a wallet's EIP-6963 rdns for reconnecting
+export const SANDBOX_WALLET_ID = 'sandbox';
+
+// The running sandbox: { wallet, chain, operator }
+let sandbox = null;
+
+/**
+ * Open the sandbox, creating it on first use
+ * @returns {Object} wallet (shaped like a discovered wallet), chain and the simulated operator
+ */
+export const openSandbox = () => {
+  if (sandbox) return sandbox;
+
+  const deployment = getDeploymentByKey('sandbox');
+  const chain = new SandboxChain(deployment);
+  const operator = new SimulatedOperator(chain, deployment.contractAddress);
+  operator.start();
+
+  sandbox = {
+    wallet: {
+      info: { uuid: SANDBOX_WALLET_ID, rdns: SANDBOX_WALLET_ID, name: 'Offline Sandbox', icon: null },
+      provider: new SandboxProvider(chain)
+    },
+    chain,
+    operator
+  };
+  return sandbox;
+};
+
+/**
+ * Throw the sandbox away; the next openSandbox() starts again from the genesis blocks
+ */
+export const resetSandbox = () => {
+  if (sandbox) sandbox.operator.stop();
+  sandbox = null;
+  clearSandboxChain();
+};
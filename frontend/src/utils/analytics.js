@@ -0,0 +1,156 @@
+/**
+ * Aggregations behind the analytics page
+ * Everything is derived from indexed history: comparisons (one per proof, with the task's
+ * on-chain startTime/endTime) and the typed RewardPaid events
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+import { gasSavingsPercent } from '../contracts/gasComparison';
+import { summarize } from '../contracts/stats';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date range presets, in days back from today (null means all history), with the message
+// keys of their labels
+export const RANGE_PRESETS = [
+  { key: '7d', label: 'analytics.ranges.days7', days: 7 },
+  { key: '30d', label: 'analytics.ranges.days30', days: 30 },
+  { key: '90d', label: 'analytics.ranges.days90', days: 90 },
+  { key: 'all', label: 'analytics.ranges.all', days: null }
+];
+
+/**
+ * Local calendar day of a timestamp, as used by date inputs
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Day as YYYY-MM-DD
+ */
+export const toDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Date range covering the last few days, including today
+ * @param {number|null} days - Days to cover, or null for all history
+ * @returns {Object} from and to as YYYY-MM-DD ('' for an open end)
+ */
+export const presetRange = (days) => {
+  if (days === null) return { from: '', to: '' };
+  const now = Date.now();
+  return { from: toDayKey(now - (days - 1) * DAY_MS), to: toDayKey(now) };
+};
+
+/**
+ * Check whether a timestamp falls inside a date range (both days inclusive)
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {Object} range - from and to as YYYY-MM-DD, '' for an open end
+ * @returns {boolean} Whether it is in range
+ */
+export const inRange = (timestamp, { from, to }) => {
+  const day = toDayKey(timestamp);
+  return (!from || day >= from) && (!to || day <= to);
+};
+
+/**
+ * Count values into equal-width buckets
+ * @param {Array<number>} values - Values to count
+ * @param {number} [bucketCount] - Maximum number of buckets
+ * @returns {Array<Object>} Buckets with start, end (exclusive, except the last) and count
+ */
+export const histogram = (values, bucketCount = 10) => {
+  if (values.length === 0) return [];
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  // Whole-number widths keep the labels readable for second-based latencies
+  const width = Math.max(Math.ceil((max - min + 1) / bucketCount), 1);
+  const count = Math.floor((max - min) / width) + 1;
+
+  const buckets = Array.from({ length: count }, (_, index) => ({
+    start: min + index * width,
+    end: min + (index + 1) * width,
+    count: 0
+  }));
+  values.forEach(value => {
+    buckets[Math.min(Math.floor((value - min) / width), count - 1)].count += 1;
+  });
+  return buckets;
+};
+
+/**
+ * Sum the rewards paid per day
+ * RewardPaid is emitted in the same transaction as ProofSubmitted, so each payment is dated
+ * with its task's endTime; payments for tasks without a comparison cannot be dated and are skipped
+ * @param {Array<Object>} rewardEvents - Typed RewardPaid events
+ * @param {Map<string, number>} timestamps - Proof time (ms) by taskId
+ * @param {Object} range - Date range
+ * @returns {Array<Object>} day (YYYY-MM-DD), total (bigint wei), eth (number, for charting) and payments, oldest first
+ */
+const rewardsByDay = (rewardEvents, timestamps, range) => {
+  const days = new Map();
+  rewardEvents.forEach(event => {
+    const timestamp = timestamps.get(event.taskId);
+    if (!timestamp || !inRange(timestamp, range)) return;
+
+    const day = toDayKey(timestamp);
+    const entry = days.get(day) || { day, total: BigInt(0), payments: 0 };
+    entry.total += event.amount;
+    entry.payments += 1;
+    days.set(day, entry);
+  });
+  return [...days.values()]
+    .sort((a, b) => (a.day < b.day ? -1 : 1))
+    .map(entry => ({ ...entry, eth: Number(ethers.utils.formatEther(entry.total.toString())) }));
+};
+
+/**
+ * Build every series and statistic the analytics page shows
+ * @param {Array<Object>} comparisons - Comparisons from the indexed history
+ * @param {Array<Object>} events - Typed contract events from the indexed history
+ * @param {Object} range - from and to as YYYY-MM-DD, '' for an open end
+ * @returns {Object} comparisons in the range (oldest first), savings, gasByComplexity, latencies,
+ *   latencyBuckets, rewards and stats
+ */
+export const buildAnalytics = (comparisons, events, range) => {
+  const dated = comparisons.filter(comparison => comparison.timestamp && !comparison.isDemo);
+  const inWindow = dated
+    .filter(comparison => inRange(comparison.timestamp, range))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const savings = inWindow
+    .map(comparison => ({ x: comparison.timestamp, y: gasSavingsPercent(comparison), taskId: comparison.taskId }))
+    .filter(point => point.y !== null);
+
+  const gasByComplexity = inWindow.map(comparison => ({
+    complexity: comparison.complexity,
+    zkGasUsed: comparison.zkGasUsed,
+    normalGasUsed: comparison.normalGasUsed
+  }));
+
+  // Completion latency straight from the task record: endTime - startTime
+  const latencies = inWindow
+    .map(comparison => comparison.provingTime)
+    .filter(seconds => seconds !== null && seconds !== undefined);
+
+  const timestamps = new Map(dated.map(comparison => [comparison.taskId, comparison.timestamp]));
+  const rewards = rewardsByDay(events.filter(event => event.event === 'RewardPaid'), timestamps, range);
+  const totalRewards = rewards.reduce((sum, day) => sum + day.total, BigInt(0));
+
+  return {
+    comparisons: inWindow,
+    proofCount: inWindow.length,
+    savings,
+    gasByComplexity,
+    latencies,
+    latencyBuckets: histogram(latencies),
+    rewards,
+    totalRewards,
+    stats: {
+      savings: summarize(savings.map(point => point.y)),
+      latency: summarize(latencies),
+      zkGas: summarize(inWindow.map(comparison => comparison.zkGasUsed)),
+      rewardPerDay: summarize(rewards.map(day => day.eth))
+    }
+  };
+};
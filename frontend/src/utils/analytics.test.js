@@ -0,0 +1,91 @@
+/**
+ * Aggregations behind the analytics page
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+import { toDayKey, presetRange, inRange, histogram, buildAnalytics } from './analytics';
+
+// Noon local time, so the day does not depend on the time zone the tests run in
+const at = (day) => new Date(2024, 0, day, 12).getTime();
+
+const comparison = (taskId, day, extra = {}) => ({
+  taskId,
+  timestamp: at(day),
+  complexity: 64,
+  zkGasUsed: 40000,
+  normalGasUsed: 100000,
+  provingTime: 30,
+  isDemo: false,
+  ...extra
+});
+
+const rewardPaid = (taskId, eth) => ({ event: 'RewardPaid', taskId, amount: BigInt(ethers.utils.parseEther(eth).toString()) });
+
+describe('date ranges', () => {
+  it('keys timestamps by local day', () => {
+    expect(toDayKey(at(5))).toBe('2024-01-05');
+  });
+
+  it('includes both ends and leaves empty ends open', () => {
+    expect(inRange(at(5), { from: '2024-01-05', to: '2024-01-05' })).toBe(true);
+    expect(inRange(at(6), { from: '2024-01-01', to: '2024-01-05' })).toBe(false);
+    expect(inRange(at(6), { from: '', to: '' })).toBe(true);
+  });
+
+  it('covers today in a preset and all history with null', () => {
+    const { from, to } = presetRange(7);
+    expect(to).toBe(toDayKey(Date.now()));
+    expect(from < to).toBe(true);
+    expect(presetRange(null)).toEqual({ from: '', to: '' });
+  });
+});
+
+describe('histogram', () => {
+  it('counts values into whole-number buckets, the last one closed', () => {
+    expect(histogram([0, 1, 2, 3, 4], 2)).toEqual([
+      { start: 0, end: 3, count: 3 },
+      { start: 3, end: 6, count: 2 }
+    ]);
+    expect(histogram([7, 7])).toEqual([{ start: 7, end: 8, count: 2 }]);
+    expect(histogram([])).toEqual([]);
+  });
+});
+
+describe('buildAnalytics', () => {
+  const comparisons = [
+    comparison('0x03', 3, { zkGasUsed: 80000, provingTime: 90 }),
+    comparison('0x01', 1),
+    comparison('0x02', 2, { isDemo: true }),
+    comparison('0x04', 4, { timestamp: null }),
+    comparison('0x10', 10)
+  ];
+  const events = [
+    rewardPaid('0x01', '0.5'),
+    rewardPaid('0x03', '0.25'),
+    rewardPaid('0x04', '1'),
+    rewardPaid('0x10', '2'),
+    { event: 'ProofSubmitted', taskId: '0x01' }
+  ];
+  const analytics = buildAnalytics(comparisons, events, { from: '2024-01-01', to: '2024-01-05' });
+
+  it('keeps dated, non-demo comparisons in the range, oldest first', () => {
+    expect(analytics.comparisons.map(entry => entry.taskId)).toEqual(['0x01', '0x03']);
+    expect(analytics.proofCount).toBe(2);
+    expect(analytics.savings.map(point => point.y)).toEqual([60, 20]);
+    expect(analytics.latencies).toEqual([30, 90]);
+  });
+
+  it('sums the rewards of dated tasks per day', () => {
+    expect(analytics.rewards.map(({ day, eth, payments }) => ({ day, eth, payments }))).toEqual([
+      { day: '2024-01-01', eth: 0.5, payments: 1 },
+      { day: '2024-01-03', eth: 0.25, payments: 1 }
+    ]);
+    expect(analytics.totalRewards).toBe(BigInt(ethers.utils.parseEther('0.75').toString()));
+  });
+
+  it('summarises the series', () => {
+    expect(analytics.stats.savings).toMatchObject({ count: 2, min: 20, max: 60, mean: 40 });
+    expect(analytics.stats.zkGas.max).toBe(80000);
+    expect(analytics.stats.rewardPerDay.count).toBe(2);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * IndexedDB cache for indexed contract history
+ * Stores typed contract events, the comparisons derived from them and the last
+ * block that has been fully synced, per chain and contract ("scope"), so later
+ * page loads only need to fetch new blocks
+ */
+
+const DB_NAME = 'zkco-history';
+const DB_VERSION = 1;
+
+// Object stores
+const EVENTS = 'events';
+const COMPARISONS = 'comparisons';
+const SYNC = 'sync';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+const committed = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Open (and create or upgrade) the history database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(EVENTS, { keyPath: 'id' }).createIndex('scope', 'scope');
+      db.createObjectStore(COMPARISONS, { keyPath: 'id' }).createIndex('scope', 'scope');
+      db.createObjectStore(SYNC, { keyPath: 'scope' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    // Private browsing modes may refuse IndexedDB; fall back to no caching
+    request.onerror = () => {
+      console.error('Could not open history cache:', request.error);
+      resolve(null);
+    };
+  });
+};
+
+/**
+ * Build the cache scope for a deployment
+ * @param {number} chainId - Chain ID
+ * @param {string} contractAddress - ZKCoProcessor address
+ * @returns {string} Scope key
+ */
+export const cacheScope = (chainId, contractAddress) => `${chainId}:${contractAddress.toLowerCase()}`;
+
+/**
+ * Open the cache for one deployment
+ * When IndexedDB is not available every method still works but nothing is persisted
+ * @param {string} scope - Scope from cacheScope()
+ * @returns {Promise<Object>} Cache with load, saveEvents, saveComparisons and clear
+ */
+export const openEventCache = async (scope) => {
+  const db = await openDatabase();
+
+  return {
+    /**
+     * Load everything cached for this scope
+     * @returns {Promise<Object>} events (chain order), comparisons and lastBlock (null if never synced)
+     */
+    async load() {
+      if (!db) return { events: [], comparisons: [], lastBlock: null };
+
+      const tx = db.transaction([EVENTS, COMPARISONS, SYNC], 'readonly');
+      const [events, comparisons, sync] = await Promise.all([
+        promisify(tx.objectStore(EVENTS).index('scope').getAll(scope)),
+        promisify(tx.objectStore(COMPARISONS).index('scope').getAll(scope)),
+        promisify(tx.objectStore(SYNC).get(scope))
+      ]);
+
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      return { events, comparisons, lastBlock: sync ? sync.lastBlock : null };
+    },
+
+    /**
+     * Persist events and advance the synced block in one transaction
+     * @param {Array<Object>} events - Typed events to store
+     * @param {number} lastBlock - Last block whose events are all included
+     */
+    async saveEvents(events, lastBlock) {
+      if (!db) return;
+
+      const tx = db.transaction([EVENTS, SYNC], 'readwrite');
+      const store = tx.objectStore(EVENTS);
+      events.forEach(event => store.put({
+        ...event,
+        id: `${scope}:${event.transactionHash}:${event.logIndex}`,
+        scope
+      }));
+      tx.objectStore(SYNC).put({ scope, lastBlock, updatedAt: Date.now() });
+      await committed(tx);
+    },
+
+    /**
+     * Persist derived comparisons
+     * @param {Array<Object>} comparisons - Comparisons keyed by taskId
+     */
+    async saveComparisons(comparisons) {
+      if (!db || comparisons.length === 0) return;
+
+      const tx = db.transaction(COMPARISONS, 'readwrite');
+      const store = tx.objectStore(COMPARISONS);
+      comparisons.forEach(comparison => store.put({
+        ...comparison,
+        id: `${scope}:${comparison.taskId}`,
+        scope
+      }));
+      await committed(tx);
+    },
+
+    /**
+     * Remove everything cached for this scope
+     */
+    async clear() {
+      if (!db) return;
+
+      const tx = db.transaction([EVENTS, COMPARISONS, SYNC], 'readwrite');
+      for (const name of [EVENTS, COMPARISONS]) {
+        const store = tx.objectStore(name);
+        const keys = await promisify(store.index('scope').getAllKeys(scope));
+        keys.forEach(key => store.delete(key));
+      }
+      tx.objectStore(SYNC).delete(scope);
+      await committed(tx);
+    }
+  };
+};
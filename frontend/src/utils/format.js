@@ -0,0 +1,237 @@
+/* global BigInt */
+/**
+ * Display formatting shared by the dashboard components
+ * Numbers, amounts, percentages, durations and dates go through Intl for the locale picked
+ * with the locale switcher; useI18n sets it with setFormatLocale
+ */
+import { ethers } from 'ethers';
+import { translate, DEFAULT_LOCALE } from '../i18n';
+
+// Locale every formatter uses
+let activeLocale = DEFAULT_LOCALE;
+
+// Intl formatters by locale and options; building one is slow enough to matter in tables
+const formatters = new Map();
+
+/**
+ * Switch the locale the formatters use
+ * @param {string} locale - Locale key
+ */
+export const setFormatLocale = (locale) => {
+  activeLocale = locale;
+};
+
+/**
+ * A cached Intl formatter for the active locale
+ * @param {Function} Formatter - Intl.NumberFormat or Intl.DateTimeFormat
+ * @param {Object} options - Formatter options
+ * @returns {Object} Formatter
+ */
+const getFormatter = (Formatter, options) => {
+  const key = `${Formatter.name}|${activeLocale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Formatter(activeLocale, options));
+  return formatters.get(key);
+};
+
+/**
+ * Shown in place of a figure that is not available
+ * @returns {string} n/a in the active locale
+ */
+const notAvailable = () => translate(activeLocale, 'common.notAvailable');
+
+/**
+ * Format a plain number with the locale's grouping and decimal separator
+ * @param {number|bigint|null} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options, e.g. maximumFractionDigits
+ * @returns {string} Formatted value
+ */
+export const formatNumber = (value, options = {}) => (
+  value === null || value === undefined ? notAvailable() : getFormatter(Intl.NumberFormat, options).format(value)
+);
+
+/**
+ * Format a byte count, e.g. 1,024 bytes
+ * @param {number|null} count - Bytes
+ * @returns {string} Formatted value
+ */
+export const formatBytes = (count) => (
+  count === null || count === undefined
+    ? notAvailable()
+    : getFormatter(Intl.NumberFormat, { style: 'unit', unit: 'byte', unitDisplay: 'long' }).format(count)
+);
+
+/**
+ * Format a gas figure, showing n/a when it is not available
+ * (normal gas is null when no ReferenceProcessor is configured)
+ * @param {number|null} value - Gas units
+ * @returns {string} Formatted value
+ */
+export const formatGas = (value) => formatNumber(value);
+
+/**
+ * Format a percentage
+ * @param {number|null} value - Percentage, e.g. 42 for 42 %
+ * @param {number} [maxDecimals] - Decimal places to keep
+ * @returns {string} Formatted value
+ */
+export const formatPercent = (value, maxDecimals = 0) => (
+  value === null || value === undefined
+    ? notAvailable()
+    : getFormatter(Intl.NumberFormat, { style: 'percent', maximumFractionDigits: maxDecimals }).format(value / 100)
+);
+
+/**
+ * Format a gas savings percentage
+ * @param {number|null} value - Percentage from gasSavingsPercent
+ * @returns {string} Formatted value
+ */
+export const formatSavings = (value) => formatPercent(value);
+
+/**
+ * Format a duration in the largest unit that keeps it readable: seconds under two minutes,
+ * minutes under two hours, then hours
+ * @param {number|null} seconds - Duration in seconds
+ * @param {number} [maxDecimals] - Decimal places to keep on seconds
+ * @returns {string} Formatted value
+ */
+export const formatDuration = (seconds, maxDecimals = 0) => {
+  if (seconds === null || seconds === undefined) return notAvailable();
+  const [value, unit, decimals] = seconds < 120
+    ? [seconds, 'second', maxDecimals]
+    : seconds < 2 * 3600 ? [seconds / 60, 'minute', 1] : [seconds / 3600, 'hour', 1];
+  return getFormatter(Intl.NumberFormat, { style: 'unit', unit, unitDisplay: 'short', maximumFractionDigits: decimals }).format(value);
+};
+
+/**
+ * Format the request → proof time of a comparison
+ * @param {number|null} seconds - Time in seconds
+ * @returns {string} Formatted value
+ */
+export const formatProvingTime = (seconds) => formatDuration(seconds);
+
+/**
+ * Format a wei amount as ETH; the fraction is cut rather than rounded, and the whole part
+ * is grouped as a bigint so large amounts keep every digit
+ * @param {bigint|null} wei - Amount in wei
+ * @param {number} [maxDecimals] - Decimal places to keep
+ * @returns {string} Formatted value
+ */
+export const formatEth = (wei, maxDecimals = 6) => {
+  if (wei === null || wei === undefined) return notAvailable();
+  const ether = ethers.utils.formatEther(wei.toString());
+  const negative = ether.startsWith('-');
+  const [whole, fraction = ''] = ether.replace('-', '').split('.');
+  const trimmed = fraction.substring(0, maxDecimals).replace(/0+$/, '');
+
+  const number = getFormatter(Intl.NumberFormat, { minimumFractionDigits: 1 });
+  const decimal = number.formatToParts(0.5).find(part => part.type === 'decimal').value;
+  const grouped = getFormatter(Intl.NumberFormat, {}).format(BigInt(whole));
+  const sign = negative && (whole !== '0' || trimmed) ? '-' : '';
+  return `${sign}${grouped}${trimmed ? `${decimal}${trimmed}` : ''} ETH`;
+};
+
+/**
+ * Convert a wei amount to a number of ETH, for charts and arithmetic with a USD price
+ * @param {bigint|null} wei - Amount in wei
+ * @returns {number|null} ETH, or null when unknown
+ */
+export const weiToEth = (wei) => (wei === null || wei === undefined ? null : Number(ethers.utils.formatEther(wei.toString())));
+
+/**
+ * Format a USD amount; cents are dropped from large amounts and fractions of a cent kept on tiny ones
+ * @param {number|null} value - Dollars
+ * @returns {string} Formatted value
+ */
+export const formatUsd = (value) => {
+  if (value === null || value === undefined) return notAvailable();
+  const digits = Math.abs(value) >= 1000 ? 0 : (Math.abs(value) >= 0.01 || value === 0 ? 2 : 4);
+  return getFormatter(Intl.NumberFormat, {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(value);
+};
+
+/**
+ * A cost in the unit picked with the cost unit toggle, as a number for charts
+ * @param {Object} cost - gas (units) and wei (bigint) of the same figure
+ * @param {string} unit - 'gas', 'eth' or 'usd'
+ * @param {number|null} ethUsd - USD per ETH, needed for 'usd'
+ * @returns {number|null} Value in the unit, or null when it cannot be worked out
+ */
+export const costValue = ({ gas, wei }, unit, ethUsd) => {
+  if (unit === 'gas') return gas ?? null;
+  const eth = weiToEth(wei);
+  if (unit === 'eth' || eth === null) return eth;
+  return ethUsd ? eth * ethUsd : null;
+};
+
+/**
+ * Format a cost in the unit picked with the cost unit toggle
+ * @param {Object} cost - gas (units) and wei (bigint) of the same figure
+ * @param {string} unit - 'gas', 'eth' or 'usd'
+ * @param {number|null} ethUsd - USD per ETH, needed for 'usd'
+ * @returns {string} Formatted value
+ */
+export const formatCost = ({ gas, wei }, unit, ethUsd) => {
+  if (unit === 'gas') {
+    return gas === null || gas === undefined ? notAvailable() : translate(activeLocale, 'units.gas', { amount: formatGas(gas) });
+  }
+  if (unit === 'eth') return formatEth(wei, 8);
+  return formatUsd(costValue({ gas, wei }, unit, ethUsd));
+};
+
+/**
+ * Format a gas price in gwei
+ * @param {bigint|null} wei - Wei per gas
+ * @returns {string} Formatted value
+ */
+export const formatGwei = (wei) => {
+  if (wei === null || wei === undefined) return notAvailable();
+  const amount = formatNumber(Number(ethers.utils.formatUnits(wei.toString(), 'gwei')), { maximumFractionDigits: 3 });
+  return translate(activeLocale, 'units.gwei', { amount });
+};
+
+/**
+ * Format a moment as a date and time
+ * @param {number|Date|null} value - Milliseconds since the epoch, or a Date
+ * @returns {string} Formatted value
+ */
+export const formatDateTime = (value) => (
+  value === null || value === undefined
+    ? notAvailable()
+    : getFormatter(Intl.DateTimeFormat, { dateStyle: 'medium', timeStyle: 'medium' }).format(value)
+);
+
+/**
+ * Format a moment as a date only
+ * @param {number|Date|null} value - Milliseconds since the epoch, or a Date
+ * @returns {string} Formatted value
+ */
+export const formatDate = (value) => (
+  value === null || value === undefined
+    ? notAvailable()
+    : getFormatter(Intl.DateTimeFormat, { dateStyle: 'medium' }).format(value)
+);
+
+/**
+ * Format a moment as a time of day
+ * @param {number|Date|null} value - Milliseconds since the epoch, or a Date
+ * @returns {string} Formatted value
+ */
+export const formatTimeOfDay = (value) => (
+  value === null || value === undefined
+    ? notAvailable()
+    : getFormatter(Intl.DateTimeFormat, { timeStyle: 'medium' }).format(value)
+);
+
+/**
+ * Shorten a task ID, hash or address to its first 10 and last 6 characters
+ * Values already short enough are returned unchanged
+ * @param {string} value - Hex string
+ * @returns {string} Shortened string
+ */
+export const shortenHex = (value) => (
+  value.length > 20 ? `${value.substring(0, 10)}...${value.substring(value.length - 6)}` : value
+);
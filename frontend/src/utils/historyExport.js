@@ -0,0 +1,247 @@
+/**
+ * CSV and JSON export of task and comparison history
+ * Comparisons and requests from the indexed history and tracked tasks (from useTaskLifecycle)
+ * are normalised into the same record so every export has identical columns
+ */
+import { ethers } from 'ethers';
+import { gasSavingsPercent } from '../contracts/gasComparison';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Format a unix time (seconds) as an ISO 8601 string
+ * @param {number|null} seconds - Unix time
+ * @returns {string|null} ISO string, or null when unknown
+ */
+const toIso = (seconds) => (seconds === null || seconds === undefined ? null : new Date(seconds * 1000).toISOString());
+
+// Exported columns in order, and how to read each one from a record
+const COLUMNS = [
+  { key: 'taskId', value: record => record.taskId },
+  { key: 'requester', value: record => record.requester },
+  { key: 'complexity', value: record => record.complexity },
+  { key: 'rewardWei', value: record => (record.reward === null ? null : record.reward.toString()) },
+  { key: 'rewardEth', value: record => (record.reward === null ? null : ethers.utils.formatEther(record.reward.toString())) },
+  { key: 'operator', value: record => record.operator },
+  { key: 'resultHash', value: record => record.resultHash },
+  { key: 'startTime', value: record => toIso(record.startTime) },
+  { key: 'endTime', value: record => toIso(record.endTime) },
+  { key: 'provingTimeSeconds', value: record => record.provingTime },
+  { key: 'requestGasUsed', value: record => record.requestGasUsed },
+  { key: 'proofGasUsed', value: record => record.proofGasUsed },
+  { key: 'zkGasUsed', value: record => record.zkGasUsed },
+  { key: 'normalGasUsed', value: record => record.normalGasUsed },
+  { key: 'gasSavingsPercent', value: record => record.gasSavingsPercent },
+  { key: 'requestGasPriceWei', value: record => (record.requestGasPrice === null ? null : record.requestGasPrice.toString()) },
+  { key: 'proofGasPriceWei', value: record => (record.proofGasPrice === null ? null : record.proofGasPrice.toString()) },
+  { key: 'requestTxHash', value: record => record.requestTxHash },
+  { key: 'requestBlock', value: record => record.requestBlock },
+  { key: 'proofTxHash', value: record => record.proofTxHash },
+  { key: 'proofBlock', value: record => record.proofBlock }
+];
+
+/**
+ * Normalise a comparison into an export record
+ * @param {Object} comparison - Comparison from buildComparison
+ * @returns {Object} Export record
+ */
+export const comparisonRecord = (comparison) => ({
+  taskId: comparison.taskId,
+  requester: comparison.requester,
+  complexity: comparison.complexity,
+  reward: comparison.reward ?? null,
+  operator: comparison.operator,
+  resultHash: comparison.resultHash,
+  startTime: comparison.startTime,
+  endTime: comparison.endTime,
+  provingTime: comparison.provingTime,
+  requestGasUsed: comparison.requestGasUsed,
+  proofGasUsed: comparison.proofGasUsed,
+  zkGasUsed: comparison.zkGasUsed,
+  normalGasUsed: comparison.normalGasUsed,
+  gasSavingsPercent: gasSavingsPercent(comparison),
+  requestGasPrice: comparison.requestGasPrice ?? null,
+  proofGasPrice: comparison.proofGasPrice ?? null,
+  requestTxHash: comparison.requestTxHash,
+  requestBlock: comparison.requestBlock,
+  proofTxHash: comparison.proofTxHash,
+  proofBlock: comparison.proofBlock
+});
+
+/**
+ * Normalise a tracked task into an export record
+ * The indexed comparison for the task, once there is one, supplies the gas figures and
+ * the on-chain start/end times; until then the session's own timestamps are used
+ * @param {Object} task - Task status object from useTaskLifecycle
+ * @param {Object} [comparison] - Indexed comparison for the same taskId
+ * @returns {Object} Export record
+ */
+export const trackedTaskRecord = (task, comparison) => {
+  const fromTask = {
+    taskId: task.taskId,
+    requester: task.requester || null,
+    complexity: task.complexity ?? null,
+    reward: task.reward ?? null,
+    operator: task.operator || null,
+    resultHash: task.resultHash || null,
+    startTime: task.requestedAt ? Math.floor(task.requestedAt / 1000) : null,
+    endTime: task.proofSubmittedAt ? Math.floor(task.proofSubmittedAt / 1000) : null,
+    provingTime: null,
+    requestGasUsed: null,
+    proofGasUsed: null,
+    zkGasUsed: null,
+    normalGasUsed: null,
+    gasSavingsPercent: null,
+    requestGasPrice: null,
+    proofGasPrice: null,
+    requestTxHash: task.requestTxHash,
+    requestBlock: task.requestBlock,
+    proofTxHash: task.proofTxHash || null,
+    proofBlock: task.proofBlock || null
+  };
+  return comparison ? { ...fromTask, ...comparisonRecord(comparison) } : fromTask;
+};
+
+/**
+ * Normalise an indexed request into an export record
+ * A proven request takes its comparison's figures; one still waiting for a proof only has what
+ * its events carry. The start and end times are in the task record, not in the events, so
+ * readTaskTimes fills them in
+ * @param {Object} request - Typed ComputationRequested event
+ * @param {Object} [proof] - Typed ProofSubmitted event for the same taskId
+ * @param {Object} [comparison] - Indexed comparison for the same taskId
+ * @returns {Object} Export record
+ */
+export const indexedRequestRecord = (request, proof, comparison) => {
+  const fromEvents = {
+    taskId: request.taskId,
+    requester: request.requester,
+    complexity: request.complexity,
+    reward: request.reward,
+    operator: proof ? proof.operator : null,
+    resultHash: proof ? proof.resultHash : null,
+    startTime: null,
+    endTime: null,
+    provingTime: null,
+    requestGasUsed: null,
+    proofGasUsed: null,
+    zkGasUsed: null,
+    normalGasUsed: null,
+    gasSavingsPercent: null,
+    requestGasPrice: null,
+    proofGasPrice: null,
+    requestTxHash: request.transactionHash,
+    requestBlock: request.blockNumber,
+    proofTxHash: proof ? proof.transactionHash : null,
+    proofBlock: proof ? proof.blockNumber : null
+  };
+  return comparison ? { ...fromEvents, ...comparisonRecord(comparison) } : fromEvents;
+};
+
+/**
+ * Export records for the requests in the indexed history, proven or not, newest first
+ * Tracked tasks keep their session timestamps, and tracked tasks the indexer has not reached
+ * yet come first
+ * @param {Array<Object>} events - Typed contract events from the indexed history, in chain order
+ * @param {Array<Object>} comparisons - Comparisons from the indexed history
+ * @param {Object} [options] - Filters
+ * @param {string|null} [options.requester] - Only requests from this address
+ * @param {Array<Object>} [options.tracked] - Task status objects from useTaskLifecycle
+ * @returns {Array<Object>} Export records
+ */
+export const taskHistoryRecords = (events, comparisons, { requester = null, tracked = [] } = {}) => {
+  const proofs = new Map(events
+    .filter(event => event.event === 'ProofSubmitted')
+    .map(event => [event.taskId, event]));
+  const byTask = new Map(comparisons.map(comparison => [comparison.taskId, comparison]));
+  const trackedById = new Map(tracked.map(task => [task.taskId, task]));
+  const from = requester ? requester.toLowerCase() : null;
+
+  const requests = events
+    .filter(event => event.event === 'ComputationRequested' && (!from || event.requester.toLowerCase() === from))
+    .reverse();
+  const indexedIds = new Set(requests.map(request => request.taskId));
+
+  const notIndexed = tracked
+    .filter(task => !indexedIds.has(task.taskId))
+    .map(task => trackedTaskRecord(task, byTask.get(task.taskId)));
+  const indexed = requests.map(request => {
+    const task = trackedById.get(request.taskId);
+    const record = indexedRequestRecord(request, proofs.get(request.taskId), byTask.get(request.taskId));
+    if (!task || record.startTime !== null) return record;
+    // The session saw the request and the proof happen, which the events alone cannot date
+    const { startTime, endTime } = trackedTaskRecord(task);
+    return { ...record, startTime, endTime };
+  });
+
+  return [...notIndexed, ...indexed];
+};
+
+/**
+ * Fill in the start and end times of records that have none from tasks(taskId)
+ * A record whose task cannot be read keeps its empty times, so one failed call does not stop the export
+ * @param {Array<Object>} records - Export records
+ * @param {ZKCoProcessorClient|null} client - Contract client (read-only is enough)
+ * @returns {Promise<Array<Object>>} Records with the times the contract holds
+ */
+export const readTaskTimes = (records, client) => Promise.all(records.map(async (record) => {
+  if (!client || record.startTime !== null) return record;
+  try {
+    const { startTime, endTime } = await client.getTask(record.taskId);
+    const provingTime = startTime !== null && endTime !== null ? endTime - startTime : null;
+    return { ...record, startTime, endTime, provingTime: record.provingTime ?? provingTime };
+  } catch (error) {
+    return record;
+  }
+}));
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise export records
+ * @param {Array<Object>} records - Records from comparisonRecord, trackedTaskRecord or indexedRequestRecord
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File contents
+ */
+export const serializeRecords = (records, format) => {
+  if (format === 'json') {
+    const rows = records.map(record =>
+      Object.fromEntries(COLUMNS.map(column => [column.key, column.value(record) ?? null]))
+    );
+    return JSON.stringify(rows, null, 2);
+  }
+
+  const header = COLUMNS.map(column => column.key).join(',');
+  const lines = records.map(record => COLUMNS.map(column => csvField(column.value(record))).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+/**
+ * Download export records as a file
+ * @param {Array<Object>} records - Records to export
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} name - File name without extension
+ */
+export const downloadRecords = (records, format, name) => {
+  const type = format === 'json' ? 'application/json' : 'text/csv';
+  const blob = new Blob([serializeRecords(records, format)], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,137 @@
+/**
+ * History export: normalising comparisons, requests and tracked tasks, reading task times and serialising
+ */
+/* global BigInt */
+import { comparisonRecord, trackedTaskRecord, taskHistoryRecords, readTaskTimes, serializeRecords } from './historyExport';
+
+const REQUESTER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OTHER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const OPERATOR = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+const requested = (taskId, blockNumber, requester = REQUESTER) => ({
+  event: 'ComputationRequested',
+  taskId,
+  requester,
+  complexity: 64,
+  reward: BigInt('1000000000000000'),
+  transactionHash: `0xreq${taskId}`,
+  blockNumber
+});
+
+const submitted = (taskId, blockNumber) => ({
+  event: 'ProofSubmitted',
+  taskId,
+  operator: OPERATOR,
+  resultHash: `0xresult${taskId}`,
+  transactionHash: `0xproof${taskId}`,
+  blockNumber
+});
+
+const comparison = (taskId) => ({
+  taskId,
+  requester: REQUESTER,
+  complexity: 64,
+  reward: BigInt('1000000000000000'),
+  operator: OPERATOR,
+  resultHash: `0xresult${taskId}`,
+  startTime: 1700000000,
+  endTime: 1700000030,
+  provingTime: 30,
+  requestGasUsed: 90000,
+  proofGasUsed: 40000,
+  zkGasUsed: 40000,
+  normalGasUsed: 100000,
+  requestTxHash: `0xreq${taskId}`,
+  requestBlock: 1,
+  proofTxHash: `0xproof${taskId}`,
+  proofBlock: 2
+});
+
+describe('comparisonRecord', () => {
+  it('adds the savings and fills missing prices with null', () => {
+    const record = comparisonRecord(comparison('0x01'));
+    expect(record.gasSavingsPercent).toBe(60);
+    expect(record.requestGasPrice).toBeNull();
+    expect(record.proofGasPrice).toBeNull();
+  });
+});
+
+describe('taskHistoryRecords', () => {
+  const events = [
+    requested('0x01', 1),
+    submitted('0x01', 2),
+    requested('0x02', 3),
+    requested('0x03', 4, OTHER),
+    submitted('0x02', 5)
+  ];
+
+  it('lists the requester\'s requests newest first, with the comparison of proven ones', () => {
+    const records = taskHistoryRecords(events, [comparison('0x01')], { requester: REQUESTER.toLowerCase() });
+    expect(records.map(record => record.taskId)).toEqual(['0x02', '0x01']);
+    expect(records[1]).toMatchObject({ startTime: 1700000000, zkGasUsed: 40000, gasSavingsPercent: 60 });
+    // Proven, but without a comparison yet: only what the events carry
+    expect(records[0]).toMatchObject({ operator: OPERATOR, proofBlock: 5, startTime: null, endTime: null, zkGasUsed: null });
+  });
+
+  it('puts tracked tasks the indexer has not reached first and dates indexed ones from the session', () => {
+    const tracked = [
+      { taskId: '0x02', requestedAt: 1700000100500, proofSubmittedAt: 1700000160000, requestTxHash: '0xreq0x02', requestBlock: 3 },
+      { taskId: '0x09', requestedAt: 1700000200000, requestTxHash: '0xreq0x09', requestBlock: 9 }
+    ];
+    const records = taskHistoryRecords(events, [], { requester: REQUESTER, tracked });
+    expect(records.map(record => record.taskId)).toEqual(['0x09', '0x02', '0x01']);
+    expect(records[0]).toMatchObject({ startTime: 1700000200, endTime: null, requestBlock: 9 });
+    expect(records[1]).toMatchObject({ startTime: 1700000100, endTime: 1700000160, complexity: 64 });
+  });
+});
+
+describe('readTaskTimes', () => {
+  it('reads the times of records without them from the task record', async () => {
+    const client = {
+      getTask: jest.fn(async (taskId) => {
+        if (taskId === '0xbad') throw new Error('call failed');
+        return taskId === '0x01'
+          ? { startTime: 1700000000, endTime: 1700000045 }
+          : { startTime: 1700000100, endTime: null };
+      })
+    };
+    const records = [
+      trackedTaskRecord({ taskId: '0x01' }),
+      trackedTaskRecord({ taskId: '0x02' }),
+      trackedTaskRecord({ taskId: '0x03' }, comparison('0x03')),
+      trackedTaskRecord({ taskId: '0xbad' })
+    ];
+    const filled = await readTaskTimes(records, client);
+
+    expect(filled[0]).toMatchObject({ startTime: 1700000000, endTime: 1700000045, provingTime: 45 });
+    expect(filled[1]).toMatchObject({ startTime: 1700000100, endTime: null, provingTime: null });
+    expect(filled[2]).toBe(records[2]);
+    expect(filled[3]).toBe(records[3]);
+    expect(client.getTask).not.toHaveBeenCalledWith('0x03');
+  });
+
+  it('leaves the records alone without a client', async () => {
+    const records = [trackedTaskRecord({ taskId: '0x01' })];
+    expect(await readTaskTimes(records, null)).toEqual(records);
+  });
+});
+
+describe('serializeRecords', () => {
+  const record = { ...comparisonRecord(comparison('0x01')), resultHash: 'a "quoted", value' };
+
+  it('writes CSV with a header, quoted fields and CRLF line ends', () => {
+    const [header, line, end] = serializeRecords([record], 'csv').split('\r\n');
+    expect(header.split(',')[0]).toBe('taskId');
+    expect(line).toContain(',"a ""quoted"", value",');
+    expect(line).toContain(',0.001,');
+    expect(line).toContain(',2023-11-14T22:13:20.000Z,');
+    expect(end).toBe('');
+  });
+
+  it('writes JSON with every column and nulls for missing values', () => {
+    const [row] = JSON.parse(serializeRecords([record], 'json'));
+    expect(row.rewardWei).toBe('1000000000000000');
+    expect(row.endTime).toBe('2023-11-14T22:13:50.000Z');
+    expect(row.requestGasPriceWei).toBeNull();
+  });
+});
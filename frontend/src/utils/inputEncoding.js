@@ -0,0 +1,170 @@
+/**
+ * Input encodings for computation requests
+ * The contract takes arbitrary bytes and prices them by length, so every input mode
+ * (text, raw hex, an uploaded file, ABI-encoded values or a task template) ends up as a Uint8Array.
+ * Errors are messages (see messageKey in src/i18n), translated by the form
+ */
+import { ethers } from 'ethers';
+import { messageKey } from '../i18n';
+import { describeTxError, DisplayError } from './txErrors';
+
+// Input modes offered by the computation form, with the message keys of their labels
+export const INPUT_MODES = [
+  { id: 'text', label: 'input.modes.text' },
+  { id: 'hex', label: 'input.modes.hex' },
+  { id: 'file', label: 'input.modes.file' },
+  { id: 'abi', label: 'input.modes.abi' },
+  { id: 'template', label: 'input.modes.template' }
+];
+
+// Largest file accepted for upload; calldata costs gas per byte, so big inputs get expensive fast
+export const MAX_FILE_BYTES = 32 * 1024;
+
+// calculateReward adds one base reward for every full 100 bytes
+export const REWARD_TIER_BYTES = 100;
+
+// Bytes shown in the preview before it is truncated
+const PREVIEW_BYTES = 256;
+
+/**
+ * Encode text as UTF-8
+ * @param {string} text - Text input
+ * @returns {Uint8Array|null} Bytes, or null for empty input
+ */
+export const encodeText = (text) => (text ? ethers.utils.toUtf8Bytes(text) : null);
+
+/**
+ * Parse raw hex; whitespace and an optional 0x prefix are ignored
+ * @param {string} value - Hex input
+ * @returns {Object} bytes (null when empty or invalid) and an error message
+ */
+export const parseHexInput = (value) => {
+  const hex = value.replace(/\s+/g, '').replace(/^0x/i, '');
+  if (!hex) return { bytes: null, error: '' };
+  if (!/^[0-9a-fA-F]*$/.test(hex)) return { bytes: null, error: messageKey('input.errors.hexDigits') };
+  if (hex.length % 2 !== 0) return { bytes: null, error: messageKey('input.errors.hexEven') };
+  return { bytes: ethers.utils.arrayify(`0x${hex}`), error: '' };
+};
+
+/**
+ * Parse a tuple signature such as "(bytes32,uint256[],address)" into its parameter types
+ * @param {string} signature - Types, with or without the surrounding parentheses
+ * @returns {Object} types (Array<ParamType>, null when invalid) and an error message
+ */
+export const parseAbiSignature = (signature) => {
+  const trimmed = signature.trim();
+  if (!trimmed) return { types: null, error: '' };
+  const inner = trimmed.startsWith('(') && trimmed.endsWith(')') ? trimmed.slice(1, -1) : trimmed;
+  // ethers reads an empty tuple as one parameter with no type
+  if (!inner.trim()) return { types: null, error: messageKey('input.errors.noTypes') };
+  try {
+    const tuple = ethers.utils.ParamType.from(`tuple(${inner})`);
+    return { types: tuple.components, error: '' };
+  } catch (error) {
+    return { types: null, error: messageKey('input.errors.invalidTypes', { reason: describeTxError(error) }) };
+  }
+};
+
+/**
+ * Turn a field editor value into what the ABI coder expects for its type
+ * Arrays and tuples are written as JSON (a plain comma-separated list also works for arrays)
+ * @param {ParamType} type - Parameter type
+ * @param {string} raw - Value as typed
+ * @returns {*} Value for defaultAbiCoder
+ */
+const parseAbiValue = (type, raw) => {
+  const value = raw.trim();
+  if (type.baseType === 'array' || type.baseType === 'tuple') {
+    if (type.baseType === 'array' && !value.startsWith('[')) {
+      return value ? value.split(',').map(item => parseAbiValue(type.arrayChildren, item)) : [];
+    }
+    return JSON.parse(value);
+  }
+  if (type.baseType === 'bool') {
+    if (value !== 'true' && value !== 'false') throw new DisplayError('input.errors.expectedBool');
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * ABI-encode the field editor values
+ * @param {Array<ParamType>} types - Parameter types from parseAbiSignature
+ * @param {Array<string>} values - One raw value per type
+ * @returns {Object} bytes (null when a value is invalid) and an error message
+ */
+export const encodeAbiInput = (types, values) => {
+  const parsed = [];
+  for (let i = 0; i < types.length; i++) {
+    const raw = values[i] || '';
+    if (!raw.trim() && types[i].baseType !== 'string') {
+      return { bytes: null, error: messageKey('input.errors.missingValue', { type: types[i].format(), field: i + 1 }) };
+    }
+    try {
+      const value = parseAbiValue(types[i], raw);
+      // Encode each field on its own first so an error points at the field that caused it
+      ethers.utils.defaultAbiCoder.encode([types[i]], [value]);
+      parsed.push(value);
+    } catch (error) {
+      return {
+        bytes: null,
+        error: messageKey('input.errors.invalidValue', { type: types[i].format(), field: i + 1, reason: describeTxError(error) })
+      };
+    }
+  }
+
+  try {
+    return { bytes: ethers.utils.arrayify(ethers.utils.defaultAbiCoder.encode(types, parsed)), error: '' };
+  } catch (error) {
+    return { bytes: null, error: messageKey('input.errors.encodeFailed', { reason: describeTxError(error) }) };
+  }
+};
+
+/**
+ * Work out which calculateReward tier an input falls into
+ * @param {number} complexity - Input length in bytes
+ * @returns {Object} tier (1-based, also the multiple of the base reward) and the byte range of the tier
+ */
+export const rewardTier = (complexity) => {
+  const fullHundreds = Math.floor(complexity / REWARD_TIER_BYTES);
+  return {
+    tier: fullHundreds + 1,
+    minBytes: fullHundreds * REWARD_TIER_BYTES,
+    maxBytes: (fullHundreds + 1) * REWARD_TIER_BYTES - 1
+  };
+};
+
+/**
+ * Hex dump of the first bytes of an input: offset, 16 bytes in hex and their printable ASCII
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {Object} rows ({ offset, hex, ascii }) and how many bytes were left out
+ */
+export const previewBytes = (bytes) => {
+  const shown = bytes.slice(0, PREVIEW_BYTES);
+  const rows = [];
+  for (let offset = 0; offset < shown.length; offset += 16) {
+    const chunk = Array.from(shown.slice(offset, offset + 16));
+    rows.push({
+      offset: offset.toString(16).padStart(4, '0'),
+      hex: chunk.map(byte => byte.toString(16).padStart(2, '0')).join(' '),
+      ascii: chunk.map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('')
+    });
+  }
+  return { rows, remaining: Math.max(bytes.length - PREVIEW_BYTES, 0) };
+};
+
+/**
+ * Read input bytes back as text when they are valid, printable UTF-8
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {string|null} The text, or null for binary data
+ */
+export const decodeText = (bytes) => {
+  try {
+    const text = ethers.utils.toUtf8String(bytes);
+    // Control characters other than tabs and line breaks mean the bytes are not meant as text
+    // eslint-disable-next-line no-control-regex
+    return /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/.test(text) ? null : text;
+  } catch (error) {
+    return null;
+  }
+};
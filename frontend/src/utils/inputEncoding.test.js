@@ -0,0 +1,93 @@
+/**
+ * Input encodings: text, hex and ABI inputs, reward tiers and the byte preview
+ */
+import { ethers } from 'ethers';
+import {
+  encodeText, parseHexInput, parseAbiSignature, encodeAbiInput, rewardTier, previewBytes, decodeText
+} from './inputEncoding';
+
+describe('encodeText', () => {
+  it('encodes UTF-8 and treats empty input as no input', () => {
+    expect(Array.from(encodeText('hé'))).toEqual([0x68, 0xc3, 0xa9]);
+    expect(encodeText('')).toBeNull();
+  });
+});
+
+describe('parseHexInput', () => {
+  it('ignores whitespace and the 0x prefix', () => {
+    expect(Array.from(parseHexInput('0xDE ad\nbe ef').bytes)).toEqual([0xde, 0xad, 0xbe, 0xef]);
+    expect(parseHexInput('  ')).toEqual({ bytes: null, error: '' });
+  });
+
+  it('rejects non-hex digits and odd lengths', () => {
+    expect(parseHexInput('0xzz').error.key).toBe('input.errors.hexDigits');
+    expect(parseHexInput('abc').error.key).toBe('input.errors.hexEven');
+  });
+});
+
+describe('parseAbiSignature', () => {
+  it('reads types with or without parentheses', () => {
+    expect(parseAbiSignature('(bytes32,uint256[])').types.map(type => type.format())).toEqual(['bytes32', 'uint256[]']);
+    expect(parseAbiSignature('address, bool').types.map(type => type.format())).toEqual(['address', 'bool']);
+  });
+
+  it('reports empty and invalid signatures', () => {
+    expect(parseAbiSignature('')).toEqual({ types: null, error: '' });
+    expect(parseAbiSignature('()').error.key).toBe('input.errors.noTypes');
+    expect(parseAbiSignature('(uint256,(').error.key).toBe('input.errors.invalidTypes');
+  });
+});
+
+describe('encodeAbiInput', () => {
+  const { types } = parseAbiSignature('(uint256,uint8[],bool,string)');
+
+  it('encodes the values like defaultAbiCoder, accepting comma-separated arrays', () => {
+    const { bytes, error } = encodeAbiInput(types, ['42', '1, 2,3', 'true', '']);
+    expect(error).toBe('');
+    expect(ethers.utils.hexlify(bytes)).toBe(
+      ethers.utils.defaultAbiCoder.encode(types, [42, [1, 2, 3], true, ''])
+    );
+  });
+
+  it('points at the field that is missing or invalid', () => {
+    expect(encodeAbiInput(types, ['', '[]', 'true', '']).error)
+      .toEqual({ key: 'input.errors.missingValue', params: { type: 'uint256', field: 1 } });
+    const invalid = encodeAbiInput(types, ['1', '[]', 'yes', '']);
+    expect(invalid.bytes).toBeNull();
+    expect(invalid.error.key).toBe('input.errors.invalidValue');
+    expect(invalid.error.params.field).toBe(3);
+  });
+});
+
+describe('rewardTier', () => {
+  it('adds a tier for every full 100 bytes', () => {
+    expect(rewardTier(0)).toEqual({ tier: 1, minBytes: 0, maxBytes: 99 });
+    expect(rewardTier(99).tier).toBe(1);
+    expect(rewardTier(100)).toEqual({ tier: 2, minBytes: 100, maxBytes: 199 });
+  });
+});
+
+describe('previewBytes', () => {
+  it('dumps 16 bytes a row with printable ASCII', () => {
+    const { rows, remaining } = previewBytes(ethers.utils.toUtf8Bytes('Hello, world!\n0123'));
+    expect(rows).toHaveLength(2);
+    expect(rows[0].offset).toBe('0000');
+    expect(rows[0].ascii).toBe('Hello, world!.01');
+    expect(rows[1]).toEqual({ offset: '0010', hex: '32 33', ascii: '23' });
+    expect(remaining).toBe(0);
+  });
+
+  it('counts the bytes left out after the first 256', () => {
+    const { rows, remaining } = previewBytes(new Uint8Array(300));
+    expect(rows).toHaveLength(16);
+    expect(remaining).toBe(44);
+  });
+});
+
+describe('decodeText', () => {
+  it('returns printable UTF-8 and rejects binary data', () => {
+    expect(decodeText(ethers.utils.toUtf8Bytes('line one\n\tline two'))).toBe('line one\n\tline two');
+    expect(decodeText(new Uint8Array([0x00, 0x01]))).toBeNull();
+    expect(decodeText(new Uint8Array([0xff, 0xfe]))).toBeNull();
+  });
+});
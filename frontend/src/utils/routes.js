@@ -0,0 +1,80 @@
+/**
+ * Client-side routes
+ * The hosting config (static.json, render.yaml) rewrites every path to index.html, so these
+ * paths can be opened directly and shared:
+ *   /                      dashboard
+ *   /tasks/:taskId         dashboard with the task's detail open
+ *   /operators/:address    an operator's public record and proofs
+ *   /requesters/:address   the tasks an address has requested
+ *   /analytics             analytics page
+ *   /admin                 owner console
+ * The network a link refers to travels in the query string, e.g. ?chain=sepolia
+ */
+import { ethers } from 'ethers';
+
+// Query parameter holding the deployment key (see config/deployments.js)
+export const CHAIN_PARAM = 'chain';
+
+/**
+ * Match a pathname against the routes
+ * Segments are matched as they appear in the address bar: every valid one is a literal or hex,
+ * so there is nothing to decode, and a stray % in a mangled link is simply not found
+ * @param {string} pathname - location.pathname
+ * @returns {Object} page ('dashboard', 'task', 'operator', 'requester', 'analytics', 'admin' or 'notFound')
+ *   and its params
+ */
+export const parseRoute = (pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+
+  if (segments.length === 0) return { page: 'dashboard', params: {} };
+  if (segments.length === 1 && segments[0] === 'analytics') return { page: 'analytics', params: {} };
+  if (segments.length === 1 && segments[0] === 'admin') return { page: 'admin', params: {} };
+
+  if (segments.length === 2 && segments[0] === 'tasks' && ethers.utils.isHexString(segments[1], 32)) {
+    return { page: 'task', params: { taskId: segments[1].toLowerCase() } };
+  }
+  if (segments.length === 2 && segments[0] === 'operators' && ethers.utils.isAddress(segments[1])) {
+    return { page: 'operator', params: { address: ethers.utils.getAddress(segments[1]) } };
+  }
+  if (segments.length === 2 && segments[0] === 'requesters' && ethers.utils.isAddress(segments[1])) {
+    return { page: 'requester', params: { address: ethers.utils.getAddress(segments[1]) } };
+  }
+
+  return { page: 'notFound', params: {} };
+};
+
+/**
+ * Path of a task's detail
+ * @param {string} taskId - Task identifier
+ * @returns {string} Path
+ */
+export const taskPath = (taskId) => `/tasks/${taskId}`;
+
+/**
+ * Path of an operator's page
+ * @param {string} address - Operator address
+ * @returns {string} Path
+ */
+export const operatorPath = (address) => `/operators/${address}`;
+
+/**
+ * Path of a requester's task list
+ * @param {string} address - Requester address
+ * @returns {string} Path
+ */
+export const requesterPath = (address) => `/requesters/${address}`;
+
+/**
+ * Read the network key from a query string
+ * @param {string} search - location.search
+ * @returns {string|null} Deployment key, or null when the link does not name one
+ */
+export const parseChain = (search) => new URLSearchParams(search).get(CHAIN_PARAM) || null;
+
+/**
+ * Build a URL for a path, keeping the network in the query string
+ * @param {string} path - Route path
+ * @param {string|null} chain - Deployment key
+ * @returns {string} Path with ?chain= when a network is given
+ */
+export const withChain = (path, chain) => (chain ? `${path}?${CHAIN_PARAM}=${encodeURIComponent(chain)}` : path);
@@ -0,0 +1,55 @@
+/**
+ * Client-side routes: matching pathnames, building paths and carrying the network
+ */
+import { parseRoute, parseChain, withChain, taskPath, operatorPath, requesterPath } from './routes';
+
+const TASK_ID = `0x${'ab'.repeat(32)}`;
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+describe('parseRoute', () => {
+  it('matches the fixed pages', () => {
+    expect(parseRoute('/')).toEqual({ page: 'dashboard', params: {} });
+    expect(parseRoute('/analytics')).toEqual({ page: 'analytics', params: {} });
+    expect(parseRoute('/admin/')).toEqual({ page: 'admin', params: {} });
+  });
+
+  it('reads a task ID, lowercased', () => {
+    expect(parseRoute(`/tasks/${TASK_ID.toUpperCase().replace('0X', '0x')}`))
+      .toEqual({ page: 'task', params: { taskId: TASK_ID } });
+  });
+
+  it('checksums operator and requester addresses', () => {
+    expect(parseRoute(`/operators/${ADDRESS.toLowerCase()}`))
+      .toEqual({ page: 'operator', params: { address: ADDRESS } });
+    expect(parseRoute(`/requesters/${ADDRESS}`))
+      .toEqual({ page: 'requester', params: { address: ADDRESS } });
+  });
+
+  it('does not find invalid or unknown paths', () => {
+    expect(parseRoute('/tasks/0x1234').page).toBe('notFound');
+    expect(parseRoute('/operators/not-an-address').page).toBe('notFound');
+    expect(parseRoute(`/tasks/${TASK_ID}/extra`).page).toBe('notFound');
+    expect(parseRoute('/settings').page).toBe('notFound');
+  });
+
+  it('does not throw on malformed percent-encoding', () => {
+    expect(parseRoute('/tasks/%zz')).toEqual({ page: 'notFound', params: {} });
+    expect(parseRoute('/%E0%A4%A')).toEqual({ page: 'notFound', params: {} });
+  });
+});
+
+describe('paths and networks', () => {
+  it('builds the path of each page', () => {
+    expect(taskPath(TASK_ID)).toBe(`/tasks/${TASK_ID}`);
+    expect(operatorPath(ADDRESS)).toBe(`/operators/${ADDRESS}`);
+    expect(requesterPath(ADDRESS)).toBe(`/requesters/${ADDRESS}`);
+  });
+
+  it('round-trips the network through the query string', () => {
+    expect(withChain('/analytics', null)).toBe('/analytics');
+    const url = withChain('/analytics', 'sepolia');
+    expect(url).toBe('/analytics?chain=sepolia');
+    expect(parseChain(url.substring(url.indexOf('?')))).toBe('sepolia');
+    expect(parseChain('?other=1')).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Translatable text for task templates
+ * The templates live in the shared contracts package and describe their results in English
+ * for the operator's logs; the dashboard builds its own messages from the structured details
+ * computeReference returns alongside
+ */
+import { messageKey } from '../i18n';
+import { MAX_HASH_CHAIN_ROUNDS } from '../contracts/taskTemplates';
+
+/**
+ * Display name of a template
+ * @param {string} key - Template key (ecdsa, merkle or hashChain)
+ * @returns {Object} Message
+ */
+export const templateName = (key) => messageKey(`templates.${key}.name`);
+
+/**
+ * Expected result of a template input, or why it cannot be computed
+ * @param {Object} reference - Result of computeReference
+ * @returns {Object} Message
+ */
+export const describeReference = (reference) => {
+  if (reference.errorCode) {
+    return messageKey(`templates.errors.${reference.errorCode}`, { max: MAX_HASH_CHAIN_ROUNDS });
+  }
+
+  const { details } = reference;
+  // References saved by earlier versions only carry the English summary
+  if (!details) return messageKey('templates.summary', { summary: reference.error || reference.summary });
+
+  switch (reference.template) {
+    case 'ecdsa':
+      return details.valid
+        ? messageKey('templates.ecdsa.valid', { signer: details.recovered })
+        : messageKey('templates.ecdsa.invalid', { signer: details.recovered });
+    case 'merkle':
+      return details.included
+        ? messageKey('templates.merkle.included')
+        : messageKey('templates.merkle.excluded', { root: details.computedRoot });
+    default:
+      return messageKey('templates.hashChain.digest', {
+        algorithm: details.algorithm,
+        count: details.rounds,
+        digest: details.digest
+      });
+  }
+};
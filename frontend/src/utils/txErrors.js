@@ -0,0 +1,144 @@
+/**
+ * Readable messages for failed transactions
+ * Wallets and ethers report the same failure in many shapes (JSON-RPC codes, nested
+ * provider errors, ABI-encoded revert data), so every error shown in the UI goes
+ * through describeTxError instead of displaying err.message directly. It returns a message
+ * (see messageKey in src/i18n) that the component translates when it shows it
+ */
+import { ethers } from 'ethers';
+import { messageKey, translate, DEFAULT_LOCALE } from '../i18n';
+
+// Selector of Solidity's Error(string), used by require() with a message
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+// Catalog keys (under txErrors.revert) explaining the contract's require() messages
+const REVERT_MESSAGES = {
+  'Only owner can call this function': 'onlyOwner',
+  'Only registered operators can call this function': 'onlyOperator',
+  'Already registered as operator': 'alreadyRegistered',
+  'Insufficient stake': 'insufficientStake',
+  'Insufficient ETH for reward': 'insufficientReward',
+  'Task already completed': 'taskCompleted',
+  'Invalid proof': 'invalidProof',
+  'Task not completed yet': 'taskNotCompleted',
+  'No rewards to claim': 'noRewards',
+  'Transfer failed': 'transferFailed',
+  'Not a registered operator': 'notOperator',
+  'Insufficient stake to slash': 'insufficientStakeToSlash',
+  'Empty proof': 'emptyProof',
+  'Insufficient contract balance': 'insufficientBalance'
+};
+
+/**
+ * An error raised by the dashboard itself, carrying a message to show in the user's language
+ * Its own message is the English text, for the console
+ */
+export class DisplayError extends Error {
+  /**
+   * @param {string} key - Dotted message key
+   * @param {Object} [params] - Placeholder values
+   */
+  constructor(key, params = {}) {
+    super(translate(DEFAULT_LOCALE, key, params));
+    this.name = 'DisplayError';
+    this.display = messageKey(key, params);
+  }
+}
+
+/**
+ * Decode the message from ABI-encoded Error(string) revert data
+ * @param {*} data - Revert data, or anything else
+ * @returns {string|null} The require() message
+ */
+const decodeRevertData = (data) => {
+  if (typeof data !== 'string' || !data.startsWith(ERROR_STRING_SELECTOR)) return null;
+  try {
+    const [message] = ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`);
+    return message;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Walk an error and the provider errors nested inside it
+ * @param {*} error - Error thrown by ethers or the wallet
+ * @returns {Array<Object>} The error followed by every nested error object
+ */
+const unwrap = (error) => {
+  const found = [];
+  const queue = [error];
+  while (queue.length > 0 && found.length < 10) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || found.includes(current)) continue;
+    found.push(current);
+    queue.push(current.error, current.data, current.cause);
+  }
+  return found;
+};
+
+/**
+ * Find the contract's revert message anywhere in an error
+ * @param {*} error - Error thrown by ethers or the wallet
+ * @returns {string|null} The require() message, when the failure was a revert
+ */
+export const getRevertReason = (error) => {
+  for (const candidate of unwrap(error)) {
+    const decoded = decodeRevertData(candidate.data);
+    if (decoded) return decoded;
+
+    for (const text of [candidate.reason, candidate.message]) {
+      if (typeof text !== 'string') continue;
+      const match = text.match(/reverted with reason string '([^']*)'/) || text.match(/execution reverted: ([^"\n]*)/);
+      if (match) return match[1].trim();
+      if (REVERT_MESSAGES[text]) return text;
+    }
+  }
+  return null;
+};
+
+/**
+ * Turn any transaction or call error into a message for the UI
+ * @param {*} error - Error thrown by ethers or the wallet, or a DisplayError
+ * @returns {Object} Message to translate when it is shown
+ */
+export const describeTxError = (error) => {
+  if (!error) return messageKey('txErrors.unknown');
+  if (error instanceof DisplayError) return error.display;
+  const nested = unwrap(error);
+
+  // The user closed or rejected the wallet prompt
+  if (nested.some(candidate => candidate.code === 4001 || candidate.code === 'ACTION_REJECTED')) {
+    return messageKey('txErrors.rejected');
+  }
+
+  // A sped-up transaction is still a success; only cancellations and replacements end up here
+  if (error.code === 'TRANSACTION_REPLACED') {
+    return messageKey(error.reason === 'cancelled' ? 'txErrors.cancelled' : 'txErrors.replaced');
+  }
+
+  if (nested.some(candidate => candidate.code === 'INSUFFICIENT_FUNDS' ||
+      (typeof candidate.message === 'string' && /insufficient funds/i.test(candidate.message)))) {
+    return messageKey('txErrors.insufficientFunds');
+  }
+
+  const reason = getRevertReason(error);
+  if (reason) {
+    return REVERT_MESSAGES[reason]
+      ? messageKey(`txErrors.revert.${REVERT_MESSAGES[reason]}`)
+      : messageKey('txErrors.rejectedByContract', { reason });
+  }
+
+  // Mined but reverted without a message
+  if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+    return messageKey('txErrors.minedReverted');
+  }
+
+  if (error.code === 'NETWORK_ERROR') {
+    return messageKey('txErrors.networkChanged');
+  }
+
+  // Anything else is the wallet's or provider's own text, which has no translation
+  const text = error.reason || error.message;
+  return text ? messageKey('txErrors.other', { message: text }) : messageKey('txErrors.unknown');
+};
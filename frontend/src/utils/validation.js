@@ -0,0 +1,29 @@
+/**
+ * Parsing helpers for values typed into the dashboard's forms
+ */
+/* global BigInt */
+import { ethers } from 'ethers';
+
+/**
+ * Parse an ETH amount typed by the user
+ * @param {string} value - Amount in ETH, e.g. "0.25"
+ * @returns {bigint|null} Amount in wei, or null if the value is not a valid amount
+ */
+export const parseEthAmount = (value) => {
+  if (!value) return null;
+  try {
+    return BigInt(ethers.utils.parseEther(value.trim()).toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse an address typed by the user
+ * @param {string} value - Address, checksummed or lower case
+ * @returns {string|null} Checksummed address, or null if the value is not an address
+ */
+export const parseAddress = (value) => {
+  if (!value || !ethers.utils.isAddress(value.trim())) return null;
+  return ethers.utils.getAddress(value.trim());
+};
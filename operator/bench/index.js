@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Entry point for the ZK Co-Processor load benchmark
+ * Parses the command line, runs the benchmark, writes the results as JSON and prints a
+ * summary. The first SIGINT/SIGTERM stops sending and reports what was measured; a second
+ * one exits immediately
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { loadConfig, USAGE } from './src/config.js';
+import { createLogger } from '@zkco/contracts';
+import { LoadBenchmark } from './src/LoadBenchmark.js';
+import { printSummary, printComparison } from './src/report.js';
+
+const main = async () => {
+  const config = loadConfig(process.argv.slice(2));
+  if (!config) {
+    console.log(USAGE);
+    return;
+  }
+
+  const logger = createLogger(config.logLevel);
+  // Read the baseline first, so a bad path fails before any ETH is spent
+  const baseline = config.baselineFile ? JSON.parse(await fs.readFile(config.baselineFile, 'utf8')) : null;
+  const benchmark = new LoadBenchmark(config, { logger });
+
+  let stopping = false;
+  const shutdown = (signal) => {
+    if (stopping) {
+      logger.warn(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    stopping = true;
+    logger.info(`Received ${signal}, stopping and reporting what was measured...`);
+    benchmark.stop();
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  const results = await benchmark.run();
+
+  await fs.mkdir(path.dirname(config.outFile), { recursive: true });
+  await fs.writeFile(config.outFile, `${JSON.stringify(results, null, 2)}\n`);
+
+  printSummary(results);
+  if (baseline) printComparison(results, baseline);
+  logger.info(`Results written to ${config.outFile}`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Benchmark failed:', error.message);
+    process.exit(1);
+  });
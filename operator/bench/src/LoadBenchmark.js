@@ -0,0 +1,546 @@
+/**
+ * Load benchmark for a ZKCoProcessor deployment
+ * Sends the planned requestComputation calls from several accounts with a bounded number
+ * in flight, follows ProofSubmitted events for the resulting tasks and measures throughput,
+ * request → proof latency (cross-checked with getComputationTime), gas per task and reverts
+ */
+import { ethers } from 'ethers';
+import { ZKCoProcessorClient, createLogger, sleep } from '@zkco/contracts';
+import { planWorkload } from './workload.js';
+import { summarize, rate } from './stats.js';
+
+// What happened to each planned request. Rejected requests reverted during gas estimation and
+// were never sent; reverted ones were mined and reverted; failed ones hit an RPC error
+export const TaskOutcome = {
+  PROVEN: 'proven',
+  UNPROVEN: 'unproven',
+  REVERTED: 'reverted',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// Selector of Solidity's Error(string), used by require() with a message
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+// How often progress is logged while the run is going
+const PROGRESS_INTERVAL_MS = 5000;
+
+// Longest a single JSON-RPC call may take; a request whose call times out counts as failed
+// instead of holding up its worker (ethers would wait two minutes)
+const RPC_TIMEOUT_MS = 30000;
+
+/**
+ * Find the revert reason in an ethers or JSON-RPC error
+ * @param {Error} error - Error thrown while sending or waiting for a transaction
+ * @returns {string|null} The require() message, when the failure was a revert with one
+ */
+export const revertReason = (error) => {
+  for (let current = error; current && typeof current === 'object'; current = current.error) {
+    if (typeof current.data === 'string' && current.data.startsWith(ERROR_STRING_SELECTOR)) {
+      try {
+        return ethers.utils.defaultAbiCoder.decode(['string'], `0x${current.data.slice(10)}`)[0];
+      } catch (decodeError) {
+        // Not a well-formed Error(string); keep looking
+      }
+    }
+    for (const text of [current.reason, current.message]) {
+      // Anvil and geth say "execution reverted: …", Hardhat "reverted with reason string '…'" and
+      // Ganache "VM Exception while processing transaction: revert …"
+      const match = typeof text === 'string' &&
+        text.match(/(?:execution reverted: |reverted with reason string '|processing transaction: revert )([^'"\\\n]*)/);
+      if (match) return match[1].trim();
+    }
+  }
+  return null;
+};
+
+/**
+ * The most specific message in an error, for errors that are not reverts
+ * ethers wraps provider failures (e.g. a timeout during gas estimation) in generic errors
+ * @param {Error} error - Error thrown while sending or waiting for a transaction
+ * @returns {string} Message
+ */
+const errorMessage = (error) => {
+  let current = error;
+  while (current.error && typeof current.error === 'object') current = current.error;
+  return current.reason || current.message || String(current);
+};
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<void>}
+ */
+const forEachLimit = async (items, limit, fn) => {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+};
+
+/**
+ * One benchmark run
+ * Call run() once; call stop() to stop sending and report what has been measured so far
+ */
+export class LoadBenchmark {
+  /**
+   * @param {Object} config - Configuration from loadConfig()
+   * @param {Object} [options] - Optional collaborators
+   * @param {Object} [options.logger] - Logger to use instead of the default one
+   * @param {Object} [options.provider] - Provider to use instead of a JsonRpcProvider on config.rpcUrl
+   */
+  constructor(config, { logger, provider } = {}) {
+    this.config = config;
+    this.logger = logger || createLogger(config.logLevel);
+    this.provider = provider || new ethers.providers.JsonRpcProvider({ url: config.rpcUrl, timeout: RPC_TIMEOUT_MS });
+    // tx.wait() polls at this interval too, so it bounds how precisely mining is timed
+    this.provider.pollingInterval = config.pollIntervalMs;
+    this.client = new ZKCoProcessorClient(config.contractAddress, this.provider);
+
+    this.accounts = [];
+    this.records = [];
+    // ProofSubmitted events seen for any task, by taskId: { event, seenAt }
+    this.proofs = new Map();
+    // Rewards by input size, read once per size
+    this.rewards = new Map();
+    this.blocks = new Map();
+    this.stopped = false;
+    this.watching = false;
+  }
+
+  /**
+   * Stop sending requests and waiting for proofs; run() then reports what it has
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Run the benchmark
+   * @returns {Promise<Object>} Results, ready to be written as JSON
+   */
+  async run() {
+    const { config } = this;
+    const startedAt = new Date();
+
+    const network = await this.provider.getNetwork();
+    if (await this.provider.getCode(config.contractAddress) === '0x') {
+      throw new Error(`No contract deployed at ${config.contractAddress} on chain ${network.chainId}`);
+    }
+
+    const plan = planWorkload({ tasks: config.tasks, distribution: config.complexity, seed: config.seed });
+    await this.prepareAccounts(plan);
+    this.records = plan.map(({ index, size, bucket }) => ({
+      index,
+      size,
+      bucket,
+      account: this.accounts[index % this.accounts.length].wallet.address,
+      outcome: TaskOutcome.SKIPPED,
+      taskId: null,
+      error: null,
+      reward: null,
+      sentAt: null,
+      minedAt: null,
+      proofSeenAt: null,
+      requestTxHash: null,
+      requestBlock: null,
+      requestGasUsed: null,
+      requestGasPrice: null,
+      proofTxHash: null,
+      proofBlock: null,
+      proofGasUsed: null,
+      operator: null,
+      blockTimeSeconds: null,
+      computationTimeSeconds: null
+    }));
+
+    this.logger.info(`Chain ${network.chainId}, contract ${config.contractAddress}`);
+    this.logger.info(`Sending ${config.tasks} requests from ${this.accounts.length} accounts, ${config.concurrency} in flight, seed ${config.seed}`);
+
+    this.startBlock = await this.provider.getBlockNumber();
+    this.watching = true;
+    const watcher = this.watchProofs();
+    const progress = setInterval(() => this.logProgress(), PROGRESS_INTERVAL_MS);
+
+    try {
+      // Each lane keeps one request in flight, taking the next one when it is mined; once
+      // stopped, the lanes run through the rest of the plan without sending
+      await forEachLimit(plan, config.concurrency, async (task) => {
+        if (!this.stopped) await this.send(this.records[task.index], task.input);
+      });
+
+      await this.waitForProofs();
+    } finally {
+      this.watching = false;
+      clearInterval(progress);
+      await watcher;
+    }
+
+    this.matchProofs();
+    await this.measureProofs();
+    this.logProgress();
+
+    return this.buildResults({ startedAt, finishedAt: new Date(), chainId: network.chainId });
+  }
+
+  /**
+   * Derive the sending accounts and check they can pay for their share of the run
+   * @param {Array<Object>} plan - Planned requests
+   */
+  async prepareAccounts(plan) {
+    const { config } = this;
+    const root = ethers.utils.HDNode.fromMnemonic(config.mnemonic);
+
+    this.accounts = await Promise.all(Array.from({ length: config.accounts }, async (_, i) => {
+      const wallet = new ethers.Wallet(root.derivePath(`m/44'/60'/0'/0/${config.firstAccount + i}`).privateKey, this.provider);
+      const [nonce, balance] = await Promise.all([
+        this.provider.getTransactionCount(wallet.address, 'pending'),
+        this.provider.getBalance(wallet.address)
+      ]);
+      return {
+        wallet,
+        client: this.client.connect(wallet),
+        nonce,
+        balance: BigInt(balance.toString()),
+        // Sends from one account are chained so nonces are handed out in order
+        lock: Promise.resolve()
+      };
+    }));
+
+    // Rewards alone must be covered; gas comes on top, so this only catches accounts that are plainly short
+    const needed = new Map();
+    for (const { index, size } of plan) {
+      const account = this.accounts[index % this.accounts.length];
+      needed.set(account, (needed.get(account) || BigInt(0)) + await this.rewardFor(size));
+    }
+    needed.forEach((amount, account) => {
+      if (account.balance < amount) {
+        throw new Error(`Account ${account.wallet.address} holds ${ethers.utils.formatEther(account.balance)} ETH but its requests need ` +
+          `${ethers.utils.formatEther(amount)} ETH in rewards; fund it or use fewer tasks`);
+      }
+    });
+  }
+
+  /**
+   * Reward the contract requires for an input size
+   * @param {number} size - Input size in bytes
+   * @returns {Promise<bigint>} Reward in wei
+   */
+  async rewardFor(size) {
+    if (!this.rewards.has(size)) {
+      this.rewards.set(size, await this.client.calculateReward(size));
+    }
+    return this.rewards.get(size);
+  }
+
+  /**
+   * Send one request and wait for it to be mined
+   * Gas is estimated before the account's nonce is taken, so a slow or reverting estimate
+   * never holds up the account's other requests
+   * @param {Object} record - Record of the request, updated in place
+   * @param {Uint8Array} input - Input bytes
+   */
+  async send(record, input) {
+    const account = this.accounts[record.index % this.accounts.length];
+    record.reward = await this.rewardFor(record.size);
+    const value = record.reward.toString();
+
+    let tx;
+    try {
+      const gasLimit = await account.client.contract.estimateGas.requestComputation(input, { value });
+      tx = await this.withAccount(account, async () => {
+        const response = await account.client.requestComputation(input, { value, gasLimit, nonce: account.nonce });
+        account.nonce += 1;
+        // Only requests the node accepted count as sent, so rejections don't stretch the throughput window
+        record.sentAt = Date.now();
+        return response;
+      });
+    } catch (error) {
+      // Refused before it was mined: a revert during gas estimation, or an RPC failure
+      const reason = revertReason(error);
+      record.outcome = reason ? TaskOutcome.REJECTED : TaskOutcome.FAILED;
+      record.error = reason || errorMessage(error);
+      this.logger.debug(`Request ${record.index} was not sent: ${record.error}`);
+      return;
+    }
+
+    record.requestTxHash = tx.hash;
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION' || !error.receipt) {
+        record.outcome = TaskOutcome.FAILED;
+        record.error = errorMessage(error);
+        return;
+      }
+      // Mined, but reverted
+      receipt = error.receipt;
+      record.outcome = TaskOutcome.REVERTED;
+      record.error = await this.replayRevert(tx, receipt.blockNumber);
+    }
+
+    record.minedAt = Date.now();
+    record.requestBlock = receipt.blockNumber;
+    record.requestGasUsed = receipt.gasUsed.toNumber();
+    record.requestGasPrice = receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice.toString()) : null;
+    if (record.outcome === TaskOutcome.REVERTED) return;
+
+    record.taskId = this.client.getTaskIdFromReceipt(receipt);
+    record.outcome = TaskOutcome.UNPROVEN;
+  }
+
+  /**
+   * Find out why a mined transaction reverted
+   * Receipts carry no reason, so the call is replayed on the state its block left behind;
+   * that state may differ from the one the transaction saw, so the reason is a best guess
+   * @param {TransactionResponse} tx - Reverted transaction
+   * @param {number} blockNumber - Block it was mined in
+   * @returns {Promise<string>} Revert reason
+   */
+  async replayRevert(tx, blockNumber) {
+    try {
+      await this.provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value }, blockNumber);
+    } catch (error) {
+      const reason = revertReason(error);
+      if (reason) return reason;
+    }
+    return 'reverted on-chain without a reason';
+  }
+
+  /**
+   * Run a send with the account's next nonce, one send per account at a time
+   * When a send fails the nonce is read again, since the node may or may not have taken it
+   * @param {Object} account - Sending account
+   * @param {Function} fn - Async function that sends with account.nonce
+   * @returns {Promise<*>} Result of fn
+   */
+  withAccount(account, fn) {
+    const run = account.lock.then(async () => {
+      try {
+        return await fn();
+      } catch (error) {
+        account.nonce = await this.provider.getTransactionCount(account.wallet.address, 'pending').catch(() => account.nonce);
+        throw error;
+      }
+    });
+    account.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Poll for ProofSubmitted events until the run ends
+   */
+  async watchProofs() {
+    let fromBlock = this.startBlock;
+    while (this.watching) {
+      await this.pollProofs(fromBlock).then(next => { fromBlock = next; });
+      if (this.watching) await sleep(this.config.pollIntervalMs);
+    }
+    // One last look, so proofs mined just before the run ended are counted
+    await this.pollProofs(fromBlock);
+  }
+
+  /**
+   * Read ProofSubmitted events from a block up to the latest one
+   * @param {number} fromBlock - First block to read
+   * @returns {Promise<number>} First block of the next poll
+   */
+  async pollProofs(fromBlock) {
+    try {
+      const latest = await this.provider.getBlockNumber();
+      if (latest < fromBlock) return fromBlock;
+
+      const seenAt = Date.now();
+      const events = await this.client.queryEvents('ProofSubmitted', { fromBlock, toBlock: latest });
+      events.forEach(event => {
+        if (!this.proofs.has(event.taskId)) this.proofs.set(event.taskId, { event, seenAt });
+      });
+      return latest + 1;
+    } catch (error) {
+      this.logger.warn(`Reading ProofSubmitted events failed: ${error.message}`);
+      return fromBlock;
+    }
+  }
+
+  /**
+   * Wait until every mined request has a proof, the proof timeout passes or the run is stopped
+   */
+  async waitForProofs() {
+    const deadline = Date.now() + this.config.proofTimeoutSeconds * 1000;
+    const waiting = () => this.records.filter(record => record.outcome === TaskOutcome.UNPROVEN && !this.proofs.has(record.taskId));
+
+    while (!this.stopped && waiting().length > 0 && Date.now() < deadline) {
+      await sleep(this.config.pollIntervalMs);
+    }
+    const left = waiting().length;
+    if (left > 0) {
+      this.logger.warn(`${left} requests had no proof ${this.stopped ? 'when the run was stopped' : `after ${this.config.proofTimeoutSeconds}s`}`);
+    }
+  }
+
+  /**
+   * Attach the ProofSubmitted events seen to their requests
+   */
+  matchProofs() {
+    this.records.forEach(record => {
+      const proof = record.taskId && this.proofs.get(record.taskId);
+      if (record.outcome !== TaskOutcome.UNPROVEN || !proof) return;
+
+      record.outcome = TaskOutcome.PROVEN;
+      record.proofSeenAt = proof.seenAt;
+      record.proofTxHash = proof.event.transactionHash;
+      record.proofBlock = proof.event.blockNumber;
+      record.operator = proof.event.operator;
+    });
+  }
+
+  /**
+   * Read the proof transactions' gas, the block timestamps and getComputationTime of every proven task
+   */
+  async measureProofs() {
+    const proven = this.records.filter(record => record.outcome === TaskOutcome.PROVEN);
+    await forEachLimit(proven, this.config.concurrency, async (record) => {
+      try {
+        const [receipt, requestBlock, proofBlock, computationTime] = await Promise.all([
+          this.provider.getTransactionReceipt(record.proofTxHash),
+          this.getBlock(record.requestBlock),
+          this.getBlock(record.proofBlock),
+          this.client.getComputationTime(record.taskId)
+        ]);
+        record.proofGasUsed = receipt.gasUsed.toNumber();
+        record.blockTimeSeconds = proofBlock.timestamp - requestBlock.timestamp;
+        record.computationTimeSeconds = computationTime;
+      } catch (error) {
+        this.logger.warn(`Could not measure the proof of task ${record.taskId}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Read a block once
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<Block>} Block
+   */
+  getBlock(blockNumber) {
+    if (!this.blocks.has(blockNumber)) {
+      this.blocks.set(blockNumber, this.provider.getBlock(blockNumber));
+    }
+    return this.blocks.get(blockNumber);
+  }
+
+  /**
+   * Log how far the run has got
+   */
+  logProgress() {
+    const sent = this.records.filter(record => record.sentAt !== null).length;
+    const mined = this.records.filter(record => record.minedAt !== null).length;
+    const proven = this.records.filter(record => record.taskId && this.proofs.has(record.taskId)).length;
+    this.logger.info(`${sent}/${this.records.length} sent, ${mined} mined, ${proven} proven`);
+  }
+
+  /**
+   * Summarise the run
+   * @param {Object} run - startedAt, finishedAt and chainId
+   * @returns {Object} Results with the configuration, a summary and every request's record
+   */
+  buildResults({ startedAt, finishedAt, chainId }) {
+    const { config, records } = this;
+    const count = (outcome) => records.filter(record => record.outcome === outcome).length;
+    const mined = records.filter(record => record.minedAt !== null);
+    const proven = records.filter(record => record.outcome === TaskOutcome.PROVEN);
+    const firstSentAt = records.reduce((first, record) => (record.sentAt !== null && (first === null || record.sentAt < first) ? record.sentAt : first), null);
+    const latest = (key) => records.reduce((last, record) => Math.max(last, record[key] || 0), 0) || null;
+
+    // Revert reasons, whether the revert happened on-chain or during gas estimation
+    const byReason = {};
+    records
+      .filter(record => record.outcome === TaskOutcome.REVERTED || record.outcome === TaskOutcome.REJECTED)
+      .forEach(record => { byReason[record.error] = (byReason[record.error] || 0) + 1; });
+
+    const measured = proven.filter(record => record.computationTimeSeconds !== null);
+    const gasCost = records.reduce((sum, record) => sum + (record.requestGasPrice === null ? BigInt(0) : record.requestGasPrice * BigInt(record.requestGasUsed)), BigInt(0));
+    const rewards = mined.filter(record => record.outcome !== TaskOutcome.REVERTED).reduce((sum, record) => sum + record.reward, BigInt(0));
+
+    /**
+     * Latency and gas figures for a group of requests
+     * @param {Array<Object>} group - Records
+     * @returns {Object} Summaries
+     */
+    const figures = (group) => {
+      const groupProven = group.filter(record => record.outcome === TaskOutcome.PROVEN);
+      return {
+        latencyMs: {
+          submitToMined: summarize(group.map(record => (record.minedAt === null ? null : record.minedAt - record.sentAt))),
+          submitToProofSeen: summarize(groupProven.map(record => record.proofSeenAt - record.sentAt))
+        },
+        onChainSeconds: {
+          blockTimestamps: summarize(groupProven.map(record => record.blockTimeSeconds)),
+          computationTime: summarize(groupProven.map(record => record.computationTimeSeconds))
+        },
+        gas: {
+          request: summarize(group.map(record => record.requestGasUsed)),
+          proof: summarize(groupProven.map(record => record.proofGasUsed)),
+          perTask: summarize(groupProven.map(record => (record.proofGasUsed === null ? null : record.requestGasUsed + record.proofGasUsed)))
+        }
+      };
+    };
+
+    const buckets = config.complexity.map(({ label }) => label);
+    return {
+      tool: 'zkco-bench',
+      formatVersion: 1,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      chainId,
+      rpcUrl: config.rpcUrl,
+      contractAddress: config.contractAddress,
+      config: {
+        tasks: config.tasks,
+        concurrency: config.concurrency,
+        accounts: this.accounts.map(account => account.wallet.address),
+        complexity: config.complexity,
+        seed: config.seed,
+        proofTimeoutSeconds: config.proofTimeoutSeconds,
+        pollIntervalMs: config.pollIntervalMs,
+        stopped: this.stopped
+      },
+      summary: {
+        outcomes: Object.fromEntries(Object.values(TaskOutcome).map(outcome => [outcome, count(outcome)])),
+        durationSeconds: Math.round((finishedAt - startedAt) / 100) / 10,
+        throughput: {
+          // Mined requests over the time from the first send to the last request mined
+          requestsPerSecond: rate(mined.length, firstSentAt, latest('minedAt')),
+          // Proofs over the time from the first send to the last proof seen
+          proofsPerSecond: rate(proven.length, firstSentAt, latest('proofSeenAt'))
+        },
+        ...figures(records),
+        // Tasks whose getComputationTime differs from the gap between their request and proof blocks
+        computationTimeMismatches: measured.filter(record => record.computationTimeSeconds !== record.blockTimeSeconds).length,
+        reverts: {
+          total: count(TaskOutcome.REVERTED) + count(TaskOutcome.REJECTED),
+          byReason
+        },
+        spentWei: {
+          requestGas: gasCost.toString(),
+          rewards: rewards.toString()
+        },
+        byComplexity: buckets.map(bucket => {
+          const group = records.filter(record => record.bucket === bucket);
+          return { bucket, requests: group.length, proven: group.filter(record => record.outcome === TaskOutcome.PROVEN).length, ...figures(group) };
+        })
+      },
+      tasks: records.map(record => ({
+        ...record,
+        reward: record.reward === null ? null : record.reward.toString(),
+        requestGasPrice: record.requestGasPrice === null ? null : record.requestGasPrice.toString()
+      }))
+    };
+  }
+}
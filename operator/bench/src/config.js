@@ -0,0 +1,143 @@
+/**
+ * Configuration for the load benchmark
+ * Settings come from command-line flags (--tasks 100 or --tasks=100). The endpoint and
+ * contract fall back to the same RPC_URL and CONTRACT_ADDRESS variables the operator
+ * daemon reads, so both can run from one shell
+ */
+import path from 'path';
+import { ethers } from 'ethers';
+import { parseDistribution } from './workload.js';
+
+// Anvil's (and Hardhat's) default mnemonic; its accounts start with 10000 ETH each
+export const ANVIL_MNEMONIC = 'test test test test test test test test test test test junk';
+
+// Default values tuned for a local Anvil chain. Account 0 deploys the contract and account 1
+// runs the operator in the README's setup, so requests come from account 2 onwards
+const DEFAULTS = {
+  rpcUrl: 'http://127.0.0.1:8545',
+  tasks: 50,
+  concurrency: 4,
+  accounts: 4,
+  firstAccount: 2,
+  complexity: '32:4,256:3,1024:2,4096:1',
+  proofTimeoutSeconds: 120,
+  pollIntervalMs: 1000,
+  logLevel: 'info'
+};
+
+export const USAGE = `Usage: zkco-bench [options]
+
+Fires requestComputation calls at a ZKCoProcessor deployment, waits for the matching
+ProofSubmitted events and writes throughput, latency, gas and revert figures as JSON.
+An operator (operator/daemon) must be running against the same contract.
+
+Options:
+  --rpc-url <url>           JSON-RPC endpoint (RPC_URL, default ${DEFAULTS.rpcUrl})
+  --contract <address>      ZKCoProcessor address (CONTRACT_ADDRESS, required)
+  --tasks <n>               Requests to send (default ${DEFAULTS.tasks})
+  --concurrency <n>         Requests in flight at once (default ${DEFAULTS.concurrency})
+  --accounts <n>            Funded accounts to send from (default ${DEFAULTS.accounts})
+  --first-account <i>       Index of the first account in the mnemonic (default ${DEFAULTS.firstAccount})
+  --mnemonic <words>        Mnemonic of the funded accounts (BENCH_MNEMONIC, default Anvil's)
+  --complexity <spec>       Input sizes in bytes with weights, e.g. "32:4,256:3,64-512:1"
+                            (a range picks a size uniformly; default "${DEFAULTS.complexity}")
+  --seed <n>                Seed for sizes and inputs, to repeat a run (default random)
+  --proof-timeout <s>       Seconds to wait for proofs after the last request (default ${DEFAULTS.proofTimeoutSeconds})
+  --poll-interval <ms>      Delay between ProofSubmitted queries (default ${DEFAULTS.pollIntervalMs})
+  --out <file>              Where to write the results (default results/bench-<time>.json)
+  --baseline <file>         Earlier results to compare this run with
+  --log-level <level>       debug, info, warn or error (LOG_LEVEL, default ${DEFAULTS.logLevel})
+  --help                    Show this message
+`;
+
+/**
+ * Split command-line arguments into flags
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Flag values by name; flags without a value are true
+ */
+const parseFlags = (argv) => {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument "${arg}"; run with --help for the options`);
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      flags[name] = inline;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  return flags;
+};
+
+/**
+ * Parse an integer flag
+ * @param {Object} flags - Parsed flags
+ * @param {string} name - Flag name
+ * @param {number} fallback - Value used when the flag is not given
+ * @param {number} [min] - Smallest accepted value
+ * @returns {number} Parsed value
+ */
+const readInt = (flags, name, fallback, min = 0) => {
+  const raw = flags[name];
+  if (raw === undefined) return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`--${name} must be an integer of at least ${min}, got "${raw}"`);
+  }
+  return value;
+};
+
+/**
+ * Build the benchmark configuration from the command line and environment
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} env - Environment to read from (defaults to process.env)
+ * @returns {Object|null} Validated configuration, or null when --help was asked for
+ */
+export const loadConfig = (argv, env = process.env) => {
+  const flags = parseFlags(argv);
+  if (flags.help) return null;
+
+  const known = ['rpc-url', 'contract', 'tasks', 'concurrency', 'accounts', 'first-account', 'mnemonic', 'complexity',
+    'seed', 'proof-timeout', 'poll-interval', 'out', 'baseline', 'log-level'];
+  const unknown = Object.keys(flags).filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option --${unknown[0]}; run with --help for the options`);
+  }
+
+  const contractAddress = flags.contract || env.CONTRACT_ADDRESS;
+  if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+    throw new Error('--contract (or CONTRACT_ADDRESS) must be set to the deployed ZKCoProcessor address');
+  }
+
+  const mnemonic = flags.mnemonic || env.BENCH_MNEMONIC || ANVIL_MNEMONIC;
+  if (!ethers.utils.isValidMnemonic(mnemonic)) {
+    throw new Error('--mnemonic is not a valid BIP-39 mnemonic');
+  }
+
+  const startedAt = new Date();
+  const defaultOut = path.join('results', `bench-${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+
+  return {
+    rpcUrl: flags['rpc-url'] || env.RPC_URL || DEFAULTS.rpcUrl,
+    contractAddress: ethers.utils.getAddress(contractAddress),
+    tasks: readInt(flags, 'tasks', DEFAULTS.tasks, 1),
+    concurrency: readInt(flags, 'concurrency', DEFAULTS.concurrency, 1),
+    accounts: readInt(flags, 'accounts', DEFAULTS.accounts, 1),
+    firstAccount: readInt(flags, 'first-account', DEFAULTS.firstAccount),
+    mnemonic,
+    complexity: parseDistribution(flags.complexity || DEFAULTS.complexity),
+    // Seeds are kept to 32 bits, the state of the generator in workload.js
+    seed: readInt(flags, 'seed', Math.floor(Math.random() * 2 ** 32)) >>> 0,
+    proofTimeoutSeconds: readInt(flags, 'proof-timeout', DEFAULTS.proofTimeoutSeconds),
+    pollIntervalMs: readInt(flags, 'poll-interval', DEFAULTS.pollIntervalMs, 1),
+    outFile: path.resolve(flags.out || defaultOut),
+    baselineFile: flags.baseline ? path.resolve(flags.baseline) : null,
+    logLevel: flags['log-level'] || env.LOG_LEVEL || DEFAULTS.logLevel
+  };
+};
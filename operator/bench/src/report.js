@@ -0,0 +1,94 @@
+/**
+ * Console report for benchmark results
+ * Prints the summary of a run and, given earlier results, how the headline figures moved
+ */
+
+// Figures compared against a baseline: label, path into the results and whether lower is better
+const HEADLINE = [
+  { label: 'Requests/s', path: ['throughput', 'requestsPerSecond'], lowerIsBetter: false },
+  { label: 'Proofs/s', path: ['throughput', 'proofsPerSecond'], lowerIsBetter: false },
+  { label: 'Submit → mined p50 (ms)', path: ['latencyMs', 'submitToMined', 'p50'], lowerIsBetter: true },
+  { label: 'Submit → proof p50 (ms)', path: ['latencyMs', 'submitToProofSeen', 'p50'], lowerIsBetter: true },
+  { label: 'Submit → proof p95 (ms)', path: ['latencyMs', 'submitToProofSeen', 'p95'], lowerIsBetter: true },
+  { label: 'Submit → proof p99 (ms)', path: ['latencyMs', 'submitToProofSeen', 'p99'], lowerIsBetter: true },
+  { label: 'On-chain p50 (s)', path: ['onChainSeconds', 'computationTime', 'p50'], lowerIsBetter: true },
+  { label: 'Gas per task (mean)', path: ['gas', 'perTask', 'mean'], lowerIsBetter: true },
+  { label: 'Reverts', path: ['reverts', 'total'], lowerIsBetter: true }
+];
+
+/**
+ * Read a nested value
+ * @param {Object} object - Object to read from
+ * @param {Array<string>} path - Keys
+ * @returns {*} Value, or null when any key is missing
+ */
+const pick = (object, path) => path.reduce((value, key) => (value === null || value === undefined ? null : value[key] ?? null), object);
+
+/**
+ * Format a number for the report
+ * @param {number|null} value - Value
+ * @returns {string} Formatted value
+ */
+const show = (value) => (value === null || value === undefined ? 'n/a' : value.toLocaleString('en-US'));
+
+/**
+ * One line of a latency or gas summary
+ * @param {string} label - What is summarised
+ * @param {Object} summary - Result of summarize()
+ * @returns {string} Line
+ */
+const summaryLine = (label, summary) =>
+  `  ${label.padEnd(26)} p50 ${show(summary.p50)}  p90 ${show(summary.p90)}  p95 ${show(summary.p95)}  p99 ${show(summary.p99)}  max ${show(summary.max)}  (n=${summary.count})`;
+
+/**
+ * Print the summary of a run
+ * @param {Object} results - Results from LoadBenchmark.run()
+ * @param {Function} [print] - Writes one line (console.log by default)
+ */
+export const printSummary = (results, print = console.log) => {
+  const { summary } = results;
+  const outcomes = Object.entries(summary.outcomes).filter(([, count]) => count > 0).map(([outcome, count]) => `${count} ${outcome}`);
+
+  print('');
+  print(`Run of ${results.config.tasks} requests on chain ${results.chainId} in ${summary.durationSeconds}s: ${outcomes.join(', ')}`);
+  print(`  Throughput                 ${show(summary.throughput.requestsPerSecond)} requests/s, ${show(summary.throughput.proofsPerSecond)} proofs/s`);
+  print(summaryLine('Submit → mined (ms)', summary.latencyMs.submitToMined));
+  print(summaryLine('Submit → proof seen (ms)', summary.latencyMs.submitToProofSeen));
+  print(summaryLine('Block timestamps (s)', summary.onChainSeconds.blockTimestamps));
+  print(summaryLine('getComputationTime (s)', summary.onChainSeconds.computationTime));
+  if (summary.computationTimeMismatches > 0) {
+    print(`  ${summary.computationTimeMismatches} tasks have a getComputationTime that differs from their block timestamps`);
+  }
+  print(summaryLine('Request gas', summary.gas.request));
+  print(summaryLine('Proof gas', summary.gas.proof));
+  print(summaryLine('Gas per task', summary.gas.perTask));
+  Object.entries(summary.reverts.byReason).forEach(([reason, count]) => print(`  Reverted ${count}x: ${reason}`));
+
+  print('  By complexity (bytes):');
+  summary.byComplexity.forEach(bucket => {
+    print(`    ${bucket.bucket.padEnd(12)} ${bucket.proven}/${bucket.requests} proven, proof p50 ${show(bucket.latencyMs.submitToProofSeen.p50)} ms, ` +
+      `gas per task mean ${show(bucket.gas.perTask.mean)}`);
+  });
+};
+
+/**
+ * Print how a run's headline figures compare with earlier results
+ * @param {Object} results - Results of this run
+ * @param {Object} baseline - Earlier results
+ * @param {Function} [print] - Writes one line (console.log by default)
+ */
+export const printComparison = (results, baseline, print = console.log) => {
+  print('');
+  print(`Compared with the run of ${baseline.startedAt} (${baseline.config.tasks} requests, concurrency ${baseline.config.concurrency}):`);
+  HEADLINE.forEach(({ label, path, lowerIsBetter }) => {
+    const before = pick(baseline.summary, path);
+    const after = pick(results.summary, path);
+    let change = '';
+    if (typeof before === 'number' && typeof after === 'number' && before !== 0) {
+      const percent = ((after - before) / before) * 100;
+      const better = lowerIsBetter ? percent < 0 : percent > 0;
+      change = `${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%${percent === 0 ? '' : (better ? ' better' : ' worse')}`;
+    }
+    print(`  ${label.padEnd(26)} ${show(before).padStart(12)} → ${show(after).padEnd(12)} ${change}`);
+  });
+};
@@ -0,0 +1,32 @@
+/**
+ * Summary statistics for benchmark samples, on the nearest-rank summarize() the analytics
+ * page uses
+ */
+import { summarize as summarizeValues } from '@zkco/contracts';
+
+// Percentiles reported for every latency and gas figure
+export const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Summarise a set of samples
+ * @param {Array<number|null>} values - Samples; null and undefined are left out
+ * @returns {Object} count, min, max, mean (to two decimals), median and p50/p90/p95/p99, all
+ *   null without samples
+ */
+export const summarize = (values) => {
+  const summary = summarizeValues(values, PERCENTILES);
+  if (summary.mean !== null) summary.mean = Math.round(summary.mean * 100) / 100;
+  return summary;
+};
+
+/**
+ * Events per second over a time window
+ * @param {number} count - Number of events
+ * @param {number|null} fromMs - Start of the window
+ * @param {number|null} toMs - End of the window
+ * @returns {number|null} Rate, or null when the window is empty
+ */
+export const rate = (count, fromMs, toMs) => {
+  if (!count || fromMs === null || toMs === null || toMs <= fromMs) return null;
+  return Math.round((count / ((toMs - fromMs) / 1000)) * 1000) / 1000;
+};
@@ -0,0 +1,108 @@
+/**
+ * Workload generation for the load benchmark
+ * Turns a complexity distribution ("32:4,256:3,64-512:1") into the list of input sizes to
+ * request, and fills each input with seeded pseudo-random bytes so a run can be repeated
+ * exactly with the same --seed
+ */
+
+// Largest input the benchmark will send; calldata beyond this stops being a useful test
+const MAX_INPUT_BYTES = 128 * 1024;
+
+/**
+ * Parse a complexity distribution
+ * Each comma-separated entry is a size or a min-max range in bytes, optionally followed by
+ * :weight (default 1). Sizes are picked in proportion to their weights
+ * @param {string} spec - Distribution, e.g. "32:4,256:3,64-512:1"
+ * @returns {Array<Object>} Entries with min, max, weight and the label results are grouped by
+ */
+export const parseDistribution = (spec) => {
+  const entries = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(\d+)(?:-(\d+))?(?::(\d+(?:\.\d+)?))?$/);
+    if (!match) {
+      throw new Error(`Invalid complexity entry "${part}"; expected <bytes>[-<bytes>][:<weight>]`);
+    }
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : Number(match[2]);
+    const weight = match[3] === undefined ? 1 : Number(match[3]);
+    if (min < 1 || max < min || max > MAX_INPUT_BYTES) {
+      throw new Error(`Invalid complexity entry "${part}"; sizes must be between 1 and ${MAX_INPUT_BYTES} bytes`);
+    }
+    if (weight <= 0) {
+      throw new Error(`Invalid complexity entry "${part}"; the weight must be positive`);
+    }
+    return { min, max, weight, label: min === max ? String(min) : `${min}-${max}` };
+  });
+
+  if (entries.length === 0) {
+    throw new Error('The complexity distribution is empty');
+  }
+  return entries;
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * Not for anything secret; it only needs to be fast and repeatable
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick an input size from a distribution
+ * @param {Array<Object>} distribution - Entries from parseDistribution
+ * @param {Function} random - Generator from createRandom
+ * @returns {Object} size in bytes and the entry it was picked from
+ */
+const pickSize = (distribution, random) => {
+  const total = distribution.reduce((sum, entry) => sum + entry.weight, 0);
+  let target = random() * total;
+  const entry = distribution.find(candidate => (target -= candidate.weight) < 0) || distribution[distribution.length - 1];
+  return { size: entry.min + Math.floor(random() * (entry.max - entry.min + 1)), entry };
+};
+
+/**
+ * Build the input of one request
+ * The first bytes hold the task's index so no two inputs of a run are the same: the
+ * contract derives the taskId from the input, the block timestamp and the sender, and two
+ * identical requests from one account in the same second would share a task
+ * @param {number} index - Position of the task in the run
+ * @param {number} size - Input size in bytes
+ * @param {Function} random - Generator from createRandom
+ * @returns {Uint8Array} Input bytes
+ */
+const buildInput = (index, size, random) => {
+  const input = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    input[i] = Math.floor(random() * 256);
+  }
+  for (let i = 0; i < Math.min(4, size); i++) {
+    input[i] = (index >>> (8 * (Math.min(4, size) - 1 - i))) & 0xff;
+  }
+  return input;
+};
+
+/**
+ * Plan the requests of a run
+ * @param {Object} options - Plan options
+ * @param {number} options.tasks - Number of requests
+ * @param {Array<Object>} options.distribution - Entries from parseDistribution
+ * @param {number} options.seed - Seed for sizes and inputs
+ * @returns {Array<Object>} Requests with index, size, bucket (the distribution entry's label)
+ *   and input, in sending order
+ */
+export const planWorkload = ({ tasks, distribution, seed }) => {
+  const random = createRandom(seed);
+  return Array.from({ length: tasks }, (_, index) => {
+    const { size, entry } = pickSize(distribution, random);
+    return { index, size, bucket: entry.label, input: buildInput(index, size, random) };
+  });
+};
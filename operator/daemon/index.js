@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Entry point for the ZK Co-Processor operator daemon
+ * Reads configuration from the environment, starts the daemon and shuts it down
+ * gracefully on SIGINT/SIGTERM (a second signal forces an immediate exit)
+ */
+import { loadConfig } from './src/config.js';
+import { createLogger } from '@zkco/contracts';
+import { OperatorDaemon } from './src/OperatorDaemon.js';
+
+const main = async () => {
+  const config = loadConfig();
+  const logger = createLogger(config.logLevel);
+  const daemon = new OperatorDaemon(config, { logger });
+
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) {
+      logger.warn(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    stopping = true;
+    logger.info(`Received ${signal}, finishing in-flight work before exiting...`);
+
+    try {
+      await daemon.stop();
+      process.exit(0);
+    } catch (error) {
+      logger.error('Error during shutdown:', error.message);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  await daemon.start();
+};
+
+main().catch(error => {
+  console.error('Operator failed to start:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,363 @@
+/**
+ * Operator daemon for the ZK Co-Processor
+ * Watches the contract for ComputationRequested events, decodes each task's input
+ * from the request transaction, runs the configured prover and submits the proof
+ */
+import { ethers } from 'ethers';
+import { ZKCoProcessorABI, createLogger } from '@zkco/contracts';
+import { TaskStore, TaskStatus } from './taskStore.js';
+import { loadProver, validateProverOutput } from './prover.js';
+import { PermanentError, backoffDelay, withRetry } from './retry.js';
+
+/**
+ * Long-running operator process
+ * Call start() once; call stop() to finish the task in flight, persist state and exit the loop
+ */
+export class OperatorDaemon {
+  /**
+   * @param {Object} config - Configuration from loadConfig()
+   * @param {Object} [options] - Optional collaborators
+   * @param {Object} [options.logger] - Logger to use instead of the default one
+   * @param {Object} [options.provider] - Provider to use instead of a JsonRpcProvider on config.rpcUrl
+   */
+  constructor(config, { logger, provider } = {}) {
+    this.config = config;
+    this.logger = logger || createLogger(config.logLevel);
+    this.provider = provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+    this.wallet = new ethers.Wallet(config.privateKey, this.provider);
+    this.contract = new ethers.Contract(config.contractAddress, ZKCoProcessorABI, this.wallet);
+
+    this.store = null;
+    this.prover = null;
+    this.running = false;
+    this.loop = null;
+    this.wakeUp = null;
+  }
+
+  /**
+   * Retry an RPC call with the configured backoff
+   * @param {Function} fn - Async function performing the call
+   * @param {string} label - Description used in log messages
+   * @returns {Promise<*>} Result of fn
+   */
+  rpc(fn, label) {
+    return withRetry(fn, {
+      retries: this.config.maxAttempts,
+      baseDelayMs: this.config.retryBaseDelayMs,
+      maxDelayMs: this.config.retryMaxDelayMs,
+      onRetry: (error, attempt, delay) => {
+        this.logger.warn(`${label} failed (attempt ${attempt}): ${error.message}; retrying in ${delay} ms`);
+      }
+    });
+  }
+
+  /**
+   * Connect to the chain, load persisted state, register if needed and start the poll loop
+   */
+  async start() {
+    const { contractAddress } = this.config;
+    const network = await this.rpc(() => this.provider.getNetwork(), 'getNetwork');
+
+    const code = await this.rpc(() => this.provider.getCode(contractAddress), 'getCode');
+    if (code === '0x') {
+      throw new Error(`No contract deployed at ${contractAddress} on chain ${network.chainId}`);
+    }
+
+    this.store = new TaskStore(this.config.stateFile, { chainId: network.chainId, contractAddress });
+    await this.store.load();
+
+    this.prover = await loadProver(this.config.proverModule);
+
+    this.logger.info(`Operator ${this.wallet.address} on chain ${network.chainId}, contract ${contractAddress}`);
+    this.logger.info(`Using prover "${this.prover.name}", state file ${this.config.stateFile}`);
+
+    await this.ensureRegistered();
+
+    this.running = true;
+    this.loop = this.run();
+  }
+
+  /**
+   * Stop polling, wait for the task in flight to finish and persist state
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    if (this.wakeUp) this.wakeUp();
+    await this.loop;
+    await this.store.save();
+
+    this.logger.info('Operator stopped', this.store.summary());
+  }
+
+  /**
+   * Register the wallet as an operator unless it already is
+   * Stakes config.stake, or the contract's minOperatorStake when no stake is configured
+   */
+  async ensureRegistered() {
+    const operator = await this.rpc(() => this.contract.operators(this.wallet.address), 'operators');
+    if (operator.registered) {
+      this.logger.info(
+        `Already registered with stake ${ethers.utils.formatEther(operator.stake)} ETH, ` +
+        `reputation ${operator.reputation.toString()}`
+      );
+      return;
+    }
+
+    const minStake = await this.rpc(() => this.contract.minOperatorStake(), 'minOperatorStake');
+    const stake = this.config.stake || minStake;
+    if (stake.lt(minStake)) {
+      throw new Error(
+        `OPERATOR_STAKE is below the contract minimum of ${ethers.utils.formatEther(minStake)} ETH`
+      );
+    }
+
+    const balance = await this.wallet.getBalance();
+    if (balance.lt(stake)) {
+      throw new Error(
+        `Operator balance ${ethers.utils.formatEther(balance)} ETH cannot cover a stake of ` +
+        `${ethers.utils.formatEther(stake)} ETH`
+      );
+    }
+
+    this.logger.info(`Registering as operator with stake ${ethers.utils.formatEther(stake)} ETH`);
+    const tx = await this.contract.registerAsOperator({ value: stake });
+    await tx.wait();
+    this.logger.info(`Registered as operator in transaction ${tx.hash}`);
+  }
+
+  /**
+   * Main loop: pick up new requests, then work through tasks that are due
+   */
+  async run() {
+    while (this.running) {
+      try {
+        await this.syncEvents();
+        await this.processDueTasks();
+      } catch (error) {
+        this.logger.error('Poll cycle failed:', error.message);
+      }
+
+      if (this.running) {
+        await this.idle(this.config.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Wait between poll cycles; stop() resolves the wait early
+   * @param {number} ms - Time to wait in milliseconds
+   * @returns {Promise<void>}
+   */
+  idle(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Record ComputationRequested events from the last synced block up to the
+   * latest block with enough confirmations, in chunks of config.maxBlockRange
+   */
+  async syncEvents() {
+    const latest = await this.rpc(() => this.provider.getBlockNumber(), 'getBlockNumber');
+    const toBlock = latest - this.config.confirmations;
+    let fromBlock = this.store.lastBlock === null ? this.config.startBlock : this.store.lastBlock + 1;
+
+    const filter = this.contract.filters.ComputationRequested();
+
+    while (this.running && fromBlock <= toBlock) {
+      const endBlock = Math.min(fromBlock + this.config.maxBlockRange - 1, toBlock);
+      const events = await this.rpc(
+        () => this.contract.queryFilter(filter, fromBlock, endBlock),
+        `queryFilter ${fromBlock}-${endBlock}`
+      );
+
+      events.forEach(event => this.recordRequest(event));
+
+      this.store.lastBlock = endBlock;
+      await this.store.save();
+      fromBlock = endBlock + 1;
+    }
+  }
+
+  /**
+   * Add a newly seen request to the store
+   * @param {Object} event - Parsed ComputationRequested event
+   */
+  recordRequest(event) {
+    const { taskId, requester, complexity, reward } = event.args;
+    if (this.store.has(taskId)) return;
+
+    this.store.update(taskId, {
+      status: TaskStatus.PENDING,
+      requester,
+      complexity: complexity.toNumber(),
+      reward: reward.toString(),
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      transactionHash: event.transactionHash
+    });
+
+    this.logger.info(`New task ${taskId} from ${requester} (${complexity.toString()} bytes)`);
+  }
+
+  /**
+   * Process every task whose retry delay has elapsed, one at a time
+   */
+  async processDueTasks() {
+    for (const task of this.store.dueTasks()) {
+      if (!this.running) break;
+
+      await this.processTask(task);
+      await this.store.save();
+    }
+  }
+
+  /**
+   * Process one task, rescheduling it with backoff when it fails
+   * @param {Object} task - Stored task record
+   */
+  async processTask(task) {
+    try {
+      await this.handleTask(task);
+    } catch (error) {
+      const attempts = task.attempts + 1;
+      const message = error.reason || error.message;
+
+      if (error instanceof PermanentError || attempts >= this.config.maxAttempts) {
+        this.store.update(task.taskId, { status: TaskStatus.FAILED, attempts, lastError: message });
+        this.logger.error(`Task ${task.taskId} failed permanently after ${attempts} attempt(s): ${message}`);
+        return;
+      }
+
+      const delay = backoffDelay(attempts, {
+        baseDelayMs: this.config.retryBaseDelayMs,
+        maxDelayMs: this.config.retryMaxDelayMs
+      });
+      this.store.update(task.taskId, {
+        attempts,
+        lastError: message,
+        nextAttemptAt: Date.now() + delay
+      });
+      this.logger.warn(`Task ${task.taskId} attempt ${attempts} failed: ${message}; retrying in ${delay} ms`);
+    }
+  }
+
+  /**
+   * Prove and submit a single task
+   * Checks the on-chain task first so tasks completed by another operator (or by a
+   * transaction we sent before a restart) are not submitted twice
+   * @param {Object} task - Stored task record
+   */
+  async handleTask(task) {
+    const { taskId } = task;
+
+    // A proof sent before a restart may still be pending in the mempool
+    if (task.proofTxHash) {
+      const receipt = await this.provider
+        .waitForTransaction(task.proofTxHash, 1, this.config.pollIntervalMs * 5)
+        .catch(() => null);
+      if (receipt && receipt.status === 1) {
+        this.markCompleted(taskId, receipt);
+        return;
+      }
+    }
+
+    const onChain = await this.contract.tasks(taskId);
+    if (onChain.startTime.isZero()) {
+      throw new Error('Task not found on-chain (the request may have been reorged out)');
+    }
+
+    if (onChain.completed) {
+      const ours = onChain.operator === this.wallet.address;
+      this.store.update(taskId, {
+        status: ours ? TaskStatus.COMPLETED : TaskStatus.SKIPPED,
+        resultHash: onChain.resultHash,
+        completedBy: onChain.operator
+      });
+      this.logger.info(`Task ${taskId} already completed by ${ours ? 'this operator' : onChain.operator}`);
+      return;
+    }
+
+    const inputData = await this.decodeInput(task);
+    const { proof, resultHash } = validateProverOutput(
+      await this.prover.prove({
+        taskId,
+        inputData,
+        complexity: task.complexity,
+        requester: task.requester
+      })
+    );
+
+    const tx = await this.contract.submitProof(taskId, proof, resultHash);
+    this.store.update(taskId, { status: TaskStatus.SUBMITTED, proofTxHash: tx.hash, resultHash });
+    await this.store.save();
+    this.logger.info(`Submitted proof for ${taskId} in transaction ${tx.hash}`);
+
+    const receipt = await tx.wait(Math.max(this.config.confirmations, 1));
+    this.markCompleted(taskId, receipt);
+  }
+
+  /**
+   * Mark a task as completed from the receipt of its submitProof transaction
+   * @param {string} taskId - Task identifier
+   * @param {Object} receipt - Transaction receipt
+   */
+  markCompleted(taskId, receipt) {
+    this.store.update(taskId, {
+      status: TaskStatus.COMPLETED,
+      proofTxHash: receipt.transactionHash,
+      proofBlockNumber: receipt.blockNumber,
+      proofGasUsed: receipt.gasUsed.toString(),
+      lastError: null
+    });
+    this.logger.info(`Task ${taskId} completed in block ${receipt.blockNumber} (${receipt.gasUsed.toString()} gas)`);
+  }
+
+  /**
+   * Recover the task input from the calldata of the request transaction
+   * The contract does not store inputs, so the calldata is the only source
+   * @param {Object} task - Stored task record
+   * @returns {Promise<string>} Input data as a hex string
+   */
+  async decodeInput(task) {
+    const tx = await this.provider.getTransaction(task.transactionHash);
+    if (!tx) {
+      throw new Error(`Request transaction ${task.transactionHash} not found`);
+    }
+
+    if (!tx.to || ethers.utils.getAddress(tx.to) !== this.config.contractAddress) {
+      throw new PermanentError('Request was sent through another contract; its input cannot be read from calldata');
+    }
+
+    let parsed;
+    try {
+      parsed = this.contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    } catch (error) {
+      throw new PermanentError(`Could not decode request calldata: ${error.message}`);
+    }
+    if (parsed.name !== 'requestComputation') {
+      throw new PermanentError(`Request transaction called ${parsed.name}, not requestComputation`);
+    }
+
+    const inputData = parsed.args.inputData;
+
+    // The contract derives taskId = keccak256(inputData, block.timestamp, msg.sender)
+    const block = await this.provider.getBlock(task.blockNumber);
+    const expectedTaskId = ethers.utils.solidityKeccak256(
+      ['bytes', 'uint256', 'address'],
+      [inputData, block.timestamp, task.requester]
+    );
+    if (expectedTaskId !== task.taskId) {
+      throw new PermanentError('Decoded input does not match the taskId');
+    }
+
+    return inputData;
+  }
+}
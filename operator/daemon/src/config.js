@@ -0,0 +1,79 @@
+/**
+ * Configuration for the operator daemon
+ * All settings are read from environment variables so the same build can run
+ * against a local Anvil chain, Sepolia or any other network
+ */
+import path from 'path';
+import { ethers } from 'ethers';
+
+// Default values tuned for a local Anvil/Hardhat chain
+const DEFAULTS = {
+  rpcUrl: 'http://127.0.0.1:8545',
+  stateFile: path.join(process.cwd(), 'data', 'operator-state.json'),
+  startBlock: 0,
+  confirmations: 0,
+  pollIntervalMs: 2000,
+  maxBlockRange: 2000,
+  maxAttempts: 5,
+  retryBaseDelayMs: 2000,
+  retryMaxDelayMs: 60000,
+  logLevel: 'info'
+};
+
+/**
+ * Parse a non-negative integer from an environment variable
+ * @param {Object} env - Environment to read from
+ * @param {string} name - Name of the variable
+ * @param {number} fallback - Value used when the variable is not set
+ * @returns {number} Parsed value
+ */
+const readInt = (env, name, fallback) => {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+  }
+  return value;
+};
+
+/**
+ * Build the daemon configuration from the environment
+ * @param {Object} env - Environment to read from (defaults to process.env)
+ * @returns {Object} Validated configuration
+ */
+export const loadConfig = (env = process.env) => {
+  const contractAddress = env.CONTRACT_ADDRESS;
+  if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+    throw new Error('CONTRACT_ADDRESS must be set to the deployed ZKCoProcessor address');
+  }
+
+  const privateKey = env.OPERATOR_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error('OPERATOR_PRIVATE_KEY must be set to the operator account key');
+  }
+
+  // Stake is optional: when omitted we stake exactly the contract's minOperatorStake
+  let stake = null;
+  if (env.OPERATOR_STAKE) {
+    stake = ethers.utils.parseEther(env.OPERATOR_STAKE);
+  }
+
+  return {
+    rpcUrl: env.RPC_URL || DEFAULTS.rpcUrl,
+    contractAddress: ethers.utils.getAddress(contractAddress),
+    privateKey,
+    stake,
+    stateFile: env.STATE_FILE ? path.resolve(env.STATE_FILE) : DEFAULTS.stateFile,
+    proverModule: env.PROVER_MODULE ? path.resolve(env.PROVER_MODULE) : null,
+    startBlock: readInt(env, 'START_BLOCK', DEFAULTS.startBlock),
+    confirmations: readInt(env, 'CONFIRMATIONS', DEFAULTS.confirmations),
+    pollIntervalMs: readInt(env, 'POLL_INTERVAL_MS', DEFAULTS.pollIntervalMs),
+    maxBlockRange: readInt(env, 'MAX_BLOCK_RANGE', DEFAULTS.maxBlockRange) || DEFAULTS.maxBlockRange,
+    maxAttempts: readInt(env, 'MAX_ATTEMPTS', DEFAULTS.maxAttempts) || 1,
+    retryBaseDelayMs: readInt(env, 'RETRY_BASE_DELAY_MS', DEFAULTS.retryBaseDelayMs),
+    retryMaxDelayMs: readInt(env, 'RETRY_MAX_DELAY_MS', DEFAULTS.retryMaxDelayMs),
+    logLevel: env.LOG_LEVEL || DEFAULTS.logLevel
+  };
+};
@@ -0,0 +1,59 @@
+/**
+ * Daemon configuration from environment variables
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { ethers } from 'ethers';
+import { loadConfig } from './config.js';
+
+const ENV = {
+  CONTRACT_ADDRESS: '0x5fbdb2315678afecb367f032d93f642f64180aa3',
+  OPERATOR_PRIVATE_KEY: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+};
+
+describe('loadConfig', () => {
+  test('fills in the local chain defaults', () => {
+    const config = loadConfig(ENV);
+    assert.equal(config.rpcUrl, 'http://127.0.0.1:8545');
+    assert.equal(config.contractAddress, '0x5FbDB2315678afecb367f032d93F642f64180aa3');
+    assert.equal(config.stake, null);
+    assert.equal(config.proverModule, null);
+    assert.equal(config.stateFile, path.join(process.cwd(), 'data', 'operator-state.json'));
+    assert.equal(config.pollIntervalMs, 2000);
+    assert.equal(config.maxAttempts, 5);
+    assert.equal(config.logLevel, 'info');
+  });
+
+  test('reads the optional settings', () => {
+    const config = loadConfig({
+      ...ENV,
+      OPERATOR_STAKE: '1.5',
+      STATE_FILE: 'state.json',
+      START_BLOCK: '100',
+      CONFIRMATIONS: '2',
+      LOG_LEVEL: 'debug'
+    });
+    assert.ok(config.stake.eq(ethers.utils.parseEther('1.5')));
+    assert.equal(config.stateFile, path.resolve('state.json'));
+    assert.equal(config.startBlock, 100);
+    assert.equal(config.confirmations, 2);
+    assert.equal(config.logLevel, 'debug');
+  });
+
+  test('falls back when a range or attempt count of zero is given', () => {
+    const config = loadConfig({ ...ENV, MAX_BLOCK_RANGE: '0', MAX_ATTEMPTS: '0' });
+    assert.equal(config.maxBlockRange, 2000);
+    assert.equal(config.maxAttempts, 1);
+  });
+
+  test('rejects a missing contract address or key', () => {
+    assert.throws(() => loadConfig({ ...ENV, CONTRACT_ADDRESS: 'nope' }), /CONTRACT_ADDRESS must be set/);
+    assert.throws(() => loadConfig({ CONTRACT_ADDRESS: ENV.CONTRACT_ADDRESS }), /OPERATOR_PRIVATE_KEY must be set/);
+  });
+
+  test('rejects numbers that are not non-negative integers', () => {
+    assert.throws(() => loadConfig({ ...ENV, POLL_INTERVAL_MS: '-1' }), /POLL_INTERVAL_MS must be a non-negative integer, got "-1"/);
+    assert.throws(() => loadConfig({ ...ENV, START_BLOCK: '1.5' }), /START_BLOCK must be a non-negative integer/);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Pluggable compute/prover step
+ * A prover is any module exporting `prove({ taskId, inputData, complexity, requester })`
+ * that resolves to `{ proof, resultHash }`. The built-in prover runs the dashboard's task
+ * templates (hashing any other input) and returns a mock proof, which is enough for the
+ * demo contract (it does not verify proofs yet)
+ */
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ethers } from 'ethers';
+import { mockProve } from '@zkco/contracts';
+
+export { MOCK_IMAGE_ID } from '@zkco/contracts';
+
+/**
+ * Default prover: the mock prover from @zkco/contracts, which the sandbox's simulated
+ * operator uses too
+ */
+export const mockProver = {
+  name: 'mock-keccak',
+  prove: async ({ taskId, inputData }) => mockProve(taskId, inputData)
+};
+
+/**
+ * Load the prover to use for tasks
+ * @param {string|null} modulePath - Absolute path of a custom prover module, or null for the mock prover
+ * @returns {Promise<Object>} Prover with a name and a prove function
+ */
+export const loadProver = async (modulePath) => {
+  if (!modulePath) return mockProver;
+
+  const mod = await import(pathToFileURL(modulePath).href);
+  const candidate = mod.prove || mod.default;
+  const prove = typeof candidate === 'function' ? candidate : candidate && candidate.prove;
+
+  if (typeof prove !== 'function') {
+    throw new Error(`Prover module ${modulePath} must export a prove() function`);
+  }
+  return { name: path.basename(modulePath), prove };
+};
+
+/**
+ * Check that a prover returned well-formed values before they are sent on-chain
+ * @param {Object} output - Value returned by prove()
+ * @returns {Object} Normalised { proof, resultHash } as hex strings
+ */
+export const validateProverOutput = (output) => {
+  if (!output || !ethers.utils.isBytesLike(output.proof)) {
+    throw new Error('Prover must return proof as bytes');
+  }
+  if (!ethers.utils.isHexString(output.resultHash, 32)) {
+    throw new Error('Prover must return resultHash as a 32-byte hex string');
+  }
+  return {
+    proof: ethers.utils.hexlify(output.proof),
+    resultHash: output.resultHash
+  };
+};
@@ -0,0 +1,58 @@
+/**
+ * Retry helpers with exponential backoff
+ * Used for RPC calls and for rescheduling tasks that failed to prove or submit
+ */
+import { sleep } from '@zkco/contracts';
+
+/**
+ * Error type for failures that will never succeed on retry
+ * (e.g. the request transaction cannot be decoded)
+ */
+export class PermanentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentError';
+  }
+}
+
+/**
+ * Compute the backoff delay for a given attempt
+ * Doubles the base delay for every attempt, capped at maxDelayMs, with up to 20% jitter
+ * so several operators restarting together don't retry in lockstep
+ * @param {number} attempt - Number of attempts already made (1 for the first retry)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for the delay
+ * @returns {number} Delay in milliseconds
+ */
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const exponential = Math.min(baseDelayMs * 2 ** Math.max(attempt - 1, 0), maxDelayMs);
+  const jitter = exponential * 0.2 * Math.random();
+  return Math.round(exponential + jitter);
+};
+
+/**
+ * Run an async function, retrying with exponential backoff when it throws
+ * PermanentError is rethrown immediately without further attempts
+ * @param {Function} fn - Async function to run; receives the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Number of retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for the delay
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before waiting
+ * @returns {Promise<*>} Result of fn
+ */
+export const withRetry = async (fn, { retries, baseDelayMs, maxDelayMs, onRetry }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (error instanceof PermanentError || attempt > retries) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+};
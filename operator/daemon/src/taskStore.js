@@ -0,0 +1,137 @@
+/**
+ * Persistent record of every task the operator has seen
+ * State is kept in a JSON file so the daemon can resume after a restart
+ * without re-proving finished tasks or missing requests emitted while it was down
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const STATE_VERSION = 1;
+
+// Statuses a task can be in; only PENDING and SUBMITTED tasks are still worked on
+export const TaskStatus = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+const OPEN_STATUSES = [TaskStatus.PENDING, TaskStatus.SUBMITTED];
+
+/**
+ * JSON-file backed task store
+ */
+export class TaskStore {
+  /**
+   * @param {string} filePath - Location of the state file
+   * @param {Object} scope - Identifies the deployment the state belongs to
+   * @param {number} scope.chainId - Chain the contract lives on
+   * @param {string} scope.contractAddress - ZKCoProcessor address
+   */
+  constructor(filePath, { chainId, contractAddress }) {
+    this.filePath = filePath;
+    this.state = {
+      version: STATE_VERSION,
+      chainId,
+      contractAddress,
+      lastBlock: null,
+      tasks: {}
+    };
+  }
+
+  /**
+   * Load state from disk, keeping the empty state if the file does not exist yet
+   * Refuses to load state recorded for a different chain or contract
+   */
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const saved = JSON.parse(raw);
+    if (saved.chainId !== this.state.chainId || saved.contractAddress !== this.state.contractAddress) {
+      throw new Error(
+        `State file ${this.filePath} belongs to ${saved.contractAddress} on chain ${saved.chainId}; ` +
+        'use a different STATE_FILE for this deployment'
+      );
+    }
+    this.state = { ...this.state, lastBlock: saved.lastBlock, tasks: saved.tasks || {} };
+  }
+
+  /**
+   * Write state to disk atomically (write to a temp file, then rename)
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.state, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Last block whose events have been fully recorded, or null if none yet
+   */
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  set lastBlock(blockNumber) {
+    this.state.lastBlock = blockNumber;
+  }
+
+  /**
+   * @param {string} taskId - Task identifier
+   * @returns {boolean} Whether the task has been seen before
+   */
+  has(taskId) {
+    return Boolean(this.state.tasks[taskId]);
+  }
+
+  /**
+   * @param {string} taskId - Task identifier
+   * @returns {Object|undefined} Stored task record
+   */
+  get(taskId) {
+    return this.state.tasks[taskId];
+  }
+
+  /**
+   * Create or update a task record
+   * @param {string} taskId - Task identifier
+   * @param {Object} changes - Fields to merge into the record
+   * @returns {Object} Updated record
+   */
+  update(taskId, changes) {
+    const now = Date.now();
+    const existing = this.state.tasks[taskId] || { taskId, attempts: 0, seenAt: now };
+    this.state.tasks[taskId] = { ...existing, ...changes, updatedAt: now };
+    return this.state.tasks[taskId];
+  }
+
+  /**
+   * Tasks that still need work and whose retry delay has elapsed, oldest first
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} Task records
+   */
+  dueTasks(now = Date.now()) {
+    return Object.values(this.state.tasks)
+      .filter(task => OPEN_STATUSES.includes(task.status) && (task.nextAttemptAt || 0) <= now)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Count tasks by status, for logging
+   * @returns {Object} Map of status to count
+   */
+  summary() {
+    return Object.values(this.state.tasks).reduce((counts, task) => {
+      counts[task.status] = (counts[task.status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Task store: persistence, deployment scoping and which tasks are due
+ */
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { TaskStore, TaskStatus } from './taskStore.js';
+
+const SCOPE = { chainId: 31337, contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3' };
+
+describe('TaskStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zkco-store-'));
+    filePath = path.join(dir, 'nested', 'state.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('starts empty when there is no state file', async () => {
+    const store = new TaskStore(filePath, SCOPE);
+    await store.load();
+    assert.equal(store.lastBlock, null);
+    assert.deepEqual(store.summary(), {});
+  });
+
+  test('saves and loads tasks and the last block', async () => {
+    const store = new TaskStore(filePath, SCOPE);
+    store.lastBlock = 42;
+    store.update('0x01', { status: TaskStatus.PENDING, blockNumber: 40, logIndex: 0 });
+    await store.save();
+
+    const reloaded = new TaskStore(filePath, SCOPE);
+    await reloaded.load();
+    assert.equal(reloaded.lastBlock, 42);
+    assert.equal(reloaded.has('0x01'), true);
+    assert.equal(reloaded.get('0x01').status, TaskStatus.PENDING);
+    await assert.rejects(fs.access(`${filePath}.tmp`));
+  });
+
+  test('refuses state recorded for another deployment', async () => {
+    await new TaskStore(filePath, SCOPE).save();
+    const other = new TaskStore(filePath, { ...SCOPE, chainId: 1 });
+    await assert.rejects(other.load(), /belongs to 0x5FbDB2315678afecb367f032d93F642f64180aa3 on chain 31337/);
+  });
+
+  test('merges updates into the existing record', () => {
+    const store = new TaskStore(filePath, SCOPE);
+    const created = store.update('0x01', { status: TaskStatus.PENDING });
+    const updated = store.update('0x01', { status: TaskStatus.SUBMITTED, attempts: 1 });
+    assert.equal(updated.seenAt, created.seenAt);
+    assert.equal(updated.taskId, '0x01');
+    assert.equal(updated.attempts, 1);
+  });
+
+  test('lists open tasks whose retry delay has passed, in chain order', () => {
+    const store = new TaskStore(filePath, SCOPE);
+    store.update('late', { status: TaskStatus.PENDING, blockNumber: 9, logIndex: 0 });
+    store.update('early', { status: TaskStatus.SUBMITTED, blockNumber: 3, logIndex: 2 });
+    store.update('first', { status: TaskStatus.PENDING, blockNumber: 3, logIndex: 1 });
+    store.update('waiting', { status: TaskStatus.PENDING, blockNumber: 1, logIndex: 0, nextAttemptAt: 2000 });
+    store.update('done', { status: TaskStatus.COMPLETED, blockNumber: 1, logIndex: 1 });
+
+    assert.deepEqual(store.dueTasks(1000).map(task => task.taskId), ['first', 'early', 'late']);
+    assert.deepEqual(store.dueTasks(2000).map(task => task.taskId), ['waiting', 'first', 'early', 'late']);
+    assert.deepEqual(store.summary(), { pending: 3, submitted: 1, completed: 1 });
+  });
+});
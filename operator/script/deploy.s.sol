@@ -3,6 +3,7 @@ pragma solidity ^0.8.0;
 
 import "forge-std/Script.sol";
 import "../src/ZKCoProcessor.sol";
+import "../src/ReferenceProcessor.sol";
 
 /**
  * @title DeployZKCoProcessor
@@ -23,6 +24,10 @@ contract DeployZKCoProcessor is Script {
         // Log the deployment address
         console.log("ZKCoProcessor deployed at:", address(zkco));
         
+        // Deploy the on-chain reference used by the dashboard to estimate normal processing gas
+        ReferenceProcessor referenceProcessor = new ReferenceProcessor();
+        console.log("ReferenceProcessor deployed at:", address(referenceProcessor));
+        
         // Set the base reward amount (optional)
         // zkco.setBaseRewardAmount(0.002 ether);
         
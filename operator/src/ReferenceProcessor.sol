@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ReferenceProcessor
+ * @dev On-chain reference implementation of the computation the operator performs off-chain.
+ * It is never used to process real tasks; the dashboard calls estimateGas on process() with a
+ * task's input to measure what "normal processing" of that input would cost on L1, and compares
+ * it with the gas actually used by requestComputation + submitProof.
+ *
+ * The computation mirrors the operator daemon's built-in prover (frontend/src/contracts/mockProver.js):
+ * a task template input, abi.encode(bytes32 templateId, bytes params), runs the template (ECDSA
+ * recovery, a Merkle inclusion proof or a hash chain) and the result is keccak256 of its
+ * ABI-encoded output, like frontend/src/contracts/taskTemplates.js. Any other input, and a template
+ * whose parameters cannot be run, hashes the raw input bytes. An input that starts with a template
+ * ID but does not decode reverts, and a SHA-256 chain of more than about 80,000 rounds needs more
+ * gas than a block holds; neither has a baseline. Operators running a custom prover should deploy
+ * a matching reference.
+ */
+contract ReferenceProcessor {
+    // Template IDs, keccak256 of the names taskTemplates.js uses
+    bytes32 public constant ECDSA_TEMPLATE = keccak256("zkco.template.ecdsa.v1");
+    bytes32 public constant MERKLE_TEMPLATE = keccak256("zkco.template.merkle.v1");
+    bytes32 public constant HASH_CHAIN_TEMPLATE = keccak256("zkco.template.hash-chain.v1");
+
+    // Same bound as MAX_HASH_CHAIN_ROUNDS in taskTemplates.js
+    uint32 public constant MAX_HASH_CHAIN_ROUNDS = 100000;
+
+    // Emitted so the estimate includes the cost of publishing the result, like ProofSubmitted does
+    event Processed(address indexed requester, bytes32 resultHash);
+
+    /**
+     * @dev Perform the computation on-chain
+     * @param inputData The input data for the computation
+     * @return resultHash The hash of the computation result
+     */
+    function process(bytes calldata inputData) external returns (bytes32 resultHash) {
+        bytes32 templateId = inputData.length >= 32 ? abi.decode(inputData[:32], (bytes32)) : bytes32(0);
+
+        if (templateId == ECDSA_TEMPLATE || templateId == MERKLE_TEMPLATE || templateId == HASH_CHAIN_TEMPLATE) {
+            (, bytes memory params) = abi.decode(inputData, (bytes32, bytes));
+            (bool runnable, bytes memory result) = _runTemplate(templateId, params);
+            resultHash = runnable ? keccak256(result) : keccak256(inputData);
+        } else {
+            resultHash = keccak256(inputData);
+        }
+
+        emit Processed(msg.sender, resultHash);
+    }
+
+    /**
+     * @dev Run a template on its parameters
+     * @param templateId One of the template IDs
+     * @param params ABI-encoded template parameters
+     * @return runnable False when the parameters are out of range (the prover then hashes the input)
+     * @return result ABI-encoded template output
+     */
+    function _runTemplate(bytes32 templateId, bytes memory params) internal view returns (bool runnable, bytes memory result) {
+        if (templateId == ECDSA_TEMPLATE) {
+            (bytes memory message, bytes memory signature, address expectedSigner) = abi.decode(params, (bytes, bytes, address));
+            address recovered = _recoverPersonalSign(message, signature);
+            return (true, abi.encode(recovered == expectedSigner, recovered));
+        }
+
+        if (templateId == MERKLE_TEMPLATE) {
+            (bytes32 leaf, bytes32[] memory path, bytes32 root) = abi.decode(params, (bytes32, bytes32[], bytes32));
+            bytes32 node = leaf;
+            for (uint256 i = 0; i < path.length; i++) {
+                node = node < path[i] ? keccak256(abi.encodePacked(node, path[i])) : keccak256(abi.encodePacked(path[i], node));
+            }
+            return (true, abi.encode(node == root, node));
+        }
+
+        (bytes memory seed, uint8 algorithm, uint32 rounds) = abi.decode(params, (bytes, uint8, uint32));
+        if (algorithm > 1 || rounds < 1 || rounds > MAX_HASH_CHAIN_ROUNDS) return (false, "");
+        bytes32 digest = algorithm == 0 ? keccak256(seed) : sha256(seed);
+        for (uint32 round = 1; round < rounds; round++) {
+            digest = algorithm == 0 ? _keccakWord(digest) : _sha256Word(digest);
+        }
+        return (true, abi.encode(digest));
+    }
+
+    /**
+     * @dev keccak256 of a single word, hashed in scratch space so long chains do not grow memory
+     * @param word Word to hash
+     * @return digest The hash
+     */
+    function _keccakWord(bytes32 word) internal pure returns (bytes32 digest) {
+        assembly {
+            mstore(0, word)
+            digest := keccak256(0, 32)
+        }
+    }
+
+    /**
+     * @dev sha256 of a single word through the precompile, in scratch space like _keccakWord
+     * @param word Word to hash
+     * @return digest The hash
+     */
+    function _sha256Word(bytes32 word) internal view returns (bytes32 digest) {
+        assembly {
+            mstore(0, word)
+            if iszero(staticcall(gas(), 0x02, 0, 32, 0, 32)) { revert(0, 0) }
+            digest := mload(0)
+        }
+    }
+
+    /**
+     * @dev Recover the EIP-191 (personal_sign) signer of a message the way ethers' verifyMessage
+     * does: 65-byte signatures with v of 0 or 1, or 27 and up (only its parity counts), and 64-byte
+     * EIP-2098 signatures
+     * @param message Signed message
+     * @param signature Signature bytes
+     * @return The signer, or the zero address for a malformed signature
+     */
+    function _recoverPersonalSign(bytes memory message, bytes memory signature) internal pure returns (address) {
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        if (signature.length == 65) {
+            assembly {
+                r := mload(add(signature, 32))
+                s := mload(add(signature, 64))
+                v := byte(0, mload(add(signature, 96)))
+            }
+            if (v < 27) {
+                if (v > 1) return address(0);
+                v += 27;
+            } else {
+                v = v % 2 == 1 ? 27 : 28;
+            }
+        } else if (signature.length == 64) {
+            bytes32 vs;
+            assembly {
+                r := mload(add(signature, 32))
+                vs := mload(add(signature, 64))
+            }
+            s = vs & bytes32(0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff);
+            v = uint8(uint256(vs) >> 255) + 27;
+        } else {
+            return address(0);
+        }
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n", _toDecimal(message.length), message));
+        return ecrecover(digest, v, r, s);
+    }
+
+    /**
+     * @dev Decimal representation of a number, for the EIP-191 length prefix
+     * @param value Number to format
+     * @return Digits as bytes
+     */
+    function _toDecimal(uint256 value) internal pure returns (bytes memory) {
+        if (value == 0) return "0";
+        uint256 digits;
+        for (uint256 temp = value; temp != 0; temp /= 10) digits++;
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            digits--;
+            buffer[digits] = bytes1(uint8(48 + (value % 10)));
+            value /= 10;
+        }
+        return buffer;
+    }
+}
@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "forge-std/Test.sol";
+import "../operator/src/ReferenceProcessor.sol";
+
+contract ReferenceProcessorTest is Test {
+    ReferenceProcessor processor;
+    address user = address(0x2);
+
+    // Events to test
+    event Processed(address indexed requester, bytes32 resultHash);
+
+    function setUp() public {
+        processor = new ReferenceProcessor();
+    }
+
+    function testProcessReturnsInputHash() public {
+        bytes memory inputData = abi.encodePacked("test data");
+
+        // The result must match what the operator's built-in prover computes off-chain
+        assertEq(processor.process(inputData), keccak256(inputData));
+    }
+
+    function testProcessEmitsResult() public {
+        bytes memory inputData = abi.encodePacked("test data");
+
+        vm.expectEmit(true, true, true, true);
+        emit Processed(user, keccak256(inputData));
+
+        vm.prank(user);
+        processor.process(inputData);
+    }
+
+    function testProcessGasGrowsWithInputSize() public {
+        bytes memory smallInput = new bytes(32);
+        bytes memory largeInput = new bytes(3200);
+
+        uint256 gasBefore = gasleft();
+        processor.process(smallInput);
+        uint256 smallGas = gasBefore - gasleft();
+
+        gasBefore = gasleft();
+        processor.process(largeInput);
+        uint256 largeGas = gasBefore - gasleft();
+
+        // Hashing cost scales with the number of words hashed
+        assertGt(largeGas, smallGas);
+    }
+
+    function testEcdsaTemplateRecoversSigner() public {
+        uint256 signerKey = 0xA11CE;
+        address signer = vm.addr(signerKey);
+        bytes memory message = abi.encodePacked("hello");
+        bytes32 digest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n5", message));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(signerKey, digest);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        bytes memory inputData = _templateInput(processor.ECDSA_TEMPLATE(), abi.encode(message, signature, signer));
+        assertEq(processor.process(inputData), keccak256(abi.encode(true, signer)));
+
+        // A different expected signer still reports who signed
+        inputData = _templateInput(processor.ECDSA_TEMPLATE(), abi.encode(message, signature, user));
+        assertEq(processor.process(inputData), keccak256(abi.encode(false, signer)));
+    }
+
+    function testEcdsaTemplateRejectsMalformedSignature() public {
+        bytes memory inputData = _templateInput(processor.ECDSA_TEMPLATE(), abi.encode(abi.encodePacked("hello"), hex"1234", user));
+
+        assertEq(processor.process(inputData), keccak256(abi.encode(false, address(0))));
+    }
+
+    function testMerkleTemplateChecksInclusion() public {
+        bytes32 leaf = keccak256("a");
+        bytes32 sibling = keccak256("b");
+        bytes32 root = leaf < sibling ? keccak256(abi.encodePacked(leaf, sibling)) : keccak256(abi.encodePacked(sibling, leaf));
+        bytes32[] memory path = new bytes32[](1);
+        path[0] = sibling;
+
+        bytes memory inputData = _templateInput(processor.MERKLE_TEMPLATE(), abi.encode(leaf, path, root));
+        assertEq(processor.process(inputData), keccak256(abi.encode(true, root)));
+
+        inputData = _templateInput(processor.MERKLE_TEMPLATE(), abi.encode(leaf, path, bytes32(0)));
+        assertEq(processor.process(inputData), keccak256(abi.encode(false, root)));
+    }
+
+    function testHashChainTemplateHashesRounds() public {
+        bytes memory seed = abi.encodePacked("seed");
+
+        bytes32 digest = keccak256(abi.encodePacked(keccak256(abi.encodePacked(keccak256(seed)))));
+        bytes memory inputData = _templateInput(processor.HASH_CHAIN_TEMPLATE(), abi.encode(seed, uint8(0), uint32(3)));
+        assertEq(processor.process(inputData), keccak256(abi.encode(digest)));
+
+        digest = sha256(abi.encodePacked(sha256(seed)));
+        inputData = _templateInput(processor.HASH_CHAIN_TEMPLATE(), abi.encode(seed, uint8(1), uint32(2)));
+        assertEq(processor.process(inputData), keccak256(abi.encode(digest)));
+    }
+
+    function testHashChainOutOfRangeHashesInput() public {
+        // The prover cannot run these parameters either, so it falls back to hashing the input
+        bytes memory inputData = _templateInput(processor.HASH_CHAIN_TEMPLATE(), abi.encode(bytes(""), uint8(0), uint32(0)));
+        assertEq(processor.process(inputData), keccak256(inputData));
+
+        inputData = _templateInput(processor.HASH_CHAIN_TEMPLATE(), abi.encode(bytes(""), uint8(2), uint32(1)));
+        assertEq(processor.process(inputData), keccak256(inputData));
+    }
+
+    function testUndecodableTemplateInputReverts() public {
+        bytes memory inputData = abi.encodePacked(processor.MERKLE_TEMPLATE(), "garbage");
+
+        vm.expectRevert();
+        processor.process(inputData);
+    }
+
+    function _templateInput(bytes32 templateId, bytes memory params) internal pure returns (bytes memory) {
+        return abi.encode(templateId, params);
+    }
+}